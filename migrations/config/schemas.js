@@ -1,9 +1,21 @@
+/*
+ * Entity schemas for the DynamoDB table
+ *
+ * Each entry names the entityType it describes and a $jsonSchema validator. src/db/schemaRegistry.js
+ * compiles them and dynamoRepository checks every create/put/update against them, so migrations and
+ * repositories share one definition. bsonType keeps its MongoDB spelling: objectId is any ID string and
+ * date accepts an ISO string or a Date. `additionalProperties: false` makes unknown attributes
+ * subject to SCHEMA_UNKNOWN_ATTRIBUTES (strip or reject). The `indexes` are kept for reference only.
+ */
+
 const schemas = {
   parents: {
-    version: 4,
+    entityType: 'parent',
+    version: 6,
     validator: {
       $jsonSchema: {
         bsonType: 'object',
+        additionalProperties: false,
         required: ['name', 'password'],
         anyOf: [
           { required: ['email'] },
@@ -22,6 +34,7 @@ const schemas = {
             bsonType: 'string',
             minLength: 8
           },
+          // E.164, see src/utils/phoneNumber.js
           phoneNumber: {
             bsonType: 'string'
           },
@@ -52,11 +65,15 @@ const schemas = {
             bsonType: 'array',
             items: {
               bsonType: 'object',
-              required: ['token', 'expiresAt'],
+              required: ['familyId', 'tokenHash', 'expiresAt'],
               properties: {
-                token: { bsonType: 'string' },
+                familyId: { bsonType: 'string' },
+                tokenHash: { bsonType: 'string' },
                 createdAt: { bsonType: 'date' },
-                expiresAt: { bsonType: 'date' }
+                lastUsedAt: { bsonType: 'date' },
+                expiresAt: { bsonType: 'date' },
+                userAgent: { bsonType: 'string' },
+                ip: { bsonType: 'string' }
               }
             }
           }
@@ -69,10 +86,12 @@ const schemas = {
     ]
   },
   children: {
+    entityType: 'child',
     version: 2,
     validator: {
       $jsonSchema: {
         bsonType: 'object',
+        additionalProperties: false,
         required: ['name', 'age', 'parentId'],
         properties: {
           name: { bsonType: 'string', maxLength: 100 },
@@ -83,6 +102,10 @@ const schemas = {
           courseIds: {
             bsonType: 'array',
             items: { bsonType: 'objectId' }
+          },
+          assessmentResults: {
+            bsonType: 'array',
+            items: { bsonType: 'object' }
           }
         }
       }
@@ -93,10 +116,12 @@ const schemas = {
     ]
   },
   childeducations: {
+    entityType: 'child_education',
     version: 1,
     validator: {
       $jsonSchema: {
         bsonType: 'object',
+        additionalProperties: false,
         required: ['childId'],
         properties: {
           childId: { bsonType: 'objectId' },
@@ -117,7 +142,22 @@ const schemas = {
                       marks: { bsonType: 'double', minimum: 0, maximum: 100 }
                     }
                   }
-                }
+                },
+                recordedAt: { bsonType: 'date' }
+              }
+            }
+          },
+          suggestions: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['subject', 'suggestion'],
+              properties: {
+                subject: { bsonType: 'string' },
+                suggestion: { bsonType: 'string' },
+                priority: { enum: ['low', 'medium', 'high'] },
+                type: { enum: ['performance', 'trend', 'consistency', 'strategic'] },
+                createdAt: { bsonType: 'date' }
               }
             }
           }
@@ -129,13 +169,48 @@ const schemas = {
     ]
   },
   childnutritions: {
+    entityType: 'child_nutrition',
     version: 1,
     validator: {
       $jsonSchema: {
         bsonType: 'object',
+        additionalProperties: false,
         required: ['childId'],
         properties: {
-          childId: { bsonType: 'objectId' }
+          childId: { bsonType: 'objectId' },
+          records: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              properties: {
+                eatingHabits: { bsonType: 'object' },
+                physicalMeasurement: {
+                  bsonType: 'object',
+                  properties: {
+                    heightCm: { bsonType: 'double', minimum: 1, maximum: 250 },
+                    weightKg: { bsonType: 'double', minimum: 1, maximum: 200 },
+                    measurementDate: { bsonType: 'date' }
+                  }
+                },
+                recordedAt: { bsonType: 'date' },
+                notes: { bsonType: 'string', maxLength: 500 }
+              }
+            }
+          },
+          recommendations: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['category', 'recommendation'],
+              properties: {
+                category: { enum: ['diet', 'exercise', 'habits', 'medical'] },
+                recommendation: { bsonType: 'string', maxLength: 500 },
+                priority: { enum: ['low', 'medium', 'high', 'critical'] },
+                targetArea: { bsonType: 'string' },
+                createdAt: { bsonType: 'date' }
+              }
+            }
+          }
         }
       }
     },
@@ -144,16 +219,18 @@ const schemas = {
     ]
   },
   otps: {
+    entityType: 'otp',
     version: 2,
     validator: {
       $jsonSchema: {
         bsonType: 'object',
+        additionalProperties: false,
         required: ['contact', 'contactType', 'purpose', 'otp', 'expiresAt'],
         properties: {
           parentId: { bsonType: 'objectId' },
           contact: { bsonType: 'string' },
           contactType: { enum: ['email', 'phone'] },
-          purpose: { enum: ['signup', 'login'] },
+          purpose: { enum: ['signup', 'login', 'password_reset'] },
           otp: { bsonType: 'string' },
           verified: { bsonType: 'bool' },
           attempts: { bsonType: 'int' },
@@ -168,11 +245,13 @@ const schemas = {
     ]
   },
   courses: {
-    version: 3,
+    entityType: 'course',
+    version: 4,
     validator: {
       $jsonSchema: {
         bsonType: 'object',
-        required: ['title', 'description', 'shortDescription', 'thumbnail', 'category', 'price', 'sections'],
+        additionalProperties: false,
+        required: ['title', 'description', 'shortDescription', 'thumbnail', 'category', 'price'],
         properties: {
           title: {
             bsonType: 'string',
@@ -221,65 +300,9 @@ const schemas = {
               discountedPrice: { bsonType: 'double', minimum: 0 }
             }
           },
+          // Inline sections of courses that migration 0007 has not split into items yet
           sections: {
-            bsonType: 'array',
-            minItems: 1,
-            items: {
-              bsonType: 'object',
-              required: ['title', 'order'],
-              properties: {
-                title: { bsonType: 'string' },
-                description: { bsonType: 'string' },
-                order: { bsonType: 'int', minimum: 0 },
-                videos: {
-                  bsonType: 'array',
-                  items: {
-                    bsonType: 'object',
-                    required: ['title', 'videoUrl', 'duration', 'order'],
-                    properties: {
-                      title: { bsonType: 'string' },
-                      description: { bsonType: 'string' },
-                      videoUrl: { bsonType: 'string' },
-                      duration: { bsonType: 'double', minimum: 0 },
-                      order: { bsonType: 'int', minimum: 0 },
-                      isFree: { bsonType: 'bool' },
-                      thumbnail: { bsonType: 'string' }
-                    }
-                  }
-                },
-                test: {
-                  bsonType: 'object',
-                  required: ['title', 'order'],
-                  properties: {
-                    title: { bsonType: 'string' },
-                    description: { bsonType: 'string' },
-                    questions: {
-                      bsonType: 'array',
-                      items: { bsonType: 'objectId' }
-                    },
-                    passingScore: { bsonType: 'int', minimum: 0, maximum: 100 },
-                    duration: { bsonType: 'int', minimum: 0 },
-                    order: { bsonType: 'int', minimum: 0 }
-                  }
-                },
-                pdfs: {
-                  bsonType: 'array',
-                  maxItems: 3,
-                  items: {
-                    bsonType: 'object',
-                    required: ['filename', 'url', 'size', 'uploadedBy'],
-                    properties: {
-                      filename: { bsonType: 'string' },
-                      url: { bsonType: 'string' },
-                      size: { bsonType: 'int', minimum: 0 },
-                      uploadedBy: { bsonType: 'objectId' },
-                      uploadedAt: { bsonType: 'date' }
-                    }
-                  }
-                },
-                isLocked: { bsonType: 'bool' }
-              }
-            }
+            bsonType: 'array'
           },
           instructor: {
             bsonType: 'objectId'
@@ -313,6 +336,14 @@ const schemas = {
             bsonType: 'int',
             minimum: 0
           },
+          wishlistCount: {
+            bsonType: 'int',
+            minimum: 0
+          },
+          reviewCount: {
+            bsonType: 'int',
+            minimum: 0
+          },
           rating: {
             bsonType: 'object',
             properties: {
@@ -340,6 +371,79 @@ const schemas = {
       { key: { isPublished: 1 }, name: 'isPublished_index' },
       { key: { createdAt: -1 }, name: 'createdAt_desc' }
     ]
+  },
+  // Sections and videos are separate items in the course's partition (see migration 0007)
+  coursesections: {
+    entityType: 'course_section',
+    version: 1,
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        additionalProperties: false,
+        required: ['courseId', 'title', 'order'],
+        properties: {
+          courseId: { bsonType: 'objectId' },
+          title: { bsonType: 'string' },
+          description: { bsonType: 'string' },
+          order: { bsonType: 'int', minimum: 0 },
+          test: {
+            bsonType: 'object',
+            required: ['title', 'order'],
+            properties: {
+              title: { bsonType: 'string' },
+              description: { bsonType: 'string' },
+              questions: {
+                bsonType: 'array',
+                items: { bsonType: 'objectId' }
+              },
+              passingScore: { bsonType: 'int', minimum: 0, maximum: 100 },
+              duration: { bsonType: 'int', minimum: 0 },
+              order: { bsonType: 'int', minimum: 0 }
+            }
+          },
+          pdfs: {
+            bsonType: 'array',
+            maxItems: 3,
+            items: {
+              bsonType: 'object',
+              required: ['filename', 'url', 'size', 'uploadedBy'],
+              properties: {
+                filename: { bsonType: 'string' },
+                url: { bsonType: 'string' },
+                size: { bsonType: 'int', minimum: 0 },
+                uploadedBy: { bsonType: 'objectId' },
+                uploadedAt: { bsonType: 'date' }
+              }
+            }
+          },
+          isLocked: { bsonType: 'bool' }
+        }
+      }
+    },
+    indexes: []
+  },
+  coursevideos: {
+    entityType: 'course_video',
+    version: 1,
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        additionalProperties: false,
+        required: ['courseId', 'sectionId', 'title', 'videoUrl', 'duration', 'order'],
+        properties: {
+          courseId: { bsonType: 'objectId' },
+          sectionId: { bsonType: 'objectId' },
+          title: { bsonType: 'string' },
+          description: { bsonType: 'string' },
+          videoUrl: { bsonType: 'string' },
+          duration: { bsonType: 'double', minimum: 0 },
+          order: { bsonType: 'int', minimum: 0 },
+          isFree: { bsonType: 'bool' },
+          thumbnail: { bsonType: 'string' }
+        }
+      }
+    },
+    indexes: []
   }
 };
 
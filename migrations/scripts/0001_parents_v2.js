@@ -0,0 +1,19 @@
+/*
+ * Parents v2
+ *
+ * economicStatus stopped being required; parents without it get an explicit null.
+ */
+
+module.exports = {
+  description: 'Default missing economicStatus to null',
+  entityType: 'parent',
+
+  up: (parent) => {
+    if (Object.prototype.hasOwnProperty.call(parent, 'economicStatus')) {
+      return null;
+    }
+    return { set: { economicStatus: null } };
+  },
+
+  down: (parent) => (parent.economicStatus === null ? { remove: ['economicStatus'] } : null)
+};
@@ -0,0 +1,19 @@
+/*
+ * Children v2
+ *
+ * gender and grade became optional. No data changes; the run reports how many
+ * children have neither so the numbers can be checked against the old collection.
+ */
+
+module.exports = {
+  description: 'Report children without gender or grade',
+  entityType: 'child',
+
+  up: (child, tally) => {
+    if (child.gender == null) tally('withoutGender');
+    if (child.grade == null) tally('withoutGrade');
+    return null;
+  },
+
+  down: () => null
+};
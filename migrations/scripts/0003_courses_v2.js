@@ -0,0 +1,38 @@
+/*
+ * Courses v2
+ *
+ * Sections gained a pdfs list; existing sections without one get an empty list.
+ */
+
+module.exports = {
+  description: 'Add an empty pdfs list to course sections',
+  entityType: 'course',
+
+  up: (course) => {
+    const sections = course.sections || [];
+    if (!sections.some((section) => !Array.isArray(section.pdfs))) {
+      return null;
+    }
+    return {
+      set: {
+        sections: sections.map((section) => (Array.isArray(section.pdfs) ? section : { ...section, pdfs: [] }))
+      }
+    };
+  },
+
+  down: (course) => {
+    const sections = course.sections || [];
+    if (!sections.some((section) => Array.isArray(section.pdfs) && section.pdfs.length === 0)) {
+      return null;
+    }
+    return {
+      set: {
+        sections: sections.map((section) => {
+          if (!Array.isArray(section.pdfs) || section.pdfs.length > 0) return section;
+          const { pdfs: _pdfs, ...rest } = section;
+          return rest;
+        })
+      }
+    };
+  }
+};
@@ -0,0 +1,127 @@
+/*
+ * OTPs v2
+ *
+ * Changes:
+ * - Consolidates email/phone fields into contact/contactType
+ * - Maps legacy purpose values to new enum (signup | login)
+ * - Ensures attempts and verified defaults are set
+ * - Removes obsolete fields (type, email, phoneNumber)
+ * - Moves OTPs whose partition was keyed on the old contact value to OTP#<contact>
+ *
+ * Irreversible: the original email/phone/type fields are dropped.
+ */
+
+const { buildOtpKeys } = require('../../src/repositories/keyFactory');
+
+const PURPOSE_MAP = {
+  registration: 'signup',
+  verification: 'signup',
+  'password-reset': 'login'
+};
+
+const normalizeEmail = (value) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  return value.trim().toLowerCase();
+};
+
+const normalizePhone = (value) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  return value.trim();
+};
+
+const detectContactType = (doc) => {
+  if (doc.contactType && ['email', 'phone'].includes(doc.contactType)) {
+    return doc.contactType;
+  }
+
+  if (doc.type && ['email', 'phone'].includes(doc.type)) {
+    return doc.type;
+  }
+
+  const contactValue = doc.contact || doc.email || doc.phoneNumber;
+
+  if (typeof contactValue === 'string' && contactValue.includes('@')) {
+    return 'email';
+  }
+
+  if (doc.phoneNumber || (typeof contactValue === 'string' && contactValue.replace(/\D/g, '').length >= 6)) {
+    return 'phone';
+  }
+
+  return null;
+};
+
+const determineContact = (doc, contactType) => {
+  if (contactType === 'email') {
+    return normalizeEmail(doc.contact || doc.email);
+  }
+
+  if (contactType === 'phone') {
+    return normalizePhone(doc.contact || doc.phoneNumber);
+  }
+
+  return null;
+};
+
+const OBSOLETE_FIELDS = ['type', 'email', 'phoneNumber'];
+
+module.exports = {
+  description: 'Consolidate OTP contact fields and purposes',
+  entityType: 'otp',
+
+  up: (otp, tally) => {
+    const contactType = detectContactType(otp);
+    const contactValue = determineContact(otp, contactType);
+
+    if (!contactType || !contactValue) {
+      tally('skipped');
+      return null;
+    }
+
+    let purpose = otp.purpose;
+    if (!purpose) {
+      purpose = 'login';
+    } else {
+      purpose = PURPOSE_MAP[purpose] || purpose;
+    }
+    if (!['signup', 'login'].includes(purpose)) {
+      purpose = 'login';
+    }
+
+    const set = {};
+
+    if (otp.contact !== contactValue) {
+      set.contact = contactValue;
+    }
+
+    if (otp.contactType !== contactType) {
+      set.contactType = contactType;
+    }
+
+    if (otp.purpose !== purpose) {
+      set.purpose = purpose;
+    }
+
+    if (otp.attempts == null || Number.isNaN(otp.attempts)) {
+      set.attempts = 0;
+    }
+
+    if (otp.verified == null) {
+      set.verified = false;
+    }
+
+    const remove = OBSOLETE_FIELDS.filter((field) => Object.prototype.hasOwnProperty.call(otp, field));
+    const { pk, sk } = buildOtpKeys(contactValue, otp.id);
+    const rekey = pk !== otp.pk ? { pk, sk } : undefined;
+
+    if (Object.keys(set).length === 0 && remove.length === 0 && !rekey) {
+      return null;
+    }
+
+    return { set, remove, rekey };
+  }
+};
@@ -0,0 +1,19 @@
+/*
+ * Courses v3
+ *
+ * instructor and headline became optional. No data changes; the run reports
+ * how many courses have neither.
+ */
+
+module.exports = {
+  description: 'Report courses without instructor or headline',
+  entityType: 'course',
+
+  up: (course, tally) => {
+    if (course.instructor == null) tally('withoutInstructor');
+    if (course.headline == null) tally('withoutHeadline');
+    return null;
+  },
+
+  down: () => null
+};
@@ -0,0 +1,21 @@
+/*
+ * Parents v3
+ *
+ * city, occupation, email and phoneNumber became optional, but every parent still
+ * needs an email or a phone number (enforced at app level). No data changes; the run
+ * counts parents with neither so they can be fixed by hand.
+ */
+
+module.exports = {
+  description: 'Report parents without any contact method',
+  entityType: 'parent',
+
+  up: (parent, tally) => {
+    if (parent.email == null && parent.phoneNumber == null) {
+      tally('withoutContact');
+    }
+    return null;
+  },
+
+  down: () => null
+};
@@ -0,0 +1,48 @@
+/*
+ * Courses v4
+ *
+ * Sections and their videos moved out of the course item into items of their own
+ * (COURSE#id / SECTION#sid and VIDEO#sid#vid) so large courses stay under the 400 KB
+ * item limit. Sections or videos stored without an id get one derived from the course
+ * id and their position, so a resumed run writes the same items again.
+ *
+ * Irreversible: sections edited after the split would be lost by inlining them back.
+ */
+
+const { v5: uuidv5 } = require('uuid');
+const { buildSectionItems } = require('../../src/repositories/courseContentRepository');
+
+// Fixed namespace for the derived ids; never change it
+const ID_NAMESPACE = '3f1d7a52-8c3e-4b8e-9a53-2f6c1e0b7d41';
+
+const withIds = (course) =>
+  (course.sections || []).map((section, sectionIndex) => {
+    const sectionId = section.id || section._id || uuidv5(`${course.id}:${sectionIndex}`, ID_NAMESPACE);
+    return {
+      ...section,
+      id: sectionId,
+      videos: (section.videos || []).map((video, videoIndex) => ({
+        ...video,
+        id: video.id || video._id || uuidv5(`${course.id}:${sectionIndex}:${videoIndex}`, ID_NAMESPACE)
+      }))
+    };
+  });
+
+module.exports = {
+  description: 'Move course sections and videos into separate items',
+  entityType: 'course',
+
+  up: (course, tally) => {
+    if (!Array.isArray(course.sections)) {
+      return null;
+    }
+
+    const create = withIds(course)
+      .map((section, index) => ({ section, index, order: section.order ?? index }))
+      .sort((a, b) => a.order - b.order || a.index - b.index)
+      .flatMap(({ section }, order) => buildSectionItems(course.id, section, order));
+
+    tally('itemsCreated', create.length);
+    return { create, remove: ['sections'] };
+  }
+};
@@ -0,0 +1,40 @@
+/*
+ * Parents v5
+ *
+ * Refresh tokens are stored as SHA-256 hashes grouped into token families (one per login)
+ * instead of raw JWTs. Each stored token becomes a family of its own, with an id derived
+ * from its hash so a resumed run writes the same entries; expired tokens are dropped.
+ *
+ * Irreversible: the raw tokens cannot be recovered from their hashes.
+ */
+
+const { v5: uuidv5 } = require('uuid');
+const { hashToken } = require('../../src/services/refreshTokenService');
+
+// Fixed namespace for the derived family ids; never change it
+const FAMILY_NAMESPACE = '8c2e4f61-3a9d-4b7e-9f15-6d0a2c8e4b73';
+
+module.exports = {
+  description: 'Hash stored refresh tokens and group them into token families',
+  entityType: 'parent',
+
+  up: (parent, tally) => {
+    const entries = parent.refreshTokens || [];
+    if (!entries.some((entry) => entry.token)) {
+      return null;
+    }
+
+    const now = new Date();
+    const refreshTokens = entries
+      .filter((entry) => new Date(entry.expiresAt) > now)
+      .map(({ token, ...entry }) => {
+        if (!token) return entry;
+        const tokenHash = hashToken(token);
+        return { ...entry, familyId: uuidv5(tokenHash, FAMILY_NAMESPACE), tokenHash };
+      });
+
+    tally('tokensHashed', refreshTokens.length);
+    tally('tokensExpired', entries.length - refreshTokens.length);
+    return { set: { refreshTokens } };
+  }
+};
@@ -0,0 +1,35 @@
+/*
+ * Parents v6
+ *
+ * Phone numbers are stored in E.164 (+919876543210) so phoneNumber-index can find a parent
+ * however the number was typed. Numbers that cannot be normalised are left as they are and
+ * counted, to be fixed by hand; they cannot be used to sign in until then.
+ *
+ * Irreversible: the original formatting is not kept.
+ */
+
+const { normalizePhoneNumber } = require('../../src/utils/phoneNumber');
+
+module.exports = {
+  description: 'Normalise parent phone numbers to E.164',
+  entityType: 'parent',
+
+  up: (parent, tally) => {
+    if (!parent.phoneNumber) {
+      return null;
+    }
+
+    const phoneNumber = normalizePhoneNumber(parent.phoneNumber);
+    if (!phoneNumber) {
+      tally('phonesInvalid');
+      return null;
+    }
+
+    if (phoneNumber === parent.phoneNumber) {
+      return null;
+    }
+
+    tally('phonesNormalized');
+    return { set: { phoneNumber } };
+  }
+};
@@ -0,0 +1,71 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const backupService = require('../src/services/backupService');
+const { tableName } = require('../src/config/dynamoConfig');
+
+// Usage:
+//   node scripts/backupTable.js export [--out=<file>] [--entity-type=<type,...>] [--pk-prefix=<prefix>] [--anonymize] [--page-size=<n>]
+//   node scripts/backupTable.js restore [--in=<file>] [--batch-size=<n>] [--dry-run]
+// Without --out/--in the export goes to stdout and the restore reads stdin, e.g.
+//   node scripts/backupTable.js export --anonymize | gzip > staging.ndjson.gz
+// Reports go to stderr so they never mix with exported data.
+const [command, ...args] = process.argv.slice(2);
+
+const flag = (name) => args.includes(`--${name}`);
+const option = (name) => {
+  const match = args.find((arg) => arg.startsWith(`--${name}=`));
+  return match ? match.slice(name.length + 3) : undefined;
+};
+const numberOption = (name) => (option(name) ? parseInt(option(name), 10) : undefined);
+const listOption = (name) => (option(name) ? option(name).split(',').map((value) => value.trim()).filter(Boolean) : []);
+
+const finished = (stream) =>
+  new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+
+const commands = {
+  export: async () => {
+    const out = option('out');
+    const output = out ? fs.createWriteStream(out) : process.stdout;
+
+    const stats = await backupService.exportTable(output, {
+      entityTypes: listOption('entity-type'),
+      pkPrefix: option('pk-prefix'),
+      anonymize: flag('anonymize'),
+      pageSize: numberOption('page-size')
+    });
+    if (out) {
+      output.end();
+      await finished(output);
+    }
+
+    const anonymized = flag('anonymize') ? ' (anonymized)' : '';
+    console.error(`Exported ${stats.exported} item(s) from ${tableName}${anonymized}:`, stats.byEntityType);
+    if (stats.skipped > 0) {
+      console.error(`Left out ${stats.skipped} item(s) that cannot be anonymized`);
+    }
+  },
+
+  restore: async () => {
+    const input = option('in') ? fs.createReadStream(option('in')) : process.stdin;
+    const dryRun = flag('dry-run');
+
+    const stats = await backupService.restoreTable(input, { batchSize: numberOption('batch-size'), dryRun });
+
+    const verb = dryRun ? 'Would restore' : 'Restored';
+    console.error(`${verb} ${stats.restored} item(s) into ${tableName}:`, stats.byEntityType);
+  }
+};
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command}". Use export or restore.`);
+  process.exit(1);
+}
+
+commands[command]().catch((err) => {
+  console.error(`Backup ${command} failed:`, err.message);
+  process.exit(1);
+});
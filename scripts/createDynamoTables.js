@@ -1,67 +1,79 @@
-const { DynamoDBClient, CreateTableCommand } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBClient,
+  CreateTableCommand,
+  DescribeTableCommand,
+  DescribeTimeToLiveCommand,
+  UpdateTableCommand,
+  UpdateTimeToLiveCommand,
+  waitUntilTableExists
+} = require('@aws-sdk/client-dynamodb');
+const {
+  GLOBAL_SECONDARY_INDEXES,
+  TTL_ATTRIBUTE,
+  buildCreateTableParams,
+  buildAddIndexParams,
+  buildTimeToLiveParams
+} = require('../src/db/tableDefinition');
 
 const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
 const client = new DynamoDBClient({ region });
 
 const tableName = process.env.DYNAMO_TABLE_NAME || 'asharvi-dynamo-staging';
 
-const createTableParams = {
-  TableName: tableName,
-  AttributeDefinitions: [
-    { AttributeName: 'pk', AttributeType: 'S' },
-    { AttributeName: 'sk', AttributeType: 'S' },
-    { AttributeName: 'entityType', AttributeType: 'S' },
-    { AttributeName: 'email', AttributeType: 'S' },
-    { AttributeName: 'slug', AttributeType: 'S' }
-  ],
-  KeySchema: [
-    { AttributeName: 'pk', KeyType: 'HASH' },
-    { AttributeName: 'sk', KeyType: 'RANGE' }
-  ],
-  BillingMode: 'PAY_PER_REQUEST',
-  GlobalSecondaryIndexes: [
-    {
-      IndexName: 'entityType-index',
-      KeySchema: [
-        { AttributeName: 'entityType', KeyType: 'HASH' },
-        { AttributeName: 'sk', KeyType: 'RANGE' }
-      ],
-      Projection: { ProjectionType: 'ALL' },
-      BillingMode: 'PAY_PER_REQUEST'
-    },
-    {
-      IndexName: 'email-index',
-      KeySchema: [
-        { AttributeName: 'email', KeyType: 'HASH' },
-        { AttributeName: 'sk', KeyType: 'RANGE' }
-      ],
-      Projection: { ProjectionType: 'ALL' },
-      BillingMode: 'PAY_PER_REQUEST'
-    },
-    {
-      IndexName: 'slug-index',
-      KeySchema: [
-        { AttributeName: 'slug', KeyType: 'HASH' },
-        { AttributeName: 'sk', KeyType: 'RANGE' }
-      ],
-      Projection: { ProjectionType: 'ALL' },
-      BillingMode: 'PAY_PER_REQUEST'
-    }
-  ]
+const createTableParams = buildCreateTableParams(tableName);
+
+// Existing tables get any index added to tableDefinition.js since they were created.
+// DynamoDB builds one new GSI at a time, so re-run the script until nothing is missing.
+const addMissingIndexes = async () => {
+  const { Table } = await client.send(new DescribeTableCommand({ TableName: tableName }));
+  const existing = (Table.GlobalSecondaryIndexes || []).map((index) => index.IndexName);
+  const missing = GLOBAL_SECONDARY_INDEXES.filter(({ indexName }) => !existing.includes(indexName));
+
+  if (missing.length === 0) {
+    console.log(`Table ${tableName} already has every index`);
+    return;
+  }
+
+  const building = (Table.GlobalSecondaryIndexes || []).find((index) => index.IndexStatus === 'CREATING');
+  if (building) {
+    console.log(`Index ${building.IndexName} is still building; re-run later to add ${missing.map((i) => i.indexName).join(', ')}`);
+    return;
+  }
+
+  const [next, ...rest] = missing;
+  await client.send(new UpdateTableCommand(buildAddIndexParams(tableName, next.indexName)));
+  console.log(`Adding index ${next.indexName} to ${tableName}`);
+  if (rest.length > 0) {
+    console.log(`Re-run once it is ACTIVE to add ${rest.map((i) => i.indexName).join(', ')}`);
+  }
+};
+
+// Short-lived items (login attempt counters) carry a `ttl` attribute for DynamoDB to expire them
+const enableTimeToLive = async () => {
+  const { TimeToLiveDescription } = await client.send(new DescribeTimeToLiveCommand({ TableName: tableName }));
+  if (TimeToLiveDescription?.AttributeName === TTL_ATTRIBUTE && TimeToLiveDescription.TimeToLiveStatus !== 'DISABLED') {
+    console.log(`Table ${tableName} already expires items by ${TTL_ATTRIBUTE}`);
+    return;
+  }
+  await client.send(new UpdateTimeToLiveCommand(buildTimeToLiveParams(tableName)));
+  console.log(`Enabled expiry by ${TTL_ATTRIBUTE} on ${tableName}`);
 };
 
 const createTable = async () => {
   try {
     await client.send(new CreateTableCommand(createTableParams));
     console.log(`Created table ${tableName}`);
+    await waitUntilTableExists({ client, maxWaitTime: 300 }, { TableName: tableName });
   } catch (error) {
     if (error.name === 'ResourceInUseException') {
-      console.log(`Table ${tableName} already exists, skipping`);
+      console.log(`Table ${tableName} already exists, checking indexes`);
+      await addMissingIndexes();
     } else {
       console.error(`Failed to create table ${tableName}:`, error.message);
       throw error;
     }
   }
+  await enableTimeToLive();
 };
 
 createTable().catch((err) => {
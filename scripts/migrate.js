@@ -0,0 +1,68 @@
+require('dotenv').config();
+
+const migrationService = require('../src/services/migrationService');
+
+// Usage:
+//   node scripts/migrate.js migrate [--dry-run] [--to=<id>] [--batch-size=<n>]
+//   node scripts/migrate.js status
+//   node scripts/migrate.js rollback [--dry-run] [--steps=<n>] [--batch-size=<n>]
+const [command = 'status', ...args] = process.argv.slice(2);
+
+const flag = (name) => args.includes(`--${name}`);
+const option = (name) => {
+  const match = args.find((arg) => arg.startsWith(`--${name}=`));
+  return match ? match.slice(name.length + 3) : undefined;
+};
+const numberOption = (name) => (option(name) ? parseInt(option(name), 10) : undefined);
+
+const printResults = (results, verb) => {
+  if (results.length === 0) {
+    console.log(`Nothing to ${verb}`);
+    return;
+  }
+  results.forEach(({ id, dryRun, resumed, stats, executionTime }) => {
+    const prefix = dryRun ? '[dry run] ' : '';
+    const suffix = resumed ? ' (resumed)' : '';
+    console.log(`${prefix}${id}: ${JSON.stringify(stats)} in ${executionTime}ms${suffix}`);
+  });
+};
+
+const commands = {
+  migrate: async () =>
+    printResults(
+      await migrationService.migrate({
+        dryRun: flag('dry-run'),
+        to: option('to'),
+        batchSize: numberOption('batch-size')
+      }),
+      'migrate'
+    ),
+
+  rollback: async () =>
+    printResults(
+      await migrationService.rollback({
+        dryRun: flag('dry-run'),
+        steps: numberOption('steps'),
+        batchSize: numberOption('batch-size')
+      }),
+      'roll back'
+    ),
+
+  status: async () => {
+    const rows = await migrationService.status();
+    rows.forEach(({ id, status, appliedAt, resumable, error }) => {
+      const details = [appliedAt, resumable ? 'resumable' : null, error].filter(Boolean).join(', ');
+      console.log(`${status.padEnd(12)} ${id}${details ? `  (${details})` : ''}`);
+    });
+  }
+};
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command}". Use migrate, status or rollback.`);
+  process.exit(1);
+}
+
+commands[command]().catch((err) => {
+  console.error(`Migration ${command} failed:`, err.message);
+  process.exit(1);
+});
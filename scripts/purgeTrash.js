@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+const trashService = require('../src/services/trashService');
+const { retentionDays } = require('../src/config/trashConfig');
+
+// Permanently deletes soft-deleted items older than TRASH_RETENTION_DAYS.
+// Intended to run on a daily schedule; pass --dry-run to only count what would be purged.
+const dryRun = process.argv.includes('--dry-run');
+
+trashService
+  .purgeExpired({ retentionDays, dryRun })
+  .then(({ cutoff, purged, failed }) => {
+    const verb = dryRun ? 'Would purge' : 'Purged';
+    console.log(`${verb} items trashed before ${cutoff}:`, purged);
+    if (failed > 0) {
+      console.error(`${failed} item(s) could not be purged`);
+      process.exit(1);
+    }
+  })
+  .catch((err) => {
+    console.error('Error purging trash:', err);
+    process.exit(1);
+  });
@@ -60,8 +60,7 @@
  *       type: object
  *       properties:
  *         assessmentId:
- *           type: string
- *           format: uuid
+ *           $ref: '#/components/schemas/EntityId'
  *         method:
  *           type: string
  *           enum: [weighted_average, t_score_non_weighted, t_score_weighted]
@@ -178,6 +177,8 @@
  *                     $ref: '#/components/schemas/AssessmentResult'
  *                 count:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  * /api/v1/assessments/child/{childId}/latest:
  *   get:
@@ -194,6 +195,8 @@
  *     responses:
  *       200:
  *         description: Latest assessment retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: No assessments found
  * 
@@ -208,16 +211,17 @@
  *         name: childId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/EntityId'
  *       - in: path
  *         name: assessmentId
  *         required: true
  *         schema:
- *           type: string
- *           format: uuid
+ *           $ref: '#/components/schemas/EntityId'
  *     responses:
  *       200:
  *         description: Assessment retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Assessment not found
  */
@@ -11,9 +11,9 @@
  *   schemas:
  *     UserRegistration:
  *       type: object
+ *       description: Needs an email, a phone number or both
  *       required:
  *         - name
- *         - email
  *         - password
  *       properties:
  *         name:
@@ -27,6 +27,12 @@
  *           format: email
  *           description: User's email address
  *           example: john.doe@example.com
+ *         phoneNumber:
+ *           type: string
+ *           description: >
+ *             Phone number, stored in E.164. Numbers without a country code get
+ *             DEFAULT_PHONE_COUNTRY_CODE. Must not belong to another user.
+ *           example: '+919876543210'
  *         password:
  *           type: string
  *           minLength: 8
@@ -137,7 +143,10 @@
  * /api/v1/auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Create a new user account with email and password
+ *     description: >
+ *       Create a new user account with an email and/or phone number and a password.
+ *       A phone number needs a signup code verified through /otp/verify first (OTP_NOT_VERIFIED otherwise);
+ *       registering uses the code up.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -163,7 +172,10 @@
  * /api/v1/auth/login:
  *   post:
  *     summary: Login user
- *     description: Authenticate user with email and password to receive JWT token
+ *     description: >
+ *       Authenticate user with email and password to receive JWT token. After repeated failures
+ *       further attempts answer 429 LOGIN_THROTTLED with a growing Retry-After, then
+ *       ACCOUNT_LOCKED until the lockout ends or the user signs in with a one-time code.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -258,7 +270,7 @@
  * /api/v1/auth/change-password:
  *   put:
  *     summary: Change user password
- *     description: Change the authenticated user's password
+ *     description: Change the authenticated user's password. Every other session is signed out.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -286,6 +298,105 @@
  *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/password/forgot:
+ *   post:
+ *     summary: Request a password reset code
+ *     description: >
+ *       Sends a 6 digit reset code by email or SMS. The response is the same whether or not an
+ *       account exists for the contact.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phoneNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset code sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: If an account exists for this contact, a reset code has been sent
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     expiresIn:
+ *                       type: integer
+ *                       example: 300
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/password/reset:
+ *   post:
+ *     summary: Reset password with a reset code
+ *     description: >
+ *       Sets a new password using the code from /auth/password/forgot. A code works once and
+ *       every session is signed out afterwards.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [otp, newPassword]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phoneNumber:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *                 example: '482913'
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Password reset successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
 
 /**
@@ -320,10 +431,21 @@
  * /api/v1/auth/refresh:
  *   post:
  *     summary: Refresh authentication token
- *     description: Generate a new JWT token for the authenticated user
+ *     description: >
+ *       Exchange a refresh token for a new access token and a new refresh token of the same
+ *       login. Each refresh token works once; presenting one that was already exchanged ends
+ *       that login (401 REFRESH_TOKEN_REUSED) and its newer tokens stop working too.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token refreshed successfully
@@ -341,9 +463,11 @@
  *                 data:
  *                   type: object
  *                   properties:
- *                     token:
+ *                     accessToken:
  *                       type: string
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  */
@@ -380,4 +504,128 @@
  *         $ref: '#/components/responses/Unauthorized'
  */
 
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List sessions
+ *     description: >
+ *       Devices the user is signed in on, most recently used first. The session of the
+ *       access token making the request is flagged as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       userAgent:
+ *                         type: string
+ *                         nullable: true
+ *                         example: Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)
+ *                       ip:
+ *                         type: string
+ *                         nullable: true
+ *                         example: 203.0.113.24
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out a session
+ *     description: >
+ *       Ends the session: its refresh token stops working and its access tokens are
+ *       refused (401 SESSION_REVOKED) from the next request on.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Session signed out
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/revoke-others:
+ *   post:
+ *     summary: Sign out all other sessions
+ *     description: Ends every session except the one making the request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions signed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Other sessions signed out
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: integer
+ *                       example: 2
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
 module.exports = {};
@@ -117,6 +117,8 @@
  *     responses:
  *       201:
  *         description: Child created successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  * /api/v1/children/by-parent:
  *   get:
@@ -149,6 +151,8 @@
  *     responses:
  *       200:
  *         description: List of children with optional related data
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  * /api/v1/children/{id}:
  *   get:
@@ -171,6 +175,8 @@
  *     responses:
  *       200:
  *         description: Child retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  *   delete:
  *     summary: Delete child (cascades to education and nutrition)
@@ -191,6 +197,8 @@
  *     responses:
  *       200:
  *         description: Child and related data deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  * /api/v1/children/{id}/summary:
  *   get:
@@ -216,6 +224,8 @@
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/ChildSummary'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 
 /**
@@ -283,6 +293,8 @@
  *                           type: array
  *                         overallSummary:
  *                           type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Child not found or no assessments available
  *       401:
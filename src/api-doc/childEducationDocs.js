@@ -154,6 +154,8 @@
  *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       409:
  *         description: Record already exists for this child
  * 
@@ -182,6 +184,8 @@
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/ChildEducation'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  * 
@@ -210,6 +214,8 @@
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/PerformanceAnalysis'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  * 
@@ -247,6 +253,8 @@
  *         description: Grade record added and suggestions updated
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  * /api/v1/child-education/regenerate-suggestions:
  *   post:
@@ -263,6 +271,8 @@
  *     responses:
  *       200:
  *         description: Suggestions regenerated successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: No education records found
  * 
@@ -281,6 +291,8 @@
  *     responses:
  *       200:
  *         description: Education record retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  * 
@@ -313,6 +325,8 @@
  *     responses:
  *       200:
  *         description: Education record updated successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  *   delete:
  *     summary: Delete education record
@@ -328,6 +342,8 @@
  *     responses:
  *       200:
  *         description: Education record deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
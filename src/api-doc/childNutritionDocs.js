@@ -193,6 +193,8 @@
  *         description: Nutrition record created successfully
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       409:
  *         description: Record already exists for this child
  * 
@@ -211,6 +213,8 @@
  *     responses:
  *       200:
  *         description: Nutrition record retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  * 
@@ -238,6 +242,8 @@
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/NutritionAnalysis'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  * /api/v1/child-nutrition/add-entry:
  *   post:
@@ -260,6 +266,8 @@
  *     responses:
  *       200:
  *         description: Nutrition entry added and recommendations updated
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  * /api/v1/child-nutrition/regenerate-recommendations:
  *   post:
@@ -276,6 +284,8 @@
  *     responses:
  *       200:
  *         description: Recommendations regenerated successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  * /api/v1/child-nutrition/{id}:
  *   get:
@@ -292,6 +302,8 @@
  *     responses:
  *       200:
  *         description: Nutrition record retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  *   patch:
  *     summary: Update nutrition record
@@ -318,6 +330,8 @@
  *     responses:
  *       200:
  *         description: Nutrition record updated successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  *   delete:
  *     summary: Delete nutrition record
@@ -333,6 +347,8 @@
  *     responses:
  *       200:
  *         description: Nutrition record deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 
 module.exports = {};
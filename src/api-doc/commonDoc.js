@@ -19,10 +19,7 @@
  *           example: false
  *         error:
  *           type: string
- *           example: Validation error
- *         message:
- *           type: string
- *           example: Invalid email format
+ *           example: Request body validation failed
  *         code:
  *           type: string
  *           example: VALIDATION_ERROR
@@ -41,6 +38,36 @@
  *           type: string
  *           example: 550e8400-e29b-41d4-a716-446655440000
  *     
+ *     Problem:
+ *       type: object
+ *       description: RFC 7807 error body, returned instead of Error for Accept application/problem+json
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: about:blank
+ *         title:
+ *           type: string
+ *           example: Not Found
+ *         status:
+ *           type: integer
+ *           example: 404
+ *         detail:
+ *           type: string
+ *           example: Child with ID 9f4e2a1c-7b3d-4c8e-a5f6-0d1b2c3e4f5a not found
+ *         instance:
+ *           type: string
+ *           example: /api/v1/children/9f4e2a1c-7b3d-4c8e-a5f6-0d1b2c3e4f5a
+ *         code:
+ *           type: string
+ *           example: CHILD_NOT_FOUND
+ *         details:
+ *           type: array
+ *           items:
+ *             type: object
+ *         requestId:
+ *           type: string
+ *           example: 550e8400-e29b-41d4-a716-446655440000
+ *     
  *     SuccessResponse:
  *       type: object
  *       properties:
@@ -117,6 +144,62 @@
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/Error'
+ *   
+ *   parameters:
+ *     Cursor:
+ *       in: query
+ *       name: cursor
+ *       description: |
+ *         Opaque, signed `nextCursor` from the previous page. Omit it (and `page`) to start
+ *         at the first page. Cannot be combined with `page`.
+ *       schema:
+ *         type: string
+ *     Limit:
+ *       in: query
+ *       name: limit
+ *       description: Page size
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *     Page:
+ *       in: query
+ *       name: page
+ *       description: |
+ *         Compatibility mode. When set, the full result set is sorted by `sortBy`/`sortOrder`
+ *         and sliced by page; without it the list is returned in storage order with cursors.
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EntityId:
+ *       type: string
+ *       description: |
+ *         Entity id. Items migrated from MongoDB keep their 24-character hex ObjectId; everything
+ *         created since has a UUID. Every endpoint accepts both.
+ *       pattern: '^([0-9a-fA-F]{24}|[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})$'
+ *       example: 9f4e2a1c-7b3d-4c8e-a5f6-0d1b2c3e4f5a
+ *     CursorPagination:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           example: 20
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as `cursor` to fetch the next page; null on the last page
+ *           example: eyJ2IjoxLCJzIjoiY291cnNlcyJ9.c2lnbmF0dXJl
+ *         hasNext:
+ *           type: boolean
+ *           example: true
+ */
 
 /**
  * @swagger
@@ -220,16 +220,14 @@
  * 
  *   get:
  *     summary: Get courses with filters
+ *     description: |
+ *       Returns cursor-paginated courses by default; follow `pagination.nextCursor` until
+ *       `hasNext` is false. Passing `page` switches to sorted offset pagination instead.
  *     tags: [Courses]
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
  *       - in: query
  *         name: category
  *         schema:
@@ -245,6 +243,21 @@
  *     responses:
  *       200:
  *         description: Paginated courses list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  * 
  * /api/v1/courses/my-progress:
  *   get:
@@ -318,7 +331,7 @@
  *           type: string
  *     responses:
  *       200:
- *         description: Course deleted successfully
+ *         description: Course moved to trash (restorable by an admin until purged)
  * 
  * /api/v1/courses/{id}/enroll:
  *   post:
@@ -438,6 +451,222 @@
  *     responses:
  *       200:
  *         description: Certificate issued successfully
+ * 
+ * /api/v1/courses/{courseId}/sections:
+ *   post:
+ *     summary: Append a section (admin/instructor)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Section'
+ *     responses:
+ *       201:
+ *         description: Section created
+ * 
+ * /api/v1/courses/{courseId}/sections/order:
+ *   put:
+ *     summary: Reorder sections (admin/instructor)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sectionIds
+ *             properties:
+ *               sectionIds:
+ *                 type: array
+ *                 description: Every id of the list, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Sections reordered; 400 INVALID_SECTION_ORDER unless every section id is listed once
+ * 
+ * /api/v1/courses/{courseId}/sections/{sectionId}:
+ *   patch:
+ *     summary: Update a section (admin/instructor)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Section updated
+ *   delete:
+ *     summary: Delete a section and its videos (admin/instructor)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Section deleted
+ * 
+ * /api/v1/courses/{courseId}/sections/{sectionId}/videos:
+ *   post:
+ *     summary: Append a video to a section (admin/instructor)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Video'
+ *     responses:
+ *       201:
+ *         description: Video added
+ * 
+ * /api/v1/courses/{courseId}/sections/{sectionId}/videos/order:
+ *   put:
+ *     summary: Reorder a section's videos (admin/instructor)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - videoIds
+ *             properties:
+ *               videoIds:
+ *                 type: array
+ *                 description: Every id of the list, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Videos reordered; 400 INVALID_VIDEO_ORDER unless every video id is listed once
+ * 
+ * /api/v1/courses/{courseId}/sections/{sectionId}/videos/{videoId}:
+ *   patch:
+ *     summary: Update a video (admin/instructor)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Video'
+ *     responses:
+ *       200:
+ *         description: Video updated
+ *   delete:
+ *     summary: Delete a video (admin/instructor)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video deleted
  */
 
 module.exports = {};
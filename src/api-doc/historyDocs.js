@@ -0,0 +1,133 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HistoryEntry:
+ *       type: object
+ *       properties:
+ *         targetType:
+ *           type: string
+ *           enum: [parent, child, course, question]
+ *         targetId:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Entity version the change produced
+ *         changes:
+ *           type: object
+ *           description: "Changed fields as { field: { from, to } }; credentials show as [REDACTED]"
+ *           example:
+ *             title:
+ *               from: Positive Parenting
+ *               to: Positive Parenting 101
+ *         actorId:
+ *           type: string
+ *           nullable: true
+ *           description: User who made the change (null for scripts and jobs)
+ *         requestId:
+ *           type: string
+ *           nullable: true
+ *           description: X-Request-ID of the request that made the change
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *   responses:
+ *     HistoryPage:
+ *       description: Change history, newest first
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               success:
+ *                 type: boolean
+ *               data:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/HistoryEntry'
+ *               pagination:
+ *                 $ref: '#/components/schemas/CursorPagination'
+ */
+
+/**
+ * @swagger
+ * /api/v1/courses/{id}/history:
+ *   get:
+ *     summary: Course change history (Admin only)
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/HistoryPage'
+ *       404:
+ *         description: Course not found
+ *
+ * /api/v1/questions/{id}/history:
+ *   get:
+ *     summary: Question change history (Admin only)
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/HistoryPage'
+ *       404:
+ *         description: Question not found
+ *
+ * /api/v1/children/{id}/history:
+ *   get:
+ *     summary: Child profile change history (Admin only)
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/HistoryPage'
+ *       404:
+ *         description: Child not found
+ *
+ * /api/v1/parents/{id}/history:
+ *   get:
+ *     summary: Parent account change history (Admin only)
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/HistoryPage'
+ *       404:
+ *         description: Parent not found
+ */
@@ -172,14 +172,17 @@
  *         schema:
  *           type: integer
  *           default: 100
+ *       - $ref: '#/components/parameters/Cursor'
  *       - in: query
  *         name: skip
  *         schema:
  *           type: integer
- *           default: 0
+ *         description: Offset pagination (compatibility mode). Cannot be combined with `cursor`.
  *     responses:
  *       200:
  *         description: List of parents in the specified city
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  * /api/v1/parents/all-children:
  *   get:
@@ -230,6 +233,8 @@
  *     responses:
  *       200:
  *         description: Parent retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  * 
@@ -294,6 +299,8 @@
  *     responses:
  *       200:
  *         description: List of children
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  *   post:
  *     summary: Add child to parent
@@ -315,6 +322,8 @@
  *     responses:
  *       200:
  *         description: Child added successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  * 
  *   delete:
  *     summary: Remove child from parent
@@ -336,6 +345,8 @@
  *     responses:
  *       200:
  *         description: Child removed successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 
 module.exports = {};
@@ -194,21 +194,15 @@
  * 
  *   get:
  *     summary: Get questions with pagination and filters
+ *     description: |
+ *       Cursor-paginated by default; pass `page` for sorted offset pagination.
  *     tags: [Questions]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *           maximum: 100
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
  *       - in: query
  *         name: category
  *         schema:
@@ -0,0 +1,96 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrashEntry:
+ *       type: object
+ *       properties:
+ *         entityType:
+ *           type: string
+ *           enum: [parent, child, course, question]
+ *           example: course
+ *         id:
+ *           type: string
+ *           example: 3f1c2a8e-9b4d-4e0a-8f6b-2d7c1e5a9b30
+ *         label:
+ *           type: string
+ *           description: Name, title or question text of the trashed item
+ *           example: Positive Parenting Basics
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: ID of the user who deleted the item
+ *         purgeAfter:
+ *           type: string
+ *           format: date-time
+ *           description: When the purge job will permanently delete the item
+ */
+
+/**
+ * @swagger
+ * /api/v1/trash:
+ *   get:
+ *     summary: List trashed items (Admin only)
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [parent, child, course, question]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Trashed items, most recently deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrashEntry'
+ *       403:
+ *         description: Admin role required
+ *
+ * /api/v1/trash/{entityType}/{id}/restore:
+ *   post:
+ *     summary: Restore a trashed item (Admin only)
+ *     description: Restoring a parent also restores the children deleted with it.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entityType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [parent, child, course, question]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item restored
+ *       404:
+ *         description: No trashed item with that ID (NOT_IN_TRASH)
+ *       409:
+ *         description: Restore conflicts with a live item (EMAIL_IN_USE, SLUG_IN_USE) or the child's parent is still trashed (PARENT_IN_TRASH)
+ */
@@ -0,0 +1,176 @@
+/**
+ * Read-through cache shared by the course catalog and question bank repositories and the
+ * ownership checks
+ *
+ * Entries live under a namespace ('courses', 'questions', 'ownership'); callers read through
+ * `readThrough` and call `invalidate` after every write that changes what a read
+ * returns. The backend is picked by CACHE_DRIVER: the in-process LRU by default, a
+ * Redis-compatible server once `connect` succeeds, or nothing at all. Cache failures are
+ * logged and never fail the request; the loader is used instead.
+ */
+
+const cacheConfig = require('../config/cacheConfig');
+const { createMemoryCache } = require('./memoryCache');
+const { createRedisCache, connectRedis } = require('./redisCache');
+const logger = require('../utils/logger');
+
+let adapter = cacheConfig.driver === 'none' ? null : createMemoryCache({ maxEntries: cacheConfig.maxEntries });
+let redisClient = null;
+
+// Per namespace: hit/miss/error counts and a generation bumped on every invalidation,
+// so a load that started before a write does not store its stale result afterwards
+const namespaces = {};
+
+const namespaceState = (namespace) => {
+  if (!namespaces[namespace]) {
+    namespaces[namespace] = { hits: 0, misses: 0, errors: 0, invalidations: 0, generation: 0 };
+  }
+  return namespaces[namespace];
+};
+
+const ttlFor = (namespace) => cacheConfig.ttlSeconds[namespace] ?? cacheConfig.defaultTtlSeconds;
+
+/**
+ * Cache key from the arguments of a read
+ *
+ * @params {parts}: ...any - Values identifying the read, e.g. filters, limit, cursor
+ * @returns string
+ */
+const keyOf = (...parts) => JSON.stringify(parts);
+
+/**
+ * Return the cached value of a read, or run the loader and cache its result
+ *
+ * @params {namespace}: string - e.g. 'courses'
+ * @params {key}: string - Key within the namespace
+ * @params {loader}: Function - async () => value; undefined results are not cached
+ * @params {options}: object - { ttlSeconds } overriding the namespace TTL
+ * @returns Value, as a fresh copy on every call
+ */
+const readThrough = async (namespace, key, loader, { ttlSeconds = ttlFor(namespace) } = {}) => {
+  if (!adapter) return loader();
+
+  const state = namespaceState(namespace);
+  const cacheKey = `${namespace}:${key}`;
+
+  try {
+    const cached = await adapter.get(cacheKey);
+    if (cached !== null && cached !== undefined) {
+      state.hits += 1;
+      return JSON.parse(cached);
+    }
+  } catch (error) {
+    state.errors += 1;
+    logger.warn('Cache read failed', { namespace, error: error.message });
+    return loader();
+  }
+
+  state.misses += 1;
+  const generation = state.generation;
+  const value = await loader();
+  const serialized = value === undefined ? undefined : JSON.stringify(value);
+
+  if (serialized !== undefined && generation === state.generation) {
+    try {
+      await adapter.set(cacheKey, serialized, ttlSeconds);
+    } catch (error) {
+      state.errors += 1;
+      logger.warn('Cache write failed', { namespace, error: error.message });
+    }
+  }
+  // Parsed back like a hit, so the caller never holds the loader's own object
+  return serialized === undefined ? value : JSON.parse(serialized);
+};
+
+/**
+ * Drop every entry of a namespace
+ * Other instances using the in-process cache keep theirs until the TTL expires.
+ *
+ * @params {namespace}: string - e.g. 'courses'
+ * @returns Number of entries removed
+ */
+const invalidate = async (namespace) => {
+  const state = namespaceState(namespace);
+  state.generation += 1;
+  state.invalidations += 1;
+  if (!adapter) return 0;
+
+  try {
+    return await adapter.deletePrefix(`${namespace}:`);
+  } catch (error) {
+    state.errors += 1;
+    logger.warn('Cache invalidation failed', { namespace, error: error.message });
+    return 0;
+  }
+};
+
+/**
+ * Hit/miss counts per namespace, for /health-check/detailed
+ *
+ * @returns Object { driver, ...backend details, namespaces: { [name]: { hits, misses, hitRate, errors, invalidations, ttlSeconds } } }
+ */
+const stats = () => ({
+  ...(adapter ? adapter.describe() : { driver: 'none' }),
+  namespaces: Object.entries(namespaces).reduce((summary, [namespace, state]) => {
+    const lookups = state.hits + state.misses;
+    summary[namespace] = {
+      hits: state.hits,
+      misses: state.misses,
+      hitRate: lookups > 0 ? Number((state.hits / lookups).toFixed(3)) : null,
+      errors: state.errors,
+      invalidations: state.invalidations,
+      ttlSeconds: ttlFor(namespace)
+    };
+    return summary;
+  }, {})
+});
+
+/**
+ * Switch to the Redis backend when CACHE_DRIVER=redis; keeps the in-process cache if the
+ * server cannot be reached or the `redis` package is not installed
+ */
+const connect = async () => {
+  if (cacheConfig.driver !== 'redis' || redisClient) return;
+  try {
+    redisClient = await connectRedis(cacheConfig.redisUrl);
+    adapter = createRedisCache(redisClient);
+    logger.info('Cache connected to Redis');
+  } catch (error) {
+    logger.error('Redis cache unavailable, using the in-process cache', { error: error.message });
+  }
+};
+
+const disconnect = async () => {
+  if (!redisClient) return;
+  await redisClient.quit();
+  redisClient = null;
+  adapter = createMemoryCache({ maxEntries: cacheConfig.maxEntries });
+};
+
+/**
+ * Replace the backend, e.g. with a custom Redis-compatible adapter or in tests
+ *
+ * @params {nextAdapter}: object - { get, set, deletePrefix, clear, describe }, or null to disable caching
+ */
+const useAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+};
+
+/**
+ * Empty the cache and zero its counters
+ */
+const reset = async () => {
+  Object.keys(namespaces).forEach((namespace) => delete namespaces[namespace]);
+  if (adapter) await adapter.clear();
+};
+
+module.exports = {
+  keyOf,
+  readThrough,
+  invalidate,
+  stats,
+  connect,
+  disconnect,
+  useAdapter,
+  reset
+};
@@ -0,0 +1,59 @@
+/**
+ * In-process LRU cache
+ *
+ * Implements the adapter surface src/cache/index.js expects from any backend
+ * (get/set/deletePrefix/clear/describe). Values are the serialized strings the cache
+ * layer hands over, so callers never share objects with the cache. A Map keeps
+ * insertion order, which doubles as recency: reads move an entry to the end and the
+ * first entry is evicted once maxEntries is reached.
+ */
+
+/**
+ * Create an LRU cache
+ *
+ * @params {options}: object - { maxEntries, now } where now() returns epoch ms (overridable in tests)
+ * @returns Cache adapter
+ */
+const createMemoryCache = ({ maxEntries = 500, now = Date.now } = {}) => {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= now();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    entries.delete(key);
+    if (isExpired(entry)) return null;
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = async (key, value, ttlSeconds) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: ttlSeconds > 0 ? now() + ttlSeconds * 1000 : null });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const deletePrefix = async (prefix) => {
+    let deleted = 0;
+    [...entries.keys()].forEach((key) => {
+      if (key.startsWith(prefix)) {
+        entries.delete(key);
+        deleted += 1;
+      }
+    });
+    return deleted;
+  };
+
+  const clear = async () => {
+    entries.clear();
+  };
+
+  const describe = () => ({ driver: 'memory', entries: entries.size, maxEntries });
+
+  return { get, set, deletePrefix, clear, describe };
+};
+
+module.exports = { createMemoryCache };
@@ -0,0 +1,63 @@
+/**
+ * Redis-backed cache adapter
+ *
+ * Wraps any client with the node-redis v4 command surface (get, set with { EX },
+ * del, scanIterator), so Redis-compatible servers such as Valkey or ElastiCache
+ * work unchanged. Lets instances share one cache, so a write on one invalidates the
+ * catalog for all of them.
+ */
+
+const SCAN_COUNT = 100;
+
+/**
+ * Create a cache adapter on a connected client
+ *
+ * @params {client}: object - node-redis v4 compatible client
+ * @params {options}: object - { keyPrefix } prepended to every key, so several apps can share a server
+ * @returns Cache adapter
+ */
+const createRedisCache = (client, { keyPrefix = 'ashravi:' } = {}) => {
+  const get = async (key) => client.get(`${keyPrefix}${key}`);
+
+  const set = async (key, value, ttlSeconds) => {
+    await client.set(`${keyPrefix}${key}`, value, ttlSeconds > 0 ? { EX: ttlSeconds } : undefined);
+  };
+
+  const deletePrefix = async (prefix) => {
+    let deleted = 0;
+    let batch = [];
+    for await (const key of client.scanIterator({ MATCH: `${keyPrefix}${prefix}*`, COUNT: SCAN_COUNT })) {
+      batch.push(key);
+      if (batch.length === SCAN_COUNT) {
+        deleted += await client.del(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      deleted += await client.del(batch);
+    }
+    return deleted;
+  };
+
+  const clear = async () => deletePrefix('');
+
+  const describe = () => ({ driver: 'redis', keyPrefix });
+
+  return { get, set, deletePrefix, clear, describe };
+};
+
+/**
+ * Connect a client from the optional `redis` package
+ *
+ * @params {url}: string - Redis connection URL
+ * @returns Connected client
+ */
+const connectRedis = async (url) => {
+  // Optional dependency: only deployments that set CACHE_DRIVER=redis install it
+  const { createClient } = require('redis');
+  const client = createClient({ url });
+  await client.connect();
+  return client;
+};
+
+module.exports = { createRedisCache, connectRedis };
@@ -0,0 +1,29 @@
+// Read-through cache in front of the course catalog, question bank and ownership lookups:
+// memory (in-process LRU, the default), redis (shared, needs the `redis` package and REDIS_URL) or none
+const CACHE_DRIVERS = ['memory', 'redis', 'none'];
+const configured = (process.env.CACHE_DRIVER || 'memory').toLowerCase();
+const driver = CACHE_DRIVERS.includes(configured) ? configured : 'memory';
+
+const DEFAULT_TTL_SECONDS = 60;
+const DEFAULT_MAX_ENTRIES = 500;
+
+const seconds = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+const defaultTtlSeconds = seconds(process.env.CACHE_TTL_SECONDS, DEFAULT_TTL_SECONDS);
+
+module.exports = {
+  CACHE_DRIVERS,
+  driver,
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES,
+  redisUrl: process.env.REDIS_URL,
+  // Per-namespace TTLs fall back to CACHE_TTL_SECONDS
+  ttlSeconds: {
+    courses: seconds(process.env.CACHE_TTL_COURSES_SECONDS, defaultTtlSeconds),
+    questions: seconds(process.env.CACHE_TTL_QUESTIONS_SECONDS, defaultTtlSeconds),
+    ownership: seconds(process.env.CACHE_TTL_OWNERSHIP_SECONDS, defaultTtlSeconds)
+  },
+  defaultTtlSeconds
+};
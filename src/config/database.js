@@ -1,5 +1,4 @@
-const { ListTablesCommand } = require('@aws-sdk/client-dynamodb');
-const { dynamoDocClient } = require('../db/dynamodbClient');
+const { commands, isInMemory } = require('../db/dynamodbClient');
 const logger = require('../utils/logger');
 
 class DatabaseConfig {
@@ -14,9 +13,9 @@ class DatabaseConfig {
         return;
       }
 
-      await dynamoDocClient.send(new ListTablesCommand({ Limit: 1 }));
+      await commands.ping();
       this.isConnected = true;
-      logger.info('DynamoDB client initialized');
+      logger.info('DynamoDB client initialized', { adapter: isInMemory ? 'memory' : 'aws' });
     } catch (error) {
       this.isConnected = false;
       logger.error('DynamoDB initialization failed', { error: error.message });
@@ -30,13 +29,14 @@ class DatabaseConfig {
 
   getConnectionStatus() {
     return {
-      isConnected: this.isConnected
+      isConnected: this.isConnected,
+      adapter: isInMemory ? 'memory' : 'aws'
     };
   }
 
   async healthCheck() {
     try {
-      await dynamoDocClient.send(new ListTablesCommand({ Limit: 1 }));
+      await commands.ping();
       this.isConnected = true;
       return {
         status: 'healthy',
@@ -2,4 +2,24 @@
 const DEFAULT_TABLE_NAME = 'asharvi-dynamo-staging';
 const tableName = process.env.DYNAMO_TABLE_NAME || process.env.PARENTS_TABLE_NAME || DEFAULT_TABLE_NAME;
 
-module.exports = { tableName, DEFAULT_TABLE_NAME };
+// 'aws' talks to DynamoDB; 'memory' swaps in the in-process adapter for offline dev and tests
+const adapter = (process.env.DYNAMO_ADAPTER || 'aws').toLowerCase();
+
+const intFromEnv = (name) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+// Retry/backoff and circuit breaker settings for src/db/resilientCommands.js; unset values keep its defaults.
+// DYNAMO_RETRY_MAX_ATTEMPTS caps the per-command attempt counts (1 disables retries).
+const resilience = Object.fromEntries(
+  Object.entries({
+    maxAttempts: intFromEnv('DYNAMO_RETRY_MAX_ATTEMPTS'),
+    baseDelayMs: intFromEnv('DYNAMO_RETRY_BASE_DELAY_MS'),
+    maxDelayMs: intFromEnv('DYNAMO_RETRY_MAX_DELAY_MS'),
+    failureThreshold: intFromEnv('DYNAMO_BREAKER_FAILURE_THRESHOLD'),
+    cooldownMs: intFromEnv('DYNAMO_BREAKER_COOLDOWN_MS')
+  }).filter(([, value]) => value !== undefined)
+);
+
+module.exports = { tableName, DEFAULT_TABLE_NAME, adapter, resilience };
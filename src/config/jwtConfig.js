@@ -10,7 +10,15 @@ if (!JWT_SECRET) {
 const resolvedJwtSecret = JWT_SECRET || 'development-jwt-secret';
 const resolvedRefreshSecret = JWT_REFRESH_SECRET || resolvedJwtSecret;
 
+// Lifetime of each refresh token; a family lives on as long as it keeps being rotated
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Logins (token families) kept per parent; the oldest is dropped beyond this
+const MAX_REFRESH_TOKEN_FAMILIES = 5;
+
 module.exports = {
   JWT_SECRET: resolvedJwtSecret,
-  JWT_REFRESH_SECRET: resolvedRefreshSecret
+  JWT_REFRESH_SECRET: resolvedRefreshSecret,
+  REFRESH_TOKEN_TTL_SECONDS,
+  MAX_REFRESH_TOKEN_FAMILIES
 };
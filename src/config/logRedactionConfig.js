@@ -0,0 +1,69 @@
+// What src/utils/logger.js removes from every entry before it reaches a transport.
+// LOG_REDACT_FIELDS adds field names, matched at any depth ignoring case, `_` and `-`;
+// LOG_REDACT_PATHS adds dotted paths from the entry root where `*` matches one key or array
+// index (e.g. body.children.*.name); both are comma-separated. LOG_REDACT_PATTERNS adds a JSON
+// array of regular expressions whose matches are replaced inside every string value.
+const DEFAULT_FIELDS = [
+  // Credentials and secrets
+  'password',
+  'currentPassword',
+  'newPassword',
+  'confirmPassword',
+  'otp',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'refreshTokens',
+  'authorization',
+  'cookie',
+  'secret',
+  'apiKey',
+  // Contact details
+  'email',
+  'phone',
+  'phoneNumber',
+  'contactValue',
+  // Children's health data
+  'heightCm',
+  'weightKg',
+  'bmi',
+  'physicalMeasurement',
+  'eatingHabits'
+];
+
+// Names sit under generic keys, so only the request bodies that carry a person's name are listed
+const DEFAULT_PATHS = ['body.name', 'body.children.*.name'];
+
+const DEFAULT_PATTERNS = [
+  // Email addresses
+  /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  // Phone numbers with a country code, and bare 10-digit mobile numbers
+  /\+\d{1,3}[\s-]?\d{6,12}\b/g,
+  /(?<!\d)[6-9]\d{9}(?!\d)/g,
+  // Bearer credentials and anything shaped like a JWT
+  /Bearer\s+[\w.~+/-]+=*/gi,
+  /eyJ[\w-]+\.[\w-]+\.[\w-]+/g
+];
+
+const listFromEnv = (name) =>
+  (process.env[name] || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// A pattern that cannot be parsed must stop the boot rather than let what it covers through
+const patternsFromEnv = () => {
+  if (!process.env.LOG_REDACT_PATTERNS) return [];
+  const sources = JSON.parse(process.env.LOG_REDACT_PATTERNS);
+  if (!Array.isArray(sources)) {
+    throw new Error('LOG_REDACT_PATTERNS must be a JSON array of regular expressions');
+  }
+  return sources.map((source) => new RegExp(source, 'g'));
+};
+
+module.exports = {
+  REDACTED: '[REDACTED]',
+  fields: [...DEFAULT_FIELDS, ...listFromEnv('LOG_REDACT_FIELDS')],
+  paths: [...DEFAULT_PATHS, ...listFromEnv('LOG_REDACT_PATHS')],
+  patterns: [...DEFAULT_PATTERNS, ...patternsFromEnv()]
+};
@@ -0,0 +1,43 @@
+// Failed logins and OTP codes, counted per account, per OTP contact and per client IP, and codes
+// sent per contact and per IP (src/services/loginProtectionService.js). Counters start over after a window.
+const DEFAULT_FREE_ATTEMPTS = 3;
+const DEFAULT_DELAY_BASE_SECONDS = 1;
+const DEFAULT_DELAY_MAX_SECONDS = 60;
+const DEFAULT_ACCOUNT_LOCKOUT_THRESHOLD = 10;
+const DEFAULT_OTP_LOCKOUT_THRESHOLD = 10;
+const DEFAULT_IP_LOCKOUT_THRESHOLD = 50;
+const DEFAULT_LOCKOUT_SECONDS = 15 * 60;
+const DEFAULT_FAILURE_WINDOW_SECONDS = 60 * 60;
+const DEFAULT_OTP_SEND_LIMIT = 5;
+const DEFAULT_OTP_SEND_IP_LIMIT = 20;
+const DEFAULT_OTP_SEND_WINDOW_SECONDS = 60 * 60;
+const DEFAULT_SENSITIVE_WINDOW_MS = 15 * 60 * 1000;
+const DEFAULT_SENSITIVE_MAX = 5;
+
+const numberFromEnv = (name, fallback) => {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+module.exports = {
+  // Failures allowed before each further login attempt has to wait
+  freeAttempts: numberFromEnv('LOGIN_FREE_ATTEMPTS', DEFAULT_FREE_ATTEMPTS),
+  // The wait doubles per failure past freeAttempts, capped at delayMaxSeconds
+  delayBaseSeconds: numberFromEnv('LOGIN_DELAY_BASE_SECONDS', DEFAULT_DELAY_BASE_SECONDS),
+  delayMaxSeconds: numberFromEnv('LOGIN_DELAY_MAX_SECONDS', DEFAULT_DELAY_MAX_SECONDS),
+  accountLockoutThreshold: numberFromEnv('LOGIN_LOCKOUT_THRESHOLD', DEFAULT_ACCOUNT_LOCKOUT_THRESHOLD) || DEFAULT_ACCOUNT_LOCKOUT_THRESHOLD,
+  // Wrong codes per email or phone number, across re-sent codes
+  otpLockoutThreshold: numberFromEnv('OTP_LOCKOUT_THRESHOLD', DEFAULT_OTP_LOCKOUT_THRESHOLD) || DEFAULT_OTP_LOCKOUT_THRESHOLD,
+  ipLockoutThreshold: numberFromEnv('LOGIN_IP_LOCKOUT_THRESHOLD', DEFAULT_IP_LOCKOUT_THRESHOLD) || DEFAULT_IP_LOCKOUT_THRESHOLD,
+  lockoutSeconds: numberFromEnv('LOGIN_LOCKOUT_SECONDS', DEFAULT_LOCKOUT_SECONDS) || DEFAULT_LOCKOUT_SECONDS,
+  failureWindowSeconds: numberFromEnv('LOGIN_FAILURE_WINDOW_SECONDS', DEFAULT_FAILURE_WINDOW_SECONDS) || DEFAULT_FAILURE_WINDOW_SECONDS,
+  // Codes sent (OTP send and password forgot) per email or phone number and per client IP, in a fixed window
+  otpSendLimit: numberFromEnv('OTP_SEND_LIMIT', DEFAULT_OTP_SEND_LIMIT) || DEFAULT_OTP_SEND_LIMIT,
+  otpSendIpLimit: numberFromEnv('OTP_SEND_IP_LIMIT', DEFAULT_OTP_SEND_IP_LIMIT) || DEFAULT_OTP_SEND_IP_LIMIT,
+  otpSendWindowSeconds: numberFromEnv('OTP_SEND_WINDOW_SECONDS', DEFAULT_OTP_SEND_WINDOW_SECONDS) || DEFAULT_OTP_SEND_WINDOW_SECONDS,
+  // In-process limiter on login, OTP send/verify, password forgot/reset and change-password (failed requests per IP or user)
+  sensitiveOperations: {
+    windowMs: numberFromEnv('SENSITIVE_RATE_LIMIT_WINDOW_MS', DEFAULT_SENSITIVE_WINDOW_MS) || DEFAULT_SENSITIVE_WINDOW_MS,
+    max: numberFromEnv('SENSITIVE_RATE_LIMIT_MAX', DEFAULT_SENSITIVE_MAX) || DEFAULT_SENSITIVE_MAX
+  }
+};
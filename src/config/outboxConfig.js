@@ -0,0 +1,22 @@
+// Delivery of outbox events to in-process subscribers (src/events/outboxDispatcher.js).
+// OUTBOX_POLL_INTERVAL_MS=0 turns the dispatcher off; events then wait in the table.
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_BATCH_SIZE = 25;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_DELAY_MS = 5000;
+
+const numberFromEnv = (name, fallback) => {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+module.exports = {
+  pollIntervalMs: numberFromEnv('OUTBOX_POLL_INTERVAL_MS', DEFAULT_POLL_INTERVAL_MS),
+  batchSize: numberFromEnv('OUTBOX_BATCH_SIZE', DEFAULT_BATCH_SIZE) || DEFAULT_BATCH_SIZE,
+  maxAttempts: numberFromEnv('OUTBOX_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+  // Doubles per failed attempt, capped at retryMaxDelayMs
+  retryBaseDelayMs: numberFromEnv('OUTBOX_RETRY_BASE_DELAY_MS', DEFAULT_RETRY_BASE_DELAY_MS),
+  retryMaxDelayMs: 15 * 60 * 1000,
+  // How long a claimed event is reserved for the dispatcher delivering it
+  leaseMs: 60 * 1000
+};
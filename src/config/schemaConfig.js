@@ -0,0 +1,7 @@
+// What writes do with attributes a strict entity schema does not declare:
+// 'strip' drops them with a warning, 'reject' fails the write with SCHEMA_VALIDATION_FAILED
+const UNKNOWN_ATTRIBUTE_MODES = ['strip', 'reject'];
+const configured = (process.env.SCHEMA_UNKNOWN_ATTRIBUTES || 'strip').toLowerCase();
+const unknownAttributes = UNKNOWN_ATTRIBUTE_MODES.includes(configured) ? configured : 'strip';
+
+module.exports = { unknownAttributes, UNKNOWN_ATTRIBUTE_MODES };
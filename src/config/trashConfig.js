@@ -0,0 +1,6 @@
+// Soft-deleted parents, children, courses and questions stay restorable for this many days
+// before scripts/purgeTrash.js removes them for good
+const DEFAULT_RETENTION_DAYS = 30;
+const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+
+module.exports = { retentionDays, DEFAULT_RETENTION_DAYS };
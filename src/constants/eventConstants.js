@@ -0,0 +1,17 @@
+// Domain events written to the outbox next to the change they describe (see src/events/)
+const DOMAIN_EVENTS = {
+  PARENT_REGISTERED: 'parent.registered',
+  REFRESH_TOKEN_REUSED: 'auth.refresh_token_reused',
+  COURSE_ENROLLED: 'course.enrolled',
+  ASSESSMENT_COMPLETED: 'assessment.completed',
+  EDUCATION_GRADE_ADDED: 'education.grade_added',
+  NUTRITION_ENTRY_ADDED: 'nutrition.entry_added'
+};
+
+// Subscribed to every event type
+const ALL_EVENTS = '*';
+
+module.exports = {
+  DOMAIN_EVENTS,
+  ALL_EVENTS
+};
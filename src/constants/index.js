@@ -4,8 +4,10 @@
 
 const ASSESSMENT_CONSTANTS = require('./assessmentConstants');
 const CHILD_NUTRITION_CONSTANTS = require('./childNutritionConstants');
+const EVENT_CONSTANTS = require('./eventConstants');
 
 module.exports = {
   ASSESSMENT_CONSTANTS,
-  CHILD_NUTRITION_CONSTANTS
+  CHILD_NUTRITION_CONSTANTS,
+  EVENT_CONSTANTS
 };
@@ -1,6 +1,7 @@
 const assessmentService = require('../services/assessmentService');
 const logger = require('../utils/logger');
 const { sanitizeInput } = require('../validations/commonValidation');
+const { NotFoundError } = require('../utils/errors');
 
 /**
  * Process parent assessment for child
@@ -102,10 +103,7 @@ const getLatestAssessment = async (req, res, next) => {
     const assessments = await assessmentService.getChildAssessments(childId);
 
     if (assessments.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'No assessments found for this child'
-      });
+      throw new NotFoundError('No assessments found for this child', 'ASSESSMENT_NOT_FOUND');
     }
 
     const latestAssessment = assessments[assessments.length - 1];
@@ -1,6 +1,7 @@
 const authService = require('../services/authService');
 const { sanitizeInput } = require('../validations/commonValidation');
 const otpService = require('../services/otpService');
+const { ValidationError } = require('../utils/errors');
 
 /*
  * Register a new parent account
@@ -141,7 +142,52 @@ const updateProfile = async (req, res, next) => {
 const changePassword = async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = sanitizeInput(req.body);
-    const result = await authService.changePassword(req.user.id, currentPassword, newPassword);
+    const result = await authService.changePassword(req.user.id, currentPassword, newPassword, req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * Send a password reset code
+ * 
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Message and code lifetime
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email, phoneNumber } = req.body;
+    const { message, expiresIn } = await authService.forgotPassword({ email, phoneNumber });
+
+    res.json({
+      success: true,
+      message,
+      data: { expiresIn }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * Reset password with a reset code
+ * 
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Success message
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { email, phoneNumber, otp, newPassword } = req.body;
+    const result = await authService.resetPassword({ email, phoneNumber, otp, newPassword });
 
     res.json({
       success: true,
@@ -165,10 +211,7 @@ const refreshToken = async (req, res, next) => {
     const { refreshToken } = req.body;
     
     if (!refreshToken) {
-      const error = new Error('Refresh token is required');
-      error.statusCode = 400;
-      error.code = 'MISSING_REFRESH_TOKEN';
-      throw error;
+      throw new ValidationError('Refresh token is required', 'MISSING_REFRESH_TOKEN');
     }
 
     const result = await authService.refresh(refreshToken);
@@ -196,10 +239,7 @@ const verifyToken = async (req, res, next) => {
     const { token } = req.body;
 
     if (!token) {
-      const error = new Error('Token is required');
-      error.statusCode = 400;
-      error.code = 'MISSING_TOKEN';
-      throw error;
+      throw new ValidationError('Token is required', 'MISSING_TOKEN');
     }
 
     const result = await authService.verify(token);
@@ -224,7 +264,49 @@ const verifyToken = async (req, res, next) => {
 const logout = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
-    const result = await authService.logout(req.user.id, refreshToken);
+    const result = await authService.logout(req.user.id, refreshToken, req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * List the parent's signed-in sessions
+ * 
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Array of sessions
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await authService.getSessions(req.user.id, req.user.sessionId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * Sign out one session
+ * 
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Success message
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const result = await authService.revokeSession(req.user.id, req.params.id);
 
     res.json({
       success: true,
@@ -235,6 +317,28 @@ const logout = async (req, res, next) => {
   }
 };
 
+/*
+ * Sign out every session except the current one
+ * 
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Success message and number of sessions ended
+ */
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await authService.revokeOtherSessions(req.user.id, req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: { revoked: result.revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -243,7 +347,12 @@ module.exports = {
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
   refreshToken,
   verifyToken,
-  logout
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 };
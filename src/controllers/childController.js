@@ -1,5 +1,6 @@
 const childService = require('../services/childService');
 const { sanitizeInput } = require('../validations/commonValidation');
+const { ValidationError } = require('../utils/errors');
 
 /**
  * Create a new child
@@ -63,10 +64,7 @@ const getChildrenByParent = async (req, res, next) => {
     const includeRelated = req.query.includeRelated === 'true';
 
     if (!parentId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parent ID is required'
-      });
+      throw new ValidationError('Parent ID is required', 'PARENT_ID_REQUIRED');
     }
 
     const children = await childService.getChildrenByParent(parentId, limit, skip, includeRelated);
@@ -114,7 +112,7 @@ const updateChild = async (req, res, next) => {
 const deleteChild = async (req, res, next) => {
   try {
     const parentId = req.query.parentId || null;
-    const deleted = await childService.deleteChild(req.params.id, parentId);
+    const deleted = await childService.deleteChild(req.params.id, parentId, req.user?.id);
 
     res.json({
       success: true,
@@ -139,10 +137,7 @@ const countChildrenByParent = async (req, res, next) => {
     const { parentId } = req.query;
 
     if (!parentId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parent ID is required'
-      });
+      throw new ValidationError('Parent ID is required', 'PARENT_ID_REQUIRED');
     }
 
     const count = await childService.countChildrenByParent(parentId);
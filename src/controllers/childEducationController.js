@@ -1,5 +1,6 @@
 const childEducationService = require('../services/childEducationService');
 const { sanitizeInput } = require('../validations/commonValidation');
+const { NotFoundError, ValidationError } = require('../utils/errors');
 
 /**
  * Create new education record
@@ -58,19 +59,13 @@ const getByChildId = async (req, res, next) => {
     const { childId } = req.query;
 
     if (!childId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Child ID is required'
-      });
+      throw new ValidationError('Child ID is required', 'CHILD_ID_REQUIRED');
     }
 
     const record = await childEducationService.getByChildId(childId);
 
     if (!record) {
-      return res.status(404).json({
-        success: false,
-        error: 'Education record not found for this child'
-      });
+      throw new NotFoundError('Education record not found for this child', 'RECORD_NOT_FOUND');
     }
 
     res.json({
@@ -140,10 +135,7 @@ const addGradeRecord = async (req, res, next) => {
     const { childId } = req.query;
 
     if (!childId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Child ID is required'
-      });
+      throw new ValidationError('Child ID is required', 'CHILD_ID_REQUIRED');
     }
 
     const gradeRecord = sanitizeInput(req.body);
@@ -172,10 +164,7 @@ const getPerformanceAnalysis = async (req, res, next) => {
     const { childId } = req.query;
 
     if (!childId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Child ID is required'
-      });
+      throw new ValidationError('Child ID is required', 'CHILD_ID_REQUIRED');
     }
 
     const analysis = await childEducationService.getPerformanceAnalysis(childId);
@@ -202,10 +191,7 @@ const regenerateSuggestions = async (req, res, next) => {
     const { childId } = req.query;
 
     if (!childId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Child ID is required'
-      });
+      throw new ValidationError('Child ID is required', 'CHILD_ID_REQUIRED');
     }
 
     const record = await childEducationService.regenerateSuggestions(childId);
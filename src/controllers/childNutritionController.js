@@ -1,5 +1,6 @@
 const childNutritionService = require('../services/childNutritionService');
 const { sanitizeInput } = require('../validations/commonValidation');
+const { NotFoundError, ValidationError } = require('../utils/errors');
 
 /**
  * Create new nutrition record
@@ -58,19 +59,13 @@ const getByChildId = async (req, res, next) => {
     const { childId } = req.query;
 
     if (!childId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Child ID is required'
-      });
+      throw new ValidationError('Child ID is required', 'CHILD_ID_REQUIRED');
     }
 
     const record = await childNutritionService.getByChildId(childId);
 
     if (!record) {
-      return res.status(404).json({
-        success: false,
-        error: 'Nutrition record not found for this child'
-      });
+      throw new NotFoundError('Nutrition record not found for this child', 'RECORD_NOT_FOUND');
     }
 
     res.json({
@@ -140,10 +135,7 @@ const addNutritionEntry = async (req, res, next) => {
     const { childId } = req.query;
 
     if (!childId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Child ID is required'
-      });
+      throw new ValidationError('Child ID is required', 'CHILD_ID_REQUIRED');
     }
 
     const nutritionEntry = sanitizeInput(req.body);
@@ -172,10 +164,7 @@ const getNutritionAnalysis = async (req, res, next) => {
     const { childId } = req.query;
 
     if (!childId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Child ID is required'
-      });
+      throw new ValidationError('Child ID is required', 'CHILD_ID_REQUIRED');
     }
 
     const analysis = await childNutritionService.getNutritionAnalysis(childId);
@@ -202,10 +191,7 @@ const regenerateRecommendations = async (req, res, next) => {
     const { childId } = req.query;
 
     if (!childId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Child ID is required'
-      });
+      throw new ValidationError('Child ID is required', 'CHILD_ID_REQUIRED');
     }
 
     const record = await childNutritionService.regenerateRecommendations(childId);
@@ -2,37 +2,25 @@
 
 const courseService = require('../services/courseService');
 const { sanitizeInput } = require('../validations/commonValidation');
+const { ForbiddenError, NotFoundError, UnauthorizedError, ValidationError } = require('../utils/errors');
+const { isOffsetPageRequest } = require('../utils/cursorUtils');
 
-const ensureAuthenticatedParentQuery = (req, res) => {
+const ensureAuthenticatedParentQuery = (req) => {
   const { parentId } = req.query || {};
 
   if (!parentId) {
-    return true;
+    return;
   }
 
   const authenticatedParentId = req.user?.id?.toString();
 
   if (!authenticatedParentId) {
-    res.status(401).json({
-      success: false,
-      error: 'Authentication required',
-      message: 'Authorization token is required when parentId is provided',
-      code: 'AUTH_TOKEN_REQUIRED'
-    });
-    return false;
+    throw new UnauthorizedError('Authorization token is required when parentId is provided', 'AUTH_TOKEN_REQUIRED');
   }
 
   if (authenticatedParentId !== parentId) {
-    res.status(403).json({
-      success: false,
-      error: 'Forbidden',
-      message: 'You are not authorized to access data for this parent',
-      code: 'PARENT_MISMATCH'
-    });
-    return false;
+    throw new ForbiddenError('You are not authorized to access data for this parent', 'PARENT_MISMATCH');
   }
-
-  return true;
 };
 
 /**
@@ -70,9 +58,7 @@ const getCourse = async (req, res, next) => {
   try {
     const { parentId } = req.query;
 
-    if (!ensureAuthenticatedParentQuery(req, res)) {
-      return;
-    }
+    ensureAuthenticatedParentQuery(req);
 
     const resolvedParentId = parentId ? req.user.id : null;
     const course = await courseService.getCourseWithValidation(req.params.id);
@@ -102,17 +88,12 @@ const getCourseBySlug = async (req, res, next) => {
   try {
     const { parentId } = req.query;
 
-    if (!ensureAuthenticatedParentQuery(req, res)) {
-      return;
-    }
+    ensureAuthenticatedParentQuery(req);
 
     const resolvedParentId = parentId ? req.user.id : null;
     const course = await courseService.getCourseBySlug(req.params.slug);
     if (!course) {
-      return res.status(404).json({
-        success: false,
-        error: `Course with slug ${req.params.slug} not found`
-      });
+      throw new NotFoundError(`Course with slug ${req.params.slug} not found`, 'COURSE_NOT_FOUND');
     }
 
     const responseCourse = resolvedParentId
@@ -140,9 +121,7 @@ const getCourses = async (req, res, next) => {
   try {
     const { parentId } = req.query;
 
-    if (!ensureAuthenticatedParentQuery(req, res)) {
-      return;
-    }
+    ensureAuthenticatedParentQuery(req);
 
     const resolvedParentId = parentId ? req.user.id : null;
 
@@ -161,12 +140,14 @@ const getCourses = async (req, res, next) => {
       filters[key] === undefined && delete filters[key]
     );
 
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const sortBy = req.query.sortBy || 'createdAt';
     const sortOrder = req.query.sortOrder || 'desc';
 
-    const result = await courseService.getCourses(filters, page, limit, sortBy, sortOrder);
+    // page/limit (or a sort order without a cursor) is the compatibility mode; otherwise page through with cursor/nextCursor
+    const result = isOffsetPageRequest(req.query)
+      ? await courseService.getCourses(filters, parseInt(req.query.page) || 1, limit, sortBy, sortOrder)
+      : await courseService.paginateCourses(filters, { limit, cursor: req.query.cursor });
 
     const courses = resolvedParentId
       ? await courseService.attachWishlistStatus(result.data, resolvedParentId)
@@ -216,7 +197,7 @@ const updateCourse = async (req, res, next) => {
  */
 const deleteCourse = async (req, res, next) => {
   try {
-    const deleted = await courseService.deleteCourse(req.params.id);
+    const deleted = await courseService.deleteCourse(req.params.id, req.user?.id);
     
     res.json({
       success: true,
@@ -434,10 +415,7 @@ const addPdfsToSection = async (req, res, next) => {
     const uploadedBy = req.user.id;
 
     if (!Array.isArray(pdfs) || pdfs.length === 0) {
-      const error = new Error('PDFs array is required and must not be empty');
-      error.statusCode = 400;
-      error.code = 'INVALID_INPUT';
-      throw error;
+      throw new ValidationError('PDFs array is required and must not be empty', 'INVALID_INPUT');
     }
 
     const section = await courseService.addPdfsToSection(
@@ -485,6 +463,188 @@ const removePdfFromSection = async (req, res, next) => {
   }
 };
 
+/**
+ * Add section to course
+ *
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Created section
+ */
+const createSection = async (req, res, next) => {
+  try {
+    const section = await courseService.createSection(req.params.courseId, sanitizeInput(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Section created successfully',
+      data: section
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update section
+ *
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Updated section
+ */
+const updateSection = async (req, res, next) => {
+  try {
+    const { courseId, sectionId } = req.params;
+    const section = await courseService.updateSection(courseId, sectionId, sanitizeInput(req.body));
+
+    res.json({
+      success: true,
+      message: 'Section updated successfully',
+      data: section
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete section with its videos
+ *
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Success message
+ */
+const deleteSection = async (req, res, next) => {
+  try {
+    const { courseId, sectionId } = req.params;
+    const deleted = await courseService.deleteSection(courseId, sectionId);
+
+    res.json({
+      success: true,
+      message: 'Section deleted successfully',
+      data: { deleted }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder sections
+ *
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Sections in the new order
+ */
+const reorderSections = async (req, res, next) => {
+  try {
+    const sections = await courseService.reorderSections(req.params.courseId, req.body.sectionIds);
+
+    res.json({
+      success: true,
+      message: 'Sections reordered successfully',
+      data: sections
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add video to section
+ *
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Created video
+ */
+const addVideo = async (req, res, next) => {
+  try {
+    const { courseId, sectionId } = req.params;
+    const video = await courseService.addVideo(courseId, sectionId, sanitizeInput(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Video added successfully',
+      data: video
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update video
+ *
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Updated video
+ */
+const updateVideo = async (req, res, next) => {
+  try {
+    const { courseId, sectionId, videoId } = req.params;
+    const video = await courseService.updateVideo(courseId, sectionId, videoId, sanitizeInput(req.body));
+
+    res.json({
+      success: true,
+      message: 'Video updated successfully',
+      data: video
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete video
+ *
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Success message
+ */
+const deleteVideo = async (req, res, next) => {
+  try {
+    const { courseId, sectionId, videoId } = req.params;
+    const deleted = await courseService.deleteVideo(courseId, sectionId, videoId);
+
+    res.json({
+      success: true,
+      message: 'Video deleted successfully',
+      data: { deleted }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder videos of a section
+ *
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Section with its videos in the new order
+ */
+const reorderVideos = async (req, res, next) => {
+  try {
+    const { courseId, sectionId } = req.params;
+    const section = await courseService.reorderVideos(courseId, sectionId, req.body.videoIds);
+
+    res.json({
+      success: true,
+      message: 'Videos reordered successfully',
+      data: section
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createCourse,
   getCourse,
@@ -499,6 +659,14 @@ module.exports = {
   updateTestProgress,
   updateCourseNotes,
   issueCertificate,
+  createSection,
+  updateSection,
+  deleteSection,
+  reorderSections,
+  addVideo,
+  updateVideo,
+  deleteVideo,
+  reorderVideos,
   addPdfsToSection,
   removePdfFromSection
 };
@@ -0,0 +1,30 @@
+const historyService = require('../services/historyService');
+
+/**
+ * Build the GET /:id/history handler for one entity type
+ * 
+ * @params {entityType}: string - parent, child, course or question
+ * @returns Express handler responding with a cursor page of history entries
+ */
+const getHistory = (entityType) => async (req, res, next) => {
+  try {
+    const { limit, cursor } = req.query;
+    const { entries, nextCursor } = await historyService.getHistory(entityType, req.params.id, { limit, cursor });
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        limit,
+        nextCursor,
+        hasNext: Boolean(nextCursor)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getHistory
+};
@@ -8,9 +8,11 @@ const childController = require('./childController');
 const childEducationController = require('./childEducationController');
 const childNutritionController = require('./childNutritionController');
 const courseController = require('./courseController');
+const historyController = require('./historyController');
 const instructorController = require('./instructorController');
 const parentController = require('./parentController');
 const questionController = require('./questionController');
+const trashController = require('./trashController');
 
 module.exports = {
   authController,
@@ -19,7 +21,9 @@ module.exports = {
   childEducationController,
   childNutritionController,
   courseController,
+  historyController,
   instructorController,
   parentController,
-  questionController
+  questionController,
+  trashController
 };
@@ -1,5 +1,6 @@
 const instructorService = require('../services/instructorService');
 const { sanitizeInput } = require('../validations/commonValidation');
+const { isOffsetPageRequest } = require('../utils/cursorUtils');
 
 const createInstructor = async (req, res, next) => {
   try {
@@ -42,12 +43,14 @@ const getInstructors = async (req, res, next) => {
       delete filters.isActive;
     }
 
-    const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 20;
     const sortBy = req.query.sortBy || 'createdAt';
     const sortOrder = req.query.sortOrder || 'desc';
 
-    const result = await instructorService.listInstructors(filters, page, limit, sortBy, sortOrder);
+    // page/limit (or a sort order without a cursor) is the compatibility mode; otherwise page through with cursor/nextCursor
+    const result = isOffsetPageRequest(req.query)
+      ? await instructorService.listInstructors(filters, parseInt(req.query.page, 10) || 1, limit, sortBy, sortOrder)
+      : await instructorService.paginateInstructors(filters, { limit, cursor: req.query.cursor });
 
     res.json({
       success: true,
@@ -34,18 +34,37 @@ const getParent = async (req, res, next) => {
 const getParentsByCity = async (req, res, next) => {
   try {
     const { city } = req.params;
-    const { limit = 100, skip = 0 } = req.query;
+    const { limit = 100, skip, cursor } = req.query;
 
-    const parents = await parentService.getParentsByCity(
-      city,
-      parseInt(limit),
-      parseInt(skip)
-    );
+    // skip/limit is the compatibility mode; otherwise page through with cursor/nextCursor
+    if (skip !== undefined) {
+      const parents = await parentService.getParentsByCity(
+        city,
+        parseInt(limit),
+        parseInt(skip)
+      );
+
+      return res.json({
+        success: true,
+        data: parents,
+        count: parents.length
+      });
+    }
+
+    const { parents, nextCursor } = await parentService.paginateParentsByCity(city, {
+      limit: parseInt(limit),
+      cursor
+    });
 
     res.json({
       success: true,
       data: parents,
-      count: parents.length
+      count: parents.length,
+      pagination: {
+        limit: parseInt(limit),
+        nextCursor,
+        hasNext: Boolean(nextCursor)
+      }
     });
   } catch (error) {
     next(error);
@@ -211,7 +230,7 @@ const deleteParent = async (req, res, next) => {
     const { id } = req.params;
     const { cascadeDelete = false } = req.query;
 
-    await parentService.deleteParent(id, cascadeDelete === 'true');
+    await parentService.deleteParent(id, cascadeDelete === 'true', req.user?.id);
 
     res.json({
       success: true,
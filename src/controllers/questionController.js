@@ -1,5 +1,7 @@
 const questionService = require('../services/questionService');
 const { sanitizeInput } = require('../validations/commonValidation');
+const { ValidationError } = require('../utils/errors');
+const { isOffsetPageRequest } = require('../utils/cursorUtils');
 
 /**
  * Create new question
@@ -77,12 +79,14 @@ const getQuestions = async (req, res, next) => {
       filters[key] === undefined && delete filters[key]
     );
 
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const sortBy = req.query.sortBy || 'createdAt';
     const sortOrder = req.query.sortOrder || 'desc';
 
-    const result = await questionService.getQuestions(filters, page, limit, sortBy, sortOrder);
+    // page/limit (or a sort order without a cursor) is the compatibility mode; otherwise page through with cursor/nextCursor
+    const result = isOffsetPageRequest(req.query)
+      ? await questionService.getQuestions(filters, parseInt(req.query.page) || 1, limit, sortBy, sortOrder)
+      : await questionService.paginateQuestions(filters, { limit, cursor: req.query.cursor });
 
     res.json({
       success: true,
@@ -133,7 +137,7 @@ const updateQuestion = async (req, res, next) => {
  */
 const deleteQuestion = async (req, res, next) => {
   try {
-    const deleted = await questionService.deleteQuestion(req.params.id);
+    const deleted = await questionService.deleteQuestion(req.params.id, req.user?.id);
 
     res.json({
       success: true,
@@ -160,10 +164,7 @@ const getQuestionsByCategory = async (req, res, next) => {
     const activeOnly = req.query.activeOnly !== 'false';
 
     if (!category) {
-      return res.status(400).json({
-        success: false,
-        error: 'Category is required'
-      });
+      throw new ValidationError('Category is required', 'CATEGORY_REQUIRED');
     }
 
     const questions = await questionService.getQuestionsByCategory(category, limit, activeOnly);
@@ -191,10 +192,7 @@ const getQuestionsByIssue = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 100;
 
     if (!issueId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Issue ID is required'
-      });
+      throw new ValidationError('Issue ID is required', 'ISSUE_ID_REQUIRED');
     }
 
     const questions = await questionService.getQuestionsByIssue(issueId, limit);
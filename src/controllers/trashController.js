@@ -0,0 +1,52 @@
+const trashService = require('../services/trashService');
+
+/**
+ * List trashed items
+ * 
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Trashed items, most recently deleted first
+ */
+const listTrash = async (req, res, next) => {
+  try {
+    const items = await trashService.listTrash({
+      entityType: req.query.entityType,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      data: items
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a trashed item
+ * 
+ * @params {req}: Request - Express request object
+ * @params {res}: Response - Express response object
+ * @params {next}: Function - Next middleware
+ * @returns Restored item
+ */
+const restoreItem = async (req, res, next) => {
+  try {
+    const item = await trashService.restoreItem(req.params.entityType, req.params.id, req.user?.id);
+
+    res.json({
+      success: true,
+      message: `${req.params.entityType} restored successfully`,
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listTrash,
+  restoreItem
+};
@@ -0,0 +1,109 @@
+/**
+ * Per-operation latency, retry and capacity counters for DynamoDB commands
+ *
+ * Repositories wrap their exports with `instrumentRepository`, which labels every command
+ * sent while a method runs (e.g. `courseRepository.getCourses`). The command layer in
+ * dynamodbClient.js records each call against the innermost label, so the expensive
+ * repository methods show up by name in /health-check/detailed.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const UNATTRIBUTED = 'unattributed';
+const DEFAULT_TOP = 20;
+
+const storage = new AsyncLocalStorage();
+const operations = new Map();
+
+/**
+ * Run a function with every DynamoDB command it sends attributed to `operation`
+ *
+ * @params {operation}: string - Label, e.g. courseRepository.getCourses
+ * @params {callback}: Function - Work to run
+ * @returns Whatever callback returns
+ */
+const runWithOperation = (operation, callback) => storage.run(operation, callback);
+
+const currentOperation = () => storage.getStore() || UNATTRIBUTED;
+
+/**
+ * Wrap every function of a repository's exports so its commands are attributed to it
+ *
+ * @params {name}: string - Repository name used as label prefix
+ * @params {exportsObject}: object - The repository's exports
+ * @returns Exports with functions wrapped; other values unchanged
+ */
+const instrumentRepository = (name, exportsObject) =>
+  Object.entries(exportsObject).reduce((instrumented, [key, value]) => {
+    instrumented[key] =
+      typeof value === 'function'
+        ? (...args) => runWithOperation(`${name}.${key}`, () => value(...args))
+        : value;
+    return instrumented;
+  }, {});
+
+// TOTAL capacity comes back as one object, or one per table for batch and transaction calls
+const capacityUnitsOf = (result) =>
+  [].concat(result?.ConsumedCapacity || []).reduce((total, entry) => total + (entry?.CapacityUnits || 0), 0);
+
+/**
+ * Record one command call, after its retries
+ *
+ * @params {entry}: object - { command, durationMs, attempts, throttles, failed, result }
+ */
+const record = ({ command, durationMs, attempts = 1, throttles = 0, failed = false, result }) => {
+  const operation = currentOperation();
+  const key = `${operation}\u0000${command}`;
+  if (!operations.has(key)) {
+    operations.set(key, {
+      operation,
+      command,
+      calls: 0,
+      errors: 0,
+      retries: 0,
+      throttles: 0,
+      totalMs: 0,
+      maxMs: 0,
+      capacityUnits: 0
+    });
+  }
+
+  const stats = operations.get(key);
+  stats.calls += 1;
+  stats.errors += failed ? 1 : 0;
+  stats.retries += attempts - 1;
+  stats.throttles += throttles;
+  stats.totalMs += durationMs;
+  stats.maxMs = Math.max(stats.maxMs, durationMs);
+  stats.capacityUnits += capacityUnitsOf(result);
+};
+
+/**
+ * Most expensive operations first
+ *
+ * @params {options}: object - { top, sortBy } where sortBy is totalMs (default) or capacityUnits
+ * @returns Array of { operation, command, calls, errors, retries, throttles, avgMs, maxMs, totalMs, capacityUnits }
+ */
+const snapshot = ({ top = DEFAULT_TOP, sortBy = 'totalMs' } = {}) =>
+  [...operations.values()]
+    .sort((a, b) => b[sortBy] - a[sortBy])
+    .slice(0, top)
+    .map((stats) => ({
+      ...stats,
+      avgMs: Number((stats.totalMs / stats.calls).toFixed(2)),
+      totalMs: Number(stats.totalMs.toFixed(2)),
+      maxMs: Number(stats.maxMs.toFixed(2)),
+      capacityUnits: Number(stats.capacityUnits.toFixed(2))
+    }));
+
+const reset = () => operations.clear();
+
+module.exports = {
+  UNATTRIBUTED,
+  runWithOperation,
+  currentOperation,
+  instrumentRepository,
+  record,
+  snapshot,
+  reset
+};
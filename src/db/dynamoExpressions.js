@@ -0,0 +1,656 @@
+/**
+ * Minimal DynamoDB expression engine used by the in-memory adapter
+ *
+ * Parses and evaluates KeyConditionExpression, FilterExpression,
+ * ConditionExpression, UpdateExpression and ProjectionExpression strings
+ * against plain JavaScript items, resolving #name and :value placeholders
+ * the same way the DocumentClient does.
+ */
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE']);
+const COMPARATORS = new Set(['=', '<>', '<', '<=', '>', '>=']);
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.name = 'ValidationException';
+  error.code = 'ValidationException';
+  return error;
+};
+
+/**
+ * Split an expression string into tokens
+ *
+ * @params {expression}: string - Raw expression
+ * @returns Array of { type, value } tokens
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    const pair = expression.slice(i, i + 2);
+    if (pair === '<>' || pair === '<=' || pair === '>=') {
+      tokens.push({ type: 'op', value: pair });
+      i += 2;
+      continue;
+    }
+
+    if ('=<>'.includes(char)) {
+      tokens.push({ type: 'op', value: char });
+      i += 1;
+      continue;
+    }
+
+    if ('(),.[]+-'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      i += 1;
+      continue;
+    }
+
+    const match = /^[#:]?[A-Za-z0-9_]+/.exec(expression.slice(i));
+    if (!match) {
+      throw validationError(`Invalid expression: unexpected character "${char}" in "${expression}"`);
+    }
+
+    const word = match[0];
+    if (word.startsWith('#')) {
+      tokens.push({ type: 'name', value: word });
+    } else if (word.startsWith(':')) {
+      tokens.push({ type: 'value', value: word });
+    } else if (/^\d+$/.test(word)) {
+      tokens.push({ type: 'number', value: Number(word) });
+    } else if (KEYWORDS.has(word.toUpperCase())) {
+      tokens.push({ type: 'keyword', value: word.toUpperCase() });
+    } else {
+      tokens.push({ type: 'ident', value: word });
+    }
+    i += word.length;
+  }
+
+  return tokens;
+};
+
+/**
+ * Recursive-descent parser shared by all expression types
+ */
+class Parser {
+  constructor(expression, names = {}, values = {}, usage) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.names = names || {};
+    this.values = values || {};
+    this.usage = usage;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    const token = this.tokens[this.position];
+    this.position += 1;
+    return token;
+  }
+
+  isAt(type, value) {
+    const token = this.peek();
+    return Boolean(token) && token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+      throw validationError(
+        `Invalid expression: expected ${value || type} in "${this.expression}"`
+      );
+    }
+    return token;
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  resolveName(placeholder) {
+    if (!Object.prototype.hasOwnProperty.call(this.names, placeholder)) {
+      throw validationError(`An expression attribute name used in the document path is not defined; attribute name: ${placeholder}`);
+    }
+    if (this.usage) this.usage.names.add(placeholder);
+    return this.names[placeholder];
+  }
+
+  resolveValue(placeholder) {
+    if (!Object.prototype.hasOwnProperty.call(this.values, placeholder)) {
+      throw validationError(`An expression attribute value used in expression is not defined; attribute value: ${placeholder}`);
+    }
+    if (this.usage) this.usage.values.add(placeholder);
+    return this.values[placeholder];
+  }
+
+  parsePath() {
+    const segments = [];
+    const first = this.next();
+    if (!first || (first.type !== 'name' && first.type !== 'ident')) {
+      throw validationError(`Invalid expression: expected attribute path in "${this.expression}"`);
+    }
+    segments.push(first.type === 'name' ? this.resolveName(first.value) : first.value);
+
+    while (this.isAt('punct', '.') || this.isAt('punct', '[')) {
+      const separator = this.next();
+      if (separator.value === '.') {
+        const part = this.next();
+        if (!part || (part.type !== 'name' && part.type !== 'ident')) {
+          throw validationError(`Invalid expression: bad document path in "${this.expression}"`);
+        }
+        segments.push(part.type === 'name' ? this.resolveName(part.value) : part.value);
+      } else {
+        const index = this.expect('number');
+        this.expect('punct', ']');
+        segments.push(index.value);
+      }
+    }
+
+    return { kind: 'path', segments };
+  }
+
+  parseOperand() {
+    const token = this.peek();
+    if (!token) {
+      throw validationError(`Invalid expression: unexpected end of "${this.expression}"`);
+    }
+
+    if (token.type === 'value') {
+      this.next();
+      return { kind: 'literal', value: this.resolveValue(token.value) };
+    }
+
+    if (token.type === 'ident' && token.value === 'size' && this.isFunctionCall()) {
+      this.next();
+      this.expect('punct', '(');
+      const path = this.parsePath();
+      this.expect('punct', ')');
+      return { kind: 'size', path };
+    }
+
+    return this.parsePath();
+  }
+
+  isFunctionCall() {
+    const next = this.peek(1);
+    return Boolean(next) && next.type === 'punct' && next.value === '(';
+  }
+
+  // ----- Conditions -----
+
+  parseCondition() {
+    let left = this.parseAnd();
+    while (this.isAt('keyword', 'OR')) {
+      this.next();
+      left = { kind: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isAt('keyword', 'AND')) {
+      this.next();
+      left = { kind: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isAt('keyword', 'NOT')) {
+      this.next();
+      return { kind: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    if (this.isAt('punct', '(')) {
+      this.next();
+      const inner = this.parseCondition();
+      this.expect('punct', ')');
+      return inner;
+    }
+
+    const token = this.peek();
+    if (token && token.type === 'ident' && token.value !== 'size' && this.isFunctionCall()) {
+      return this.parseFunction();
+    }
+
+    const left = this.parseOperand();
+    const operator = this.peek();
+
+    if (operator && operator.type === 'op' && COMPARATORS.has(operator.value)) {
+      this.next();
+      return { kind: 'compare', operator: operator.value, left, right: this.parseOperand() };
+    }
+
+    if (operator && operator.type === 'keyword' && operator.value === 'BETWEEN') {
+      this.next();
+      const low = this.parseOperand();
+      this.expect('keyword', 'AND');
+      const high = this.parseOperand();
+      return { kind: 'between', operand: left, low, high };
+    }
+
+    if (operator && operator.type === 'keyword' && operator.value === 'IN') {
+      this.next();
+      this.expect('punct', '(');
+      const candidates = [this.parseOperand()];
+      while (this.isAt('punct', ',')) {
+        this.next();
+        candidates.push(this.parseOperand());
+      }
+      this.expect('punct', ')');
+      return { kind: 'in', operand: left, candidates };
+    }
+
+    throw validationError(`Invalid expression: expected comparison in "${this.expression}"`);
+  }
+
+  parseFunction() {
+    const name = this.next().value;
+    this.expect('punct', '(');
+    const path = this.parsePath();
+    let argument;
+
+    if (['begins_with', 'contains', 'attribute_type'].includes(name)) {
+      this.expect('punct', ',');
+      argument = this.parseOperand();
+    } else if (!['attribute_exists', 'attribute_not_exists'].includes(name)) {
+      throw validationError(`Invalid function name; function: ${name}`);
+    }
+
+    this.expect('punct', ')');
+    return { kind: 'function', name, path, argument };
+  }
+
+  // ----- Updates -----
+
+  parseUpdate() {
+    const actions = [];
+
+    while (!this.done()) {
+      const clause = this.expect('keyword').value;
+
+      if (clause === 'SET') {
+        do {
+          const path = this.parsePath();
+          this.expect('op', '=');
+          actions.push({ type: 'SET', path, value: this.parseSetValue() });
+        } while (this.isAt('punct', ',') && this.next());
+      } else if (clause === 'REMOVE') {
+        do {
+          actions.push({ type: 'REMOVE', path: this.parsePath() });
+        } while (this.isAt('punct', ',') && this.next());
+      } else if (clause === 'ADD') {
+        do {
+          const path = this.parsePath();
+          actions.push({ type: 'ADD', path, value: this.parseOperand() });
+        } while (this.isAt('punct', ',') && this.next());
+      } else {
+        throw validationError(`Unsupported update clause ${clause} in "${this.expression}"`);
+      }
+    }
+
+    return actions;
+  }
+
+  parseSetValue() {
+    const left = this.parseSetOperand();
+    if (this.isAt('punct', '+') || this.isAt('punct', '-')) {
+      const operator = this.next().value;
+      return { kind: 'arithmetic', operator, left, right: this.parseSetOperand() };
+    }
+    return left;
+  }
+
+  parseSetOperand() {
+    const token = this.peek();
+    if (token && token.type === 'ident' && this.isFunctionCall()) {
+      if (token.value === 'if_not_exists') {
+        this.next();
+        this.expect('punct', '(');
+        const path = this.parsePath();
+        this.expect('punct', ',');
+        const fallback = this.parseSetOperand();
+        this.expect('punct', ')');
+        return { kind: 'if_not_exists', path, fallback };
+      }
+
+      if (token.value === 'list_append') {
+        this.next();
+        this.expect('punct', '(');
+        const first = this.parseSetOperand();
+        this.expect('punct', ',');
+        const second = this.parseSetOperand();
+        this.expect('punct', ')');
+        return { kind: 'list_append', first, second };
+      }
+    }
+
+    return this.parseOperand();
+  }
+
+  // ----- Projections -----
+
+  parseProjection() {
+    const paths = [this.parsePath()];
+    while (this.isAt('punct', ',')) {
+      this.next();
+      paths.push(this.parsePath());
+    }
+    return paths;
+  }
+}
+
+const ensureConsumed = (parser) => {
+  if (!parser.done()) {
+    throw validationError(`Invalid expression: unexpected token "${parser.peek().value}" in "${parser.expression}"`);
+  }
+};
+
+const parseCondition = (expression, names, values, usage) => {
+  const parser = new Parser(expression, names, values, usage);
+  const ast = parser.parseCondition();
+  ensureConsumed(parser);
+  return ast;
+};
+
+const parseUpdate = (expression, names, values, usage) => {
+  const parser = new Parser(expression, names, values, usage);
+  const actions = parser.parseUpdate();
+  ensureConsumed(parser);
+  return actions;
+};
+
+const parseProjection = (expression, names, usage) => {
+  const parser = new Parser(expression, names, {}, usage);
+  const paths = parser.parseProjection();
+  ensureConsumed(parser);
+  return paths;
+};
+
+// ----- Evaluation -----
+
+const cloneValue = (value) => {
+  if (value instanceof Set) return new Set(value);
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value && typeof value === 'object') {
+    return Object.entries(value).reduce((acc, [key, entry]) => {
+      acc[key] = cloneValue(entry);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const getPath = (item, segments) =>
+  segments.reduce((current, segment) => (current === undefined || current === null ? undefined : current[segment]), item);
+
+const typeOf = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return 'NULL';
+  if (typeof value === 'string') return 'S';
+  if (typeof value === 'number') return 'N';
+  if (typeof value === 'boolean') return 'BOOL';
+  if (value instanceof Set) {
+    const first = value.values().next().value;
+    return typeof first === 'number' ? 'NS' : 'SS';
+  }
+  if (Array.isArray(value)) return 'L';
+  return 'M';
+};
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b)) return false;
+  if (a instanceof Set) {
+    return a.size === b.size && Array.from(a).every((entry) => b.has(entry));
+  }
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((entry, index) => deepEqual(entry, b[index]));
+  }
+  if (a && typeof a === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => deepEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+const resolveOperand = (operand, item) => {
+  if (operand.kind === 'literal') return operand.value;
+  if (operand.kind === 'path') return getPath(item, operand.segments);
+  if (operand.kind === 'size') {
+    const value = getPath(item, operand.path.segments);
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    if (value instanceof Set) return value.size;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return undefined;
+  }
+  throw validationError(`Unsupported operand ${operand.kind}`);
+};
+
+const compareScalars = (operator, left, right) => {
+  if (operator === '=') return deepEqual(left, right);
+  if (operator === '<>') return !deepEqual(left, right);
+
+  const leftType = typeOf(left);
+  if (!['S', 'N'].includes(leftType) || leftType !== typeOf(right)) {
+    return false;
+  }
+
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate a parsed condition against an item
+ *
+ * @params {ast}: object - Output of parseCondition
+ * @params {item}: object - Item to evaluate (may be undefined)
+ * @returns Boolean result
+ */
+const evaluateCondition = (ast, item) => {
+  switch (ast.kind) {
+    case 'and':
+      return evaluateCondition(ast.left, item) && evaluateCondition(ast.right, item);
+    case 'or':
+      return evaluateCondition(ast.left, item) || evaluateCondition(ast.right, item);
+    case 'not':
+      return !evaluateCondition(ast.operand, item);
+    case 'compare':
+      return compareScalars(ast.operator, resolveOperand(ast.left, item), resolveOperand(ast.right, item));
+    case 'between': {
+      const value = resolveOperand(ast.operand, item);
+      return (
+        compareScalars('>=', value, resolveOperand(ast.low, item)) &&
+        compareScalars('<=', value, resolveOperand(ast.high, item))
+      );
+    }
+    case 'in': {
+      const value = resolveOperand(ast.operand, item);
+      return ast.candidates.some((candidate) => deepEqual(value, resolveOperand(candidate, item)));
+    }
+    case 'function': {
+      const value = getPath(item, ast.path.segments);
+      const argument = ast.argument ? resolveOperand(ast.argument, item) : undefined;
+
+      switch (ast.name) {
+        case 'attribute_exists':
+          return value !== undefined;
+        case 'attribute_not_exists':
+          return value === undefined;
+        case 'attribute_type':
+          return typeOf(value) === argument;
+        case 'begins_with':
+          return typeof value === 'string' && typeof argument === 'string' && value.startsWith(argument);
+        case 'contains':
+          if (typeof value === 'string') return typeof argument === 'string' && value.includes(argument);
+          if (value instanceof Set) return value.has(argument);
+          if (Array.isArray(value)) return value.some((entry) => deepEqual(entry, argument));
+          return false;
+        default:
+          return false;
+      }
+    }
+    default:
+      throw validationError(`Unsupported condition ${ast.kind}`);
+  }
+};
+
+const resolveSetValue = (node, item) => {
+  switch (node.kind) {
+    case 'arithmetic': {
+      const left = resolveSetValue(node.left, item);
+      const right = resolveSetValue(node.right, item);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw validationError('An operand in the update expression has an incorrect data type');
+      }
+      return node.operator === '+' ? left + right : left - right;
+    }
+    case 'if_not_exists': {
+      const existing = getPath(item, node.path.segments);
+      return existing !== undefined ? existing : resolveSetValue(node.fallback, item);
+    }
+    case 'list_append': {
+      const first = resolveSetValue(node.first, item);
+      const second = resolveSetValue(node.second, item);
+      if (!Array.isArray(first) || !Array.isArray(second)) {
+        throw validationError('An operand in the update expression has an incorrect data type');
+      }
+      return [...first, ...second];
+    }
+    default:
+      return resolveOperand(node, item);
+  }
+};
+
+const setPath = (item, segments, value) => {
+  const parent = getPath(item, segments.slice(0, -1));
+  if (segments.length > 1 && (parent === undefined || parent === null || typeof parent !== 'object')) {
+    throw validationError('The document path provided in the update expression is invalid for update');
+  }
+
+  const target = segments.length > 1 ? parent : item;
+  const last = segments[segments.length - 1];
+
+  if (typeof last === 'number') {
+    if (!Array.isArray(target)) {
+      throw validationError('The document path provided in the update expression is invalid for update');
+    }
+    if (last >= target.length) {
+      target.push(value);
+      return;
+    }
+  }
+
+  target[last] = value;
+};
+
+const removePath = (item, segments) => {
+  const parent = segments.length > 1 ? getPath(item, segments.slice(0, -1)) : item;
+  const last = segments[segments.length - 1];
+  if (parent === undefined || parent === null) return;
+
+  if (Array.isArray(parent) && typeof last === 'number') {
+    parent.splice(last, 1);
+  } else {
+    delete parent[last];
+  }
+};
+
+/**
+ * Apply parsed update actions to a copy of an item
+ *
+ * @params {actions}: Array - Output of parseUpdate
+ * @params {item}: object - Current item (already a private copy)
+ * @returns Updated item
+ */
+const applyUpdate = (actions, item) => {
+  // Right-hand sides see the item as it was before the update, like DynamoDB
+  const snapshot = cloneValue(item);
+  const resolved = actions.map((action) => ({
+    ...action,
+    resolvedValue: action.type === 'REMOVE' ? undefined : resolveSetValue(action.value, snapshot)
+  }));
+
+  resolved.forEach((action) => {
+    if (action.type === 'SET') {
+      setPath(item, action.path.segments, action.resolvedValue);
+    } else if (action.type === 'ADD') {
+      // Only numeric ADD is supported; the repositories never use string/number sets
+      const current = getPath(item, action.path.segments);
+      if (typeof action.resolvedValue !== 'number' || (current !== undefined && typeof current !== 'number')) {
+        throw validationError('An operand in the update expression has an incorrect data type');
+      }
+      setPath(item, action.path.segments, (current || 0) + action.resolvedValue);
+    } else if (action.type === 'REMOVE') {
+      removePath(item, action.path.segments);
+    }
+  });
+
+  return item;
+};
+
+const applyProjection = (paths, item) => {
+  const projected = {};
+  paths.forEach(({ segments }) => {
+    const top = segments[0];
+    if (item[top] !== undefined) {
+      projected[top] = item[top];
+    }
+  });
+  return projected;
+};
+
+/**
+ * Track placeholders consumed across several expressions of one request
+ *
+ * @returns Usage tracker with an assertAllUsed(names, values) helper
+ */
+const createUsageTracker = () => {
+  const usage = { names: new Set(), values: new Set() };
+  usage.assertAllUsed = (names = {}, values = {}) => {
+    const unusedNames = Object.keys(names || {}).filter((key) => !usage.names.has(key));
+    if (unusedNames.length > 0) {
+      throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames.join(', ')}}`);
+    }
+    const unusedValues = Object.keys(values || {}).filter((key) => !usage.values.has(key));
+    if (unusedValues.length > 0) {
+      throw validationError(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues.join(', ')}}`);
+    }
+  };
+  return usage;
+};
+
+module.exports = {
+  parseCondition,
+  parseUpdate,
+  parseProjection,
+  evaluateCondition,
+  applyUpdate,
+  applyProjection,
+  createUsageTracker,
+  validationError,
+  cloneValue,
+  deepEqual,
+  getPath
+};
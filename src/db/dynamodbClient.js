@@ -1,23 +1,48 @@
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBClient, ListTablesCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand, ScanCommand, BatchGetCommand, BatchWriteCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { adapter, resilience } = require('../config/dynamoConfig');
+const { createInMemoryDynamo } = require('./inMemoryDynamo');
+const { createResilientCommands } = require('./resilientCommands');
 
 const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
 
-const baseClient = new DynamoDBClient({ region });
+// Retries happen in resilientCommands, per command type; SDK retries on top would multiply them
+const baseClient = new DynamoDBClient({ region, maxAttempts: 1 });
 const dynamoDocClient = DynamoDBDocumentClient.from(baseClient);
 
-const commands = {
+const awsCommands = {
   get: (params) => dynamoDocClient.send(new GetCommand(params)),
   put: (params) => dynamoDocClient.send(new PutCommand(params)),
   update: (params) => dynamoDocClient.send(new UpdateCommand(params)),
   delete: (params) => dynamoDocClient.send(new DeleteCommand(params)),
   query: (params) => dynamoDocClient.send(new QueryCommand(params)),
-  scan: (params) => dynamoDocClient.send(new ScanCommand(params))
+  scan: (params) => dynamoDocClient.send(new ScanCommand(params)),
+  batchGet: (params) => dynamoDocClient.send(new BatchGetCommand(params)),
+  batchWrite: (params) => dynamoDocClient.send(new BatchWriteCommand(params)),
+  transactWrite: (params) => dynamoDocClient.send(new TransactWriteCommand(params)),
+  ping: () => dynamoDocClient.send(new ListTablesCommand({ Limit: 1 }))
 };
 
+const isInMemory = adapter === 'memory';
+const inMemoryDynamo = isInMemory
+  ? createInMemoryDynamo({
+    pageSize: parseInt(process.env.DYNAMO_MEMORY_PAGE_SIZE, 10) || undefined,
+    batchGetLimit: parseInt(process.env.DYNAMO_MEMORY_BATCH_GET_LIMIT, 10) || undefined
+  })
+  : null;
+
+const { commands, breakerState, resetBreaker } = createResilientCommands(
+  isInMemory ? inMemoryDynamo.commands : awsCommands,
+  resilience
+);
+
 module.exports = {
   dynamoDocClient,
   commands,
+  breakerState,
+  resetBreaker,
+  isInMemory,
+  inMemoryDynamo,
   QueryCommand,
   ScanCommand
 };
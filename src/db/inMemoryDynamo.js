@@ -0,0 +1,532 @@
+/**
+ * In-process DynamoDB stand-in
+ *
+ * Implements the same command surface as `commands` in dynamodbClient.js
+ * (get/put/update/delete/query/scan/batchGet/batchWrite/transactWrite) on top of plain Maps so local dev,
+ * demos and tests can run without an AWS table. Secondary indexes come
+ * from tableDefinition.js; expression handling lives in dynamoExpressions.js.
+ */
+
+const { GLOBAL_SECONDARY_INDEXES } = require('./tableDefinition');
+const {
+  parseCondition,
+  parseUpdate,
+  parseProjection,
+  evaluateCondition,
+  applyUpdate,
+  applyProjection,
+  createUsageTracker,
+  validationError,
+  cloneValue
+} = require('./dynamoExpressions');
+
+const TABLE_KEYS = { hashKey: 'pk', rangeKey: 'sk' };
+const MAX_TRANSACT_ITEMS = 100;
+const MAX_BATCH_GET_KEYS = 100;
+const MAX_BATCH_WRITE_ITEMS = 25;
+
+const conditionalCheckFailed = (message = 'The conditional request failed', item) => {
+  const error = new Error(message);
+  error.name = 'ConditionalCheckFailedException';
+  error.code = 'ConditionalCheckFailedException';
+  if (item) error.Item = cloneValue(item);
+  return error;
+};
+
+const transactionCanceled = (reasons) => {
+  const error = new Error(
+    `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map((r) => r.Code).join(', ')}]`
+  );
+  error.name = 'TransactionCanceledException';
+  error.code = 'TransactionCanceledException';
+  error.CancellationReasons = reasons;
+  return error;
+};
+
+const storageKey = (pk, sk) => `${pk}\u0000${sk}`;
+
+const compareKeys = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined) return -1;
+  if (b === undefined) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : 1;
+};
+
+const extractKey = (item, index) => {
+  const key = { pk: item.pk, sk: item.sk };
+  if (index) {
+    key[index.hashKey] = item[index.hashKey];
+    key[index.rangeKey] = item[index.rangeKey];
+  }
+  return key;
+};
+
+/**
+ * Create an isolated in-memory database
+ *
+ * @params {options}: object - { indexes, pageSize, batchGetLimit } where pageSize caps items per page to mimic
+ *   the 1 MB limit and batchGetLimit caps keys served per BatchGet call (the rest come back as UnprocessedKeys)
+ * @returns Object with commands plus reset/dump helpers
+ */
+const createInMemoryDynamo = ({ indexes = GLOBAL_SECONDARY_INDEXES, pageSize, batchGetLimit } = {}) => {
+  const tables = new Map();
+  const indexMap = new Map(indexes.map((index) => [index.indexName, index]));
+
+  const getTable = (tableName) => {
+    if (!tableName) {
+      throw validationError('TableName is required');
+    }
+    if (!tables.has(tableName)) {
+      tables.set(tableName, new Map());
+    }
+    return tables.get(tableName);
+  };
+
+  const validateKey = (key) => {
+    if (!key || typeof key.pk !== 'string' || typeof key.sk !== 'string' || !key.pk || !key.sk) {
+      throw validationError('The provided key element does not match the schema');
+    }
+  };
+
+  const checkCondition = (params, existing, usage) => {
+    if (!params.ConditionExpression) return;
+    const ast = parseCondition(
+      params.ConditionExpression,
+      params.ExpressionAttributeNames,
+      params.ExpressionAttributeValues,
+      usage
+    );
+    if (!evaluateCondition(ast, existing)) {
+      throw conditionalCheckFailed(
+        undefined,
+        params.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' ? existing : undefined
+      );
+    }
+  };
+
+  const get = async (params) => {
+    validateKey(params.Key);
+    const item = getTable(params.TableName).get(storageKey(params.Key.pk, params.Key.sk));
+    if (!item) return {};
+    if (params.ProjectionExpression) {
+      const usage = createUsageTracker();
+      const paths = parseProjection(params.ProjectionExpression, params.ExpressionAttributeNames, usage);
+      usage.assertAllUsed(params.ExpressionAttributeNames, {});
+      return { Item: cloneValue(applyProjection(paths, item)) };
+    }
+    return { Item: cloneValue(item) };
+  };
+
+  // Each write is split into prepare (validate + check condition) and commit so that
+  // transactWrite can check every operation before applying any of them.
+  const preparePut = (params) => {
+    const item = params.Item;
+    validateKey(item);
+    const table = getTable(params.TableName);
+    const key = storageKey(item.pk, item.sk);
+    const existing = table.get(key);
+
+    const usage = createUsageTracker();
+    checkCondition(params, existing, usage);
+    usage.assertAllUsed(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+    return {
+      commit: () => {
+        table.set(key, cloneValue(item));
+        return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: cloneValue(existing) } : {};
+      }
+    };
+  };
+
+  const prepareUpdate = (params) => {
+    validateKey(params.Key);
+    const table = getTable(params.TableName);
+    const key = storageKey(params.Key.pk, params.Key.sk);
+    const existing = table.get(key);
+
+    const usage = createUsageTracker();
+    checkCondition(params, existing, usage);
+    const actions = parseUpdate(
+      params.UpdateExpression || '',
+      params.ExpressionAttributeNames,
+      params.ExpressionAttributeValues,
+      usage
+    );
+    usage.assertAllUsed(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+    if (actions.some(({ path }) => ['pk', 'sk'].includes(path.segments[0]) && path.segments.length === 1)) {
+      throw validationError('Cannot update attribute pk or sk. This attribute is part of the key');
+    }
+
+    const base = existing ? cloneValue(existing) : { pk: params.Key.pk, sk: params.Key.sk };
+    const updated = applyUpdate(actions, base);
+
+    return {
+      commit: () => {
+        table.set(key, updated);
+
+        switch (params.ReturnValues) {
+          case 'ALL_NEW':
+            return { Attributes: cloneValue(updated) };
+          case 'ALL_OLD':
+            return existing ? { Attributes: cloneValue(existing) } : {};
+          default:
+            return {};
+        }
+      }
+    };
+  };
+
+  const prepareDelete = (params) => {
+    validateKey(params.Key);
+    const table = getTable(params.TableName);
+    const key = storageKey(params.Key.pk, params.Key.sk);
+    const existing = table.get(key);
+
+    const usage = createUsageTracker();
+    checkCondition(params, existing, usage);
+    usage.assertAllUsed(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+    return {
+      commit: () => {
+        table.delete(key);
+        return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: cloneValue(existing) } : {};
+      }
+    };
+  };
+
+  const prepareConditionCheck = (params) => {
+    validateKey(params.Key);
+    if (!params.ConditionExpression) {
+      throw validationError('ConditionExpression is required for ConditionCheck');
+    }
+    const key = storageKey(params.Key.pk, params.Key.sk);
+    const existing = getTable(params.TableName).get(key);
+
+    const usage = createUsageTracker();
+    checkCondition(params, existing, usage);
+    usage.assertAllUsed(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+    return { commit: () => ({}) };
+  };
+
+  const put = async (params) => preparePut(params).commit();
+
+  const update = async (params) => prepareUpdate(params).commit();
+
+  const remove = async (params) => prepareDelete(params).commit();
+
+  const TRANSACT_PREPARERS = {
+    Put: preparePut,
+    Update: prepareUpdate,
+    Delete: prepareDelete,
+    ConditionCheck: prepareConditionCheck
+  };
+
+  /**
+   * All-or-nothing write of up to 100 operations
+   *
+   * Every condition is evaluated against the state before the transaction; a single
+   * failure cancels the whole batch with per-operation CancellationReasons like AWS.
+   */
+  const transactWrite = async (params) => {
+    const operations = params.TransactItems || [];
+    if (operations.length === 0 || operations.length > MAX_TRANSACT_ITEMS) {
+      throw validationError(`Member must have length less than or equal to ${MAX_TRANSACT_ITEMS} and at least 1`);
+    }
+
+    const entries = operations.map((operation) => {
+      const types = Object.keys(operation);
+      const prepare = TRANSACT_PREPARERS[types[0]];
+      if (types.length !== 1 || !prepare) {
+        throw validationError('Each TransactItem must contain exactly one of Put, Update, Delete or ConditionCheck');
+      }
+      return { prepare, params: operation[types[0]] };
+    });
+
+    const targets = entries.map(({ params: op }) => {
+      const key = op.Item || op.Key || {};
+      return `${op.TableName}\u0000${storageKey(key.pk, key.sk)}`;
+    });
+    if (new Set(targets).size !== targets.length) {
+      throw validationError('Transaction request cannot include multiple operations on one item');
+    }
+
+    const reasons = [];
+    const prepared = entries.map(({ prepare, params: op }) => {
+      try {
+        const result = prepare(op);
+        reasons.push({ Code: 'None' });
+        return result;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        reasons.push({ Code: 'ConditionalCheckFailed', Message: error.message, ...(error.Item && { Item: error.Item }) });
+        return null;
+      }
+    });
+
+    if (prepared.some((operation) => operation === null)) {
+      throw transactionCanceled(reasons);
+    }
+
+    prepared.forEach((operation) => operation.commit());
+    return {};
+  };
+
+  /**
+   * Shared paging for query and scan
+   *
+   * Mirrors DynamoDB semantics: Limit caps the items *evaluated* before the
+   * FilterExpression runs, and LastEvaluatedKey points at the last evaluated item.
+   * `compare` is the order candidates are sorted in; a page resumes at the first item
+   * after ExclusiveStartKey in that order, so it still works once that item is deleted.
+   */
+  const paginate = (candidates, params, index, filterAst, compare) => {
+    let startIndex = 0;
+    if (params.ExclusiveStartKey) {
+      const start = params.ExclusiveStartKey;
+      if (start.pk === undefined || start.sk === undefined) {
+        throw validationError('The provided starting key is invalid');
+      }
+      const position = candidates.findIndex((item) => compare(item, start) > 0);
+      startIndex = position === -1 ? candidates.length : position;
+    }
+
+    const caps = [params.Limit, pageSize].filter((value) => Number.isInteger(value) && value > 0);
+    const cap = caps.length > 0 ? Math.min(...caps) : Infinity;
+    const evaluated = candidates.slice(startIndex, startIndex + cap);
+    const hasMore = startIndex + evaluated.length < candidates.length;
+
+    let items = filterAst ? evaluated.filter((item) => evaluateCondition(filterAst, item)) : evaluated;
+
+    if (params.ProjectionExpression) {
+      const paths = parseProjection(params.ProjectionExpression, params.ExpressionAttributeNames);
+      items = items.map((item) => applyProjection(paths, item));
+    }
+
+    const result = {
+      Count: items.length,
+      ScannedCount: evaluated.length
+    };
+
+    if (params.Select !== 'COUNT') {
+      result.Items = items.map(cloneValue);
+    }
+
+    if (hasMore && evaluated.length > 0) {
+      result.LastEvaluatedKey = extractKey(evaluated[evaluated.length - 1], index);
+    }
+
+    return result;
+  };
+
+  const resolveIndex = (indexName) => {
+    if (!indexName) return null;
+    const index = indexMap.get(indexName);
+    if (!index) {
+      throw validationError(`The table does not have the specified index: ${indexName}`);
+    }
+    return index;
+  };
+
+  const collectKeyConditions = (ast, collected = []) => {
+    if (ast.kind === 'and') {
+      collectKeyConditions(ast.left, collected);
+      collectKeyConditions(ast.right, collected);
+      return collected;
+    }
+    if (ast.kind === 'or' || ast.kind === 'not') {
+      throw validationError('Invalid operator used in KeyConditionExpression');
+    }
+    collected.push(ast);
+    return collected;
+  };
+
+  const query = async (params) => {
+    const table = getTable(params.TableName);
+    const index = resolveIndex(params.IndexName);
+    const { hashKey, rangeKey } = index || TABLE_KEYS;
+
+    if (!params.KeyConditionExpression) {
+      throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified');
+    }
+
+    const usage = createUsageTracker();
+    const keyAst = parseCondition(
+      params.KeyConditionExpression,
+      params.ExpressionAttributeNames,
+      params.ExpressionAttributeValues,
+      usage
+    );
+    const filterAst = params.FilterExpression
+      ? parseCondition(params.FilterExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues, usage)
+      : null;
+    if (params.ProjectionExpression) {
+      parseProjection(params.ProjectionExpression, params.ExpressionAttributeNames, usage);
+    }
+    usage.assertAllUsed(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+    const keyConditions = collectKeyConditions(keyAst);
+    const partitionCondition = keyConditions.find(
+      (condition) =>
+        condition.kind === 'compare' &&
+        condition.operator === '=' &&
+        condition.left.kind === 'path' &&
+        condition.left.segments.length === 1 &&
+        condition.left.segments[0] === hashKey &&
+        condition.right.kind === 'literal'
+    );
+
+    if (!partitionCondition) {
+      throw validationError(`Query condition missed key schema element: ${hashKey}`);
+    }
+
+    const partitionValue = partitionCondition.right.value;
+    const direction = params.ScanIndexForward === false ? -1 : 1;
+    const compare = (a, b) =>
+      direction * (compareKeys(a[rangeKey], b[rangeKey]) || compareKeys(a.pk, b.pk) || compareKeys(a.sk, b.sk));
+    const candidates = Array.from(table.values())
+      .filter((item) => item[hashKey] === partitionValue && item[rangeKey] !== undefined)
+      .filter((item) => evaluateCondition(keyAst, item))
+      .sort(compare);
+
+    return paginate(candidates, params, index, filterAst, compare);
+  };
+
+  const scan = async (params) => {
+    const table = getTable(params.TableName);
+    const index = resolveIndex(params.IndexName);
+
+    const usage = createUsageTracker();
+    const filterAst = params.FilterExpression
+      ? parseCondition(params.FilterExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues, usage)
+      : null;
+    if (params.ProjectionExpression) {
+      parseProjection(params.ProjectionExpression, params.ExpressionAttributeNames, usage);
+    }
+    usage.assertAllUsed(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+    const compare = (a, b) => compareKeys(a.pk, b.pk) || compareKeys(a.sk, b.sk);
+    const candidates = Array.from(table.values())
+      .filter((item) => !index || (item[index.hashKey] !== undefined && item[index.rangeKey] !== undefined))
+      .sort(compare);
+
+    return paginate(candidates, params, index, filterAst, compare);
+  };
+
+  const batchGet = async (params) => {
+    const requests = Object.entries(params.RequestItems || {});
+    const totalKeys = requests.reduce((total, [, request]) => total + (request.Keys || []).length, 0);
+    if (totalKeys === 0 || totalKeys > MAX_BATCH_GET_KEYS) {
+      throw validationError(`Too many items requested for the BatchGetItem call (max ${MAX_BATCH_GET_KEYS})`);
+    }
+
+    const responses = {};
+    const unprocessed = {};
+    let served = 0;
+
+    requests.forEach(([tableName, request]) => {
+      const table = getTable(tableName);
+      const seen = new Set();
+      responses[tableName] = [];
+
+      let paths = null;
+      if (request.ProjectionExpression) {
+        const usage = createUsageTracker();
+        paths = parseProjection(request.ProjectionExpression, request.ExpressionAttributeNames, usage);
+        usage.assertAllUsed(request.ExpressionAttributeNames, {});
+      }
+
+      request.Keys.forEach((key) => {
+        validateKey(key);
+        const id = storageKey(key.pk, key.sk);
+        if (seen.has(id)) {
+          throw validationError('Provided list of item keys contains duplicates');
+        }
+        seen.add(id);
+
+        if (batchGetLimit !== undefined && served >= batchGetLimit) {
+          unprocessed[tableName] = unprocessed[tableName] || { ...request, Keys: [] };
+          unprocessed[tableName].Keys.push(cloneValue(key));
+          return;
+        }
+        served += 1;
+
+        const item = table.get(id);
+        if (item) {
+          responses[tableName].push(cloneValue(paths ? applyProjection(paths, item) : item));
+        }
+      });
+    });
+
+    return { Responses: responses, UnprocessedKeys: unprocessed };
+  };
+
+  /**
+   * Unconditional puts and deletes of up to 25 items, applied one by one like AWS
+   * (no transaction: a failure leaves the earlier requests applied)
+   */
+  const batchWrite = async (params) => {
+    const requests = Object.entries(params.RequestItems || {});
+    const total = requests.reduce((count, [, writes]) => count + (writes || []).length, 0);
+    if (total === 0 || total > MAX_BATCH_WRITE_ITEMS) {
+      throw validationError(`Too many items requested for the BatchWriteItem call (max ${MAX_BATCH_WRITE_ITEMS})`);
+    }
+
+    requests.forEach(([tableName, writes]) => {
+      const table = getTable(tableName);
+      const seen = new Set();
+      writes.forEach(({ PutRequest, DeleteRequest }) => {
+        const key = PutRequest ? PutRequest.Item : DeleteRequest?.Key;
+        validateKey(key);
+        const id = storageKey(key.pk, key.sk);
+        if (seen.has(id)) {
+          throw validationError('Provided list of item keys contains duplicates');
+        }
+        seen.add(id);
+
+        if (PutRequest) {
+          table.set(id, cloneValue(PutRequest.Item));
+        } else {
+          table.delete(id);
+        }
+      });
+    });
+
+    return { UnprocessedItems: {} };
+  };
+
+  const ping = async () => ({ TableNames: Array.from(tables.keys()) });
+
+  return {
+    commands: {
+      get,
+      put,
+      update,
+      delete: remove,
+      query,
+      scan,
+      batchGet,
+      batchWrite,
+      transactWrite,
+      ping
+    },
+    reset: () => tables.clear(),
+    dump: (tableName) => Array.from(getTable(tableName).values()).map(cloneValue),
+    seed: (tableName, items = []) => {
+      const table = getTable(tableName);
+      items.forEach((item) => {
+        validateKey(item);
+        table.set(storageKey(item.pk, item.sk), cloneValue(item));
+      });
+    }
+  };
+};
+
+module.exports = {
+  createInMemoryDynamo,
+  conditionalCheckFailed
+};
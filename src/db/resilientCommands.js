@@ -0,0 +1,211 @@
+/**
+ * Retry, circuit breaker and metrics around the DynamoDB command surface
+ *
+ * `createResilientCommands` wraps an object with the same commands as dynamodbClient.js
+ * (get/put/update/delete/query/scan/batchGet/batchWrite/transactWrite/ping):
+ * - throttling and transient failures are retried with full-jitter exponential backoff, as
+ *   far as the command's policy allows (writes that are not idempotent only retry throttling,
+ *   which DynamoDB guarantees was not applied);
+ * - consecutive failures that survive their retries open a circuit breaker, and while it is
+ *   open commands fail fast with 503 DATABASE_UNAVAILABLE instead of piling onto a sick table;
+ * - every call is recorded in commandMetrics with its latency, retries and consumed capacity.
+ */
+
+const crypto = require('crypto');
+const commandMetrics = require('./commandMetrics');
+const logger = require('../utils/logger');
+const { ServiceUnavailableError } = require('../utils/errors');
+
+const THROTTLING_ERRORS = new Set([
+  'ProvisionedThroughputExceededException',
+  'ThrottlingException',
+  'RequestLimitExceeded',
+  'TooManyRequestsException'
+]);
+
+const TRANSIENT_ERRORS = new Set([
+  'InternalServerError',
+  'ServiceUnavailable',
+  'ServiceUnavailableException',
+  'TimeoutError',
+  'NetworkingError',
+  'RequestTimeout',
+  'RequestTimeoutException'
+]);
+
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH']);
+
+// networkRetries: whether a failure that may have reached the table can be sent again safely
+const READ_POLICY = { maxAttempts: 5, networkRetries: true };
+const DEFAULT_POLICIES = {
+  get: READ_POLICY,
+  query: READ_POLICY,
+  scan: READ_POLICY,
+  batchGet: READ_POLICY,
+  // Unconditional puts and deletes leave the same result when repeated; conditional ones
+  // could fail their own condition on the second attempt
+  put: { maxAttempts: 4, networkRetries: (params) => !params.ConditionExpression },
+  delete: { maxAttempts: 4, networkRetries: (params) => !params.ConditionExpression },
+  // Counter increments and versioned updates would apply twice
+  update: { maxAttempts: 4, networkRetries: false },
+  batchWrite: { maxAttempts: 4, networkRetries: true },
+  // Sent with a ClientRequestToken, so DynamoDB ignores a repeat of an applied transaction
+  transactWrite: { maxAttempts: 4, networkRetries: true },
+  ping: { maxAttempts: 1, networkRetries: false }
+};
+
+// Commands that accept ReturnConsumedCapacity
+const CAPACITY_COMMANDS = new Set(['get', 'put', 'update', 'delete', 'query', 'scan', 'batchGet', 'batchWrite', 'transactWrite']);
+
+/**
+ * How a DynamoDB error should be treated
+ *
+ * @params {error}: Error - Error thrown by a command
+ * @returns 'throttle', 'transient' or null for errors retrying cannot fix
+ */
+const classifyError = (error) => {
+  if (!error) return null;
+  if (THROTTLING_ERRORS.has(error.name) || THROTTLING_ERRORS.has(error.code)) return 'throttle';
+  if (TRANSIENT_ERRORS.has(error.name) || NETWORK_ERROR_CODES.has(error.code)) return 'transient';
+  if (error.$metadata?.httpStatusCode >= 500) return 'transient';
+  return null;
+};
+
+class CircuitOpenError extends ServiceUnavailableError {
+  constructor(retryAfterMs) {
+    super('Database temporarily unavailable', 'DATABASE_UNAVAILABLE', Math.max(1, Math.ceil(retryAfterMs / 1000)));
+  }
+}
+
+/**
+ * Wrap a command object
+ *
+ * @params {commands}: object - Raw commands
+ * @params {options}: object - { maxAttempts, baseDelayMs, maxDelayMs, failureThreshold, cooldownMs,
+ *   policies, sleep, random, now } where maxAttempts caps every policy and sleep/random/now are injectable for tests
+ * @returns Object { commands, breakerState, resetBreaker }
+ */
+const createResilientCommands = (
+  commands,
+  {
+    maxAttempts,
+    baseDelayMs = 50,
+    maxDelayMs = 2000,
+    failureThreshold = 5,
+    cooldownMs = 10000,
+    policies = DEFAULT_POLICIES,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    random = Math.random,
+    now = Date.now
+  } = {}
+) => {
+  const breaker = { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false };
+
+  const openBreaker = () => {
+    if (breaker.state !== 'open') {
+      logger.error('DynamoDB circuit breaker opened', { consecutiveFailures: breaker.consecutiveFailures, cooldownMs });
+    }
+    breaker.state = 'open';
+    breaker.openedAt = now();
+  };
+
+  // Open: fail fast until the cooldown ends, then let a single trial call through (half-open)
+  const admit = () => {
+    if (breaker.state === 'closed') return false;
+    const remaining = breaker.openedAt + cooldownMs - now();
+    if (breaker.state === 'open' && remaining > 0) throw new CircuitOpenError(remaining);
+    if (breaker.trialInFlight) throw new CircuitOpenError(cooldownMs);
+    breaker.state = 'half_open';
+    breaker.trialInFlight = true;
+    return true;
+  };
+
+  const settle = (isTrial, healthy) => {
+    if (isTrial) breaker.trialInFlight = false;
+    if (healthy) {
+      if (breaker.state !== 'closed') logger.info('DynamoDB circuit breaker closed');
+      breaker.state = 'closed';
+      breaker.consecutiveFailures = 0;
+      breaker.openedAt = null;
+      return;
+    }
+    breaker.consecutiveFailures += 1;
+    if (isTrial || breaker.consecutiveFailures >= failureThreshold) openBreaker();
+  };
+
+  const backoff = (attempt) => Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+  const wrap = (name, send) => async (params = {}) => {
+    const policy = policies[name] || READ_POLICY;
+    const attemptsAllowed = Math.max(1, Math.min(policy.maxAttempts, maxAttempts || policy.maxAttempts));
+    const networkRetries =
+      typeof policy.networkRetries === 'function' ? policy.networkRetries(params) : policy.networkRetries;
+
+    const request = {
+      ...(CAPACITY_COMMANDS.has(name) && !params.ReturnConsumedCapacity && { ReturnConsumedCapacity: 'TOTAL' }),
+      ...(name === 'transactWrite' && !params.ClientRequestToken && { ClientRequestToken: crypto.randomUUID() }),
+      ...params
+    };
+
+    const isTrial = admit();
+    const startedAt = process.hrtime.bigint();
+    const elapsedMs = () => Number(process.hrtime.bigint() - startedAt) / 1e6;
+    let attempts = 0;
+    let throttles = 0;
+
+    for (;;) {
+      attempts += 1;
+      try {
+        const result = await send(request);
+        settle(isTrial, true);
+        commandMetrics.record({ command: name, durationMs: elapsedMs(), attempts, throttles, result });
+        return result;
+      } catch (error) {
+        const kind = classifyError(error);
+        if (kind === 'throttle') throttles += 1;
+
+        const retryable = kind === 'throttle' || (kind === 'transient' && networkRetries);
+        if (retryable && attempts < attemptsAllowed && !isTrial) {
+          const delay = backoff(attempts);
+          logger.warn('Retrying DynamoDB command', { command: name, attempt: attempts, delayMs: delay, error: error.name });
+          await sleep(delay);
+          continue;
+        }
+
+        // Only failures of the table itself count towards the breaker, not conflicts or bad requests
+        if (kind) {
+          settle(isTrial, false);
+        } else {
+          settle(isTrial, true);
+        }
+        commandMetrics.record({ command: name, durationMs: elapsedMs(), attempts, throttles, failed: true });
+        throw error;
+      }
+    }
+  };
+
+  const wrapped = Object.entries(commands).reduce((all, [name, send]) => {
+    all[name] = wrap(name, send);
+    return all;
+  }, {});
+
+  return {
+    commands: wrapped,
+    breakerState: () => ({
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+    }),
+    resetBreaker: () => {
+      Object.assign(breaker, { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false });
+    }
+  };
+};
+
+module.exports = {
+  THROTTLING_ERRORS,
+  DEFAULT_POLICIES,
+  CircuitOpenError,
+  classifyError,
+  createResilientCommands
+};
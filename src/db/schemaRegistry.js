@@ -0,0 +1,273 @@
+/**
+ * Per-entityType schema registry compiled from migrations/config/schemas.js
+ *
+ * dynamoRepository checks every create/put/update against it and migrations read the same
+ * definitions, so the rules live in one place. Entity types without a schema (questions,
+ * instructors, history, ...) are written as they are.
+ */
+
+const definitions = require('../../migrations/config/schemas');
+const { ValidationError } = require('../utils/errors');
+const { unknownAttributes: defaultUnknownAttributes } = require('../config/schemaConfig');
+const logger = require('../utils/logger');
+
+// Maintained by the repository layer on every item, whatever the entity schema says
+const SYSTEM_ATTRIBUTES = new Set([
+  'pk',
+  'sk',
+  'entityType',
+  'id',
+  'version',
+  'createdAt',
+  'updatedAt',
+  'deletedAt',
+  'deletedBy'
+]);
+
+// Added to read models by the repositories' format() helpers; dropped quietly when one is written back
+const DERIVED_ATTRIBUTES = new Set(['_id']);
+
+// Updates only carry keys, so the sort key prefix tells which schema applies
+const SK_PREFIXES = [
+  ['PARENT#', 'parent'],
+  ['CHILD#', 'child'],
+  ['COURSE#', 'course'],
+  ['SECTION#', 'course_section'],
+  ['VIDEO#', 'course_video'],
+  ['OTP#', 'otp'],
+  ['EDU#', 'child_education'],
+  ['NUT#', 'child_nutrition']
+];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  objectId: (value) => typeof value === 'string' && value.length > 0,
+  int: (value) => Number.isInteger(value),
+  long: (value) => Number.isInteger(value),
+  double: (value) => typeof value === 'number' && Number.isFinite(value),
+  decimal: (value) => typeof value === 'number' && Number.isFinite(value),
+  bool: (value) => typeof value === 'boolean',
+  date: (value) =>
+    value instanceof Date ? !Number.isNaN(value.getTime()) : typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+  array: Array.isArray,
+  object: isPlainObject,
+  null: (value) => value === null
+};
+
+class SchemaValidationError extends ValidationError {
+  constructor(entityType, details) {
+    super(
+      `Invalid ${entityType}: ${details.map(({ field, message }) => `${field} ${message}`).join('; ')}`,
+      'SCHEMA_VALIDATION_FAILED',
+      details
+    );
+    this.entityType = entityType;
+  }
+}
+
+const schemas = Object.values(definitions).reduce((registry, definition) => {
+  registry[definition.entityType] = definition.validator.$jsonSchema;
+  return registry;
+}, {});
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+const isAbsent = (value) => value === undefined || value === null;
+
+/**
+ * Check a value against a $jsonSchema node
+ * Undeclared attributes of objects marked `additionalProperties: false` are collected in
+ * `state.unknown` and left out of the returned copy.
+ *
+ * @returns The value without undeclared attributes
+ */
+const checkValue = (schema, value, path, state) => {
+  if (schema.bsonType) {
+    const types = [].concat(schema.bsonType);
+    if (!types.some((type) => TYPE_CHECKS[type]?.(value))) {
+      state.violations.push({ field: path, message: `must be of type ${types.join(' or ')}` });
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    state.violations.push({ field: path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      state.violations.push({ field: path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      state.violations.push({ field: path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      state.violations.push({ field: path, message: 'has an invalid format' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      state.violations.push({ field: path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      state.violations.push({ field: path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      state.violations.push({ field: path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      state.violations.push({ field: path, message: `must have at most ${schema.maxItems} items` });
+    }
+    return schema.items ? value.map((entry, index) => checkValue(schema.items, entry, joinPath(path, index), state)) : value;
+  }
+
+  return isPlainObject(value) ? checkObject(schema, value, path, state) : value;
+};
+
+const checkObject = (schema, value, path, state, { partial = false, topLevel = false } = {}) => {
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+
+  if (!partial) {
+    required.forEach((field) => {
+      if (isAbsent(value[field])) {
+        state.violations.push({ field: joinPath(path, field), message: 'is required' });
+      }
+    });
+
+    if (schema.anyOf && !schema.anyOf.some((option) => (option.required || []).every((field) => !isAbsent(value[field])))) {
+      const fields = schema.anyOf.flatMap((option) => option.required || []);
+      state.violations.push({ field: path || '(item)', message: `needs one of ${fields.join(', ')}` });
+    }
+  }
+
+  return Object.entries(value).reduce((checked, [field, fieldValue]) => {
+    const fieldPath = joinPath(path, field);
+    if (fieldValue === undefined) return checked;
+
+    if (properties[field]) {
+      if (fieldValue === null) {
+        // Optional attributes may be null; a missing required one was reported above unless partial
+        if (partial && required.has(field)) {
+          state.violations.push({ field: fieldPath, message: 'is required' });
+        }
+        checked[field] = fieldValue;
+      } else {
+        checked[field] = checkValue(properties[field], fieldValue, fieldPath, state);
+      }
+      return checked;
+    }
+
+    if (topLevel && SYSTEM_ATTRIBUTES.has(field)) {
+      checked[field] = fieldValue;
+    } else if (topLevel && DERIVED_ATTRIBUTES.has(field)) {
+      return checked;
+    } else if (schema.additionalProperties === false) {
+      state.unknown.push(fieldPath);
+    } else {
+      checked[field] = fieldValue;
+    }
+    return checked;
+  }, {});
+};
+
+/**
+ * Schema registered for an entity type
+ *
+ * @params {entityType}: string - e.g. parent, child, course
+ * @returns $jsonSchema object, or null when the type is not registered
+ */
+const getSchema = (entityType) => schemas[entityType] || null;
+
+/**
+ * Entity type whose schema applies to a sort key
+ *
+ * @params {sk}: string - Sort key
+ * @returns Entity type, or null when the key belongs to an unregistered type
+ */
+const entityTypeForKey = (sk) => SK_PREFIXES.find(([prefix]) => String(sk || '').startsWith(prefix))?.[1] || null;
+
+/**
+ * Validate a whole item without throwing, e.g. to preview migration output
+ *
+ * @params {item}: object - Item as it would be stored
+ * @returns Object { item, violations, unknown } where item leaves out unknown attributes
+ */
+const checkItem = (item) => {
+  const schema = getSchema(item?.entityType);
+  if (!schema) return { item, violations: [], unknown: [] };
+
+  const state = { violations: [], unknown: [] };
+  const checked = checkObject(schema, item, '', state, { topLevel: true });
+  return { item: checked, violations: state.violations, unknown: state.unknown };
+};
+
+const settle = (entityType, value, state, mode) => {
+  if (state.unknown.length > 0 && mode === 'reject') {
+    state.violations.push(...state.unknown.map((field) => ({ field, message: 'is not allowed' })));
+  }
+  if (state.violations.length > 0) {
+    throw new SchemaValidationError(entityType, state.violations);
+  }
+  if (state.unknown.length > 0) {
+    logger.warn('Stripped attributes missing from the entity schema', { entityType, attributes: state.unknown });
+  }
+  return value;
+};
+
+/**
+ * Validate an item before it is created or replaced
+ *
+ * @params {item}: object - Full item including keys and entityType
+ * @params {options}: object - { unknownAttributes } 'strip' or 'reject', defaults to SCHEMA_UNKNOWN_ATTRIBUTES
+ * @returns Item to store, without unknown attributes in strip mode
+ */
+const prepareItem = (item, { unknownAttributes = defaultUnknownAttributes } = {}) => {
+  const schema = getSchema(item?.entityType);
+  if (!schema) return item;
+
+  const state = { violations: [], unknown: [] };
+  const checked = checkObject(schema, item, '', state, { topLevel: true });
+  return settle(item.entityType, checked, state, unknownAttributes);
+};
+
+/**
+ * Validate the attributes an update sets or removes
+ * Only the attributes present are checked; required attributes may not be nulled or removed.
+ *
+ * @params {sk}: string - Sort key of the item being updated
+ * @params {data}: object - Attributes to set
+ * @params {remove}: Array - Attributes to delete
+ * @params {options}: object - { unknownAttributes }
+ * @returns Attributes to set, without unknown attributes in strip mode
+ */
+const prepareUpdate = (sk, data = {}, remove = [], { unknownAttributes = defaultUnknownAttributes } = {}) => {
+  const entityType = entityTypeForKey(sk);
+  const schema = getSchema(entityType);
+  if (!schema) return data;
+
+  const state = { violations: [], unknown: [] };
+  const checked = checkObject(schema, data || {}, '', state, { partial: true, topLevel: true });
+  (schema.required || [])
+    .filter((field) => remove.includes(field))
+    .forEach((field) => state.violations.push({ field, message: 'is required' }));
+
+  return settle(entityType, checked, state, unknownAttributes);
+};
+
+module.exports = {
+  SYSTEM_ATTRIBUTES,
+  SchemaValidationError,
+  getSchema,
+  entityTypeForKey,
+  checkItem,
+  prepareItem,
+  prepareUpdate
+};
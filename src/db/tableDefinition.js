@@ -0,0 +1,89 @@
+/**
+ * Single-table definition shared by table creation and the in-memory adapter
+ *
+ * Keep every GSI here so scripts/createDynamoTables.js and
+ * src/db/inMemoryDynamo.js never drift apart.
+ */
+
+const GLOBAL_SECONDARY_INDEXES = [
+  { indexName: 'entityType-index', hashKey: 'entityType', rangeKey: 'sk' },
+  { indexName: 'email-index', hashKey: 'email', rangeKey: 'sk' },
+  { indexName: 'slug-index', hashKey: 'slug', rangeKey: 'sk' },
+  // Phone-number logins; parents store phoneNumber in E.164 (src/utils/phoneNumber.js)
+  { indexName: 'phoneNumber-index', hashKey: 'phoneNumber', rangeKey: 'sk' },
+  // Resolves any item from its id alone; sk narrows the entity (CHILD#, EDU#, NUT#, ...)
+  { indexName: 'id-index', hashKey: 'id', rangeKey: 'sk' }
+];
+
+// Epoch seconds after which DynamoDB may delete an item; only short-lived items set it
+const TTL_ATTRIBUTE = 'ttl';
+
+const buildIndexDefinition = ({ indexName, hashKey, rangeKey }) => ({
+  IndexName: indexName,
+  KeySchema: [
+    { AttributeName: hashKey, KeyType: 'HASH' },
+    { AttributeName: rangeKey, KeyType: 'RANGE' }
+  ],
+  Projection: { ProjectionType: 'ALL' }
+});
+
+const buildCreateTableParams = (tableName) => {
+  const attributeNames = new Set(['pk', 'sk']);
+  GLOBAL_SECONDARY_INDEXES.forEach(({ hashKey, rangeKey }) => {
+    attributeNames.add(hashKey);
+    attributeNames.add(rangeKey);
+  });
+
+  return {
+    TableName: tableName,
+    AttributeDefinitions: Array.from(attributeNames).map((name) => ({
+      AttributeName: name,
+      AttributeType: 'S'
+    })),
+    KeySchema: [
+      { AttributeName: 'pk', KeyType: 'HASH' },
+      { AttributeName: 'sk', KeyType: 'RANGE' }
+    ],
+    BillingMode: 'PAY_PER_REQUEST',
+    GlobalSecondaryIndexes: GLOBAL_SECONDARY_INDEXES.map(buildIndexDefinition)
+  };
+};
+
+/**
+ * UpdateTable params adding one GSI to an existing table
+ * DynamoDB only builds one new index per UpdateTable call.
+ *
+ * @params {tableName}: string - Table name
+ * @params {indexName}: string - Name from GLOBAL_SECONDARY_INDEXES
+ * @returns UpdateTable params
+ */
+const buildAddIndexParams = (tableName, indexName) => {
+  const index = GLOBAL_SECONDARY_INDEXES.find((candidate) => candidate.indexName === indexName);
+  return {
+    TableName: tableName,
+    AttributeDefinitions: [index.hashKey, index.rangeKey].map((name) => ({
+      AttributeName: name,
+      AttributeType: 'S'
+    })),
+    GlobalSecondaryIndexUpdates: [{ Create: buildIndexDefinition(index) }]
+  };
+};
+
+/**
+ * UpdateTimeToLive params turning on expiry by TTL_ATTRIBUTE
+ *
+ * @params {tableName}: string - Table name
+ * @returns UpdateTimeToLive params
+ */
+const buildTimeToLiveParams = (tableName) => ({
+  TableName: tableName,
+  TimeToLiveSpecification: { AttributeName: TTL_ATTRIBUTE, Enabled: true }
+});
+
+module.exports = {
+  GLOBAL_SECONDARY_INDEXES,
+  TTL_ATTRIBUTE,
+  buildCreateTableParams,
+  buildAddIndexParams,
+  buildTimeToLiveParams
+};
@@ -0,0 +1,64 @@
+/**
+ * In-process subscribers to domain events
+ *
+ * Events never reach subscribers straight from a service: they are written to the outbox in
+ * the transaction of the change, and outboxDispatcher.js delivers them from there. Each
+ * subscriber has a name so a retried event only re-runs the subscribers that failed.
+ */
+
+const { ALL_EVENTS } = require('../constants/eventConstants');
+const { InternalError } = require('../utils/errors');
+
+const subscriptions = new Map();
+const pendingListeners = new Set();
+
+/**
+ * Register a subscriber
+ *
+ * @params {eventType}: string - Event type from DOMAIN_EVENTS, or ALL_EVENTS
+ * @params {name}: string - Unique subscriber name, e.g. education.refreshSuggestions
+ * @params {handler}: Function - async (event) => void; may run more than once per event
+ * @returns Function removing the subscription
+ */
+const subscribe = (eventType, name, handler) => {
+  if (subscriptions.has(name)) {
+    throw new InternalError(`Event subscriber "${name}" is already registered`, 'DUPLICATE_SUBSCRIBER', false);
+  }
+  subscriptions.set(name, { eventType, name, handler });
+  return () => subscriptions.delete(name);
+};
+
+/**
+ * Subscribers an event of this type is delivered to
+ *
+ * @params {eventType}: string - Event type
+ * @returns Array of { eventType, name, handler }
+ */
+const subscribersFor = (eventType) =>
+  [...subscriptions.values()].filter((subscription) => [eventType, ALL_EVENTS].includes(subscription.eventType));
+
+/**
+ * Listen for events written to the outbox, so the dispatcher can deliver them without waiting for its next poll
+ *
+ * @params {listener}: Function - Called with no arguments
+ * @returns Function removing the listener
+ */
+const onPending = (listener) => {
+  pendingListeners.add(listener);
+  return () => pendingListeners.delete(listener);
+};
+
+const notifyPending = () => pendingListeners.forEach((listener) => listener());
+
+const reset = () => {
+  subscriptions.clear();
+  pendingListeners.clear();
+};
+
+module.exports = {
+  subscribe,
+  subscribersFor,
+  onPending,
+  notifyPending,
+  reset
+};
@@ -0,0 +1,163 @@
+/**
+ * Delivers outbox events to the subscribers registered on eventBus.js
+ *
+ * Every poll (and right after a transaction writes events) the dispatcher lists the due
+ * pending events, claims each one with a version-guarded lease so concurrent instances never
+ * deliver it twice at once, and runs its subscribers in turn. An event every subscriber
+ * handled is deleted; otherwise the subscribers that succeeded are remembered, and the rest
+ * are retried with exponential backoff until OUTBOX_MAX_ATTEMPTS, after which the event is
+ * marked dead and left in the table. Delivery is at least once, so handlers must be idempotent.
+ */
+
+const outboxConfig = require('../config/outboxConfig');
+const outboxRepository = require('../repositories/outboxRepository');
+const eventBus = require('./eventBus');
+const logger = require('../utils/logger');
+
+const totals = { delivered: 0, retried: 0, dead: 0, lastRunAt: null };
+let timer = null;
+let stopListening = null;
+let running = null;
+let runAgain = false;
+
+const retryDelayMs = (attempts) =>
+  Math.min(outboxConfig.retryMaxDelayMs, outboxConfig.retryBaseDelayMs * 2 ** (attempts - 1));
+
+// What subscribers see: the event without its outbox bookkeeping
+const toEvent = (item) => ({
+  id: item.id,
+  type: item.type,
+  aggregateType: item.aggregateType,
+  aggregateId: item.aggregateId,
+  payload: item.payload,
+  occurredAt: item.occurredAt,
+  actorId: item.actorId,
+  requestId: item.requestId,
+  attempt: (item.attempts || 0) + 1
+});
+
+const deliver = async (item, now) => {
+  const claimed = await outboxRepository.claim(item, new Date(now + outboxConfig.leaseMs).toISOString());
+  if (!claimed) return 'skipped';
+
+  const deliveredTo = [...(claimed.deliveredTo || [])];
+  const failures = [];
+  for (const { name, handler } of eventBus.subscribersFor(claimed.type)) {
+    if (deliveredTo.includes(name)) continue;
+    try {
+      await handler(toEvent(claimed));
+      deliveredTo.push(name);
+    } catch (error) {
+      failures.push(`${name}: ${error.message}`);
+      logger.warn('Event subscriber failed', { eventId: claimed.id, type: claimed.type, subscriber: name, error: error.message });
+    }
+  }
+
+  if (failures.length === 0) {
+    await outboxRepository.complete(claimed);
+    return 'delivered';
+  }
+
+  const attempts = (claimed.attempts || 0) + 1;
+  const dead = attempts >= outboxConfig.maxAttempts;
+  await outboxRepository.recordFailure(claimed, {
+    deliveredTo,
+    lastError: failures.join('; '),
+    availableAt: new Date(now + retryDelayMs(attempts)).toISOString(),
+    dead
+  });
+  if (dead) {
+    logger.error('Outbox event gave up after its last attempt', { eventId: claimed.id, type: claimed.type, attempts, failures });
+  }
+  return dead ? 'dead' : 'retried';
+};
+
+/**
+ * Deliver the pending events that are due
+ *
+ * @params {options}: object - { limit, now } where now (epoch ms) is injectable for tests
+ * @returns Object { delivered, retried, dead, skipped } for this run
+ */
+const dispatchPending = async ({ limit = outboxConfig.batchSize, now = Date.now() } = {}) => {
+  const result = { delivered: 0, retried: 0, dead: 0, skipped: 0 };
+  const due = await outboxRepository.listDue({ limit, now: new Date(now).toISOString() });
+
+  for (const item of due) {
+    result[await deliver(item, now)] += 1;
+  }
+
+  totals.delivered += result.delivered;
+  totals.retried += result.retried;
+  totals.dead += result.dead;
+  totals.lastRunAt = new Date(now).toISOString();
+  return result;
+};
+
+// One run at a time; a wake-up during a run triggers one more run right after it
+const tick = async () => {
+  if (running) {
+    runAgain = true;
+    return running;
+  }
+  running = (async () => {
+    do {
+      runAgain = false;
+      try {
+        const { delivered } = await dispatchPending();
+        // A full batch means more may be waiting
+        runAgain = runAgain || delivered >= outboxConfig.batchSize;
+      } catch (error) {
+        logger.error('Outbox dispatch failed', { error: error.message });
+      }
+    } while (runAgain && timer);
+  })();
+  await running;
+  running = null;
+  return undefined;
+};
+
+/**
+ * Start polling the outbox
+ *
+ * @params {options}: object - { pollIntervalMs } overriding OUTBOX_POLL_INTERVAL_MS; 0 disables the dispatcher
+ * @returns true when the dispatcher is running
+ */
+const start = ({ pollIntervalMs = outboxConfig.pollIntervalMs } = {}) => {
+  if (timer) return true;
+  if (!pollIntervalMs) {
+    logger.warn('Outbox dispatcher disabled; domain events stay pending');
+    return false;
+  }
+
+  timer = setInterval(tick, pollIntervalMs);
+  timer.unref();
+  stopListening = eventBus.onPending(() => setImmediate(tick));
+  logger.info('Outbox dispatcher started', { pollIntervalMs });
+  return true;
+};
+
+/**
+ * Stop polling and wait for a run in progress to finish
+ */
+const stop = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (stopListening) {
+    stopListening();
+    stopListening = null;
+  }
+  if (running) {
+    await running;
+  }
+};
+
+const stats = () => ({ running: Boolean(timer), ...totals });
+
+module.exports = {
+  dispatchPending,
+  start,
+  stop,
+  stats
+};
@@ -0,0 +1,63 @@
+/**
+ * Side effects that follow domain events
+ *
+ * Each handler must be safe to run more than once for the same event.
+ */
+
+const { DOMAIN_EVENTS, ALL_EVENTS } = require('../constants/eventConstants');
+const eventBus = require('./eventBus');
+const assessmentService = require('../services/assessmentService');
+const childEducationService = require('../services/childEducationService');
+const childNutritionService = require('../services/childNutritionService');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+
+// The child or record may be gone by the time the event is handled; retrying will not bring it back
+const unlessGone = (handler) => async (event) => {
+  try {
+    await handler(event);
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error;
+    logger.warn('Skipping event for a missing entity', { eventId: event.id, type: event.type, code: error.code });
+  }
+};
+
+const DEFAULT_SUBSCRIBERS = [
+  [
+    DOMAIN_EVENTS.ASSESSMENT_COMPLETED,
+    'assessment.assignCourses',
+    unlessGone(async ({ payload }) => {
+      const assessment = await assessmentService.getAssessmentById(payload.childId, payload.assessmentId);
+      await assessmentService.processCoursesAndReferrals(payload.childId, assessment);
+    })
+  ],
+  [
+    DOMAIN_EVENTS.EDUCATION_GRADE_ADDED,
+    'education.refreshSuggestions',
+    unlessGone(({ payload }) => childEducationService.regenerateSuggestions(payload.childId))
+  ],
+  [
+    DOMAIN_EVENTS.NUTRITION_ENTRY_ADDED,
+    'nutrition.refreshRecommendations',
+    unlessGone(({ payload }) => childNutritionService.regenerateRecommendations(payload.childId))
+  ],
+  [
+    ALL_EVENTS,
+    'analytics.log',
+    async ({ id, type, aggregateType, aggregateId, actorId, occurredAt }) => {
+      logger.info('Domain event', { eventId: id, type, aggregateType, aggregateId, actorId, occurredAt });
+    }
+  ]
+];
+
+/**
+ * Register the built-in subscribers; ones already registered are left alone
+ */
+const registerDefaultSubscribers = () =>
+  DEFAULT_SUBSCRIBERS.filter(
+    ([eventType, name]) => !eventBus.subscribersFor(eventType).some((subscription) => subscription.name === name)
+  ).forEach(([eventType, name, handler]) => eventBus.subscribe(eventType, name, handler));
+
+module.exports = {
+  registerDefaultSubscribers
+};
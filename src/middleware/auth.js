@@ -1,7 +1,10 @@
 const jwt = require('jsonwebtoken');
 const parentRepository = require('../repositories/parentRepository');
+const refreshTokenService = require('../services/refreshTokenService');
 const logger = require('../utils/logger');
 const { JWT_SECRET } = require('../config/jwtConfig');
+const { sensitiveOperations } = require('../config/loginProtectionConfig');
+const { AppError, ForbiddenError, InternalError, RateLimitError, UnauthorizedError } = require('../utils/errors');
 
 /*
  * Verify JWT token and authenticate parent
@@ -17,12 +20,7 @@ const auth = async (req, res, next) => {
     let token = req.header('Authorization');
 
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'Access denied',
-        message: 'No authentication token provided',
-        code: 'NO_TOKEN'
-      });
+      return next(new UnauthorizedError('No authentication token provided', 'NO_TOKEN'));
     }
 
     // Remove "Bearer " prefix if present
@@ -42,12 +40,7 @@ const auth = async (req, res, next) => {
         ip: req.ip
       });
 
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Parent not found',
-        code: 'PARENT_NOT_FOUND'
-      });
+      return next(new UnauthorizedError('Parent not found', 'PARENT_NOT_FOUND'));
     }
 
     if (!parent.isActive) {
@@ -56,12 +49,18 @@ const auth = async (req, res, next) => {
         ip: req.ip
       });
 
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Account is inactive',
-        code: 'ACCOUNT_INACTIVE'
+      return next(new UnauthorizedError('Account is inactive', 'ACCOUNT_INACTIVE'));
+    }
+
+    // Tokens issued for a session stop working once it is signed out, before they expire
+    if (decoded.sid && !refreshTokenService.isSessionActive(parent, decoded.sid)) {
+      logger.warn('Authentication failed - session revoked', {
+        parentId: parent._id,
+        sessionId: decoded.sid,
+        ip: req.ip
       });
+
+      return next(new UnauthorizedError('Session has been signed out', 'SESSION_REVOKED'));
     }
 
     // Attach parent to request object
@@ -69,7 +68,8 @@ const auth = async (req, res, next) => {
       id: parent._id,
       email: parent.email,
       role: decoded.role || 'parent',
-      name: parent.name
+      name: parent.name,
+      sessionId: decoded.sid || null
     };
 
     logger.info('Parent authenticated successfully', {
@@ -90,30 +90,19 @@ const auth = async (req, res, next) => {
 
     // Handle specific JWT errors
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid token',
-        code: 'INVALID_TOKEN'
-      });
+      return next(new UnauthorizedError('Invalid token', 'INVALID_TOKEN'));
     }
 
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Token has expired',
-        code: 'TOKEN_EXPIRED'
-      });
+      return next(new UnauthorizedError('Token has expired', 'TOKEN_EXPIRED'));
     }
 
-    // Generic authentication error
-    res.status(401).json({
-      success: false,
-      error: 'Authentication failed',
-      message: error.message || 'Invalid or expired token',
-      code: 'AUTH_FAILED'
-    });
+    if (error.name === 'NotBeforeError') {
+      return next(new UnauthorizedError('Invalid or expired token', 'AUTH_FAILED'));
+    }
+
+    // Not a token problem (e.g. the parent lookup failed); the error handler maps it
+    next(error);
   }
 };
 
@@ -140,12 +129,13 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     const parent = await parentRepository.getParent(decoded.id);
 
-    if (parent && parent.isActive) {
+    if (parent && parent.isActive && (!decoded.sid || refreshTokenService.isSessionActive(parent, decoded.sid))) {
       req.user = {
         id: parent._id,
         email: parent.email,
         role: decoded.role || 'parent',
-        name: parent.name
+        name: parent.name,
+        sessionId: decoded.sid || null
       };
 
       logger.debug('Optional authentication successful', {
@@ -177,12 +167,7 @@ const authorize = (...allowedRoles) => {
           requiredRoles: allowedRoles
         });
 
-        return res.status(401).json({
-          success: false,
-          error: 'Authentication required',
-          message: 'You must be logged in to access this resource',
-          code: 'NO_AUTH'
-        });
+        return next(new UnauthorizedError('You must be logged in to access this resource', 'NO_AUTH'));
       }
 
       if (!allowedRoles.includes(req.user.role)) {
@@ -193,12 +178,7 @@ const authorize = (...allowedRoles) => {
           ip: req.ip
         });
 
-        return res.status(403).json({
-          success: false,
-          error: 'Insufficient permissions',
-          message: `Access denied. Required roles: ${allowedRoles.join(', ')}`,
-          code: 'INSUFFICIENT_PERMISSIONS'
-        });
+        return next(new ForbiddenError(`Access denied. Required roles: ${allowedRoles.join(', ')}`, 'INSUFFICIENT_PERMISSIONS'));
       }
 
       logger.info('User authorized successfully', {
@@ -215,37 +195,29 @@ const authorize = (...allowedRoles) => {
         stack: error.stack
       });
 
-      res.status(500).json({
-        success: false,
-        error: 'Authorization error',
-        message: 'An error occurred during authorization',
-        code: 'AUTH_ERROR'
-      });
+      next(new InternalError('An error occurred during authorization', 'AUTH_ERROR'));
     }
   };
 };
 
 /*
  * Check if user owns the resource or has admin privileges
+ * Admins skip the owner lookup; errors the extractor throws as AppErrors (e.g. NotFoundError) pass through.
  * 
- * @params {resourceIdExtractor}: function - Function to extract resource owner ID
+ * @params {resourceIdExtractor}: function - Function (sync or async) to extract resource owner ID
  * @returns Express middleware function
  */
 const authorizeOwnerOrAdmin = (resourceIdExtractor = (req) => req.params.id) => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          error: 'Authentication required',
-          message: 'You must be logged in to access this resource',
-          code: 'NO_AUTH'
-        });
+        return next(new UnauthorizedError('You must be logged in to access this resource', 'NO_AUTH'));
       }
 
-      const resourceOwnerId = resourceIdExtractor(req);
-      const isOwner = req.user.id.toString() === resourceOwnerId.toString();
       const isAdmin = req.user.role === 'admin';
+      const resourceOwnerId = isAdmin ? null : await resourceIdExtractor(req);
+      const isOwner = resourceOwnerId !== null && resourceOwnerId !== undefined &&
+        req.user.id.toString() === resourceOwnerId.toString();
 
       if (!isOwner && !isAdmin) {
         logger.warn('Resource access denied', {
@@ -256,12 +228,7 @@ const authorizeOwnerOrAdmin = (resourceIdExtractor = (req) => req.params.id) =>
           ip: req.ip
         });
 
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied',
-          message: 'You can only access your own resources or need admin privileges',
-          code: 'RESOURCE_ACCESS_DENIED'
-        });
+        return next(new ForbiddenError('You can only access your own resources or need admin privileges', 'RESOURCE_ACCESS_DENIED'));
       }
 
       logger.info('Resource access granted', {
@@ -272,17 +239,16 @@ const authorizeOwnerOrAdmin = (resourceIdExtractor = (req) => req.params.id) =>
 
       next();
     } catch (error) {
+      if (error instanceof AppError) {
+        return next(error);
+      }
+
       logger.error('Resource authorization error', {
         error: error.message,
         stack: error.stack
       });
 
-      res.status(500).json({
-        success: false,
-        error: 'Authorization error',
-        message: 'An error occurred during resource authorization',
-        code: 'RESOURCE_AUTH_ERROR'
-      });
+      next(new InternalError('An error occurred during resource authorization', 'RESOURCE_AUTH_ERROR'));
     }
   };
 };
@@ -297,25 +263,20 @@ const sensitiveOperationLimiter = (options = {}) => {
   const rateLimit = require('express-rate-limit');
 
   return rateLimit({
-    windowMs: options.windowMs || 15 * 60 * 1000, // 15 minutes
-    max: options.max || 3, // 3 attempts per window
+    windowMs: options.windowMs || sensitiveOperations.windowMs,
+    max: options.max || sensitiveOperations.max, // failed attempts per window
     skipSuccessfulRequests: true,
     keyGenerator: (req) => {
       return req.user ? req.user.id.toString() : req.ip;
     },
-    handler: (req, res) => {
-      logger.warn('Sensitive operation rate limit exceeded', {
+    handler: (req, res, next) => {
+      logger.security('Sensitive operation rate limit exceeded', {
         userId: req.user?.id,
         ip: req.ip,
         resource: req.originalUrl
       });
 
-      res.status(429).json({
-        success: false,
-        error: 'Too many attempts',
-        message: 'Too many attempts. Please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
-      });
+      next(new RateLimitError('Too many attempts. Please try again later.'));
     },
     standardHeaders: true,
     legacyHeaders: false
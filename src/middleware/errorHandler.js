@@ -1,4 +1,95 @@
+const http = require('http');
 const logger = require('../utils/logger');
+const { classifyError } = require('../db/resilientCommands');
+const {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  RateLimitError,
+  InternalError,
+  UpstreamError,
+  ServiceUnavailableError
+} = require('../utils/errors');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Turn anything thrown into an AppError
+ * Errors from libraries and the DynamoDB SDK are mapped to the class that describes them;
+ * anything unrecognised becomes a 500 whose message is not shown to the client.
+ *
+ * @params {err}: Error - Error passed to next()
+ * @returns AppError instance
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err.name === 'TokenExpiredError') {
+    return new UnauthorizedError('Authentication token has expired', 'TOKEN_EXPIRED');
+  }
+  if (err.name === 'JsonWebTokenError') {
+    return new UnauthorizedError('Invalid authentication token', 'INVALID_TOKEN');
+  }
+
+  // body-parser
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError();
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', 'INVALID_JSON');
+  }
+  // Other http-errors style client errors (unsupported charset, aborted request, ...)
+  if (err.expose && err.statusCode >= 400 && err.statusCode < 500) {
+    return new AppError(err.message, err.statusCode, 'BAD_REQUEST');
+  }
+
+  // DynamoDB throttling or outages that outlasted the command layer's retries
+  const dynamoFailure = classifyError(err);
+  if (dynamoFailure === 'throttle') {
+    return new ServiceUnavailableError('The service is busy, please retry shortly', 'DATABASE_THROTTLED');
+  }
+  if (dynamoFailure === 'transient') {
+    return new ServiceUnavailableError('Database temporarily unavailable', 'DATABASE_UNAVAILABLE');
+  }
+
+  // DynamoDB rejections the repositories did not translate themselves
+  if (err.name === 'ConditionalCheckFailedException') {
+    return new ConflictError('The item was changed or already exists', 'CONDITION_FAILED');
+  }
+  if (err.name === 'ValidationException') {
+    return new ValidationError('The request could not be stored', 'DATABASE_VALIDATION_FAILED');
+  }
+  if (err.name === 'ResourceNotFoundException') {
+    return new InternalError('Database table or index not found', 'DATABASE_RESOURCE_NOT_FOUND', false);
+  }
+
+  return new InternalError('Internal Server Error', 'INTERNAL_ERROR', false);
+};
+
+// Clients opt into RFC 7807 bodies with Accept: application/problem+json
+const wantsProblem = (req) => (req.get('Accept') || '').toLowerCase().includes(PROBLEM_CONTENT_TYPE);
+
+/**
+ * RFC 7807 problem details for an error
+ *
+ * @params {error}: AppError - Normalised error
+ * @params {req}: Object - Express request object
+ * @returns Problem details object
+ */
+const toProblem = (error, req) => ({
+  type: 'about:blank',
+  title: http.STATUS_CODES[error.statusCode] || 'Error',
+  status: error.statusCode,
+  detail: error.message,
+  instance: req.originalUrl,
+  code: error.code,
+  ...(error instanceof ValidationError && error.details !== undefined && { details: error.details }),
+  ...(req.requestId && { requestId: req.requestId })
+});
 
 /**
  * Global error handling middleware
@@ -7,15 +98,16 @@ const logger = require('../utils/logger');
  * @params {req}: Object - Express request object
  * @params {res}: Object - Express response object
  * @params {next}: Function - Express next function
- * @returns Error response
+ * @returns Error response, as application/problem+json when the client asks for it
  */
 const handle = (err, req, res, _next) => {
-  let error = { ...err };
-  error.message = err.message;
+  const error = toAppError(err);
 
-  logger.error('Error caught by global handler:', {
-    message: error.message,
-    stack: error.stack,
+  (error.statusCode >= 500 ? logger.error : logger.warn)('Error caught by global handler:', {
+    message: err.message,
+    name: err.name,
+    code: error.code,
+    stack: err.stack,
     url: req.originalUrl,
     method: req.method,
     ip: req.ip,
@@ -24,80 +116,34 @@ const handle = (err, req, res, _next) => {
     body: req.body,
     query: req.query,
     params: req.params,
-    statusCode: error.statusCode || 500
+    statusCode: error.statusCode,
+    requestId: req.requestId
   });
 
-  if (err.name === 'CastError') {
-    const message = 'Invalid resource ID format';
-    error = { message, statusCode: 400, code: 'INVALID_ID' };
-  }
-
-  if (err.code === 11000) {
-    const field = Object.keys(err.keyValue)[0];
-    const value = err.keyValue[field];
-    const message = `Duplicate value for ${field}: ${value}`;
-    error = { message, statusCode: 400, code: 'DUPLICATE_FIELD' };
+  if (error.retryAfterSeconds) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
   }
 
-  if (err.name === 'ValidationError') {
-    const messages = Object.values(err.errors).map(val => val.message);
-    const message = messages.join(', ');
-    error = { message, statusCode: 400, code: 'VALIDATION_ERROR' };
+  const problem = wantsProblem(req);
+  const body = problem
+    ? toProblem(error, req)
+    : {
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error instanceof ValidationError && error.details !== undefined && { details: error.details }),
+      ...(req.requestId && { requestId: req.requestId })
+    };
+
+  if (process.env.NODE_ENV === 'development') {
+    body.stack = err.stack;
+    body.originalError = err.message;
   }
 
-  if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid authentication token';
-    error = { message, statusCode: 401, code: 'INVALID_TOKEN' };
+  if (problem) {
+    res.type(PROBLEM_CONTENT_TYPE);
   }
-
-  if (err.name === 'TokenExpiredError') {
-    const message = 'Authentication token has expired';
-    error = { message, statusCode: 401, code: 'TOKEN_EXPIRED' };
-  }
-
-  if (err.type === 'entity.too.large') {
-    const message = 'Request payload too large';
-    error = { message, statusCode: 413, code: 'PAYLOAD_TOO_LARGE' };
-  }
-
-  if (err.name === 'MongoError' || err.name === 'MongoServerError') {
-    let message = 'Database operation failed';
-    let statusCode = 500;
-    let code = 'DATABASE_ERROR';
-
-    if (err.code === 11000) {
-      message = 'Duplicate entry found';
-      statusCode = 400;
-      code = 'DUPLICATE_ENTRY';
-    }
-
-    error = { message, statusCode, code };
-  }
-
-  if (err.name === 'RateLimitError') {
-    const message = 'Too many requests, please try again later';
-    error = { message, statusCode: 429, code: 'RATE_LIMIT_EXCEEDED' };
-  }
-
-  const statusCode = error.statusCode || 500;
-  const message = error.message || 'Internal Server Error';
-  const code = error.code || 'INTERNAL_ERROR';
-
-  const response = {
-    success: false,
-    error: message,
-    code,
-    ...(process.env.NODE_ENV === 'development' && {
-      stack: error.stack,
-      originalError: err.message
-    })
-  };
-
-  if (req.requestId) {
-    response.requestId = req.requestId;
-  }
-
-  res.status(statusCode).json(response);
+  res.status(error.statusCode).json(body);
 };
 
 /**
@@ -117,10 +163,7 @@ const notFound = (req, res, next) => {
     userId: req.user?.id
   });
 
-  const error = new Error(`Route ${req.originalUrl} not found`);
-  error.statusCode = 404;
-  error.code = 'ROUTE_NOT_FOUND';
-  next(error);
+  next(new NotFoundError(`Route ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND'));
 };
 
 /**
@@ -135,78 +178,63 @@ const asyncHandler = (fn) => {
   };
 };
 
-/**
- * Custom error class for application errors
- */
-class AppError extends Error {
-  constructor(message, statusCode = 500, code = 'APP_ERROR', isOperational = true) {
-    super(message);
-    this.statusCode = statusCode;
-    this.code = code;
-    this.isOperational = isOperational;
-    this.timestamp = new Date().toISOString();
-    Error.captureStackTrace(this, this.constructor);
-  }
-}
-
 /**
  * Validation error helper
  * 
  * @params {message}: string - Error message
  * @params {details}: Array - Validation error details
- * @returns AppError instance
+ * @returns ValidationError instance
  */
-const validationError = (message, details = []) => {
-  const error = new AppError(message, 400, 'VALIDATION_ERROR');
-  error.details = details;
-  return error;
-};
+const validationError = (message, details = []) => new ValidationError(message, 'VALIDATION_ERROR', details);
 
 /**
  * Authorization error helper
  * 
  * @params {message}: string - Error message
- * @returns AppError instance
+ * @returns ForbiddenError instance
  */
-const authorizationError = (message = 'Access denied') => {
-  return new AppError(message, 403, 'AUTHORIZATION_ERROR');
-};
+const authorizationError = (message = 'Access denied') => new ForbiddenError(message, 'AUTHORIZATION_ERROR');
 
 /**
  * Not found error helper
  * 
  * @params {resource}: string - Resource name
- * @returns AppError instance
+ * @returns NotFoundError instance
  */
-const notFoundError = (resource = 'Resource') => {
-  return new AppError(`${resource} not found`, 404, 'NOT_FOUND');
-};
+const notFoundError = (resource = 'Resource') => new NotFoundError(`${resource} not found`);
 
 /**
  * Conflict error helper
  * 
  * @params {message}: string - Error message
- * @returns AppError instance
+ * @returns ConflictError instance
  */
-const conflictError = (message) => {
-  return new AppError(message, 409, 'CONFLICT');
-};
+const conflictError = (message) => new ConflictError(message);
 
 /**
  * Internal server error helper
  * 
  * @params {message}: string - Error message
- * @returns AppError instance
+ * @returns InternalError instance
  */
-const internalError = (message = 'Internal server error') => {
-  return new AppError(message, 500, 'INTERNAL_ERROR');
-};
+const internalError = (message = 'Internal server error') => new InternalError(message);
 
 module.exports = {
   handle,
   notFound,
   asyncHandler,
+  toAppError,
   AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  RateLimitError,
+  InternalError,
+  UpstreamError,
+  ServiceUnavailableError,
   validationError,
   authorizationError,
   notFoundError,
@@ -3,10 +3,17 @@
  */
 
 const { auth, authorize } = require('./auth');
+const { ownsParent, ownsChild, ownsEducationRecord, ownsNutritionRecord } = require('./ownership');
 const errorHandler = require('./errorHandler');
+const requestContext = require('./requestContext');
 
 module.exports = {
   auth,
   authorize,
-  errorHandler
+  ownsParent,
+  ownsChild,
+  ownsEducationRecord,
+  ownsNutritionRecord,
+  errorHandler,
+  requestContext
 };
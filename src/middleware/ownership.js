@@ -0,0 +1,68 @@
+/**
+ * Ownership policies for parent- and child-scoped routes
+ *
+ * Each factory takes a locator that reads the id from the request (params by default) and
+ * returns middleware that lets the owning parent and admins through. Place it after the
+ * validators so only well-formed ids are looked up. Unknown children and records answer 404.
+ */
+
+const { authorizeOwnerOrAdmin } = require('./auth');
+const ownershipService = require('../services/ownershipService');
+const { NotFoundError } = require('../utils/errors');
+
+const fromParams = (req) => req.params.id;
+
+// Resolve the owning parent through the service, failing with notFound() when there is none
+const ownerVia = (resolve, locate, notFound) => async (req) => {
+  const parentId = await resolve(locate(req));
+  if (!parentId) throw notFound();
+  return parentId;
+};
+
+/**
+ * The parent id itself, e.g. /parents/:id or ?parentId=
+ *
+ * @params {locate}: Function - (req) => parent ID
+ * @returns Express middleware function
+ */
+const ownsParent = (locate = fromParams) => authorizeOwnerOrAdmin(locate);
+
+/**
+ * A child, owned by its parent
+ *
+ * @params {locate}: Function - (req) => child ID
+ * @returns Express middleware function
+ */
+const ownsChild = (locate = fromParams) =>
+  authorizeOwnerOrAdmin(
+    ownerVia(ownershipService.getChildParentId, locate, () => new NotFoundError('Child not found', 'CHILD_NOT_FOUND'))
+  );
+
+/**
+ * An education record, owned by the parent of its child
+ *
+ * @params {locate}: Function - (req) => education record ID
+ * @returns Express middleware function
+ */
+const ownsEducationRecord = (locate = fromParams) =>
+  authorizeOwnerOrAdmin(
+    ownerVia(ownershipService.getEducationRecordParentId, locate, () => new NotFoundError('Education record not found', 'RECORD_NOT_FOUND'))
+  );
+
+/**
+ * A nutrition record, owned by the parent of its child
+ *
+ * @params {locate}: Function - (req) => nutrition record ID
+ * @returns Express middleware function
+ */
+const ownsNutritionRecord = (locate = fromParams) =>
+  authorizeOwnerOrAdmin(
+    ownerVia(ownershipService.getNutritionRecordParentId, locate, () => new NotFoundError('Nutrition record not found', 'RECORD_NOT_FOUND'))
+  );
+
+module.exports = {
+  ownsParent,
+  ownsChild,
+  ownsEducationRecord,
+  ownsNutritionRecord
+};
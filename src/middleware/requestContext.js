@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+const { runWithRequest } = require('../utils/requestContext');
+
+/*
+ * Assign a request ID and open the async context repositories read the actor and request ID from
+ * 
+ * @params {req}: object - Express request object
+ * @params {res}: object - Express response object
+ * @params {next}: function - Express next middleware
+ * @returns Calls next() inside the request context
+ */
+const requestContext = (req, res, next) => {
+  req.requestId = crypto.randomUUID();
+  res.setHeader('X-Request-ID', req.requestId);
+  runWithRequest(req, next);
+};
+
+module.exports = requestContext;
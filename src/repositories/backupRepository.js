@@ -0,0 +1,54 @@
+const { tableName } = require('../config/dynamoConfig');
+const dynamoRepository = require('./dynamoRepository');
+const { instrumentRepository } = require('../db/commandMetrics');
+
+/**
+ * Read one page of the table for an export, optionally narrowed down
+ * Filters run after DynamoDB reads the page, so a filtered page can come back short or empty
+ * while lastKey is still set.
+ *
+ * @params {options}: object - { entityTypes, pkPrefix, limit, lastKey }
+ * @returns Object with items and lastKey (undefined after the last page)
+ */
+const readPage = async ({ entityTypes = [], pkPrefix, limit, lastKey } = {}) => {
+  const filters = [];
+  const expressionNames = {};
+  const expressionValues = {};
+
+  if (entityTypes.length > 0) {
+    expressionNames['#entityType'] = 'entityType';
+    const placeholders = entityTypes.map((entityType, index) => {
+      expressionValues[`:entityType${index}`] = entityType;
+      return `:entityType${index}`;
+    });
+    filters.push(`#entityType IN (${placeholders.join(', ')})`);
+  }
+  if (pkPrefix) {
+    expressionNames['#pk'] = 'pk';
+    expressionValues[':pkPrefix'] = pkPrefix;
+    filters.push('begins_with(#pk, :pkPrefix)');
+  }
+
+  return dynamoRepository.scanTable(tableName, {
+    limit,
+    lastKey,
+    ...(filters.length > 0 && {
+      filterExpression: filters.join(' AND '),
+      expressionNames,
+      expressionValues
+    })
+  });
+};
+
+/**
+ * Store restored items as they are, overwriting items with the same keys
+ *
+ * @params {items}: Array - Exported items
+ * @returns Number of items written
+ */
+const writeItems = async (items) => dynamoRepository.batchWriteItems(tableName, items);
+
+module.exports = instrumentRepository('backupRepository', {
+  readPage,
+  writeItems
+});
@@ -1,7 +1,10 @@
 const { tableName } = require('../config/dynamoConfig');
 const dynamoRepository = require('./dynamoRepository');
+const outboxRepository = require('./outboxRepository');
 const { buildChildEducationKeys } = require('./keyFactory');
 const { v4: uuidv4 } = require('uuid');
+const { instrumentRepository } = require('../db/commandMetrics');
+const { DOMAIN_EVENTS } = require('../constants/eventConstants');
 
 const format = (doc) => (doc ? { ...doc, _id: doc.id } : null);
 
@@ -18,43 +21,88 @@ const createEducationRecord = async (data) => {
   return format(created);
 };
 
-const getByChildId = async (childId) => {
+const findByChildId = async (childId, { consistentRead } = {}) => {
   const { items } = await dynamoRepository.queryByPk(tableName, `CHILD#${childId}`, {
     beginsWith: 'EDU#',
-    limit: 1
+    limit: 1,
+    consistentRead
   });
-  return format(items?.[0] || null);
+  return items?.[0] || null;
+};
+
+const getByChildId = async (childId) => format(await findByChildId(childId));
+
+const getEducationRecord = async (id) => {
+  const record = await dynamoRepository.findItemById(tableName, id, { skPrefix: 'EDU#' });
+  return format(record);
 };
 
 const updateEducationRecord = async (id, data) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'child_education', {
-    filterExpression: '#id = :id',
-    expressionNames: { '#id': 'id' },
-    expressionValues: { ':id': id },
-    limit: 1
-  });
-  const record = items?.[0];
+  const record = await dynamoRepository.findItemById(tableName, id, { skPrefix: 'EDU#' });
   if (!record) return null;
   const updated = await dynamoRepository.updateItem(tableName, record.pk, record.sk, data);
   return format(updated);
 };
 
 const deleteEducationRecord = async (id) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'child_education', {
-    filterExpression: '#id = :id',
-    expressionNames: { '#id': 'id' },
-    expressionValues: { ':id': id },
-    limit: 1
-  });
-  const record = items?.[0];
+  const record = await dynamoRepository.findItemById(tableName, id, { skPrefix: 'EDU#' });
   if (!record) return true;
   await dynamoRepository.deleteItem(tableName, record.pk, record.sk);
   return true;
 };
 
-module.exports = {
+/**
+ * Append a grade record and emit education.grade_added in the same transaction
+ *
+ * @params {childId}: string - Child ID
+ * @params {gradeRecord}: object - { gradeYear, subjects }
+ * @returns Updated education record, or null when the child has none
+ */
+const addGradeRecord = async (childId, gradeRecord) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const record = await findByChildId(childId, { consistentRead: true });
+    if (!record) return null;
+
+    const recordedAt = new Date().toISOString();
+    await outboxRepository.writeWithEvents(
+      [
+        {
+          update: {
+            pk: record.pk,
+            sk: record.sk,
+            data: { records: [...(record.records || []), { ...gradeRecord, recordedAt }] },
+            expectedVersion: dynamoRepository.versionOf(record)
+          }
+        }
+      ],
+      [
+        {
+          type: DOMAIN_EVENTS.EDUCATION_GRADE_ADDED,
+          aggregateType: 'child',
+          aggregateId: childId,
+          payload: { childId, recordId: record.id, gradeYear: gradeRecord.gradeYear }
+        }
+      ]
+    );
+
+    return format(await dynamoRepository.getItem(tableName, record.pk, record.sk, { consistentRead: true }));
+  }, { context: { childId } });
+
+const updateSuggestions = async (childId, suggestions) => {
+  const record = await findByChildId(childId);
+  if (!record) return null;
+  const updated = await dynamoRepository.updateItem(tableName, record.pk, record.sk, {
+    suggestions: dynamoRepository.sanitizeForDynamo(suggestions)
+  });
+  return format(updated);
+};
+
+module.exports = instrumentRepository('childEducationRepository', {
   createEducationRecord,
   getByChildId,
+  getEducationRecord,
   updateEducationRecord,
-  deleteEducationRecord
-};
+  deleteEducationRecord,
+  addGradeRecord,
+  updateSuggestions
+});
@@ -1,15 +1,17 @@
 const { v4: uuidv4 } = require('uuid');
 const { tableName } = require('../config/dynamoConfig');
 const dynamoRepository = require('./dynamoRepository');
+const outboxRepository = require('./outboxRepository');
 const { buildChildNutritionKeys } = require('./keyFactory');
 const logger = require('../utils/logger');
+const { instrumentRepository } = require('../db/commandMetrics');
+const { DOMAIN_EVENTS } = require('../constants/eventConstants');
+const { ValidationError } = require('../utils/errors');
 const format = (doc) => (doc ? { ...doc, _id: doc.id } : null);
 
 const createNutritionRecord = async (data) => {
   if (!data.childId) {
-    const error = new Error('childId is required');
-    error.statusCode = 400;
-    throw error;
+    throw new ValidationError('childId is required');
   }
 
   const id = data.id || uuidv4();
@@ -29,33 +31,24 @@ const createNutritionRecord = async (data) => {
 };
 
 const getNutritionRecord = async (recordId) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'child_nutrition', {
-    filterExpression: '#id = :id',
-    expressionNames: { '#id': 'id' },
-    expressionValues: { ':id': recordId },
-    limit: 1
-  });
-  const record = items?.[0];
+  const record = await dynamoRepository.findItemById(tableName, recordId, { skPrefix: 'NUT#' });
   return format(record);
 };
 
-const getByChildId = async (childId) => {
+const findByChildId = async (childId, { consistentRead } = {}) => {
   const { items } = await dynamoRepository.queryByPk(tableName, `CHILD#${childId}`, {
     beginsWith: 'NUT#',
-    scanForward: false
+    scanForward: false,
+    consistentRead
   });
   const sorted = (items || []).sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
-  return format(sorted[0] || null);
+  return sorted[0] || null;
 };
 
+const getByChildId = async (childId) => format(await findByChildId(childId));
+
 const updateNutritionRecord = async (recordId, data) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'child_nutrition', {
-    filterExpression: '#id = :id',
-    expressionNames: { '#id': 'id' },
-    expressionValues: { ':id': recordId },
-    limit: 1
-  });
-  const record = items?.[0];
+  const record = await dynamoRepository.findItemById(tableName, recordId, { skPrefix: 'NUT#' });
   if (!record) {
     logger.warn('Nutrition record not found for update', { recordId });
     return null;
@@ -69,37 +62,65 @@ const updateNutritionRecord = async (recordId, data) => {
 };
 
 const deleteNutritionRecord = async (recordId) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'child_nutrition', {
-    filterExpression: '#id = :id',
-    expressionNames: { '#id': 'id' },
-    expressionValues: { ':id': recordId },
-    limit: 1
-  });
-  const record = items?.[0];
+  const record = await dynamoRepository.findItemById(tableName, recordId, { skPrefix: 'NUT#' });
   if (record) {
     await dynamoRepository.deleteItem(tableName, record.pk, record.sk);
   }
   return true;
 };
 
-const addNutritionEntry = async (childId, nutritionEntry) => {
-  const record = await getByChildId(childId);
-  if (!record) return null;
+/**
+ * Append a nutrition entry and emit nutrition.entry_added in the same transaction
+ *
+ * @params {childId}: string - Child ID
+ * @params {nutritionEntry}: object - Eating habits / measurements to record
+ * @returns Updated nutrition record, or null when the child has none
+ */
+const addNutritionEntry = async (childId, nutritionEntry) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const record = await findByChildId(childId, { consistentRead: true });
+    if (!record) return null;
 
-  const updatedRecords = [...(record.records || []), { ...nutritionEntry, recordedAt: new Date().toISOString() }];
+    const updatedRecords = [...(record.records || []), { ...nutritionEntry, recordedAt: new Date().toISOString() }];
+    await outboxRepository.writeWithEvents(
+      [
+        {
+          update: {
+            pk: record.pk,
+            sk: record.sk,
+            data: { records: updatedRecords },
+            expectedVersion: dynamoRepository.versionOf(record)
+          }
+        }
+      ],
+      [
+        {
+          type: DOMAIN_EVENTS.NUTRITION_ENTRY_ADDED,
+          aggregateType: 'child',
+          aggregateId: childId,
+          payload: { childId, recordId: record.id }
+        }
+      ]
+    );
+
+    return format(await dynamoRepository.getItem(tableName, record.pk, record.sk, { consistentRead: true }));
+  }, { context: { childId } });
+
+const updateRecommendations = async (childId, recommendations) => {
+  const record = await findByChildId(childId);
+  if (!record) return null;
   const updated = await dynamoRepository.updateItem(tableName, record.pk, record.sk, {
-    records: updatedRecords,
-    updatedAt: new Date().toISOString()
+    recommendations: dynamoRepository.sanitizeForDynamo(recommendations)
   });
-
   return format(updated);
 };
 
-module.exports = {
+module.exports = instrumentRepository('childNutritionRepository', {
   createNutritionRecord,
   getNutritionRecord,
   getByChildId,
   updateNutritionRecord,
   deleteNutritionRecord,
-  addNutritionEntry
-};
+  addNutritionEntry,
+  updateRecommendations
+});
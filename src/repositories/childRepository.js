@@ -1,8 +1,12 @@
 const { v4: uuidv4 } = require('uuid');
 const { tableName } = require('../config/dynamoConfig');
 const dynamoRepository = require('./dynamoRepository');
-const { buildChildKeys } = require('./keyFactory');
+const historyRepository = require('./historyRepository');
+const { buildChildKeys, buildParentKeys } = require('./keyFactory');
 const logger = require('../utils/logger');
+const { DOMAIN_EVENTS } = require('../constants/eventConstants');
+const { instrumentRepository } = require('../db/commandMetrics');
+const { ConflictError } = require('../utils/errors');
 
 const IMMUTABLE_FIELDS = new Set(['id', 'createdAt']);
 
@@ -11,35 +15,71 @@ const formatDocument = (doc) => {
   return { ...doc, _id: doc.id };
 };
 
+const buildChildItem = (childData) => {
+  const id = childData.id || uuidv4();
+  return {
+    ...childData,
+    ...buildChildKeys(childData.parentId, id),
+    id,
+    courseIds: childData.courseIds || [],
+    createdAt: childData.createdAt || new Date().toISOString(),
+    updatedAt: childData.updatedAt || new Date().toISOString()
+  };
+};
+
 const createChild = async (childData) => {
   try {
-    const id = childData.id || uuidv4();
-    const payload = {
-      ...childData,
-      ...buildChildKeys(childData.parentId, id),
-      id,
-      courseIds: childData.courseIds || [],
-      createdAt: childData.createdAt || new Date().toISOString(),
-      updatedAt: childData.updatedAt || new Date().toISOString()
-    };
-    const created = await dynamoRepository.createItem(tableName, payload);
+    const created = await dynamoRepository.createItem(tableName, buildChildItem(childData));
     logger.info('Child created successfully', { childId: created.id });
     return formatDocument(created);
   } catch (error) {
-    logger.error('Error creating child', { error: error.message, childData });
+    logger.error('Error creating child', { error: error.message, parentId: childData?.parentId });
     throw error;
   }
 };
 
-const getChild = async (childId) => {
+/**
+ * Create a child and append it to the parent's childrenIds in one transaction
+ *
+ * @params {childData}: object - Child data including parentId
+ * @returns Created child, or null when the parent does not exist
+ */
+const createChildForParent = async (childData) => {
   try {
-    const { items } = await dynamoRepository.queryByEntityType(tableName, 'child', {
-      filterExpression: '#id = :id',
-      expressionNames: { '#id': 'id' },
-      expressionValues: { ':id': childId },
-      limit: 1
-    });
-    const child = items?.[0];
+    const payload = { ...buildChildItem(childData), version: 1 };
+    const parentKeys = buildParentKeys(childData.parentId);
+
+    const created = await dynamoRepository.withOptimisticRetry(async () => {
+      const parent = await dynamoRepository.getItem(tableName, parentKeys.pk, parentKeys.sk);
+      if (!parent) return null;
+
+      await dynamoRepository.transactWrite(tableName, [
+        { put: { item: payload, condition: dynamoRepository.ITEM_NOT_EXISTS } },
+        {
+          update: {
+            pk: parentKeys.pk,
+            sk: parentKeys.sk,
+            data: { childrenIds: Array.from(new Set([...(parent.childrenIds || []), payload.id])) },
+            expectedVersion: dynamoRepository.versionOf(parent)
+          }
+        }
+      ]);
+      return payload;
+    }, { context: { parentId: childData.parentId } });
+
+    if (!created) return null;
+
+    logger.info('Child created successfully', { childId: created.id, parentId: created.parentId });
+    return formatDocument(created);
+  } catch (error) {
+    logger.error('Error creating child', { error: error.message, parentId: childData?.parentId });
+    throw error;
+  }
+};
+
+const getChild = async (childId, { consistentRead } = {}) => {
+  try {
+    const child = await dynamoRepository.findItemById(tableName, childId, { skPrefix: 'CHILD#', consistentRead });
     return formatDocument(child);
   } catch (error) {
     logger.error('Error fetching child', { childId, error: error.message });
@@ -80,10 +120,11 @@ const updateChild = async (childId, updateData) => {
       return await getChild(childId);
     }
 
-    const existing = await getChild(childId);
-    if (!existing) return null;
-    const { pk, sk } = buildChildKeys(existing.parentId, childId);
-    const updated = await dynamoRepository.updateItem(tableName, pk, sk, sanitizedData);
+    const updated = await dynamoRepository.withOptimisticRetry(async () => {
+      const existing = await getChild(childId, { consistentRead: true });
+      if (!existing) return null;
+      return historyRepository.updateWithHistory(existing, sanitizedData);
+    }, { context: { childId } });
     if (!updated) {
       logger.warn('Child not found for update', { childId });
       return null;
@@ -97,13 +138,20 @@ const updateChild = async (childId, updateData) => {
   }
 };
 
-const deleteChild = async (childId) => {
+/**
+ * Move a child to the trash; its education/nutrition records stay in place for a restore
+ *
+ * @params {childId}: string - Child ID
+ * @params {options}: object - { deletedBy } acting user id
+ * @returns true (also when the child was already gone)
+ */
+const deleteChild = async (childId, { deletedBy } = {}) => {
   try {
     const existing = await getChild(childId);
     if (!existing) return true;
     const { pk, sk } = buildChildKeys(existing.parentId, childId);
-    await dynamoRepository.deleteItem(tableName, pk, sk);
-    logger.info('Child deleted successfully', { childId });
+    await dynamoRepository.softDeleteItem(tableName, pk, sk, { deletedBy });
+    logger.info('Child moved to trash', { childId, deletedBy });
     return true;
   } catch (error) {
     logger.error('Error deleting child', { childId, error: error.message });
@@ -111,6 +159,85 @@ const deleteChild = async (childId) => {
   }
 };
 
+/**
+ * Take a child out of the trash and link it back to its parent in one transaction
+ *
+ * @params {childId}: string - Child ID
+ * @returns Restored child, or null when the child is not in the trash
+ */
+const restoreChild = async (childId) => {
+  try {
+    const restored = await dynamoRepository.withOptimisticRetry(async () => {
+      const child = await dynamoRepository.findItemById(tableName, childId, {
+        skPrefix: 'CHILD#',
+        includeDeleted: true
+      });
+      if (!child || !dynamoRepository.isDeleted(child)) return null;
+
+      const parentKeys = buildParentKeys(child.parentId);
+      const parent = await dynamoRepository.getItem(tableName, parentKeys.pk, parentKeys.sk);
+      if (!parent) {
+        throw new ConflictError('Restore the parent before restoring this child', 'PARENT_IN_TRASH');
+      }
+
+      await dynamoRepository.transactWrite(tableName, [
+        {
+          update: {
+            pk: child.pk,
+            sk: child.sk,
+            data: {},
+            remove: [dynamoRepository.DELETED_AT_ATTRIBUTE, dynamoRepository.DELETED_BY_ATTRIBUTE],
+            expectedVersion: dynamoRepository.versionOf(child)
+          }
+        },
+        {
+          update: {
+            pk: parentKeys.pk,
+            sk: parentKeys.sk,
+            data: { childrenIds: Array.from(new Set([...(parent.childrenIds || []), child.id])) },
+            expectedVersion: dynamoRepository.versionOf(parent)
+          }
+        }
+      ]);
+      return getChild(childId, { consistentRead: true });
+    }, { context: { childId } });
+
+    if (restored) {
+      logger.info('Child restored from trash', { childId });
+    }
+    return restored;
+  } catch (error) {
+    logger.error('Error restoring child', { childId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete a child and every item in its CHILD# partition
+ *
+ * @params {childId}: string - Child ID
+ * @returns true (also when the child was already gone)
+ */
+const purgeChild = async (childId) => {
+  try {
+    const child = await dynamoRepository.findItemById(tableName, childId, { skPrefix: 'CHILD#', includeDeleted: true });
+    const records = await dynamoRepository.queryAllByPk(tableName, `CHILD#${childId}`, { includeDeleted: true });
+    const targets = [...records, ...(child ? [child] : [])];
+
+    for (let start = 0; start < targets.length; start += 100) {
+      await dynamoRepository.transactWrite(
+        tableName,
+        targets.slice(start, start + 100).map((item) => ({ delete: { pk: item.pk, sk: item.sk } }))
+      );
+    }
+    logger.info('Child purged', { childId, records: records.length });
+    return true;
+  } catch (error) {
+    logger.error('Error purging child', { childId, error: error.message });
+    throw error;
+  }
+};
+
 const countChildrenByParent = async (parentId) => {
   try {
     const { items } = await dynamoRepository.queryByPk(tableName, `PARENT#${parentId}`, {
@@ -125,16 +252,16 @@ const countChildrenByParent = async (parentId) => {
 
 const addCoursesToChild = async (childId, courseIds) => {
   try {
-    const child = await getChild(childId);
-    if (!child) return null;
+    const updated = await dynamoRepository.withOptimisticRetry(async () => {
+      const child = await getChild(childId, { consistentRead: true });
+      if (!child) return null;
 
-    const courseIdSet = new Set(child.courseIds || []);
-    courseIds.forEach((id) => courseIdSet.add(id));
+      const courseIdSet = new Set(child.courseIds || []);
+      courseIds.forEach((id) => courseIdSet.add(id));
 
-    const { pk, sk } = buildChildKeys(child.parentId, childId);
-    const updated = await dynamoRepository.updateItem(tableName, pk, sk, {
-      courseIds: Array.from(courseIdSet)
-    });
+      return historyRepository.updateWithHistory(child, { courseIds: Array.from(courseIdSet) });
+    }, { context: { childId } });
+    if (!updated) return null;
 
     logger.info('Courses added to child', { childId, courseIds });
     return formatDocument(updated);
@@ -144,12 +271,58 @@ const addCoursesToChild = async (childId, courseIds) => {
   }
 };
 
-module.exports = {
+/**
+ * Append an assessment result to a child and emit assessment.completed in the same transaction
+ *
+ * @params {childId}: string - Child ID
+ * @params {assessmentResult}: object - Result built by assessmentService
+ * @returns Updated child, or null when the child does not exist
+ */
+const addAssessmentResult = async (childId, assessmentResult) => {
+  try {
+    const updated = await dynamoRepository.withOptimisticRetry(async () => {
+      const child = await getChild(childId, { consistentRead: true });
+      if (!child) return null;
+
+      return historyRepository.updateWithHistory(
+        child,
+        { assessmentResults: [...(child.assessmentResults || []), assessmentResult] },
+        {
+          events: [
+            {
+              type: DOMAIN_EVENTS.ASSESSMENT_COMPLETED,
+              aggregateType: 'child',
+              aggregateId: childId,
+              payload: {
+                childId,
+                parentId: child.parentId,
+                assessmentId: assessmentResult.assessmentId
+              }
+            }
+          ]
+        }
+      );
+    }, { context: { childId } });
+    if (!updated) return null;
+
+    logger.info('Assessment attached to child', { childId, assessmentId: assessmentResult.assessmentId });
+    return formatDocument(updated);
+  } catch (error) {
+    logger.error('Error attaching assessment to child', { childId, error: error.message });
+    throw error;
+  }
+};
+
+module.exports = instrumentRepository('childRepository', {
   createChild,
+  createChildForParent,
   getChild,
   getChildrenByParent,
   updateChild,
   deleteChild,
+  restoreChild,
+  purgeChild,
   countChildrenByParent,
-  addCoursesToChild
-};
+  addCoursesToChild,
+  addAssessmentResult
+});
@@ -0,0 +1,406 @@
+const { v4: uuidv4 } = require('uuid');
+const { tableName } = require('../config/dynamoConfig');
+const dynamoRepository = require('./dynamoRepository');
+const historyRepository = require('./historyRepository');
+const { buildCourseSectionKeys, buildCourseVideoKeys } = require('./keyFactory');
+const cache = require('../cache');
+const { instrumentRepository } = require('../db/commandMetrics');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const SECTION_SK_PREFIX = 'SECTION#';
+const VIDEO_SK_PREFIX = 'VIDEO#';
+
+// Courses read by slug are cached with their sections, so content writes invalidate the catalog
+const CACHE_NAMESPACE = 'courses';
+
+// Set through the dedicated methods (reorder, key builders) rather than generic updates
+const IMMUTABLE_FIELDS = new Set(['id', '_id', 'courseId', 'sectionId', 'createdAt', 'order', 'videos']);
+
+const format = (doc) => {
+  if (!doc) return null;
+  const { pk: _pk, sk: _sk, entityType: _entityType, ...fields } = doc;
+  return { ...fields, _id: doc.id };
+};
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+const editableFields = (data) =>
+  Object.entries(data || {}).reduce((fields, [key, value]) => {
+    if (!IMMUTABLE_FIELDS.has(key) && value !== undefined) {
+      fields[key] = value;
+    }
+    return fields;
+  }, {});
+
+const notFoundError = (message, code) => new NotFoundError(message, code);
+
+const buildVideoItem = (courseId, sectionId, video, order) => {
+  const id = video.id || video._id || uuidv4();
+  return {
+    ...editableFields(video),
+    ...buildCourseVideoKeys(courseId, sectionId, id),
+    id,
+    courseId,
+    sectionId,
+    order
+  };
+};
+
+/**
+ * Section item plus one item per video, ready to be written
+ * Existing ids are kept so progress records keep pointing at the same section and videos.
+ *
+ * @params {courseId}: string - Course ID
+ * @params {section}: object - Section with inline videos
+ * @params {order}: number - Position of the section in the course
+ * @returns Array of items, section first
+ */
+const buildSectionItems = (courseId, section, order) => {
+  const id = section.id || section._id || uuidv4();
+  const sectionItem = {
+    ...editableFields(section),
+    ...buildCourseSectionKeys(courseId, id),
+    id,
+    courseId,
+    order
+  };
+  const videoItems = [...(section.videos || [])]
+    .sort(byOrder)
+    .map((video, index) => buildVideoItem(courseId, id, video, index));
+  return [sectionItem, ...videoItems];
+};
+
+// Large courses do not fit one transaction; chunks apply in order, each all-or-nothing
+const writeInChunks = async (operations) => {
+  for (let start = 0; start < operations.length; start += dynamoRepository.MAX_TRANSACTION_ITEMS) {
+    await dynamoRepository.transactWrite(
+      tableName,
+      operations.slice(start, start + dynamoRepository.MAX_TRANSACTION_ITEMS)
+    );
+  }
+};
+
+const queryContent = async (courseId, prefix, options = {}) =>
+  dynamoRepository.queryAllByPk(tableName, `COURSE#${courseId}`, { beginsWith: prefix, ...options });
+
+const queryVideos = async (courseId, sectionId, options) =>
+  queryContent(courseId, `${VIDEO_SK_PREFIX}${sectionId}#`, options);
+
+/**
+ * Sections of a course in order, each with its videos in order
+ *
+ * @params {courseId}: string - Course ID
+ * @params {options}: object - { consistentRead }
+ * @returns Array of sections
+ */
+const listSections = async (courseId, { consistentRead } = {}) => {
+  const [sections, videos] = await Promise.all([
+    queryContent(courseId, SECTION_SK_PREFIX, { consistentRead }),
+    queryContent(courseId, VIDEO_SK_PREFIX, { consistentRead })
+  ]);
+
+  const videosBySection = videos.reduce((grouped, video) => {
+    (grouped[video.sectionId] = grouped[video.sectionId] || []).push(video);
+    return grouped;
+  }, {});
+
+  return sections.sort(byOrder).map((section) => ({
+    ...format(section),
+    videos: (videosBySection[section.id] || []).sort(byOrder).map(format)
+  }));
+};
+
+/**
+ * One section with its videos
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @returns Section, or null when it does not exist
+ */
+const getSection = async (courseId, sectionId) => {
+  const { pk, sk } = buildCourseSectionKeys(courseId, sectionId);
+  const [section, videos] = await Promise.all([
+    dynamoRepository.getItem(tableName, pk, sk),
+    queryVideos(courseId, sectionId)
+  ]);
+  if (!section) return null;
+  return { ...format(section), videos: videos.sort(byOrder).map(format) };
+};
+
+/**
+ * Store a new course's sections and videos
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sections}: Array - Sections with inline videos, in display order
+ * @returns Number of items written
+ */
+const createSections = async (courseId, sections = []) => {
+  const items = [...sections]
+    .sort(byOrder)
+    .flatMap((section, index) => buildSectionItems(courseId, section, index));
+  await writeInChunks(items.map((item) => ({ put: { item } })));
+  return items.length;
+};
+
+/**
+ * Replace every section and video of a course, e.g. from a full course update
+ * Items whose ids come back are overwritten, the rest are deleted.
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sections}: Array - New sections with inline videos
+ * @returns Sections as stored
+ */
+const replaceSections = async (courseId, sections = []) => {
+  const [existingSections, existingVideos] = await Promise.all([
+    queryContent(courseId, SECTION_SK_PREFIX, { consistentRead: true }),
+    queryContent(courseId, VIDEO_SK_PREFIX, { consistentRead: true })
+  ]);
+
+  const items = [...sections]
+    .sort(byOrder)
+    .flatMap((section, index) => buildSectionItems(courseId, section, index));
+  const kept = new Set(items.map((item) => item.sk));
+
+  await writeInChunks([
+    ...items.map((item) => ({ put: { item } })),
+    ...[...existingSections, ...existingVideos]
+      .filter((item) => !kept.has(item.sk))
+      .map((item) => ({ delete: { pk: item.pk, sk: item.sk } }))
+  ]);
+
+  return listSections(courseId, { consistentRead: true });
+};
+
+/**
+ * Append a section (and its inline videos) to a course
+ *
+ * @params {courseId}: string - Course ID
+ * @params {data}: object - Section fields, optionally with videos
+ * @returns Created section
+ */
+const createSection = async (courseId, data) => {
+  const existing = await queryContent(courseId, SECTION_SK_PREFIX, { consistentRead: true });
+  const order = existing.reduce((max, section) => Math.max(max, (section.order ?? -1) + 1), 0);
+  const [sectionItem, ...videoItems] = buildSectionItems(courseId, data, order);
+
+  await writeInChunks([
+    { put: { item: sectionItem, condition: dynamoRepository.ITEM_NOT_EXISTS } },
+    ...videoItems.map((item) => ({ put: { item } }))
+  ]);
+  await cache.invalidate(CACHE_NAMESPACE);
+  return getSection(courseId, sectionItem.id);
+};
+
+/**
+ * Update one section's own fields and record the change in the course history
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {data}: object - Fields to change; ids, order and videos are ignored
+ * @returns Updated section, or null when it does not exist
+ */
+const updateSection = async (courseId, sectionId, data) => {
+  const { pk, sk } = buildCourseSectionKeys(courseId, sectionId);
+  const changes = editableFields(data);
+
+  const updated = await dynamoRepository.withOptimisticRetry(async () => {
+    const existing = await dynamoRepository.getItem(tableName, pk, sk, { consistentRead: true });
+    if (!existing) return null;
+    return historyRepository.updateWithHistory(existing, changes);
+  }, { context: { courseId, sectionId } });
+  if (!updated) return null;
+
+  await cache.invalidate(CACHE_NAMESPACE);
+  return getSection(courseId, sectionId);
+};
+
+/**
+ * Delete a section together with its videos
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @returns true, or false when the section does not exist
+ */
+const deleteSection = async (courseId, sectionId) => {
+  const { pk, sk } = buildCourseSectionKeys(courseId, sectionId);
+  const section = await dynamoRepository.getItem(tableName, pk, sk, { consistentRead: true });
+  if (!section) return false;
+
+  const videos = await queryVideos(courseId, sectionId, { consistentRead: true });
+  // Videos go first so a failure part-way never leaves videos without their section
+  await writeInChunks([
+    ...videos.map((video) => ({ delete: { pk: video.pk, sk: video.sk } })),
+    { delete: { pk, sk } }
+  ]);
+  await cache.invalidate(CACHE_NAMESPACE);
+  return true;
+};
+
+/**
+ * Write a new order for a set of items, in chunks of one transaction each
+ * Guarded on every item's version, so a concurrent add, delete or edit aborts the chunk and
+ * retries; the retry re-reads the items and only moves the ones not yet in place.
+ */
+const applyOrder = async (readItems, orderedIds, errorCode, context) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const items = await readItems();
+    const byId = new Map(items.map((item) => [item.id, item]));
+
+    if (orderedIds.length !== items.length || new Set(orderedIds).size !== items.length || !orderedIds.every((id) => byId.has(id))) {
+      throw new ValidationError('Order must list every item exactly once', errorCode);
+    }
+
+    const moves = orderedIds
+      .map((id, order) => ({ item: byId.get(id), order }))
+      .filter(({ item, order }) => item.order !== order);
+
+    await writeInChunks(
+      moves.map(({ item, order }) => ({
+        update: {
+          pk: item.pk,
+          sk: item.sk,
+          data: { order },
+          expectedVersion: dynamoRepository.versionOf(item)
+        }
+      }))
+    );
+    return moves.length;
+  }, { context });
+
+/**
+ * Reorder a course's sections
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionIds}: Array - Every section ID in the new order
+ * @returns Sections in the new order
+ */
+const reorderSections = async (courseId, sectionIds) => {
+  await applyOrder(
+    () => queryContent(courseId, SECTION_SK_PREFIX, { consistentRead: true }),
+    sectionIds,
+    'INVALID_SECTION_ORDER',
+    { courseId }
+  );
+  await cache.invalidate(CACHE_NAMESPACE);
+  return listSections(courseId, { consistentRead: true });
+};
+
+/**
+ * Append a video to a section
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {data}: object - Video fields
+ * @returns Created video
+ */
+const addVideo = async (courseId, sectionId, data) => {
+  const sectionKeys = buildCourseSectionKeys(courseId, sectionId);
+  const section = await dynamoRepository.getItem(tableName, sectionKeys.pk, sectionKeys.sk, { consistentRead: true });
+  if (!section) {
+    throw notFoundError('Section not found', 'SECTION_NOT_FOUND');
+  }
+
+  const videos = await queryVideos(courseId, sectionId, { consistentRead: true });
+  const order = videos.reduce((max, video) => Math.max(max, (video.order ?? -1) + 1), 0);
+  const item = buildVideoItem(courseId, sectionId, data, order);
+
+  // The section must still exist when the video lands, or the video would be orphaned
+  await dynamoRepository.transactWrite(tableName, [
+    { conditionCheck: { pk: sectionKeys.pk, sk: sectionKeys.sk, condition: dynamoRepository.ITEM_EXISTS } },
+    { put: { item, condition: dynamoRepository.ITEM_NOT_EXISTS } }
+  ]);
+  await cache.invalidate(CACHE_NAMESPACE);
+  return format(await dynamoRepository.getItem(tableName, item.pk, item.sk, { consistentRead: true }));
+};
+
+/**
+ * Update one video and record the change in the course history
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {videoId}: string - Video ID
+ * @params {data}: object - Fields to change; ids and order are ignored
+ * @returns Updated video, or null when it does not exist
+ */
+const updateVideo = async (courseId, sectionId, videoId, data) => {
+  const { pk, sk } = buildCourseVideoKeys(courseId, sectionId, videoId);
+  const changes = editableFields(data);
+
+  const updated = await dynamoRepository.withOptimisticRetry(async () => {
+    const existing = await dynamoRepository.getItem(tableName, pk, sk, { consistentRead: true });
+    if (!existing) return null;
+    return historyRepository.updateWithHistory(existing, changes);
+  }, { context: { courseId, sectionId, videoId } });
+
+  if (updated) await cache.invalidate(CACHE_NAMESPACE);
+  return format(updated);
+};
+
+/**
+ * Delete one video
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {videoId}: string - Video ID
+ * @returns true, or false when the video does not exist
+ */
+const deleteVideo = async (courseId, sectionId, videoId) => {
+  const { pk, sk } = buildCourseVideoKeys(courseId, sectionId, videoId);
+  const video = await dynamoRepository.getItem(tableName, pk, sk, { consistentRead: true });
+  if (!video) return false;
+  await dynamoRepository.deleteItem(tableName, pk, sk);
+  await cache.invalidate(CACHE_NAMESPACE);
+  return true;
+};
+
+/**
+ * Reorder the videos of a section
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {videoIds}: Array - Every video ID of the section in the new order
+ * @returns Section with its videos in the new order, or null when the section does not exist
+ */
+const reorderVideos = async (courseId, sectionId, videoIds) => {
+  await applyOrder(
+    () => queryVideos(courseId, sectionId, { consistentRead: true }),
+    videoIds,
+    'INVALID_VIDEO_ORDER',
+    { courseId, sectionId }
+  );
+  await cache.invalidate(CACHE_NAMESPACE);
+  return getSection(courseId, sectionId);
+};
+
+/**
+ * Permanently delete every section and video of a course
+ *
+ * @params {courseId}: string - Course ID
+ * @returns Number of items deleted
+ */
+const purgeSections = async (courseId) => {
+  const [sections, videos] = await Promise.all([
+    queryContent(courseId, SECTION_SK_PREFIX),
+    queryContent(courseId, VIDEO_SK_PREFIX)
+  ]);
+  const items = [...videos, ...sections];
+  await writeInChunks(items.map((item) => ({ delete: { pk: item.pk, sk: item.sk } })));
+  return items.length;
+};
+
+module.exports = instrumentRepository('courseContentRepository', {
+  buildSectionItems,
+  listSections,
+  getSection,
+  createSections,
+  replaceSections,
+  createSection,
+  updateSection,
+  deleteSection,
+  reorderSections,
+  addVideo,
+  updateVideo,
+  deleteVideo,
+  reorderVideos,
+  purgeSections
+});
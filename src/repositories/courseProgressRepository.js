@@ -1,21 +1,21 @@
 const { v4: uuidv4 } = require('uuid');
 const { tableName } = require('../config/dynamoConfig');
 const dynamoRepository = require('./dynamoRepository');
-const { buildCourseProgressKeys } = require('./keyFactory');
+const outboxRepository = require('./outboxRepository');
+const cache = require('../cache');
+const { buildCourseKeys, buildCourseProgressKeys, buildEnrollmentKeys } = require('./keyFactory');
 const logger = require('../utils/logger');
+const { DOMAIN_EVENTS } = require('../constants/eventConstants');
+const { instrumentRepository } = require('../db/commandMetrics');
 
-const format = (doc) => (doc ? { ...doc, _id: doc.id } : null);
-
-const getOrCreateProgress = async (userId, courseId) => {
-  const { items } = await dynamoRepository.queryByPk(tableName, `USER#${userId}`, {
-    beginsWith: `COURSE_PROGRESS#${courseId}`
-  });
-  const existing = (items || []).find((i) => i.courseId === courseId);
+// Cached course reads include enrollmentCount
+const COURSE_CACHE_NAMESPACE = 'courses';
 
-  if (existing) return format(existing);
+const format = (doc) => (doc ? { ...doc, _id: doc.id } : null);
 
+const buildProgressItem = (userId, courseId) => {
   const id = uuidv4();
-  const payload = {
+  return {
     id,
     ...buildCourseProgressKeys(userId, courseId, id),
     userId,
@@ -27,11 +27,79 @@ const getOrCreateProgress = async (userId, courseId) => {
     updatedAt: new Date().toISOString(),
     lastAccessedAt: new Date().toISOString()
   };
-  const created = await dynamoRepository.createItem(tableName, payload);
+};
+
+const getOrCreateProgress = async (userId, courseId) => {
+  const { items } = await dynamoRepository.queryByPk(tableName, `USER#${userId}`, {
+    beginsWith: `COURSE_PROGRESS#${courseId}`
+  });
+  const existing = (items || []).find((i) => i.courseId === courseId);
+
+  if (existing) return format(existing);
+
+  const created = await dynamoRepository.createItem(tableName, buildProgressItem(userId, courseId));
   logger.info('Created course progress', { userId, courseId });
   return format(created);
 };
 
+/**
+ * Enroll a user: create their progress item, bump the course's enrollmentCount
+ * and emit course.enrolled in one transaction so the counter never drifts
+ * The enrollment guard item makes a second, concurrent enrollment lose the transaction;
+ * it then returns the progress the winner created.
+ *
+ * @params {userId}: string - User ID
+ * @params {courseId}: string - Course ID
+ * @returns Created (or already existing) progress
+ */
+const enrollUser = async (userId, courseId) => {
+  const payload = { ...buildProgressItem(userId, courseId), version: 1 };
+  const courseKeys = buildCourseKeys(courseId);
+  const guardKeys = buildEnrollmentKeys(userId, courseId);
+
+  try {
+    await outboxRepository.writeWithEvents(
+      [
+        {
+          update: {
+            pk: courseKeys.pk,
+            sk: courseKeys.sk,
+            increments: { enrollmentCount: 1 },
+            condition: dynamoRepository.ITEM_EXISTS
+          }
+        },
+        {
+          put: {
+            item: { ...guardKeys, userId, courseId, progressId: payload.id },
+            condition: dynamoRepository.ITEM_NOT_EXISTS
+          }
+        },
+        { put: { item: payload, condition: dynamoRepository.ITEM_NOT_EXISTS } }
+      ],
+      [
+        {
+          type: DOMAIN_EVENTS.COURSE_ENROLLED,
+          aggregateType: 'course',
+          aggregateId: courseId,
+          payload: { userId, courseId, progressId: payload.id }
+        }
+      ]
+    );
+  } catch (error) {
+    const alreadyEnrolled =
+      error.code === 'TRANSACTION_CANCELLED' && (error.details || []).some((failure) => failure.pk === guardKeys.pk);
+    if (!alreadyEnrolled) {
+      throw error;
+    }
+    logger.info('User already enrolled', { userId, courseId });
+    return getUserCourseProgress(userId, courseId);
+  }
+
+  await cache.invalidate(COURSE_CACHE_NAMESPACE);
+  logger.info('Created course progress', { userId, courseId });
+  return format(payload);
+};
+
 const getUserCourseProgress = async (userId, courseId) => {
   const { items } = await dynamoRepository.queryByPk(tableName, `USER#${userId}`, {
     beginsWith: `COURSE_PROGRESS#${courseId}`
@@ -48,76 +116,100 @@ const getUserProgress = async (userId, limit = 100) => {
   return sorted.slice(0, limit).map(format);
 };
 
-const updateCourseProgress = async (userId, courseId, data) => {
-  const progress = await getUserCourseProgress(userId, courseId);
-  if (!progress) return null;
-  const { pk, sk } = buildCourseProgressKeys(userId, courseId, progress.id);
-  const updated = await dynamoRepository.updateItem(tableName, pk, sk, data);
-  return format(updated);
-};
+const updateCourseProgress = async (userId, courseId, data) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const progress = await getUserCourseProgress(userId, courseId);
+    if (!progress) return null;
+    const { pk, sk } = buildCourseProgressKeys(userId, courseId, progress.id);
+    const updated = await dynamoRepository.updateItem(tableName, pk, sk, data, {
+      expectedVersion: dynamoRepository.versionOf(progress)
+    });
+    return format(updated);
+  }, { context: { userId, courseId } });
 
-const updateVideoProgress = async (userId, courseId, sectionId, videoId, watchedDuration, totalDuration) => {
-  const progress = await getUserCourseProgress(userId, courseId);
-  if (!progress) return null;
-  const sections = progress.sections || [];
-  const updatedSections = sections.map((s) =>
-    s.sectionId === sectionId
-      ? {
-          ...s,
-          videos: (s.videos || []).map((v) =>
-            v.videoId === videoId ? { ...v, watchedDuration, totalDuration } : v
-          )
-        }
-      : s
-  );
-  const { pk, sk } = buildCourseProgressKeys(userId, courseId, progress.id);
-  const updated = await dynamoRepository.updateItem(tableName, pk, sk, {
-    sections: updatedSections,
-    lastAccessedAt: new Date().toISOString()
-  });
-  return format(updated);
-};
+const updateVideoProgress = async (userId, courseId, sectionId, videoId, watchedDuration, totalDuration) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const progress = await getUserCourseProgress(userId, courseId);
+    if (!progress) return null;
+    const sections = progress.sections || [];
+    const updatedSections = sections.map((s) =>
+      s.sectionId === sectionId
+        ? {
+            ...s,
+            videos: (s.videos || []).map((v) =>
+              v.videoId === videoId ? { ...v, watchedDuration, totalDuration } : v
+            )
+          }
+        : s
+    );
+    const { pk, sk } = buildCourseProgressKeys(userId, courseId, progress.id);
+    const updated = await dynamoRepository.updateItem(
+      tableName,
+      pk,
+      sk,
+      {
+        sections: updatedSections,
+        lastAccessedAt: new Date().toISOString()
+      },
+      { expectedVersion: dynamoRepository.versionOf(progress) }
+    );
+    return format(updated);
+  }, { context: { userId, courseId, sectionId, videoId } });
 
-const updateTestProgress = async (userId, courseId, sectionId, testId, score, passingScore) => {
-  const progress = await getUserCourseProgress(userId, courseId);
-  if (!progress) return null;
-  const sections = progress.sections || [];
-  const updatedSections = sections.map((s) =>
-    s.sectionId === sectionId
-      ? {
-          ...s,
-          tests: (s.tests || []).map((t) =>
-            t.testId === testId ? { ...t, score, passingScore, completedAt: new Date().toISOString() } : t
-          )
-        }
-      : s
-  );
-  const { pk, sk } = buildCourseProgressKeys(userId, courseId, progress.id);
-  const updated = await dynamoRepository.updateItem(tableName, pk, sk, {
-    sections: updatedSections,
-    lastAccessedAt: new Date().toISOString()
-  });
-  return format(updated);
-};
+const updateTestProgress = async (userId, courseId, sectionId, testId, score, passingScore) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const progress = await getUserCourseProgress(userId, courseId);
+    if (!progress) return null;
+    const sections = progress.sections || [];
+    const updatedSections = sections.map((s) =>
+      s.sectionId === sectionId
+        ? {
+            ...s,
+            tests: (s.tests || []).map((t) =>
+              t.testId === testId ? { ...t, score, passingScore, completedAt: new Date().toISOString() } : t
+            )
+          }
+        : s
+    );
+    const { pk, sk } = buildCourseProgressKeys(userId, courseId, progress.id);
+    const updated = await dynamoRepository.updateItem(
+      tableName,
+      pk,
+      sk,
+      {
+        sections: updatedSections,
+        lastAccessedAt: new Date().toISOString()
+      },
+      { expectedVersion: dynamoRepository.versionOf(progress) }
+    );
+    return format(updated);
+  }, { context: { userId, courseId, sectionId, testId } });
 
-const calculateOverallProgress = async (userId, courseId, totalVideos = 0, totalTests = 0) => {
-  const progress = await getUserCourseProgress(userId, courseId);
-  if (!progress) return null;
-  const sections = progress.sections || [];
-  const watched = sections.flatMap((s) => s.videos || []).filter((v) => v.watchedDuration && v.totalDuration && v.watchedDuration >= v.totalDuration).length;
-  const testsCompleted = sections.flatMap((s) => s.tests || []).filter((t) => t.score !== undefined).length;
-  const videoProgress = totalVideos > 0 ? (watched / totalVideos) * 100 : 0;
-  const testProgress = totalTests > 0 ? (testsCompleted / totalTests) * 100 : 0;
-  const overallProgress = Math.min(100, Math.round((videoProgress + testProgress) / 2));
-  const isCompleted = overallProgress >= 100;
-  const { pk, sk } = buildCourseProgressKeys(userId, courseId, progress.id);
-  const updated = await dynamoRepository.updateItem(tableName, pk, sk, {
-    overallProgress,
-    isCompleted,
-    lastAccessedAt: new Date().toISOString()
-  });
-  return format(updated);
-};
+const calculateOverallProgress = async (userId, courseId, totalVideos = 0, totalTests = 0) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const progress = await getUserCourseProgress(userId, courseId);
+    if (!progress) return null;
+    const sections = progress.sections || [];
+    const watched = sections.flatMap((s) => s.videos || []).filter((v) => v.watchedDuration && v.totalDuration && v.watchedDuration >= v.totalDuration).length;
+    const testsCompleted = sections.flatMap((s) => s.tests || []).filter((t) => t.score !== undefined).length;
+    const videoProgress = totalVideos > 0 ? (watched / totalVideos) * 100 : 0;
+    const testProgress = totalTests > 0 ? (testsCompleted / totalTests) * 100 : 0;
+    const overallProgress = Math.min(100, Math.round((videoProgress + testProgress) / 2));
+    const isCompleted = overallProgress >= 100;
+    const { pk, sk } = buildCourseProgressKeys(userId, courseId, progress.id);
+    const updated = await dynamoRepository.updateItem(
+      tableName,
+      pk,
+      sk,
+      {
+        overallProgress,
+        isCompleted,
+        lastAccessedAt: new Date().toISOString()
+      },
+      { expectedVersion: dynamoRepository.versionOf(progress) }
+    );
+    return format(updated);
+  }, { context: { userId, courseId } });
 
 const updateCourseNotes = async (userId, courseId, notes) => {
   const progress = await getUserCourseProgress(userId, courseId);
@@ -141,21 +233,21 @@ const issueCertificate = async (userId, courseId) => {
   return format(updated);
 };
 
+// Removes the enrollment guard too, so the user can enroll again
 const deleteProgress = async (id) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'course_progress', {
-    filterExpression: '#id = :id',
-    expressionNames: { '#id': 'id' },
-    expressionValues: { ':id': id },
-    limit: 1
-  });
-  const progress = items?.[0];
+  const progress = await dynamoRepository.findItemById(tableName, id, { skPrefix: 'COURSE_PROGRESS#' });
   if (!progress) return true;
-  await dynamoRepository.deleteItem(tableName, progress.pk, progress.sk);
+  const guardKeys = buildEnrollmentKeys(progress.userId, progress.courseId);
+  await dynamoRepository.transactWrite(tableName, [
+    { delete: { pk: progress.pk, sk: progress.sk } },
+    { delete: { pk: guardKeys.pk, sk: guardKeys.sk } }
+  ]);
   return true;
 };
 
-module.exports = {
+module.exports = instrumentRepository('courseProgressRepository', {
   getOrCreateProgress,
+  enrollUser,
   getUserCourseProgress,
   getUserProgress,
   updateCourseProgress,
@@ -165,4 +257,4 @@ module.exports = {
   updateCourseNotes,
   issueCertificate,
   deleteProgress
-};
+});
@@ -1,81 +1,136 @@
 const { v4: uuidv4 } = require('uuid');
 const { tableName } = require('../config/dynamoConfig');
 const dynamoRepository = require('./dynamoRepository');
+const historyRepository = require('./historyRepository');
+const courseContentRepository = require('./courseContentRepository');
 const { buildCourseKeys } = require('./keyFactory');
 const logger = require('../utils/logger');
+const { encodeCursor, decodeCursor } = require('../utils/cursorUtils');
+const cache = require('../cache');
+const { instrumentRepository } = require('../db/commandMetrics');
+const { ConflictError, ValidationError } = require('../utils/errors');
 
-const IMMUTABLE_FIELDS = new Set(['id', 'createdAt', 'slug', 'enrollmentCount']);
+// Catalog reads are cached under this namespace; every write below invalidates it except
+// counter bumps, which would otherwise empty the cache on each enrollment
+const CACHE_NAMESPACE = 'courses';
+
+// Counters only change through adjustCounters so concurrent updates never overwrite them
+const COUNTER_FIELDS = ['enrollmentCount', 'wishlistCount', 'reviewCount'];
+const IMMUTABLE_FIELDS = new Set(['id', 'createdAt', 'slug', 'sections', ...COUNTER_FIELDS]);
 
 const format = (doc) => (doc ? { ...doc, _id: doc.id } : null);
 
+/**
+ * Course with its sections and videos assembled from their SECTION#/VIDEO# items
+ * Courses not yet split by migration 0007 still carry their sections inline and are returned as stored.
+ *
+ * @params {course}: object - Course item
+ * @returns Formatted course with sections, or null
+ */
+const withSections = async (course) => {
+  if (!course) return null;
+  if (Array.isArray(course.sections)) return format(course);
+  return { ...format(course), sections: await courseContentRepository.listSections(course.id) };
+};
+
+/**
+ * Create a course; its sections and videos are stored as separate items
+ * Content is written before the course item, so a failed create never exposes a partial course.
+ *
+ * @params {data}: object - Course fields including sections with inline videos
+ * @returns Created course with its sections
+ */
 const createCourse = async (data) => {
-  const id = data.id || uuidv4();
+  const { sections, ...fields } = data;
+  const id = fields.id || uuidv4();
+  await courseContentRepository.createSections(id, sections || []);
+
   const payload = {
-    ...data,
+    ...fields,
     id,
     ...buildCourseKeys(id),
     enrollmentCount: data.enrollmentCount || 0,
+    wishlistCount: data.wishlistCount || 0,
+    reviewCount: data.reviewCount || 0,
     createdAt: data.createdAt || new Date().toISOString(),
     updatedAt: data.updatedAt || new Date().toISOString()
   };
   const created = await dynamoRepository.createItem(tableName, payload);
+  await cache.invalidate(CACHE_NAMESPACE);
   logger.info('Created course', { id: created.id, title: data.title });
-  return format(created);
+  return withSections(created);
 };
 
 const getCourse = async (courseId) => {
   try {
     const { pk, sk } = buildCourseKeys(courseId);
     const course = await dynamoRepository.getItem(tableName, pk, sk);
-    return format(course);
+    return withSections(course);
   } catch (error) {
     // Fallback to scan if the table schema differs (e.g., missing sort key)
-    const course = await dynamoRepository.findItemById(tableName, courseId);
-    return format(course);
+    const course = await dynamoRepository.findItemById(tableName, courseId, { skPrefix: 'COURSE#' });
+    return withSections(course);
   }
 };
 
-const getCourseBySlug = async (slug) => {
-  const { items } = await dynamoRepository.queryBySlug(tableName, slug, {
-    filterExpression: '#et = :type',
-    expressionNames: { '#et': 'entityType' },
-    expressionValues: { ':type': 'course' },
-    limit: 1
-  });
-  return format(items?.[0] || null);
+/**
+ * Course item alone, without assembling its sections
+ *
+ * @params {courseId}: string - Course ID
+ * @returns Formatted course item, or null when it does not exist
+ */
+const getCourseSummary = async (courseId) => {
+  const { pk, sk } = buildCourseKeys(courseId);
+  return format(await dynamoRepository.getItem(tableName, pk, sk));
 };
 
+const getCourseBySlug = async (slug) =>
+  cache.readThrough(CACHE_NAMESPACE, `slug:${slug}`, async () => {
+    const { items } = await dynamoRepository.queryBySlug(tableName, slug, {
+      filterExpression: '#et = :type',
+      expressionNames: { '#et': 'entityType' },
+      expressionValues: { ':type': 'course' }
+    });
+    return withSections(items?.[0] || null);
+  });
+
 const getCoursesByIds = async (ids = [], onlyPublished = false) => {
   if (!Array.isArray(ids) || ids.length === 0) return [];
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'course');
-  const map = new Map((items || []).map((i) => [i.id, i]));
-  const filtered = ids.map((id) => map.get(id)).filter(Boolean);
-  return (onlyPublished ? filtered.filter((c) => c.isPublished) : filtered).map(format);
+  const keys = ids.map((id) => buildCourseKeys(id.toString()));
+  const items = await dynamoRepository.batchGetItems(tableName, keys);
+  return (onlyPublished ? items.filter((c) => c.isPublished) : items).map(format);
 };
 
-const getCourses = async (filters = {}, page = 1, limit = 20, sort = { createdAt: -1 }) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'course');
-  let list = items || [];
-
-  if (filters.category) list = list.filter((c) => c.category === filters.category);
-  if (filters.level) list = list.filter((c) => c.level === filters.level);
-  if (filters.isPublished !== undefined) list = list.filter((c) => c.isPublished === filters.isPublished);
-  if (filters.instructor) list = list.filter((c) => c.instructor === filters.instructor);
-  if (filters.tags && filters.tags.length > 0) {
-    list = list.filter((c) => (c.tags || []).some((t) => filters.tags.includes(t)));
+const matchesCourseFilters = (course, filters = {}) => {
+  if (filters.category && course.category !== filters.category) return false;
+  if (filters.level && course.level !== filters.level) return false;
+  if (filters.isPublished !== undefined && course.isPublished !== filters.isPublished) return false;
+  if (filters.instructor && course.instructor !== filters.instructor) return false;
+  if (filters.tags && filters.tags.length > 0 && !(course.tags || []).some((t) => filters.tags.includes(t))) {
+    return false;
   }
   if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
-    list = list.filter((c) => {
-      const amount = c?.price?.amount ?? 0;
-      if (filters.minPrice !== undefined && amount < filters.minPrice) return false;
-      if (filters.maxPrice !== undefined && amount > filters.maxPrice) return false;
-      return true;
-    });
+    const amount = course?.price?.amount ?? 0;
+    if (filters.minPrice !== undefined && amount < filters.minPrice) return false;
+    if (filters.maxPrice !== undefined && amount > filters.maxPrice) return false;
   }
   if (filters.search) {
     const s = filters.search.toLowerCase();
-    list = list.filter((c) => (c.title || '').toLowerCase().includes(s) || (c.description || '').toLowerCase().includes(s));
+    if (!(course.title || '').toLowerCase().includes(s) && !(course.description || '').toLowerCase().includes(s)) {
+      return false;
+    }
   }
+  return true;
+};
+
+/**
+ * Page/limit listing (compatibility mode): loads every course to sort and count
+ */
+const getCourses = async (filters = {}, page = 1, limit = 20, sort = { createdAt: -1 }) => {
+  const items = await cache.readThrough(CACHE_NAMESPACE, 'all', () =>
+    dynamoRepository.queryAllByEntityType(tableName, 'course')
+  );
+  const list = (items || []).filter((c) => matchesCourseFilters(c, filters));
 
   if (sort.createdAt) {
     list.sort((a, b) =>
@@ -102,6 +157,40 @@ const getCourses = async (filters = {}, page = 1, limit = 20, sort = { createdAt
   };
 };
 
+/**
+ * Cursor listing: reads only as far as needed, in index order
+ */
+const paginateCourses = async (filters = {}, { limit = 20, cursor } = {}) => {
+  // Checked outside the cache so a forged cursor is rejected even when its page is cached
+  const lastKey = decodeCursor('courses', cursor);
+
+  return cache.readThrough(CACHE_NAMESPACE, `page:${cache.keyOf(filters, limit, cursor || null)}`, async () => {
+    const page = await dynamoRepository.paginateByEntityType(tableName, 'course', {
+      limit,
+      lastKey,
+      predicate: (course) => matchesCourseFilters(course, filters)
+    });
+
+    const nextCursor = encodeCursor('courses', page.lastKey);
+    return {
+      data: page.items.map(format),
+      pagination: {
+        limit,
+        nextCursor,
+        hasNext: Boolean(nextCursor)
+      }
+    };
+  });
+};
+
+/**
+ * Update a course and record the change in its history
+ * `sections`, when given, replaces every section and video item of the course.
+ *
+ * @params {courseId}: string - Course ID
+ * @params {data}: object - Fields to change; immutable fields and counters are ignored
+ * @returns Updated course with its sections, or null when the course does not exist
+ */
 const updateCourse = async (courseId, data) => {
   const sanitized = {};
   Object.entries(data || {}).forEach(([key, value]) => {
@@ -110,33 +199,104 @@ const updateCourse = async (courseId, data) => {
     }
   });
   const { pk, sk } = buildCourseKeys(courseId);
-  const updated = await dynamoRepository.updateItem(tableName, pk, sk, sanitized);
-  return format(updated);
+  const updated = await dynamoRepository.withOptimisticRetry(async () => {
+    const existing = await dynamoRepository.getItem(tableName, pk, sk, { consistentRead: true });
+    if (!existing) return null;
+    return historyRepository.updateWithHistory(existing, sanitized);
+  }, { context: { courseId } });
+  if (!updated) return null;
+
+  if (!Array.isArray(data?.sections)) {
+    await cache.invalidate(CACHE_NAMESPACE);
+    return withSections(updated);
+  }
+
+  await courseContentRepository.replaceSections(courseId, data.sections);
+  // A course that still kept its sections inline reads them from the new items from now on
+  const current = Array.isArray(updated.sections)
+    ? await dynamoRepository.updateItem(tableName, pk, sk, {}, { remove: ['sections'] })
+    : updated;
+  await cache.invalidate(CACHE_NAMESPACE);
+  return withSections(current);
 };
 
-const deleteCourse = async (courseId) => {
+/**
+ * Move a course to the trash
+ *
+ * @params {courseId}: string - Course ID
+ * @params {options}: object - { deletedBy } acting user id
+ * @returns true, or false when the course does not exist or is already trashed
+ */
+const deleteCourse = async (courseId, { deletedBy } = {}) => {
   const { pk, sk } = buildCourseKeys(courseId);
-  await dynamoRepository.deleteItem(tableName, pk, sk);
+  const trashed = await dynamoRepository.softDeleteItem(tableName, pk, sk, { deletedBy });
+  if (trashed) await cache.invalidate(CACHE_NAMESPACE);
+  return Boolean(trashed);
+};
+
+/**
+ * Take a course out of the trash unless a live course has taken its slug meanwhile
+ *
+ * @params {courseId}: string - Course ID
+ * @returns Restored course, or null when the course is not in the trash
+ */
+const restoreCourse = async (courseId) => {
+  const { pk, sk } = buildCourseKeys(courseId);
+  const trashed = await dynamoRepository.getItem(tableName, pk, sk, { includeDeleted: true });
+  if (!trashed || !dynamoRepository.isDeleted(trashed)) return null;
+
+  const owner = trashed.slug ? await getCourseBySlug(trashed.slug) : null;
+  if (owner && owner.id !== courseId) {
+    throw new ConflictError('Another course now uses this slug', 'SLUG_IN_USE');
+  }
+
+  const restored = await dynamoRepository.restoreItem(tableName, pk, sk);
+  await cache.invalidate(CACHE_NAMESPACE);
+  return format(restored);
+};
+
+const purgeCourse = async (courseId) => {
+  const keys = buildCourseKeys(courseId);
+  await courseContentRepository.purgeSections(courseId);
+  await dynamoRepository.deleteItem(tableName, keys.pk, keys.sk);
+  await historyRepository.purgeHistory({ ...keys, id: courseId });
+  await cache.invalidate(CACHE_NAMESPACE);
   return true;
 };
 
-const incrementEnrollment = async (courseId) => {
+/**
+ * Atomically adjust course counters; decrements stop at zero
+ *
+ * @params {courseId}: string - Course ID
+ * @params {deltas}: object - e.g. { enrollmentCount: 1 } or { wishlistCount: -1 }
+ * @returns Updated course, or null when the course does not exist
+ */
+const adjustCounters = async (courseId, deltas) => {
+  const unknown = Object.keys(deltas || {}).filter((key) => !COUNTER_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown course counter: ${unknown.join(', ')}`, 'INVALID_COUNTER');
+  }
+
   const { pk, sk } = buildCourseKeys(courseId);
-  const course = await dynamoRepository.getItem(tableName, pk, sk);
-  if (!course) return null;
-  const updated = await dynamoRepository.updateItem(tableName, pk, sk, {
-    enrollmentCount: (course.enrollmentCount || 0) + 1
-  });
+  const updated = await dynamoRepository.incrementAttributes(tableName, pk, sk, deltas, { min: 0 });
+  if (updated) await cache.invalidate(CACHE_NAMESPACE);
   return format(updated);
 };
 
-module.exports = {
+const incrementEnrollment = (courseId) => adjustCounters(courseId, { enrollmentCount: 1 });
+
+module.exports = instrumentRepository('courseRepository', {
   createCourse,
   getCourse,
+  getCourseSummary,
   getCourseBySlug,
   getCourses,
+  paginateCourses,
   updateCourse,
   deleteCourse,
+  restoreCourse,
+  purgeCourse,
+  adjustCounters,
   incrementEnrollment,
   getCoursesByIds
-};
+});
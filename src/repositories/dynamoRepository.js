@@ -1,8 +1,126 @@
 const { commands } = require('../db/dynamodbClient');
+const { GLOBAL_SECONDARY_INDEXES } = require('../db/tableDefinition');
+const schemaRegistry = require('../db/schemaRegistry');
 const logger = require('../utils/logger');
+const { ConflictError, InternalError, NotFoundError, ServiceUnavailableError, ValidationError } = require('../utils/errors');
 
 const now = () => new Date().toISOString();
 
+const VERSION_ATTRIBUTE = 'version';
+const DEFAULT_CONFLICT_RETRIES = 3;
+const DELETED_AT_ATTRIBUTE = 'deletedAt';
+const DELETED_BY_ATTRIBUTE = 'deletedBy';
+
+/**
+ * Current optimistic-lock version of an item
+ * Items written before versioning existed have no attribute and count as version 0.
+ *
+ * @params {item}: object - Stored item
+ * @returns number
+ */
+const versionOf = (item) => (item && Number.isInteger(item[VERSION_ATTRIBUTE]) ? item[VERSION_ATTRIBUTE] : 0);
+
+const concurrentModificationError = (pk, sk, expectedVersion) =>
+  new ConflictError('Item was modified by another request. Reload it and try again', 'CONCURRENT_MODIFICATION', {
+    pk,
+    sk,
+    expectedVersion
+  });
+
+const isDeleted = (item) => Boolean(item && item[DELETED_AT_ATTRIBUTE]);
+
+/**
+ * Add the "not soft-deleted" clause to a query/scan filter
+ * Every read path excludes trashed items unless the caller passes includeDeleted.
+ *
+ * @params {filterExpression}: string - Caller's FilterExpression, if any
+ * @params {expressionNames}: object - Caller's ExpressionAttributeNames, if any
+ * @params {includeDeleted}: boolean - Skip the clause (trash listing, restore, purge)
+ * @returns Object { filterExpression, expressionNames }
+ */
+const withLiveFilter = (filterExpression, expressionNames, includeDeleted) => {
+  if (includeDeleted) {
+    return { filterExpression, expressionNames };
+  }
+  return {
+    filterExpression: filterExpression
+      ? `(${filterExpression}) AND attribute_not_exists(#deletedAt)`
+      : 'attribute_not_exists(#deletedAt)',
+    expressionNames: { ...(expressionNames || {}), '#deletedAt': DELETED_AT_ATTRIBUTE }
+  };
+};
+
+const isConditionalCheckFailure = (error) =>
+  error?.name === 'ConditionalCheckFailedException' || error?.code === 'ConditionalCheckFailedException';
+
+/**
+ * Build the ConditionExpression guarding a write on the expected version
+ *
+ * @params {expectedVersion}: number - Version the caller read before writing
+ * @returns Condition object { expression, names, values }
+ */
+const buildVersionCondition = (expectedVersion) => {
+  if (expectedVersion > 0) {
+    return {
+      expression: '#version = :expectedVersion',
+      names: { '#version': VERSION_ATTRIBUTE },
+      values: { ':expectedVersion': expectedVersion }
+    };
+  }
+  return {
+    expression: 'attribute_not_exists(#version)',
+    names: { '#version': VERSION_ATTRIBUTE },
+    values: {}
+  };
+};
+
+// Conditions shared by transactional writes
+const ITEM_EXISTS = { expression: 'attribute_exists(pk)' };
+const ITEM_NOT_EXISTS = { expression: 'attribute_not_exists(pk)' };
+
+/**
+ * AND together condition objects into request params
+ *
+ * @params {params}: object - Command params to extend
+ * @params {conditions}: Array - Condition objects { expression, names, values }, falsy entries ignored
+ * @returns The same params object
+ */
+const applyConditions = (params, conditions) => {
+  const present = conditions.filter(Boolean);
+  if (present.length === 0) return params;
+
+  params.ConditionExpression = present
+    .map(({ expression }) => (present.length > 1 ? `(${expression})` : expression))
+    .join(' AND ');
+
+  const names = Object.assign({}, params.ExpressionAttributeNames, ...present.map((c) => c.names || {}));
+  const values = Object.assign({}, params.ExpressionAttributeValues, ...present.map((c) => c.values || {}));
+  if (Object.keys(names).length > 0) params.ExpressionAttributeNames = names;
+  if (Object.keys(values).length > 0) params.ExpressionAttributeValues = values;
+  return params;
+};
+
+/**
+ * Re-run a read-modify-write operation when it loses an optimistic-lock race
+ * The operation must re-read the item on every attempt.
+ *
+ * @params {operation}: Function - async (attempt) => result
+ * @params {options}: object - { retries, context } where context is added to retry logs
+ * @returns Result of the first successful attempt
+ */
+const withOptimisticRetry = async (operation, { retries = DEFAULT_CONFLICT_RETRIES, context = {} } = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (error.code !== 'CONCURRENT_MODIFICATION' || attempt > retries) {
+        throw error;
+      }
+      logger.warn('Concurrent modification detected, retrying', { ...context, attempt });
+    }
+  }
+};
+
 const sanitizeForDynamo = (value) => {
   if (value instanceof Date) return value.toISOString();
   if (Array.isArray(value)) return value.map(sanitizeForDynamo);
@@ -22,9 +140,13 @@ const sanitizeForDynamo = (value) => {
   return value;
 };
 
+/**
+ * Create an item; registered entity types are checked against their schema first
+ */
 const createItem = async (tableName, item) => {
   const payload = {
-    ...item,
+    ...schemaRegistry.prepareItem(item),
+    [VERSION_ATTRIBUTE]: versionOf(item) || 1,
     createdAt: item.createdAt || now(),
     updatedAt: item.updatedAt || now()
   };
@@ -35,27 +157,158 @@ const createItem = async (tableName, item) => {
   return payload;
 };
 
-const putItem = async (tableName, item) => {
+/**
+ * Replace an item, bumping its version
+ * Registered entity types are checked against their schema first.
+ *
+ * @params {options}: object - { expectedVersion, condition } fails with CONCURRENT_MODIFICATION when the stored
+ *   version differs or condition ({ expression, names, values }, e.g. ITEM_NOT_EXISTS) does not hold
+ */
+const putItem = async (tableName, item, { expectedVersion, condition } = {}) => {
+  const guarded = expectedVersion !== undefined;
   const payload = {
-    ...item,
+    ...schemaRegistry.prepareItem(item),
+    [VERSION_ATTRIBUTE]: (guarded ? expectedVersion : versionOf(item)) + 1,
     createdAt: item.createdAt || now(),
     updatedAt: item.updatedAt || now()
   };
 
-  await commands.put({
+  const params = {
     TableName: tableName,
     Item: payload
-  });
+  };
+
+  applyConditions(params, [condition, guarded ? buildVersionCondition(expectedVersion) : null]);
+
+  try {
+    await commands.put(params);
+  } catch (error) {
+    if ((guarded || condition) && isConditionalCheckFailure(error)) {
+      throw concurrentModificationError(item.pk, item.sk, expectedVersion);
+    }
+    throw error;
+  }
 
   return payload;
 };
 
-const getItem = async (tableName, pk, sk) => {
+const getItem = async (tableName, pk, sk, { consistentRead, includeDeleted } = {}) => {
   const result = await commands.get({
     TableName: tableName,
-    Key: { pk, sk }
+    Key: { pk, sk },
+    ...(consistentRead ? { ConsistentRead: true } : {})
   });
-  return result.Item || null;
+  if (!result.Item || (!includeDeleted && isDeleted(result.Item))) {
+    return null;
+  }
+  return result.Item;
+};
+
+const MAX_BATCH_GET_KEYS = 100;
+const DEFAULT_BATCH_GET_RETRIES = 5;
+const BATCH_GET_BACKOFF_MS = 25;
+const MAX_BATCH_WRITE_ITEMS = 25;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const storageKeyOf = ({ pk, sk }) => `${pk}\u0000${sk}`;
+
+/**
+ * Fetch many items by primary key with BatchGetItem
+ *
+ * Keys are de-duplicated and sent in chunks of 100; UnprocessedKeys are retried with
+ * exponential backoff. Missing items are simply absent from the result.
+ *
+ * @params {keys}: Array - [{ pk, sk }]
+ * @params {options}: object - { retries, includeDeleted } where retries bounds attempts per chunk for UnprocessedKeys
+ * @returns Items in the order of the first occurrence of their key
+ */
+const batchGetItems = async (tableName, keys = [], { retries = DEFAULT_BATCH_GET_RETRIES, includeDeleted } = {}) => {
+  const unique = new Map();
+  keys.forEach(({ pk, sk }) => {
+    if (pk && sk && !unique.has(storageKeyOf({ pk, sk }))) {
+      unique.set(storageKeyOf({ pk, sk }), { pk, sk });
+    }
+  });
+  if (unique.size === 0) return [];
+
+  const requested = Array.from(unique.values());
+  const found = new Map();
+
+  for (let start = 0; start < requested.length; start += MAX_BATCH_GET_KEYS) {
+    let pending = requested.slice(start, start + MAX_BATCH_GET_KEYS);
+
+    for (let attempt = 0; pending.length > 0; attempt += 1) {
+      if (attempt > retries) {
+        const error = new ServiceUnavailableError('BatchGetItem left keys unprocessed after retries', 'BATCH_GET_INCOMPLETE');
+        error.details = { unprocessed: pending.length };
+        throw error;
+      }
+      if (attempt > 0) {
+        logger.warn('Retrying unprocessed BatchGetItem keys', { tableName, attempt, unprocessed: pending.length });
+        await wait(BATCH_GET_BACKOFF_MS * 2 ** (attempt - 1));
+      }
+
+      const result = await commands.batchGet({ RequestItems: { [tableName]: { Keys: pending } } });
+      (result.Responses?.[tableName] || []).forEach((item) => found.set(storageKeyOf(item), item));
+      pending = result.UnprocessedKeys?.[tableName]?.Keys || [];
+    }
+  }
+
+  return requested
+    .map((key) => found.get(storageKeyOf(key)))
+    .filter((item) => item && (includeDeleted || !isDeleted(item)));
+};
+
+/**
+ * Store items exactly as given with BatchWriteItem
+ *
+ * No schema check, version stamp or condition: meant for restoring exported items, where
+ * writing the same item twice must leave the same result. Items are sent in chunks of 25
+ * and UnprocessedItems are retried with exponential backoff.
+ *
+ * @params {items}: Array - Complete items including pk and sk
+ * @params {options}: object - { retries } bounding attempts per chunk for UnprocessedItems
+ * @returns Number of items written
+ */
+const batchWriteItems = async (tableName, items = [], { retries = DEFAULT_BATCH_GET_RETRIES } = {}) => {
+  for (let start = 0; start < items.length; start += MAX_BATCH_WRITE_ITEMS) {
+    let pending = items.slice(start, start + MAX_BATCH_WRITE_ITEMS).map((item) => ({ PutRequest: { Item: item } }));
+
+    for (let attempt = 0; pending.length > 0; attempt += 1) {
+      if (attempt > retries) {
+        const error = new ServiceUnavailableError('BatchWriteItem left items unprocessed after retries', 'BATCH_WRITE_INCOMPLETE');
+        error.details = { unprocessed: pending.length };
+        throw error;
+      }
+      if (attempt > 0) {
+        logger.warn('Retrying unprocessed BatchWriteItem items', { tableName, attempt, unprocessed: pending.length });
+        await wait(BATCH_GET_BACKOFF_MS * 2 ** (attempt - 1));
+      }
+
+      const result = await commands.batchWrite({ RequestItems: { [tableName]: pending } });
+      pending = result.UnprocessedItems?.[tableName] || [];
+    }
+  }
+  return items.length;
+};
+
+/**
+ * Read one page of the whole table, trashed items included
+ *
+ * @params {options}: object - { limit, lastKey, filterExpression, expressionNames, expressionValues }
+ * @returns Object with items and lastKey (undefined after the last page)
+ */
+const scanTable = async (tableName, { limit, lastKey, filterExpression, expressionNames, expressionValues } = {}) => {
+  const result = await commands.scan({
+    TableName: tableName,
+    Limit: limit,
+    ExclusiveStartKey: lastKey,
+    ...(filterExpression && { FilterExpression: filterExpression }),
+    ...(expressionNames && { ExpressionAttributeNames: expressionNames }),
+    ...(expressionValues && { ExpressionAttributeValues: expressionValues })
+  });
+  return { items: result.Items || [], lastKey: result.LastEvaluatedKey };
 };
 
 const deleteItem = async (tableName, pk, sk) => {
@@ -66,32 +319,29 @@ const deleteItem = async (tableName, pk, sk) => {
   return true;
 };
 
-const findItemById = async (tableName, id) => {
-  let lastKey;
-  do {
-    const result = await commands.scan({
-      TableName: tableName,
-      FilterExpression: '#id = :id',
-      ExpressionAttributeNames: { '#id': 'id' },
-      ExpressionAttributeValues: { ':id': id },
-      ExclusiveStartKey: lastKey
-    });
-
-    const found = (result.Items || [])[0];
-    if (found) return found;
-
-    lastKey = result.LastEvaluatedKey;
-  } while (lastKey);
-
-  return null;
+/**
+ * Resolve an item from its id through the id-index
+ * Tables created before the index existed fall back to a scan (see queryByIndex).
+ *
+ * @params {tableName}: string - Table name
+ * @params {id}: string - Item id
+ * @params {options}: object - { skPrefix, consistentRead, includeDeleted } where skPrefix narrows the
+ *   match to one entity (e.g. 'CHILD#') and consistentRead re-reads the base item, since GSIs are only
+ *   eventually consistent; use it before version-guarded writes
+ * @returns Item or null
+ */
+const findItemById = async (tableName, id, { skPrefix, consistentRead, includeDeleted } = {}) => {
+  if (!id) return null;
+  const { items } = await queryById(tableName, id, { beginsWith: skPrefix, includeDeleted });
+  const found = items[0];
+  if (!found || !consistentRead) return found || null;
+  return getItem(tableName, found.pk, found.sk, { consistentRead: true, includeDeleted });
 };
 
-const updateById = async (tableName, id, data) => {
+const updateById = async (tableName, id, data, options) => {
   const target = await findItemById(tableName, id);
   if (!target) {
-    const error = new Error(`Item with id ${id} not found`);
-    error.code = 'ITEM_NOT_FOUND';
-    throw error;
+    throw new NotFoundError(`Item with id ${id} not found`, 'ITEM_NOT_FOUND');
   }
 
   const sanitized = sanitizeForDynamo({ ...(data || {}) });
@@ -100,16 +350,17 @@ const updateById = async (tableName, id, data) => {
   delete sanitized.createdAt;
 
   if (!target.pk || !target.sk) {
-    const error = new Error(`Item with id ${id} is missing keys`);
-    error.code = 'ITEM_MISSING_KEYS';
-    throw error;
+    throw new InternalError(`Item with id ${id} is missing keys`, 'ITEM_MISSING_KEYS');
   }
 
-  return updateItem(tableName, target.pk, target.sk, sanitized);
+  return updateItem(tableName, target.pk, target.sk, sanitized, options);
 };
 
-const buildUpdateExpressions = (data = {}) => {
-  const keys = Object.keys(data).filter((k) => data[k] !== undefined && k !== 'updatedAt');
+const buildUpdateExpressions = (data = {}, increments = {}) => {
+  const keys = Object.keys(data).filter(
+    (k) => data[k] !== undefined && k !== 'updatedAt' && k !== VERSION_ATTRIBUTE
+  );
+  const counters = Object.keys(increments).filter((k) => Number.isFinite(increments[k]));
   const expressionParts = [];
   const expressionValues = {};
   const expressionNames = {};
@@ -122,50 +373,380 @@ const buildUpdateExpressions = (data = {}) => {
     expressionParts.push(`${nameKey} = ${valueKey}`);
   });
 
+  counters.forEach((key, index) => {
+    const nameKey = `#i${index}`;
+    const valueKey = `:i${index}`;
+    expressionNames[nameKey] = key;
+    expressionValues[valueKey] = increments[key];
+    expressionParts.push(`${nameKey} = if_not_exists(${nameKey}, :zero) + ${valueKey}`);
+  });
+
   expressionNames['#updatedAt'] = 'updatedAt';
   expressionValues[':updatedAt'] = now();
   expressionParts.push('#updatedAt = :updatedAt');
 
-  return { expressionParts, expressionValues, expressionNames };
+  expressionNames['#version'] = VERSION_ATTRIBUTE;
+  expressionValues[':zero'] = 0;
+  expressionValues[':one'] = 1;
+  expressionParts.push('#version = if_not_exists(#version, :zero) + :one');
+
+  return { expressionParts, expressionValues, expressionNames, fieldCount: keys.length + counters.length };
 };
 
-const updateItem = async (tableName, pk, sk, data) => {
-  const { expressionParts, expressionValues, expressionNames } = buildUpdateExpressions(data);
-  if (expressionParts.length === 1) {
+const hasOtherVersion = async (tableName, pk, sk, expectedVersion) => {
+  const stored = await getItem(tableName, pk, sk, { consistentRead: true, includeDeleted: true });
+  return Boolean(stored) && versionOf(stored) !== expectedVersion;
+};
+
+/**
+ * Update attributes of an item, bumping its version
+ * The attributes set or removed are checked against the entity schema the sort key maps to.
+ *
+ * @params {options}: object - { expectedVersion, remove, condition } expectedVersion fails with
+ *   CONCURRENT_MODIFICATION when the stored version differs (also when a condition is given); remove lists
+ *   attributes to delete; condition ({ expression, names, values }) makes the update return null when it does not hold
+ */
+const updateItem = async (tableName, pk, sk, data, { expectedVersion, remove = [], condition } = {}) => {
+  const { expressionParts, expressionValues, expressionNames, fieldCount } = buildUpdateExpressions(
+    schemaRegistry.prepareUpdate(sk, data, remove)
+  );
+  if (fieldCount === 0 && remove.length === 0) {
     return getItem(tableName, pk, sk);
   }
 
-  const result = await commands.update({
+  const removals = remove.map((attribute, index) => {
+    expressionNames[`#r${index}`] = attribute;
+    return `#r${index}`;
+  });
+
+  const params = {
     TableName: tableName,
     Key: { pk, sk },
-    UpdateExpression: `SET ${expressionParts.join(', ')}`,
+    UpdateExpression: `SET ${expressionParts.join(', ')}${removals.length ? ` REMOVE ${removals.join(', ')}` : ''}`,
     ExpressionAttributeNames: expressionNames,
     ExpressionAttributeValues: expressionValues,
     ReturnValues: 'ALL_NEW'
+  };
+
+  const guarded = expectedVersion !== undefined;
+  applyConditions(params, [condition, guarded ? buildVersionCondition(expectedVersion) : null]);
+
+  try {
+    const result = await commands.update(params);
+    return result.Attributes || null;
+  } catch (error) {
+    if (!isConditionalCheckFailure(error)) {
+      throw error;
+    }
+    // DynamoDB does not say which half failed; a stored version other than the expected one means the guard did
+    const stale = guarded && (!condition || await hasOtherVersion(tableName, pk, sk, expectedVersion));
+    if (stale) {
+      throw concurrentModificationError(pk, sk, expectedVersion);
+    }
+    return null;
+  }
+};
+
+/**
+ * Atomically add deltas to numeric attributes with a single UpdateItem ADD
+ *
+ * Concurrent callers never lose increments because DynamoDB applies each ADD server-side;
+ * negative deltas decrement. Missing attributes start from 0. The item must already exist.
+ *
+ * @params {deltas}: object - { attributeName: delta }, e.g. { enrollmentCount: 1 }
+ * @params {options}: object - { min, condition } min keeps decremented counters from dropping below min;
+ *   a decrement that would cross it leaves the item untouched. condition ({ expression, names, values })
+ *   must also hold for the ADD to apply
+ * @returns Updated item, the unchanged item when min blocked the change, or null when the item does not
+ *   exist or the condition failed
+ */
+const incrementAttributes = async (tableName, pk, sk, deltas = {}, { min, condition } = {}) => {
+  const counters = Object.keys(deltas).filter(
+    (k) => Number.isFinite(deltas[k]) && deltas[k] !== 0 && k !== VERSION_ATTRIBUTE
+  );
+  if (counters.length === 0) {
+    return getItem(tableName, pk, sk);
+  }
+
+  const additions = [];
+  const floors = [];
+  const expressionNames = { '#pk': 'pk', '#version': VERSION_ATTRIBUTE, '#updatedAt': 'updatedAt' };
+  const expressionValues = { ':one': 1, ':updatedAt': now() };
+
+  counters.forEach((key, index) => {
+    expressionNames[`#c${index}`] = key;
+    expressionValues[`:c${index}`] = deltas[key];
+    additions.push(`#c${index} :c${index}`);
+
+    if (min !== undefined && deltas[key] < 0) {
+      // The stored value must be at least min - delta for the result to stay >= min
+      expressionValues[`:floor${index}`] = min - deltas[key];
+      floors.push(`#c${index} >= :floor${index}`);
+    }
   });
 
-  return result.Attributes || null;
+  const params = applyConditions(
+    {
+      TableName: tableName,
+      Key: { pk, sk },
+      UpdateExpression: `SET #updatedAt = :updatedAt ADD ${additions.join(', ')}, #version :one`,
+      ExpressionAttributeNames: expressionNames,
+      ExpressionAttributeValues: expressionValues,
+      ReturnValues: 'ALL_NEW'
+    },
+    [{ expression: ['attribute_exists(#pk)', ...floors].join(' AND ') }, condition]
+  );
+
+  try {
+    const result = await commands.update(params);
+    return result.Attributes || null;
+  } catch (error) {
+    if (!isConditionalCheckFailure(error)) {
+      throw error;
+    }
+    if (floors.length === 0 || condition) {
+      return null;
+    }
+    // Either the item is gone or a counter is already at its floor; tell the two apart
+    const current = await getItem(tableName, pk, sk);
+    if (current) {
+      logger.warn('Counter decrement skipped at floor', { pk, sk, deltas, min });
+    }
+    return current;
+  }
 };
 
+/**
+ * Move an item to the trash by stamping deletedAt/deletedBy
+ * Reads skip trashed items until restoreItem clears the stamp or the purge job removes them.
+ *
+ * @params {options}: object - { deletedBy, deletedAt } where deletedBy is the acting user id
+ * @returns Trashed item, or null when the item does not exist or is already trashed
+ */
+const softDeleteItem = async (tableName, pk, sk, { deletedBy, deletedAt = now() } = {}) => {
+  try {
+    const result = await commands.update({
+      TableName: tableName,
+      Key: { pk, sk },
+      UpdateExpression:
+        'SET #deletedAt = :deletedAt, #deletedBy = :deletedBy, #updatedAt = :deletedAt, ' +
+        '#version = if_not_exists(#version, :zero) + :one',
+      ConditionExpression: 'attribute_exists(pk) AND attribute_not_exists(#deletedAt)',
+      ExpressionAttributeNames: {
+        '#deletedAt': DELETED_AT_ATTRIBUTE,
+        '#deletedBy': DELETED_BY_ATTRIBUTE,
+        '#updatedAt': 'updatedAt',
+        '#version': VERSION_ATTRIBUTE
+      },
+      ExpressionAttributeValues: { ':deletedAt': deletedAt, ':deletedBy': deletedBy || null, ':zero': 0, ':one': 1 },
+      ReturnValues: 'ALL_NEW'
+    });
+    return result.Attributes || null;
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) return null;
+    throw error;
+  }
+};
+
+/**
+ * Take an item out of the trash
+ *
+ * @returns Restored item, or null when the item does not exist or is not trashed
+ */
+const restoreItem = async (tableName, pk, sk) => {
+  try {
+    const result = await commands.update({
+      TableName: tableName,
+      Key: { pk, sk },
+      UpdateExpression:
+        'SET #updatedAt = :now, #version = if_not_exists(#version, :zero) + :one REMOVE #deletedAt, #deletedBy',
+      ConditionExpression: 'attribute_exists(#deletedAt)',
+      ExpressionAttributeNames: {
+        '#deletedAt': DELETED_AT_ATTRIBUTE,
+        '#deletedBy': DELETED_BY_ATTRIBUTE,
+        '#updatedAt': 'updatedAt',
+        '#version': VERSION_ATTRIBUTE
+      },
+      ExpressionAttributeValues: { ':now': now(), ':zero': 0, ':one': 1 },
+      ReturnValues: 'ALL_NEW'
+    });
+    return result.Attributes || null;
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) return null;
+    throw error;
+  }
+};
+
+const MAX_TRANSACTION_ITEMS = 100;
+
+const stampPut = (item) => ({
+  ...item,
+  [VERSION_ATTRIBUTE]: versionOf(item) || 1,
+  createdAt: item.createdAt || now(),
+  updatedAt: item.updatedAt || now()
+});
+
+/**
+ * Translate one operation descriptor into a TransactItems entry
+ *
+ * Descriptors:
+ *   { put: { item, expectedVersion, condition } }
+ *   { update: { pk, sk, data, increments, remove, expectedVersion, condition } }
+ *   { delete: { pk, sk, expectedVersion, condition } }
+ *   { conditionCheck: { pk, sk, condition } }
+ * `condition` is { expression, names, values }; ITEM_EXISTS / ITEM_NOT_EXISTS cover the common cases.
+ * Puts are stamped like createItem (version defaults to 1) unless expectedVersion is given.
+ * Puts and updates are checked against the entity schema like their single-item counterparts.
+ */
+const buildTransactItem = (tableName, operation) => {
+  const [type] = Object.keys(operation);
+  const spec = operation[type];
+  const versionCondition = spec.expectedVersion !== undefined ? buildVersionCondition(spec.expectedVersion) : null;
+
+  switch (type) {
+    case 'put': {
+      const item = stampPut(schemaRegistry.prepareItem(spec.item));
+      if (spec.expectedVersion !== undefined) {
+        item[VERSION_ATTRIBUTE] = spec.expectedVersion + 1;
+      }
+      return {
+        Put: applyConditions({ TableName: tableName, Item: item }, [spec.condition, versionCondition])
+      };
+    }
+    case 'update': {
+      const { expressionParts, expressionValues, expressionNames } = buildUpdateExpressions(
+        schemaRegistry.prepareUpdate(spec.sk, spec.data, spec.remove),
+        spec.increments
+      );
+      const removals = (spec.remove || []).map((attribute, index) => {
+        expressionNames[`#r${index}`] = attribute;
+        return `#r${index}`;
+      });
+      const params = {
+        TableName: tableName,
+        Key: { pk: spec.pk, sk: spec.sk },
+        UpdateExpression: `SET ${expressionParts.join(', ')}${removals.length ? ` REMOVE ${removals.join(', ')}` : ''}`,
+        ExpressionAttributeNames: expressionNames,
+        ExpressionAttributeValues: expressionValues
+      };
+      return { Update: applyConditions(params, [spec.condition, versionCondition]) };
+    }
+    case 'delete':
+      return {
+        Delete: applyConditions({ TableName: tableName, Key: { pk: spec.pk, sk: spec.sk } }, [
+          spec.condition,
+          versionCondition
+        ])
+      };
+    case 'conditionCheck':
+      return {
+        ConditionCheck: applyConditions({ TableName: tableName, Key: { pk: spec.pk, sk: spec.sk } }, [
+          spec.condition
+        ])
+      };
+    default: {
+      throw new InternalError(`Unsupported transaction operation: ${type}`, 'INVALID_TRANSACTION_OPERATION', false);
+    }
+  }
+};
+
+const operationKey = (operation) => {
+  const spec = Object.values(operation)[0] || {};
+  return spec.item ? { pk: spec.item.pk, sk: spec.item.sk } : { pk: spec.pk, sk: spec.sk };
+};
+
+const mapTransactionError = (error, operations) => {
+  if (error?.name !== 'TransactionCanceledException') {
+    return error;
+  }
+
+  const failed = (error.CancellationReasons || [])
+    .map((reason, index) => ({ index, reason: reason?.Code }))
+    .filter(({ reason }) => reason && reason !== 'None');
+
+  const versionFailure = failed.find(
+    ({ index, reason }) =>
+      reason === 'TransactionConflict' ||
+      (reason === 'ConditionalCheckFailed' && Object.values(operations[index] || {})[0]?.expectedVersion !== undefined)
+  );
+
+  if (versionFailure) {
+    const { pk, sk } = operationKey(operations[versionFailure.index]);
+    return concurrentModificationError(pk, sk, Object.values(operations[versionFailure.index])[0].expectedVersion);
+  }
+
+  return new ConflictError(
+    'Transaction cancelled because a condition was not met',
+    'TRANSACTION_CANCELLED',
+    failed.map(({ index, reason }) => ({ ...operationKey(operations[index]), reason }))
+  );
+};
+
+/**
+ * Apply several writes atomically with TransactWriteItems
+ * Either every operation is applied or none is.
+ *
+ * @params {tableName}: string - Table name
+ * @params {operations}: Array - Operation descriptors (see buildTransactItem), at most 100
+ * @returns true when the transaction committed
+ */
+const transactWrite = async (tableName, operations = []) => {
+  if (operations.length === 0) {
+    return true;
+  }
+
+  if (operations.length > MAX_TRANSACTION_ITEMS) {
+    throw new ValidationError(`A transaction can include at most ${MAX_TRANSACTION_ITEMS} items`, 'TRANSACTION_TOO_LARGE');
+  }
+
+  try {
+    await commands.transactWrite({
+      TransactItems: operations.map((operation) => buildTransactItem(tableName, operation))
+    });
+    return true;
+  } catch (error) {
+    throw mapTransactionError(error, operations);
+  }
+};
+
+/**
+ * Query one partition, optionally narrowed to a sort key prefix
+ *
+ * @params {options}: object - { beginsWith, limit, lastKey, filterExpression, expressionValues,
+ *   expressionNames, scanForward, includeDeleted, consistentRead }
+ * @returns Object with items and lastKey
+ */
 const queryByPk = async (
   tableName,
   pk,
-  { beginsWith, limit, lastKey, filterExpression, expressionValues, expressionNames, scanForward } = {}
+  {
+    beginsWith,
+    limit,
+    lastKey,
+    filterExpression,
+    expressionValues,
+    expressionNames,
+    scanForward,
+    includeDeleted,
+    consistentRead
+  } = {}
 ) => {
+  const live = withLiveFilter(filterExpression, expressionNames, includeDeleted);
   const params = {
     TableName: tableName,
     KeyConditionExpression: beginsWith ? 'pk = :pk AND begins_with(sk, :skPrefix)' : 'pk = :pk',
     ExpressionAttributeValues: beginsWith
       ? { ':pk': pk, ':skPrefix': beginsWith, ...(expressionValues || {}) }
       : { ':pk': pk, ...(expressionValues || {}) },
-    ExpressionAttributeNames: expressionNames,
+    ExpressionAttributeNames: live.expressionNames,
     Limit: limit,
     ExclusiveStartKey: lastKey,
-    ScanIndexForward: scanForward
+    ScanIndexForward: scanForward,
+    ...(consistentRead ? { ConsistentRead: true } : {})
   };
 
-  if (filterExpression) {
-    params.FilterExpression = filterExpression;
+  if (live.filterExpression) {
+    params.FilterExpression = live.filterExpression;
   }
 
   const result = await commands.query(params);
@@ -175,6 +756,25 @@ const queryByPk = async (
   };
 };
 
+/**
+ * Query every page of a partition
+ *
+ * @params {tableName}: string - Table name
+ * @params {pk}: string - Partition key
+ * @params {options}: object - Same options as queryByPk except limit/lastKey
+ * @returns Array of items
+ */
+const queryAllByPk = async (tableName, pk, options = {}) => {
+  const collected = [];
+  let lastKey;
+  do {
+    const { items, lastKey: nextKey } = await queryByPk(tableName, pk, { ...options, lastKey });
+    collected.push(...items);
+    lastKey = nextKey;
+  } while (lastKey);
+  return collected;
+};
+
 const scanByAttribute = async (
   tableName,
   attributeName,
@@ -233,9 +833,10 @@ const queryByIndex = async (
   tableName,
   indexName,
   partitionKey,
-  { beginsWith, limit, lastKey, filterExpression, expressionValues, expressionNames } = {}
+  { beginsWith, limit, lastKey, filterExpression, expressionValues, expressionNames, includeDeleted } = {}
 ) => {
-  const attributeName = indexName === 'entityType-index' ? 'entityType' : indexName === 'email-index' ? 'email' : 'slug';
+  const { hashKey: attributeName } = GLOBAL_SECONDARY_INDEXES.find((index) => index.indexName === indexName);
+  const live = withLiveFilter(filterExpression, expressionNames, includeDeleted);
 
   const params = {
     TableName: tableName,
@@ -244,7 +845,7 @@ const queryByIndex = async (
     ExpressionAttributeNames: {
       '#pk': attributeName,
       ...(beginsWith ? { '#sk': 'sk' } : {}),
-      ...(expressionNames || {})
+      ...(live.expressionNames || {})
     },
     ExpressionAttributeValues: beginsWith
       ? { ':pk': partitionKey, ':skPrefix': beginsWith, ...(expressionValues || {}) }
@@ -253,8 +854,8 @@ const queryByIndex = async (
     ExclusiveStartKey: lastKey
   };
 
-  if (filterExpression) {
-    params.FilterExpression = filterExpression;
+  if (live.filterExpression) {
+    params.FilterExpression = live.filterExpression;
   }
 
   try {
@@ -277,9 +878,9 @@ const queryByIndex = async (
       beginsWith,
       limit,
       lastKey,
-      filterExpression,
+      filterExpression: live.filterExpression,
       expressionValues,
-      expressionNames
+      expressionNames: live.expressionNames
     });
   }
 };
@@ -287,22 +888,110 @@ const queryByIndex = async (
 const queryByEntityType = async (tableName, entityType, options) =>
   queryByIndex(tableName, 'entityType-index', entityType, options);
 
+/**
+ * Read every page of an entityType partition
+ * queryByEntityType only returns the first page (at most 1 MB).
+ *
+ * @params {tableName}: string - Table name
+ * @params {entityType}: string - Entity type
+ * @params {options}: object - Same options as queryByEntityType except limit/lastKey
+ * @returns Array of items
+ */
+const queryAllByEntityType = async (tableName, entityType, options = {}) => {
+  const collected = [];
+  let lastKey;
+  do {
+    const { items, lastKey: nextKey } = await queryByEntityType(tableName, entityType, { ...options, lastKey });
+    collected.push(...items);
+    lastKey = nextKey;
+  } while (lastKey);
+  return collected;
+};
+
+/**
+ * Walk an entityType partition in index order until `limit` items pass `predicate`
+ *
+ * The returned lastKey is the index key of the last *returned* item rather than the
+ * page's LastEvaluatedKey, so the next call resumes right after it even when the
+ * limit was reached halfway through a DynamoDB page.
+ *
+ * @params {tableName}: string - Table name
+ * @params {entityType}: string - Entity type
+ * @params {options}: object - { limit, lastKey, predicate, includeDeleted }
+ * @returns Object with items and lastKey (undefined on the last page)
+ */
+const paginateByEntityType = async (
+  tableName,
+  entityType,
+  { limit = 20, lastKey, predicate = () => true, includeDeleted } = {}
+) => {
+  const items = [];
+  let startKey = lastKey;
+
+  do {
+    const { items: page, lastKey: nextKey } = await queryByEntityType(tableName, entityType, {
+      lastKey: startKey,
+      includeDeleted
+    });
+    for (let index = 0; index < page.length; index += 1) {
+      const item = page[index];
+      if (!predicate(item)) continue;
+      items.push(item);
+      if (items.length === limit) {
+        const exhausted = index === page.length - 1 && !nextKey;
+        return {
+          items,
+          lastKey: exhausted ? undefined : { pk: item.pk, sk: item.sk, entityType: item.entityType }
+        };
+      }
+    }
+    startKey = nextKey;
+  } while (startKey);
+
+  return { items, lastKey: undefined };
+};
+
 const queryByEmail = async (tableName, email, options) =>
   queryByIndex(tableName, 'email-index', email, options);
 
+const queryByPhoneNumber = async (tableName, phoneNumber, options) =>
+  queryByIndex(tableName, 'phoneNumber-index', phoneNumber, options);
+
 const queryBySlug = async (tableName, slug, options) => queryByIndex(tableName, 'slug-index', slug, options);
 
+const queryById = async (tableName, id, options) => queryByIndex(tableName, 'id-index', id, options);
+
 module.exports = {
   createItem,
   putItem,
   getItem,
+  batchGetItems,
+  batchWriteItems,
+  scanTable,
   updateItem,
+  incrementAttributes,
   deleteItem,
+  softDeleteItem,
+  restoreItem,
+  isDeleted,
   updateById,
   sanitizeForDynamo,
   findItemById,
   queryByPk,
+  queryAllByPk,
   queryByEntityType,
+  queryAllByEntityType,
+  paginateByEntityType,
   queryByEmail,
-  queryBySlug
+  queryBySlug,
+  queryByPhoneNumber,
+  queryById,
+  versionOf,
+  withOptimisticRetry,
+  transactWrite,
+  MAX_TRANSACTION_ITEMS,
+  ITEM_EXISTS,
+  ITEM_NOT_EXISTS,
+  DELETED_AT_ATTRIBUTE,
+  DELETED_BY_ATTRIBUTE
 };
@@ -0,0 +1,180 @@
+const { tableName } = require('../config/dynamoConfig');
+const dynamoRepository = require('./dynamoRepository');
+const outboxRepository = require('./outboxRepository');
+const { buildHistoryKeys, buildParentKeys, buildCourseKeys, buildQuestionKeys } = require('./keyFactory');
+const { getRequestContext } = require('../utils/requestContext');
+const { encodeCursor, decodeCursor } = require('../utils/cursorUtils');
+const { instrumentRepository } = require('../db/commandMetrics');
+
+const HISTORY_SK_PREFIX = 'HISTORY#';
+
+// Bookkeeping attributes that change on every write and say nothing about the edit;
+// sessions (refreshTokens, lastLogin) change on every login, refresh and logout
+const UNTRACKED_FIELDS = new Set([
+  'pk',
+  'sk',
+  'entityType',
+  'version',
+  'createdAt',
+  'updatedAt',
+  'refreshTokens',
+  'lastLogin'
+]);
+
+// Recorded as changed without keeping either value
+const REDACTED_FIELDS = new Set(['password']);
+const REDACTED = '[REDACTED]';
+
+/**
+ * Partition an entity's history lives in
+ * Children share their parent's partition, so their history goes to the child's own CHILD# partition.
+ *
+ * @params {item}: object - Entity item
+ * @returns Partition key
+ */
+const historyPartitionFor = (item) => (item.entityType === 'child' ? `CHILD#${item.id}` : item.pk);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level diff between two states of an item
+ *
+ * @params {before}: object - Stored item
+ * @params {after}: object - Item as it will be stored
+ * @returns Object { field: { from, to } }, empty when nothing tracked changed
+ */
+const diffItems = (before, after) =>
+  Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter((field) => !UNTRACKED_FIELDS.has(field) && !sameValue(before[field], after[field]))
+    .reduce((changes, field) => {
+      changes[field] = REDACTED_FIELDS.has(field)
+        ? { from: REDACTED, to: REDACTED }
+        : { from: before[field] ?? null, to: after[field] ?? null };
+      return changes;
+    }, {});
+
+const buildHistoryItem = (before, changes) => {
+  const changedAt = new Date().toISOString();
+  const version = dynamoRepository.versionOf(before) + 1;
+  const { actorId, requestId } = getRequestContext();
+  return {
+    ...buildHistoryKeys(historyPartitionFor(before), changedAt, version),
+    targetType: before.entityType,
+    targetId: before.id,
+    version,
+    changes,
+    actorId,
+    requestId,
+    changedAt
+  };
+};
+
+/**
+ * Write an entity's new state and a HISTORY# diff item in one transaction
+ * The write is guarded on the version `before` was read at, so callers should run this
+ * inside withOptimisticRetry with a fresh read per attempt.
+ *
+ * @params {before}: object - Entity item as read
+ * @params {changes}: object - Attributes to set
+ * @params {options}: object - { replace, events, operations } replace stores `changes` as the whole item
+ *   instead of merging; events are domain events written to the outbox in the same transaction;
+ *   operations are further transactWrite descriptors (e.g. a counter on another item) applied with it
+ * @returns Entity item as stored
+ */
+const updateWithHistory = async (before, changes, { replace = false, events = [], operations: extra = [] } = {}) => {
+  const after = replace ? changes : { ...before, ...changes };
+  const diff = diffItems(before, after);
+  const expectedVersion = dynamoRepository.versionOf(before);
+
+  const write = replace
+    ? { put: { item: { ...after, updatedAt: new Date().toISOString() }, expectedVersion } }
+    : { update: { pk: before.pk, sk: before.sk, data: changes, expectedVersion } };
+
+  const operations = Object.keys(diff).length > 0
+    ? [write, { put: { item: buildHistoryItem(before, diff) } }, ...extra]
+    : [write, ...extra];
+
+  await outboxRepository.writeWithEvents(operations, events);
+  return dynamoRepository.getItem(tableName, before.pk, before.sk, { consistentRead: true });
+};
+
+const keyBuilders = {
+  parent: buildParentKeys,
+  course: buildCourseKeys,
+  question: buildQuestionKeys
+};
+
+/**
+ * Load the entity whose history is requested, trashed or not
+ *
+ * @params {entityType}: string - parent, child, course or question
+ * @params {id}: string - Entity ID
+ * @returns Entity item, or null when it does not exist
+ */
+const findTarget = async (entityType, id) => {
+  if (entityType === 'child') {
+    return dynamoRepository.findItemById(tableName, id, { skPrefix: 'CHILD#', includeDeleted: true });
+  }
+  const { pk, sk } = keyBuilders[entityType](id);
+  return dynamoRepository.getItem(tableName, pk, sk, { includeDeleted: true });
+};
+
+/**
+ * Page through an entity's history, newest change first
+ *
+ * @params {item}: object - Entity item (trashed items included)
+ * @params {options}: object - { limit, cursor }
+ * @returns Object with entries and nextCursor
+ */
+const listHistory = async (item, { limit = 20, cursor } = {}) => {
+  const pk = historyPartitionFor(item);
+  const scope = `history:${pk}`;
+  const { items, lastKey } = await dynamoRepository.queryByPk(tableName, pk, {
+    beginsWith: HISTORY_SK_PREFIX,
+    scanForward: false,
+    limit,
+    lastKey: decodeCursor(scope, cursor)
+  });
+
+  return {
+    entries: items.map(({ targetType, targetId, version, changes, actorId, requestId, changedAt }) => ({
+      targetType,
+      targetId,
+      version,
+      changes,
+      actorId,
+      requestId,
+      changedAt
+    })),
+    nextCursor: encodeCursor(scope, lastKey)
+  };
+};
+
+/**
+ * Permanently delete an entity's history, e.g. when the entity itself is purged
+ *
+ * @params {item}: object - Entity item
+ * @returns Number of history items deleted
+ */
+const purgeHistory = async (item) => {
+  const entries = await dynamoRepository.queryAllByPk(tableName, historyPartitionFor(item), {
+    beginsWith: HISTORY_SK_PREFIX
+  });
+
+  for (let start = 0; start < entries.length; start += 100) {
+    await dynamoRepository.transactWrite(
+      tableName,
+      entries.slice(start, start + 100).map((entry) => ({ delete: { pk: entry.pk, sk: entry.sk } }))
+    );
+  }
+  return entries.length;
+};
+
+module.exports = instrumentRepository('historyRepository', {
+  HISTORY_SK_PREFIX,
+  diffItems,
+  updateWithHistory,
+  findTarget,
+  listHistory,
+  purgeHistory
+});
@@ -3,6 +3,8 @@ const { tableName } = require('../config/dynamoConfig');
 const dynamoRepository = require('./dynamoRepository');
 const { buildInstructorKeys } = require('./keyFactory');
 const logger = require('../utils/logger');
+const { encodeCursor, decodeCursor } = require('../utils/cursorUtils');
+const { instrumentRepository } = require('../db/commandMetrics');
 
 const IMMUTABLE_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'email']);
 
@@ -47,24 +49,29 @@ const getInstructorByEmail = async (email) => {
   return format(items?.[0] || null);
 };
 
-const getInstructors = async (filters = {}, page = 1, limit = 20, sort = { createdAt: -1 }) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'instructor');
-  let list = items || [];
-
-  if (filters.isActive !== undefined) list = list.filter((i) => i.isActive === filters.isActive);
+const matchesInstructorFilters = (instructor, filters = {}) => {
+  if (filters.isActive !== undefined && instructor.isActive !== filters.isActive) return false;
   if (filters.expertise) {
     const exp = Array.isArray(filters.expertise) ? filters.expertise : [filters.expertise];
-    list = list.filter((i) => (i.expertiseAreas || []).some((area) => exp.includes(area)));
+    if (!(instructor.expertiseAreas || []).some((area) => exp.includes(area))) return false;
   }
   if (filters.search) {
     const s = filters.search.toLowerCase();
-    list = list.filter(
-      (i) =>
-        (i.firstName || '').toLowerCase().includes(s) ||
-        (i.lastName || '').toLowerCase().includes(s) ||
-        (i.email || '').toLowerCase().includes(s)
+    return (
+      (instructor.firstName || '').toLowerCase().includes(s) ||
+      (instructor.lastName || '').toLowerCase().includes(s) ||
+      (instructor.email || '').toLowerCase().includes(s)
     );
   }
+  return true;
+};
+
+/**
+ * Page/limit listing (compatibility mode): loads every instructor to sort and count
+ */
+const getInstructors = async (filters = {}, page = 1, limit = 20, sort = { createdAt: -1 }) => {
+  const items = await dynamoRepository.queryAllByEntityType(tableName, 'instructor');
+  const list = (items || []).filter((i) => matchesInstructorFilters(i, filters));
 
   if (sort.createdAt) {
     list.sort((a, b) =>
@@ -91,6 +98,27 @@ const getInstructors = async (filters = {}, page = 1, limit = 20, sort = { creat
   };
 };
 
+/**
+ * Cursor listing: reads only as far as needed, in index order
+ */
+const paginateInstructors = async (filters = {}, { limit = 20, cursor } = {}) => {
+  const { items, lastKey } = await dynamoRepository.paginateByEntityType(tableName, 'instructor', {
+    limit,
+    lastKey: decodeCursor('instructors', cursor),
+    predicate: (instructor) => matchesInstructorFilters(instructor, filters)
+  });
+
+  const nextCursor = encodeCursor('instructors', lastKey);
+  return {
+    data: items.map(format),
+    pagination: {
+      limit,
+      nextCursor,
+      hasNext: Boolean(nextCursor)
+    }
+  };
+};
+
 const updateInstructor = async (id, data) => {
   Object.keys(data || {}).forEach((key) => {
     if (IMMUTABLE_FIELDS.has(key)) {
@@ -108,11 +136,12 @@ const deleteInstructor = async (id) => {
   return !!updated;
 };
 
-module.exports = {
+module.exports = instrumentRepository('instructorRepository', {
   createInstructor,
   getInstructorById,
   getInstructorByEmail,
   getInstructors,
+  paginateInstructors,
   updateInstructor,
   deleteInstructor
-};
+});
@@ -16,12 +16,39 @@ const buildCourseKeys = (id) => ({
   entityType: 'course'
 });
 
+// Sections and videos live in the course's partition; order is an attribute so reordering never re-keys
+const buildCourseSectionKeys = (courseId, sectionId) => ({
+  pk: `COURSE#${courseId}`,
+  sk: `SECTION#${sectionId}`,
+  entityType: 'course_section'
+});
+
+const buildCourseVideoKeys = (courseId, sectionId, videoId) => ({
+  pk: `COURSE#${courseId}`,
+  sk: `VIDEO#${sectionId}#${videoId}`,
+  entityType: 'course_video'
+});
+
 const buildCourseProgressKeys = (userId, courseId, progressId) => ({
   pk: `USER#${userId}`,
   sk: `COURSE_PROGRESS#${courseId}#${progressId}`,
   entityType: 'course_progress'
 });
 
+// One guard per user and course; the put that enrolls fails when it already exists
+const buildEnrollmentKeys = (userId, courseId) => ({
+  pk: `ENROLLMENT#${userId}#${courseId}`,
+  sk: 'ENROLLMENT',
+  entityType: 'enrollment'
+});
+
+// One guard per E.164 number; it holds parentId only, so it stays out of phoneNumber-index
+const buildPhoneKeys = (phoneNumber) => ({
+  pk: `PHONE#${phoneNumber}`,
+  sk: 'PHONE',
+  entityType: 'phone_number'
+});
+
 const buildInstructorKeys = (id) => ({
   pk: `INSTRUCTOR#${id}`,
   sk: `INSTRUCTOR#${id}`,
@@ -52,14 +79,49 @@ const buildChildNutritionKeys = (childId, recordId) => ({
   entityType: 'child_nutrition'
 });
 
+const buildMigrationKeys = (id) => ({
+  pk: `MIGRATION#${id}`,
+  sk: `MIGRATION#${id}`,
+  entityType: 'migration'
+});
+
+// History items live in the owning entity's partition; version keeps two changes in the same millisecond apart
+const buildHistoryKeys = (ownerPk, changedAt, version) => ({
+  pk: ownerPk,
+  sk: `HISTORY#${changedAt}#${version}`,
+  entityType: 'history'
+});
+
+// One counter per scope (account, otp, ip) and subject, e.g. LOGIN_ATTEMPT#ip#203.0.113.24
+const buildLoginAttemptKeys = (scope, subject) => ({
+  pk: `LOGIN_ATTEMPT#${scope}#${subject}`,
+  sk: `LOGIN_ATTEMPT#${scope}`,
+  entityType: 'login_attempt'
+});
+
+// One partition per event; the sort key orders pending events by time on entityType-index
+const buildOutboxKeys = (eventId, occurredAt) => ({
+  pk: `OUTBOX#${eventId}`,
+  sk: `OUTBOX#${occurredAt}#${eventId}`,
+  entityType: 'outbox_event'
+});
+
 module.exports = {
   buildParentKeys,
   buildChildKeys,
   buildCourseKeys,
+  buildCourseSectionKeys,
+  buildCourseVideoKeys,
   buildCourseProgressKeys,
+  buildEnrollmentKeys,
+  buildPhoneKeys,
   buildInstructorKeys,
   buildQuestionKeys,
   buildOtpKeys,
   buildChildEducationKeys,
-  buildChildNutritionKeys
+  buildChildNutritionKeys,
+  buildHistoryKeys,
+  buildMigrationKeys,
+  buildOutboxKeys,
+  buildLoginAttemptKeys
 };
@@ -0,0 +1,72 @@
+const { tableName } = require('../config/dynamoConfig');
+const dynamoRepository = require('./dynamoRepository');
+const { buildLoginAttemptKeys } = require('./keyFactory');
+const { instrumentRepository } = require('../db/commandMetrics');
+const { TTL_ATTRIBUTE } = require('../db/tableDefinition');
+
+// A burst of parallel guesses contends for one counter, so writes retry more than the default
+const CONFLICT_RETRIES = 10;
+
+// Kept this long past the later of resetAt and lockedUntil before DynamoDB may expire the counter
+const TTL_MARGIN_SECONDS = 60 * 60;
+
+// Epoch seconds once the counter no longer affects anything, plus the margin
+const expiryOf = (counter) =>
+  Math.ceil(Math.max(Date.parse(counter.resetAt) || 0, Date.parse(counter.lockedUntil) || 0, Date.now()) / 1000) +
+  TTL_MARGIN_SECONDS;
+
+/**
+ * Read a failure counter
+ *
+ * @params {scope}: string - account, otp or ip, or one of the send scopes
+ * @params {subject}: string - Parent id, contact or IP address
+ * @returns Counter item, or null when nothing has failed yet
+ */
+const getAttempts = async (scope, subject) => {
+  const { pk, sk } = buildLoginAttemptKeys(scope, subject);
+  return dynamoRepository.getItem(tableName, pk, sk, { consistentRead: true });
+};
+
+/**
+ * Read-modify-write a failure counter, retrying when a concurrent attempt wrote first
+ * (also when both saw no counter yet: only one of them can create it).
+ * Every write moves the counter's ttl past its window and lockout, so DynamoDB expires idle ones.
+ *
+ * @params {scope}: string - account, otp or ip, or one of the send scopes
+ * @params {subject}: string - Parent id, contact or IP address
+ * @params {mutator}: Function - (counter) => void; gets the stored counter, or a new one with
+ *   failures 0, and changes it in place
+ * @returns Saved counter
+ */
+const modifyAttempts = async (scope, subject, mutator) => {
+  const keys = buildLoginAttemptKeys(scope, subject);
+
+  return dynamoRepository.withOptimisticRetry(async () => {
+    const stored = await dynamoRepository.getItem(tableName, keys.pk, keys.sk, { consistentRead: true });
+    const counter = stored ? { ...stored } : { ...keys, scope, subject, failures: 0 };
+    await mutator(counter);
+    counter[TTL_ATTRIBUTE] = expiryOf(counter);
+
+    return stored
+      ? dynamoRepository.putItem(tableName, counter, { expectedVersion: dynamoRepository.versionOf(stored) })
+      : dynamoRepository.putItem(tableName, counter, { condition: dynamoRepository.ITEM_NOT_EXISTS });
+  }, { retries: CONFLICT_RETRIES, context: { scope } });
+};
+
+/**
+ * Forget a failure counter, e.g. after a successful login
+ *
+ * @params {scope}: string - account, otp or ip, or one of the send scopes
+ * @params {subject}: string - Parent id, contact or IP address
+ * @returns true
+ */
+const clearAttempts = async (scope, subject) => {
+  const { pk, sk } = buildLoginAttemptKeys(scope, subject);
+  return dynamoRepository.deleteItem(tableName, pk, sk);
+};
+
+module.exports = instrumentRepository('loginAttemptRepository', {
+  getAttempts,
+  modifyAttempts,
+  clearAttempts
+});
@@ -0,0 +1,116 @@
+const { tableName } = require('../config/dynamoConfig');
+const dynamoRepository = require('./dynamoRepository');
+const { buildMigrationKeys } = require('./keyFactory');
+const { instrumentRepository } = require('../db/commandMetrics');
+
+/**
+ * Tracking item of one migration
+ *
+ * @params {id}: string - Migration ID (file name without extension)
+ * @returns MIGRATION# item, or null when the migration never ran
+ */
+const getMigration = async (id) => {
+  const { pk, sk } = buildMigrationKeys(id);
+  return dynamoRepository.getItem(tableName, pk, sk, { consistentRead: true });
+};
+
+/**
+ * Every tracking item, keyed by migration ID
+ *
+ * @returns Object { [id]: MIGRATION# item }
+ */
+const listMigrations = async () => {
+  const items = await dynamoRepository.queryAllByEntityType(tableName, 'migration');
+  return items.reduce((byId, item) => ({ ...byId, [item.id]: item }), {});
+};
+
+/**
+ * Create or overwrite the tracking item of a migration
+ * Attributes passed as undefined (e.g. a finished run's resumeKey) are dropped from the item.
+ *
+ * @params {id}: string - Migration ID
+ * @params {state}: object - { status, direction, resumeKey, stats, error, appliedAt, executionTime }
+ * @returns Stored tracking item
+ */
+const saveMigration = async (id, state) => {
+  const existing = await getMigration(id);
+  const item = dynamoRepository.sanitizeForDynamo({
+    ...(existing || {}),
+    ...buildMigrationKeys(id),
+    id,
+    ...state,
+    updatedAt: new Date().toISOString()
+  });
+  return dynamoRepository.putItem(tableName, item);
+};
+
+/**
+ * Read one batch of an entity type for a migration, trashed items included
+ *
+ * @params {entityType}: string - Entity type the migration targets
+ * @params {options}: object - { limit, lastKey } where lastKey is the resume token of the previous batch
+ * @returns Object with items and lastKey (undefined after the last batch)
+ */
+const readBatch = async (entityType, { limit, lastKey } = {}) =>
+  dynamoRepository.queryByEntityType(tableName, entityType, { limit, lastKey, includeDeleted: true });
+
+const writeChange = async (item, { set = {}, remove = [], rekey, create = [] } = {}) => {
+  const expectedVersion = dynamoRepository.versionOf(item);
+
+  // Plain puts, so items written by an interrupted attempt are simply overwritten on retry
+  for (let start = 0; start < create.length; start += dynamoRepository.MAX_TRANSACTION_ITEMS) {
+    await dynamoRepository.transactWrite(
+      tableName,
+      create.slice(start, start + dynamoRepository.MAX_TRANSACTION_ITEMS).map((created) => ({ put: { item: created } }))
+    );
+  }
+
+  if (rekey && (rekey.pk !== item.pk || rekey.sk !== item.sk)) {
+    const moved = { ...item, ...set, ...rekey };
+    remove.forEach((attribute) => delete moved[attribute]);
+    await dynamoRepository.transactWrite(tableName, [
+      { delete: { pk: item.pk, sk: item.sk, expectedVersion } },
+      { put: { item: moved, condition: dynamoRepository.ITEM_NOT_EXISTS } }
+    ]);
+    return;
+  }
+
+  await dynamoRepository.updateItem(tableName, item.pk, item.sk, set, { expectedVersion, remove });
+};
+
+/**
+ * Apply one migration change, guarded on the version the item was read at
+ * A change that moves the item to new keys deletes the old item and creates the new one in a transaction.
+ * Items listed in `create` are written before the item itself is changed.
+ * When the item changed since it was read, it is re-read and `recompute` decides the change again.
+ *
+ * @params {item}: object - Item as read
+ * @params {change}: object - { set, remove, rekey, create } where rekey is { pk, sk } and create lists new items
+ * @params {recompute}: Function - (currentItem) => change or null
+ * @returns true when a change was written, false when the re-read item no longer needed one
+ */
+const applyChange = async (item, change, recompute) => {
+  let current = item;
+  let pending = change;
+
+  return dynamoRepository.withOptimisticRetry(async (attempt) => {
+    if (attempt > 1) {
+      current = await dynamoRepository.getItem(tableName, current.pk, current.sk, {
+        consistentRead: true,
+        includeDeleted: true
+      });
+      pending = current ? recompute(current) : null;
+      if (!pending) return false;
+    }
+    await writeChange(current, pending);
+    return true;
+  }, { context: { pk: item.pk, sk: item.sk } });
+};
+
+module.exports = instrumentRepository('migrationRepository', {
+  getMigration,
+  listMigrations,
+  saveMigration,
+  readBatch,
+  applyChange
+});
@@ -2,6 +2,7 @@ const { v4: uuidv4 } = require('uuid');
 const { tableName } = require('../config/dynamoConfig');
 const dynamoRepository = require('./dynamoRepository');
 const { buildOtpKeys } = require('./keyFactory');
+const { instrumentRepository } = require('../db/commandMetrics');
 
 const format = (doc) => (doc ? { ...doc, _id: doc.id } : null);
 
@@ -39,21 +40,70 @@ const getLatestByContactAndPurpose = async (contact, purpose) => {
 };
 
 const deleteById = async (id) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'otp', {
-    filterExpression: '#id = :id',
-    expressionNames: { '#id': 'id' },
-    expressionValues: { ':id': id },
-    limit: 1
-  });
-  const record = items?.[0];
+  const record = await dynamoRepository.findItemById(tableName, id, { skPrefix: 'OTP#' });
   if (!record) return true;
   await dynamoRepository.deleteItem(tableName, record.pk, record.sk);
   return true;
 };
 
-module.exports = {
+const UNUSED = { expression: 'attribute_not_exists(#verifiedAt)', names: { '#verifiedAt': 'verifiedAt' } };
+
+/**
+ * Count a wrong guess with a conditional ADD, so concurrent guesses never overwrite each other
+ *
+ * @params {otpDoc}: object - OTP as loaded
+ * @params {maxAttempts}: number - Guesses allowed per code
+ * @returns Updated OTP, or null when the code is gone, used or already out of attempts
+ */
+const recordFailedAttempt = async (otpDoc, maxAttempts) => {
+  const updated = await dynamoRepository.incrementAttributes(tableName, otpDoc.pk, otpDoc.sk, { attempts: 1 }, {
+    condition: {
+      expression: `${UNUSED.expression} AND (attribute_not_exists(#attempts) OR #attempts < :maxAttempts)`,
+      names: { ...UNUSED.names, '#attempts': 'attempts' },
+      values: { ':maxAttempts': maxAttempts }
+    }
+  });
+  return format(updated);
+};
+
+/**
+ * Mark a code as used; only the first of several concurrent submissions succeeds
+ *
+ * @params {otpDoc}: object - OTP as loaded
+ * @returns Updated OTP, or null when the code is gone or was used already
+ */
+const markVerified = async (otpDoc) => {
+  const updated = await dynamoRepository.updateItem(
+    tableName,
+    otpDoc.pk,
+    otpDoc.sk,
+    { verified: true, verifiedAt: new Date().toISOString() },
+    { condition: { expression: `attribute_exists(pk) AND ${UNUSED.expression}`, names: UNUSED.names } }
+  );
+  return format(updated);
+};
+
+/**
+ * Transaction operation using up a verified code, e.g. next to the parent a signup code registers
+ * The delete fails, cancelling the transaction, once the code is gone.
+ *
+ * @params {otpDoc}: object - Verified OTP as loaded
+ * @returns transactWrite delete descriptor
+ */
+const buildConsumeOperation = (otpDoc) => ({
+  delete: {
+    pk: otpDoc.pk,
+    sk: otpDoc.sk,
+    condition: { expression: 'attribute_exists(#verifiedAt)', names: UNUSED.names }
+  }
+});
+
+module.exports = instrumentRepository('otpRepository', {
   createOtp,
   deleteByContactAndPurpose,
   getLatestByContactAndPurpose,
+  recordFailedAttempt,
+  markVerified,
+  buildConsumeOperation,
   deleteById
-};
+});
@@ -0,0 +1,136 @@
+const { v4: uuidv4 } = require('uuid');
+const { tableName } = require('../config/dynamoConfig');
+const dynamoRepository = require('./dynamoRepository');
+const { buildOutboxKeys } = require('./keyFactory');
+const eventBus = require('../events/eventBus');
+const { getRequestContext } = require('../utils/requestContext');
+const { instrumentRepository } = require('../db/commandMetrics');
+
+const OUTBOX_ENTITY_TYPE = 'outbox_event';
+
+const STATUS = {
+  PENDING: 'pending',
+  // Ran out of attempts; kept for inspection and never delivered again
+  DEAD: 'dead'
+};
+
+/**
+ * Outbox item for one domain event, written by the caller's transaction
+ *
+ * @params {event}: object - { type, aggregateType, aggregateId, payload }
+ * @returns Transaction put descriptor
+ */
+const buildEventOperation = ({ type, aggregateType, aggregateId, payload = {} }) => {
+  const id = uuidv4();
+  const occurredAt = new Date().toISOString();
+  const { actorId, requestId } = getRequestContext();
+  return {
+    put: {
+      item: {
+        ...buildOutboxKeys(id, occurredAt),
+        id,
+        type,
+        aggregateType,
+        aggregateId,
+        payload,
+        occurredAt,
+        actorId,
+        requestId,
+        status: STATUS.PENDING,
+        attempts: 0,
+        deliveredTo: [],
+        availableAt: occurredAt
+      },
+      condition: dynamoRepository.ITEM_NOT_EXISTS
+    }
+  };
+};
+
+/**
+ * Apply a change and record its domain events in one transaction
+ * Either both the change and its events are stored or neither is.
+ *
+ * @params {operations}: Array - transactWrite descriptors making the change
+ * @params {events}: Array - { type, aggregateType, aggregateId, payload }
+ * @returns true when the transaction committed
+ */
+const writeWithEvents = async (operations, events = []) => {
+  await dynamoRepository.transactWrite(tableName, [...operations, ...events.map(buildEventOperation)]);
+  if (events.length > 0) {
+    eventBus.notifyPending();
+  }
+  return true;
+};
+
+/**
+ * Pending events whose next attempt is due, oldest first
+ *
+ * @params {options}: object - { limit, now }
+ * @returns Array of outbox items
+ */
+const listDue = async ({ limit = 25, now = new Date().toISOString() } = {}) => {
+  const { items } = await dynamoRepository.paginateByEntityType(tableName, OUTBOX_ENTITY_TYPE, {
+    limit,
+    predicate: (event) => event.status === STATUS.PENDING && event.availableAt <= now
+  });
+  return items;
+};
+
+/**
+ * Take an event for delivery by pushing its availableAt past the lease
+ * Guarded on the version read, so two dispatchers never deliver the same event at once.
+ *
+ * @params {event}: object - Outbox item as listed
+ * @params {leaseUntil}: string - ISO time after which another dispatcher may take it over
+ * @returns Claimed item, or null when another dispatcher got there first
+ */
+const claim = async (event, leaseUntil) => {
+  try {
+    return await dynamoRepository.updateItem(tableName, event.pk, event.sk, { availableAt: leaseUntil }, {
+      expectedVersion: dynamoRepository.versionOf(event)
+    });
+  } catch (error) {
+    if (error.code === 'CONCURRENT_MODIFICATION') return null;
+    throw error;
+  }
+};
+
+/**
+ * Remove an event every subscriber has handled
+ *
+ * @params {event}: object - Claimed outbox item
+ */
+const complete = async (event) => dynamoRepository.deleteItem(tableName, event.pk, event.sk);
+
+/**
+ * Record a delivery attempt in which some subscribers failed
+ *
+ * @params {event}: object - Claimed outbox item
+ * @params {outcome}: object - { deliveredTo, lastError, availableAt, dead }
+ * @returns Updated outbox item
+ */
+const recordFailure = async (event, { deliveredTo, lastError, availableAt, dead = false }) =>
+  dynamoRepository.updateItem(
+    tableName,
+    event.pk,
+    event.sk,
+    {
+      attempts: (event.attempts || 0) + 1,
+      deliveredTo,
+      lastError,
+      availableAt,
+      status: dead ? STATUS.DEAD : STATUS.PENDING
+    },
+    { expectedVersion: dynamoRepository.versionOf(event) }
+  );
+
+module.exports = instrumentRepository('outboxRepository', {
+  OUTBOX_ENTITY_TYPE,
+  STATUS,
+  buildEventOperation,
+  writeWithEvents,
+  listDue,
+  claim,
+  complete,
+  recordFailure
+});
@@ -2,26 +2,104 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const { tableName } = require('../config/dynamoConfig');
-const { JWT_SECRET, JWT_REFRESH_SECRET } = require('../config/jwtConfig');
+const { JWT_SECRET, JWT_REFRESH_SECRET, REFRESH_TOKEN_TTL_SECONDS } = require('../config/jwtConfig');
 const dynamoRepository = require('./dynamoRepository');
-const { buildParentKeys } = require('./keyFactory');
+const historyRepository = require('./historyRepository');
+const outboxRepository = require('./outboxRepository');
+const cache = require('../cache');
+const { buildParentKeys, buildCourseKeys, buildPhoneKeys } = require('./keyFactory');
 const logger = require('../utils/logger');
+const { DOMAIN_EVENTS } = require('../constants/eventConstants');
+const { encodeCursor, decodeCursor } = require('../utils/cursorUtils');
+const { instrumentRepository } = require('../db/commandMetrics');
+const { ConflictError, ValidationError } = require('../utils/errors');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
 
 const IMMUTABLE_FIELDS = new Set(['id', 'createdAt']);
 
+// Cached course reads include wishlistCount
+const COURSE_CACHE_NAMESPACE = 'courses';
+
+// Keeps a wishlist removal from taking a course's wishlistCount below zero
+const WISHLISTED_AT_LEAST_ONCE = {
+  expression: '#wishlistCount > :zeroWishlists',
+  names: { '#wishlistCount': 'wishlistCount' },
+  values: { ':zeroWishlists': 0 }
+};
+
+const toE164 = (phoneNumber) => {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    throw new ValidationError('Please provide a valid phone number', 'INVALID_PHONE_NUMBER');
+  }
+  return normalized;
+};
+
+const duplicatePhoneError = () => new ConflictError('Parent with this phone number already exists', 'DUPLICATE_PHONE');
+
+// Phone numbers are unique like emails; the excluded parent is the one being updated.
+// The index read covers parents stored before phone guards; the guard put settles races.
+const assertPhoneAvailable = async (phoneNumber, exceptParentId = null) => {
+  const owner = await getParentByPhone(phoneNumber);
+  if (owner && owner.id !== exceptParentId) {
+    throw duplicatePhoneError();
+  }
+};
+
+// Only the owner's guard is removed, and a parent stored before guards has none to remove
+const ownsPhoneGuard = (parentId) => ({
+  expression: 'attribute_not_exists(pk) OR #parentId = :parentId',
+  names: { '#parentId': 'parentId' },
+  values: { ':parentId': parentId }
+});
+
+/**
+ * Transaction operations moving a parent's PHONE# guard from one number to another
+ * The put fails when another parent already holds the new number.
+ *
+ * @params {parentId}: string - Parent ID
+ * @params {phoneNumber}: string - New E.164 number, if any
+ * @params {previousPhoneNumber}: string - Number the parent held before, if any
+ * @returns Array of transactWrite operations, empty when the number is unchanged
+ */
+const phoneGuardOperations = (parentId, phoneNumber, previousPhoneNumber) => {
+  if (phoneNumber === previousPhoneNumber) return [];
+
+  const operations = [];
+  if (phoneNumber) {
+    operations.push({ put: { item: { ...buildPhoneKeys(phoneNumber), parentId }, condition: dynamoRepository.ITEM_NOT_EXISTS } });
+  }
+  if (previousPhoneNumber) {
+    const { pk, sk } = buildPhoneKeys(previousPhoneNumber);
+    operations.push({ delete: { pk, sk, condition: ownsPhoneGuard(parentId) } });
+  }
+  return operations;
+};
+
+// Turns a cancelled transaction whose phone guard put failed into the duplicate phone error
+const rethrowPhoneConflict = (error, phoneNumber) => {
+  const guardPk = phoneNumber && buildPhoneKeys(phoneNumber).pk;
+  if (guardPk && error.code === 'TRANSACTION_CANCELLED' && (error.details || []).some((failure) => failure.pk === guardPk)) {
+    throw duplicatePhoneError();
+  }
+  throw error;
+};
+
 const attachHelpers = (item) => {
   if (!item) return null;
-  return {
+  const parent = {
     ...item,
     _id: item.id,
     comparePassword: async (candidate) => bcrypt.compare(candidate, item.password || ''),
-    getSignedJwtToken: () =>
-      jwt.sign({ id: item.id, email: item.email, role: 'parent' }, JWT_SECRET, {
+    // sid ties the access token to a login session (refresh token family) so revoking it takes effect at once
+    getSignedJwtToken: (sessionId) =>
+      jwt.sign({ id: item.id, email: item.email, role: 'parent', ...(sessionId ? { sid: sessionId } : {}) }, JWT_SECRET, {
         expiresIn: process.env.JWT_EXPIRES_IN || '7d'
       }),
-    generateRefreshToken: () =>
-      jwt.sign({ id: item.id, type: 'refresh' }, JWT_REFRESH_SECRET, {
-        expiresIn: '30d'
+    // fid names the token family (one per login); jti keeps two tokens signed in the same second distinct
+    generateRefreshToken: (familyId) =>
+      jwt.sign({ id: item.id, type: 'refresh', fid: familyId, jti: uuidv4() }, JWT_REFRESH_SECRET, {
+        expiresIn: REFRESH_TOKEN_TTL_SECONDS
       }),
     getPublicProfile: () => ({
       id: item.id,
@@ -38,27 +116,45 @@ const attachHelpers = (item) => {
       createdAt: item.createdAt,
       lastLogin: item.lastLogin
     }),
-    save: async () => {
+    // Persists the current state of this object, guarded on the version it was loaded with,
+    // and records what changed in the parent's history (with any domain events in the same write)
+    save: async ({ events = [] } = {}) => {
+      const { _id, ...fields } = parent;
+      if (fields.password && fields.password !== item.password) {
+        fields.password = await bcrypt.hash(fields.password, 12);
+      }
+
       const toPersist = dynamoRepository.sanitizeForDynamo({
-        ...item,
+        ...fields,
         ...buildParentKeys(item.id),
         id: item.id
       });
 
-      const persisted = await dynamoRepository.putItem(tableName, toPersist);
+      const persisted = await historyRepository.updateWithHistory(item, toPersist, { replace: true, events });
       return attachHelpers(persisted);
     },
     markModified: () => {}
   };
+  return parent;
 };
 
-const createParent = async (parentData) => {
+/**
+ * Create a parent with its phone guard and parent.registered event
+ *
+ * @params {parentData}: object - Parent fields, with the plain password
+ * @params {options}: object - { operations } further transactWrite descriptors written with the parent
+ * @returns Created parent with helpers; throws ConflictError DUPLICATE_EMAIL or DUPLICATE_PHONE
+ */
+const createParent = async (parentData, { operations = [] } = {}) => {
   const email = parentData.email?.toLowerCase().trim();
   const existing = await getParentByEmail(email);
   if (existing) {
-    const error = new Error('Parent with this email address already exists');
-    error.code = 'DUPLICATE_EMAIL';
-    throw error;
+    throw new ConflictError('Parent with this email address already exists', 'DUPLICATE_EMAIL');
+  }
+
+  const phoneNumber = parentData.phoneNumber ? toE164(parentData.phoneNumber) : undefined;
+  if (phoneNumber) {
+    await assertPhoneAvailable(phoneNumber);
   }
 
   const passwordHash = await bcrypt.hash(parentData.password, 12);
@@ -69,6 +165,7 @@ const createParent = async (parentData) => {
     ...buildParentKeys(id),
     id,
     email,
+    phoneNumber,
     password: passwordHash,
     childrenIds: parentData.childrenIds || [],
     wishlistCourseIds: parentData.wishlistCourseIds || [],
@@ -76,7 +173,18 @@ const createParent = async (parentData) => {
     refreshTokens: parentData.refreshTokens || []
   };
 
-  const created = await dynamoRepository.createItem(tableName, payload);
+  // The parent, its phone guard, the caller's operations and its parent.registered event are stored together
+  await outboxRepository
+    .writeWithEvents(
+      [
+        { put: { item: payload, condition: dynamoRepository.ITEM_NOT_EXISTS } },
+        ...phoneGuardOperations(id, phoneNumber),
+        ...operations
+      ],
+      [{ type: DOMAIN_EVENTS.PARENT_REGISTERED, aggregateType: 'parent', aggregateId: id, payload: { parentId: id } }]
+    )
+    .catch((error) => rethrowPhoneConflict(error, phoneNumber));
+  const created = await dynamoRepository.getItem(tableName, payload.pk, payload.sk, { consistentRead: true });
   logger.info('Parent created successfully', { parentId: created.id });
   return attachHelpers(created);
 };
@@ -90,10 +198,10 @@ const getParent = async (parentId) => {
     }
   } catch (error) {
     // Fallback to scan if table schema differs
-    const item = await dynamoRepository.findItemById(tableName, parentId);
+    const item = await dynamoRepository.findItemById(tableName, parentId, { skPrefix: 'PARENT#' });
     return attachHelpers(item);
   }
-  const item = await dynamoRepository.findItemById(tableName, parentId);
+  const item = await dynamoRepository.findItemById(tableName, parentId, { skPrefix: 'PARENT#' });
   return attachHelpers(item);
 };
 
@@ -103,45 +211,79 @@ const getParentByEmail = async (email) => {
   const { items } = await dynamoRepository.queryByEmail(tableName, normalized, {
     filterExpression: '#et = :type',
     expressionNames: { '#et': 'entityType' },
-    expressionValues: { ':type': 'parent' },
-    limit: 1
+    expressionValues: { ':type': 'parent' }
+  });
+  return attachHelpers(items?.[0] || null);
+};
+
+/**
+ * Find a parent by phone number through phoneNumber-index
+ *
+ * @params {phoneNumber}: string - Phone number in any format normalizePhoneNumber accepts
+ * @returns Parent with helpers, or null when none matches or the number is not valid
+ */
+const getParentByPhone = async (phoneNumber) => {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) return null;
+  const { items } = await dynamoRepository.queryByPhoneNumber(tableName, normalized, {
+    filterExpression: '#et = :type',
+    expressionNames: { '#et': 'entityType' },
+    expressionValues: { ':type': 'parent' }
   });
   return attachHelpers(items?.[0] || null);
 };
 
+const inCity = (city) => {
+  const normalized = city.toLowerCase();
+  return (parent) => (parent.city || '').toLowerCase() === normalized;
+};
+
+/**
+ * Offset listing (compatibility mode)
+ */
 const getParentsByCity = async (city, limit = 100, skip = 0) => {
   if (!city) return [];
-  const normalized = city.toLowerCase();
+  const matchesCity = inCity(city);
   let lastKey;
   const collected = [];
   do {
     const { items, lastKey: nextKey } = await dynamoRepository.queryByEntityType(tableName, 'parent', {
-      lastKey,
-      filterExpression: 'begins_with(#city, :city)',
-      expressionNames: { '#city': 'city' },
-      expressionValues: { ':city': normalized }
+      lastKey
     });
-    collected.push(...(items || []).filter((p) => (p.city || '').toLowerCase() === normalized));
+    collected.push(...(items || []).filter(matchesCity));
     lastKey = nextKey;
-    if (collected.length >= skip + limit || !lastKey) {
-      break;
-    }
-  } while (lastKey);
+  } while (lastKey && collected.length < skip + limit);
 
   const sliced = collected.slice(skip, skip + limit);
   return sliced.map(attachHelpers);
 };
 
+/**
+ * Cursor listing of active parents in a city, in index order
+ *
+ * @params {city}: string - City name (case-insensitive)
+ * @params {options}: object - { limit, cursor }
+ * @returns Object with parents and nextCursor
+ */
+const paginateParentsByCity = async (city, { limit = 20, cursor } = {}) => {
+  const matchesCity = inCity(city);
+  const { items, lastKey } = await dynamoRepository.paginateByEntityType(tableName, 'parent', {
+    limit,
+    lastKey: decodeCursor('parents-by-city', cursor),
+    predicate: (parent) => parent.isActive !== false && matchesCity(parent)
+  });
+
+  return {
+    parents: items.map(attachHelpers),
+    nextCursor: encodeCursor('parents-by-city', lastKey)
+  };
+};
+
 const updateParent = async (parentId, updateData) => {
   if (!updateData || Object.keys(updateData).length === 0) {
     return getParent(parentId);
   }
 
-  const existing = await dynamoRepository.findItemById(tableName, parentId);
-  if (!existing) {
-    return null;
-  }
-
   const sanitized = {};
   Object.entries(updateData).forEach(([key, value]) => {
     if (!IMMUTABLE_FIELDS.has(key) && value !== undefined) {
@@ -153,20 +295,214 @@ const updateParent = async (parentId, updateData) => {
     sanitized.password = await bcrypt.hash(sanitized.password, 12);
   }
 
-  const merged = {
-    ...existing,
-    ...sanitized,
-    updatedAt: new Date().toISOString()
-  };
+  if (sanitized.phoneNumber) {
+    sanitized.phoneNumber = toE164(sanitized.phoneNumber);
+    await assertPhoneAvailable(sanitized.phoneNumber, parentId);
+  }
+
+  return dynamoRepository.withOptimisticRetry(async () => {
+    const existing = await dynamoRepository.findItemById(tableName, parentId, {
+      skPrefix: 'PARENT#',
+      consistentRead: true
+    });
+    if (!existing) {
+      return null;
+    }
 
-  const persisted = await dynamoRepository.putItem(tableName, dynamoRepository.sanitizeForDynamo(merged));
-  return attachHelpers(persisted);
+    const merged = {
+      ...existing,
+      ...sanitized,
+      updatedAt: new Date().toISOString()
+    };
+
+    const persisted = await historyRepository
+      .updateWithHistory(existing, dynamoRepository.sanitizeForDynamo(merged), {
+        replace: true,
+        operations: phoneGuardOperations(parentId, merged.phoneNumber, existing.phoneNumber)
+      })
+      .catch((error) => rethrowPhoneConflict(error, merged.phoneNumber));
+    return attachHelpers(persisted);
+  }, { context: { parentId } });
 };
 
-const deleteParent = async (parentId) => {
+/**
+ * Read-modify-write a parent with optimistic locking
+ * The mutator receives a freshly loaded parent on every attempt and changes it in place;
+ * errors it throws are not retried. It may return { events } to store domain events with the change.
+ *
+ * @params {parentId}: string - Parent ID
+ * @params {mutator}: Function - async (parent) => void | { events }
+ * @returns Saved parent with helpers, or null when the parent does not exist
+ */
+const modifyParent = async (parentId, mutator) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const parent = await getParent(parentId);
+    if (!parent) return null;
+    const { events } = (await mutator(parent)) || {};
+    return parent.save({ events });
+  }, { context: { parentId } });
+
+/**
+ * Add a course to, or remove it from, a parent's wishlist together with the course's wishlistCount
+ * Both go in one transaction guarded on the parent's version, so concurrent changes retry on a
+ * fresh read instead of overwriting each other, and the counter cannot drift from the lists.
+ * Removing a course that no longer exists (or whose counter is already 0) leaves the counter alone.
+ *
+ * @params {parentId}: string - Parent ID
+ * @params {courseId}: string - Course ID
+ * @params {inWishlist}: boolean - true to add, false to remove
+ * @returns Parent with helpers (unchanged when already in that state), or null when the parent does not exist
+ */
+const setWishlisted = async (parentId, courseId, inWishlist) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const { pk, sk } = buildParentKeys(parentId);
+    const existing = await dynamoRepository.getItem(tableName, pk, sk, { consistentRead: true });
+    if (!existing) return null;
+
+    const current = existing.wishlistCourseIds || [];
+    if (current.includes(courseId) === inWishlist) {
+      return attachHelpers(existing);
+    }
+
+    const courseKeys = buildCourseKeys(courseId);
+    const course = inWishlist
+      ? null
+      : await dynamoRepository.getItem(tableName, courseKeys.pk, courseKeys.sk, { includeDeleted: true });
+    const counter = inWishlist || course?.wishlistCount > 0
+      ? [{
+        update: {
+          pk: courseKeys.pk,
+          sk: courseKeys.sk,
+          increments: { wishlistCount: inWishlist ? 1 : -1 },
+          condition: inWishlist ? dynamoRepository.ITEM_EXISTS : WISHLISTED_AT_LEAST_ONCE
+        }
+      }]
+      : [];
+
+    const persisted = await historyRepository.updateWithHistory(
+      existing,
+      { wishlistCourseIds: inWishlist ? [...current, courseId] : current.filter((id) => id !== courseId) },
+      { operations: counter }
+    );
+    if (counter.length > 0) await cache.invalidate(COURSE_CACHE_NAMESPACE);
+    return attachHelpers(persisted);
+  }, { context: { parentId, courseId } });
+
+/**
+ * Move a parent without children to the trash
+ *
+ * @params {parentId}: string - Parent ID
+ * @params {options}: object - { deletedBy } acting user id
+ * @returns true, or false when the parent does not exist or is already trashed
+ */
+const deleteParent = async (parentId, { deletedBy } = {}) => {
   const { pk, sk } = buildParentKeys(parentId);
-  await dynamoRepository.deleteItem(tableName, pk, sk);
-  return true;
+  const trashed = await dynamoRepository.softDeleteItem(tableName, pk, sk, { deletedBy });
+  return Boolean(trashed);
+};
+
+/**
+ * Move a parent and its children to the trash in one transaction
+ * Children share the parent's deletedAt so restoreParent can bring back exactly this batch.
+ * Guarded on the parent's version, so a child added concurrently aborts and retries.
+ *
+ * @params {parentId}: string - Parent ID
+ * @params {options}: object - { deletedBy } acting user id
+ * @returns Object with deletedChildren count, or null when the parent does not exist
+ */
+const deleteParentCascade = async (parentId, { deletedBy } = {}) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const { pk } = buildParentKeys(parentId);
+    const partition = await dynamoRepository.queryAllByPk(tableName, pk);
+    const parent = partition.find((item) => item.entityType === 'parent');
+    if (!parent) return null;
+
+    const children = partition.filter((item) => item.entityType === 'child');
+    const stamp = { deletedAt: new Date().toISOString(), deletedBy: deletedBy || null };
+
+    await dynamoRepository.transactWrite(tableName, [
+      ...children.map((child) => ({
+        update: { pk: child.pk, sk: child.sk, data: stamp, expectedVersion: dynamoRepository.versionOf(child) }
+      })),
+      { update: { pk: parent.pk, sk: parent.sk, data: stamp, expectedVersion: dynamoRepository.versionOf(parent) } }
+    ]);
+
+    return { deletedChildren: children.length };
+  }, { context: { parentId } });
+
+/**
+ * Take a parent out of the trash, with the children trashed in the same cascade
+ *
+ * @params {parentId}: string - Parent ID
+ * @returns Restored parent, or null when the parent is not in the trash
+ */
+const restoreParent = async (parentId) =>
+  dynamoRepository.withOptimisticRetry(async () => {
+    const { pk } = buildParentKeys(parentId);
+    const partition = await dynamoRepository.queryAllByPk(tableName, pk, { includeDeleted: true });
+    const parent = partition.find((item) => item.entityType === 'parent');
+    if (!parent || !dynamoRepository.isDeleted(parent)) return null;
+
+    const owner = await getParentByEmail(parent.email);
+    if (owner && owner.id !== parent.id) {
+      throw new ConflictError('Another account now uses this email address', 'EMAIL_IN_USE');
+    }
+
+    const children = partition.filter(
+      (item) => item.entityType === 'child' && item.deletedAt === parent.deletedAt
+    );
+    const remove = [dynamoRepository.DELETED_AT_ATTRIBUTE, dynamoRepository.DELETED_BY_ATTRIBUTE];
+
+    await dynamoRepository.transactWrite(tableName, [
+      ...children.map((child) => ({
+        update: { pk: child.pk, sk: child.sk, data: {}, remove, expectedVersion: dynamoRepository.versionOf(child) }
+      })),
+      { update: { pk: parent.pk, sk: parent.sk, data: {}, remove, expectedVersion: dynamoRepository.versionOf(parent) } }
+    ]);
+
+    return getParent(parentId);
+  }, { context: { parentId } });
+
+/**
+ * Permanently delete a parent together with its children and each child's education/nutrition items
+ * All deletes go through one transaction (max 100 items) guarded on the parent's version,
+ * so a child added concurrently aborts and retries instead of being orphaned.
+ * History items are left out of the transaction and removed in batches once it commits.
+ *
+ * @params {parentId}: string - Parent ID
+ * @returns Object with deletedChildren count, or null when the parent does not exist
+ */
+const purgeParent = async (parentId) => {
+  const isHistory = (item) => item.entityType === 'history';
+
+  const purged = await dynamoRepository.withOptimisticRetry(async () => {
+    const { pk } = buildParentKeys(parentId);
+    const partition = await dynamoRepository.queryAllByPk(tableName, pk, { includeDeleted: true });
+    const parent = partition.find((item) => item.entityType === 'parent');
+    if (!parent) return null;
+
+    const children = partition.filter((item) => item !== parent && !isHistory(item));
+    const related = await Promise.all(
+      children
+        .filter((child) => child.entityType === 'child')
+        .map((child) => dynamoRepository.queryAllByPk(tableName, `CHILD#${child.id}`, { includeDeleted: true }))
+    );
+
+    await dynamoRepository.transactWrite(tableName, [
+      ...[...children, ...related.flat().filter((item) => !isHistory(item))].map((item) => ({
+        delete: { pk: item.pk, sk: item.sk }
+      })),
+      ...phoneGuardOperations(parentId, undefined, parent.phoneNumber),
+      { delete: { pk: parent.pk, sk: parent.sk, expectedVersion: dynamoRepository.versionOf(parent) } }
+    ]);
+
+    return { parent, children: children.filter((item) => item.entityType === 'child') };
+  }, { context: { parentId } });
+
+  if (!purged) return null;
+
+  await Promise.all([purged.parent, ...purged.children].map((item) => historyRepository.purgeHistory(item)));
+  return { deletedChildren: purged.children.length };
 };
 
 const countParents = async () => {
@@ -182,12 +518,19 @@ const countParents = async () => {
   return count;
 };
 
-module.exports = {
+module.exports = instrumentRepository('parentRepository', {
   createParent,
   getParent,
   getParentByEmail,
+  getParentByPhone,
   getParentsByCity,
+  paginateParentsByCity,
   updateParent,
+  modifyParent,
+  setWishlisted,
   deleteParent,
+  deleteParentCascade,
+  restoreParent,
+  purgeParent,
   countParents
-};
+});
@@ -1,13 +1,25 @@
 const { v4: uuidv4 } = require('uuid');
 const { tableName } = require('../config/dynamoConfig');
 const dynamoRepository = require('./dynamoRepository');
+const historyRepository = require('./historyRepository');
 const { buildQuestionKeys } = require('./keyFactory');
 const logger = require('../utils/logger');
+const { encodeCursor, decodeCursor } = require('../utils/cursorUtils');
+const cache = require('../cache');
+const { instrumentRepository } = require('../db/commandMetrics');
+
+// Question bank reads are cached under this namespace; writes invalidate it except usage
+// counts, which change on every submitted assessment
+const CACHE_NAMESPACE = 'questions';
 
 const IMMUTABLE_FIELDS = new Set(['id', 'createdAt', 'usageCount']);
 
 const format = (doc) => (doc ? { ...doc, _id: doc.id } : null);
 
+// Every active-or-not question; the category, issue and page/limit reads filter this one list
+const loadAllQuestions = () =>
+  cache.readThrough(CACHE_NAMESPACE, 'all', () => dynamoRepository.queryAllByEntityType(tableName, 'question'));
+
 const createQuestion = async (data) => {
   const id = data.id || uuidv4();
   const payload = {
@@ -19,6 +31,7 @@ const createQuestion = async (data) => {
     updatedAt: data.updatedAt || new Date().toISOString()
   };
   const created = await dynamoRepository.createItem(tableName, payload);
+  await cache.invalidate(CACHE_NAMESPACE);
   logger.info('Created question', { id: created.id, category: data.category });
   return format(created);
 };
@@ -31,14 +44,13 @@ const getQuestion = async (questionId) => {
 
 const getQuestionsByIds = async (ids = []) => {
   if (!Array.isArray(ids) || ids.length === 0) return [];
-  const set = new Set(ids.map((id) => id.toString()));
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'question');
-  const filtered = (items || []).filter((q) => set.has((q.id || '').toString()));
-  return filtered.map(format);
+  const keys = ids.map((id) => buildQuestionKeys(id.toString()));
+  const items = await dynamoRepository.batchGetItems(tableName, keys);
+  return items.map(format);
 };
 
 const getQuestionsByCategory = async (category, limit = 100, activeOnly = true) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'question');
+  const items = await loadAllQuestions();
   const filtered = (items || []).filter(
     (q) =>
       q.category === category &&
@@ -48,48 +60,46 @@ const getQuestionsByCategory = async (category, limit = 100, activeOnly = true)
 };
 
 const getQuestionsByIssue = async (issueId, limit = 100) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'question');
+  const items = await loadAllQuestions();
   const filtered = (items || []).filter((q) =>
     (q.issueWeightages || []).some((iw) => iw.issueId === issueId)
   );
   return filtered.slice(0, limit).map(format);
 };
 
-const incrementUsageCount = async (questionId) => {
+const incrementUsageCount = async (questionId, by = 1) => {
   const { pk, sk } = buildQuestionKeys(questionId);
-  const question = await dynamoRepository.getItem(tableName, pk, sk);
-  if (!question) return null;
-  const updated = await dynamoRepository.updateItem(tableName, pk, sk, {
-    usageCount: (question.usageCount || 0) + 1
-  });
+  const updated = await dynamoRepository.incrementAttributes(tableName, pk, sk, { usageCount: by });
   return format(updated);
 };
 
-const getQuestions = async (filters = {}, page = 1, limit = 20, sort = { createdAt: -1 }) => {
-  const { items } = await dynamoRepository.queryByEntityType(tableName, 'question');
-
-  let filtered = items || [];
-
-  if (filters.category) filtered = filtered.filter((q) => q.category === filters.category);
-  if (filters.questionType) filtered = filtered.filter((q) => q.questionType === filters.questionType);
-  if (filters.isActive !== undefined) filtered = filtered.filter((q) => q.isActive === filters.isActive);
-  if (filters.difficultyLevel) filtered = filtered.filter((q) => q.difficultyLevel === filters.difficultyLevel);
-  if (filters.issueId) {
-    filtered = filtered.filter((q) =>
-      (q.issueWeightages || []).some((i) => i.issueId === filters.issueId)
-    );
+const matchesQuestionFilters = (question, filters = {}) => {
+  if (filters.category && question.category !== filters.category) return false;
+  if (filters.questionType && question.questionType !== filters.questionType) return false;
+  if (filters.isActive !== undefined && question.isActive !== filters.isActive) return false;
+  if (filters.difficultyLevel && question.difficultyLevel !== filters.difficultyLevel) return false;
+  if (filters.issueId && !(question.issueWeightages || []).some((i) => i.issueId === filters.issueId)) {
+    return false;
   }
-  if (filters.tags && filters.tags.length > 0) {
-    filtered = filtered.filter((q) => (q.tags || []).some((t) => filters.tags.includes(t)));
+  if (filters.tags && filters.tags.length > 0 && !(question.tags || []).some((t) => filters.tags.includes(t))) {
+    return false;
   }
   if (filters.ageMin !== undefined || filters.ageMax !== undefined) {
-    filtered = filtered.filter((q) => {
-      const min = filters.ageMin !== undefined ? filters.ageMin : Number.NEGATIVE_INFINITY;
-      const max = filters.ageMax !== undefined ? filters.ageMax : Number.POSITIVE_INFINITY;
-      const range = q.ageRange || {};
-      return (range.min ?? min) <= max && (range.max ?? max) >= min;
-    });
+    const min = filters.ageMin !== undefined ? filters.ageMin : Number.NEGATIVE_INFINITY;
+    const max = filters.ageMax !== undefined ? filters.ageMax : Number.POSITIVE_INFINITY;
+    const range = question.ageRange || {};
+    if (!((range.min ?? min) <= max && (range.max ?? max) >= min)) return false;
   }
+  return true;
+};
+
+/**
+ * Page/limit listing (compatibility mode): loads every question to sort and count
+ */
+const getQuestions = async (filters = {}, page = 1, limit = 20, sort = { createdAt: -1 }) => {
+  const items = await loadAllQuestions();
+
+  const filtered = (items || []).filter((q) => matchesQuestionFilters(q, filters));
 
   filtered.sort((a, b) => {
     if (sort.createdAt) {
@@ -117,6 +127,31 @@ const getQuestions = async (filters = {}, page = 1, limit = 20, sort = { created
   };
 };
 
+/**
+ * Cursor listing: reads only as far as needed, in index order
+ */
+const paginateQuestions = async (filters = {}, { limit = 20, cursor } = {}) => {
+  const lastKey = decodeCursor('questions', cursor);
+
+  return cache.readThrough(CACHE_NAMESPACE, `page:${cache.keyOf(filters, limit, cursor || null)}`, async () => {
+    const page = await dynamoRepository.paginateByEntityType(tableName, 'question', {
+      limit,
+      lastKey,
+      predicate: (question) => matchesQuestionFilters(question, filters)
+    });
+
+    const nextCursor = encodeCursor('questions', page.lastKey);
+    return {
+      data: page.items.map(format),
+      pagination: {
+        limit,
+        nextCursor,
+        hasNext: Boolean(nextCursor)
+      }
+    };
+  });
+};
+
 const updateQuestion = async (questionId, data) => {
   if (!data || Object.keys(data).length === 0) {
     return getQuestion(questionId);
@@ -128,24 +163,53 @@ const updateQuestion = async (questionId, data) => {
   });
 
   const { pk, sk } = buildQuestionKeys(questionId);
-  const updated = await dynamoRepository.updateItem(tableName, pk, sk, sanitized);
+  const updated = await dynamoRepository.withOptimisticRetry(async () => {
+    const existing = await dynamoRepository.getItem(tableName, pk, sk, { consistentRead: true });
+    if (!existing) return null;
+    return historyRepository.updateWithHistory(existing, sanitized);
+  }, { context: { questionId } });
+  if (updated) await cache.invalidate(CACHE_NAMESPACE);
   return format(updated);
 };
 
-const deleteQuestion = async (questionId) => {
+/**
+ * Move a question to the trash
+ *
+ * @params {questionId}: string - Question ID
+ * @params {options}: object - { deletedBy } acting user id
+ * @returns true, or false when the question does not exist or is already trashed
+ */
+const deleteQuestion = async (questionId, { deletedBy } = {}) => {
   const { pk, sk } = buildQuestionKeys(questionId);
-  await dynamoRepository.deleteItem(tableName, pk, sk);
+  const trashed = await dynamoRepository.softDeleteItem(tableName, pk, sk, { deletedBy });
+  if (trashed) await cache.invalidate(CACHE_NAMESPACE);
+  return Boolean(trashed);
+};
+
+const restoreQuestion = async (questionId) => {
+  const { pk, sk } = buildQuestionKeys(questionId);
+  const restored = await dynamoRepository.restoreItem(tableName, pk, sk);
+  await cache.invalidate(CACHE_NAMESPACE);
+  return format(restored);
+};
+
+const purgeQuestion = async (questionId) => {
+  const keys = buildQuestionKeys(questionId);
+  await dynamoRepository.deleteItem(tableName, keys.pk, keys.sk);
+  await historyRepository.purgeHistory({ ...keys, id: questionId });
+  await cache.invalidate(CACHE_NAMESPACE);
   return true;
 };
 
 const toggleActiveStatus = async (questionId, isActive) => {
   const { pk, sk } = buildQuestionKeys(questionId);
   const updated = await dynamoRepository.updateItem(tableName, pk, sk, { isActive });
+  await cache.invalidate(CACHE_NAMESPACE);
   return format(updated);
 };
 
 const getQuestionsStats = async () => {
-  const { items } = await dynamoRepository.scanAll(tableName);
+  const items = await loadAllQuestions();
   const total = (items || []).length;
   const active = (items || []).filter((q) => q.isActive !== false).length;
   const categories = {};
@@ -156,16 +220,19 @@ const getQuestionsStats = async () => {
   return { total, active, categories };
 };
 
-module.exports = {
+module.exports = instrumentRepository('questionRepository', {
   createQuestion,
   getQuestion,
   getQuestionsByIds,
   getQuestionsByCategory,
   getQuestionsByIssue,
   getQuestions,
+  paginateQuestions,
   updateQuestion,
   deleteQuestion,
+  restoreQuestion,
+  purgeQuestion,
   incrementUsageCount,
   toggleActiveStatus,
   getQuestionsStats
-};
+});
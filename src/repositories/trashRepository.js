@@ -0,0 +1,60 @@
+const { tableName } = require('../config/dynamoConfig');
+const dynamoRepository = require('./dynamoRepository');
+const parentRepository = require('./parentRepository');
+const childRepository = require('./childRepository');
+const courseRepository = require('./courseRepository');
+const questionRepository = require('./questionRepository');
+const { instrumentRepository } = require('../db/commandMetrics');
+
+// Entity types that are soft-deleted, in purge order: purging a parent also removes the
+// children trashed with it, so children are listed only after their parents are gone
+const TRASH_ENTITY_TYPES = ['parent', 'child', 'course', 'question'];
+
+const restorers = {
+  parent: (id) => parentRepository.restoreParent(id),
+  child: (id) => childRepository.restoreChild(id),
+  course: (id) => courseRepository.restoreCourse(id),
+  question: (id) => questionRepository.restoreQuestion(id)
+};
+
+const purgers = {
+  parent: (id) => parentRepository.purgeParent(id),
+  child: (id) => childRepository.purgeChild(id),
+  course: (id) => courseRepository.purgeCourse(id),
+  question: (id) => questionRepository.purgeQuestion(id)
+};
+
+/**
+ * List trashed items of one entity type
+ *
+ * @params {entityType}: string - One of TRASH_ENTITY_TYPES
+ * @params {options}: object - { deletedBefore } ISO timestamp; only items trashed earlier are returned
+ * @returns Array of trashed items
+ */
+const listTrashed = async (entityType, { deletedBefore } = {}) => {
+  const expressionNames = { '#deletedAt': dynamoRepository.DELETED_AT_ATTRIBUTE };
+  if (deletedBefore) {
+    return dynamoRepository.queryAllByEntityType(tableName, entityType, {
+      includeDeleted: true,
+      filterExpression: 'attribute_exists(#deletedAt) AND #deletedAt < :deletedBefore',
+      expressionNames,
+      expressionValues: { ':deletedBefore': deletedBefore }
+    });
+  }
+  return dynamoRepository.queryAllByEntityType(tableName, entityType, {
+    includeDeleted: true,
+    filterExpression: 'attribute_exists(#deletedAt)',
+    expressionNames
+  });
+};
+
+const restore = (entityType, id) => restorers[entityType](id);
+
+const purge = (entityType, id) => purgers[entityType](id);
+
+module.exports = instrumentRepository('trashRepository', {
+  TRASH_ENTITY_TYPES,
+  listTrashed,
+  restore,
+  purge
+});
@@ -3,29 +3,35 @@ const { validateRequest, validateParams } = require('../validations/commonValida
 const assessmentValidation = require('../validations/assessmentValidation');
 const assessmentController = require('../controllers/assessmentController');
 const { auth } = require('../middleware/auth');
+const { ownsChild } = require('../middleware/ownership');
 
 const router = express.Router();
 
 router.post('/process',
   auth,
   validateRequest(assessmentValidation.processAssessment),
+  ownsChild((req) => req.body.childId),
   assessmentController.processAssessment
 );
 
 router.get('/child/:childId',
   auth,
   validateParams(assessmentValidation.childIdParam),
+  ownsChild((req) => req.params.childId),
   assessmentController.getChildAssessments
 );
 
 router.get('/child/:childId/latest',
   auth,
   validateParams(assessmentValidation.childIdParam),
+  ownsChild((req) => req.params.childId),
   assessmentController.getLatestAssessment
 );
 
 router.get('/child/:childId/assessment/:assessmentId',
   auth,
+  validateParams(assessmentValidation.getAssessment),
+  ownsChild((req) => req.params.childId),
   assessmentController.getAssessment
 );
 
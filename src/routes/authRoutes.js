@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { validateRequest } = require('../validations/commonValidation');
+const { validateRequest, validateParams } = require('../validations/commonValidation');
 const authValidation = require('../validations/authValidation');
-const { auth } = require('../middleware/auth');
+const { auth, sensitiveOperationLimiter } = require('../middleware/auth');
 
 router.post(
   '/register',
@@ -13,22 +13,39 @@ router.post(
 
 router.post(
   '/login',
+  sensitiveOperationLimiter(),
   validateRequest(authValidation.login),
   authController.login
 );
 
 router.post(
   '/otp/send',
+  sensitiveOperationLimiter(),
   validateRequest(authValidation.otpSend),
   authController.sendOtp
 );
 
 router.post(
   '/otp/verify',
+  sensitiveOperationLimiter(),
   validateRequest(authValidation.otpVerify),
   authController.verifyOtp
 );
 
+router.post(
+  '/password/forgot',
+  sensitiveOperationLimiter(),
+  validateRequest(authValidation.passwordForgot),
+  authController.forgotPassword
+);
+
+router.post(
+  '/password/reset',
+  sensitiveOperationLimiter(),
+  validateRequest(authValidation.passwordReset),
+  authController.resetPassword
+);
+
 router.post(
   '/refresh',
   validateRequest(authValidation.refresh),
@@ -57,6 +74,7 @@ router.put(
 router.put(
   '/change-password',
   auth,
+  sensitiveOperationLimiter(),
   validateRequest(authValidation.changePassword),
   authController.changePassword
 );
@@ -67,4 +85,23 @@ router.post(
   authController.logout
 );
 
+router.get(
+  '/sessions',
+  auth,
+  authController.getSessions
+);
+
+router.post(
+  '/sessions/revoke-others',
+  auth,
+  authController.revokeOtherSessions
+);
+
+router.delete(
+  '/sessions/:id',
+  auth,
+  validateParams(authValidation.sessionIdParam),
+  authController.revokeSession
+);
+
 module.exports = router;
@@ -3,24 +3,28 @@ const { validateRequest, validateParams, validateQuery } = require('../validatio
 const childEducationValidation = require('../validations/childEducationValidation');
 const childEducationController = require('../controllers/childEducationController');
 const { auth } = require('../middleware/auth');
+const { ownsChild, ownsEducationRecord } = require('../middleware/ownership');
 
 const router = express.Router();
 
 router.post('/',
   auth,
   validateRequest(childEducationValidation.create),
+  ownsChild((req) => req.body.childId),
   childEducationController.createEducationRecord
 );
 
 router.get('/by-child',
   auth,
   validateQuery(childEducationValidation.childIdQuery),
+  ownsChild((req) => req.query.childId),
   childEducationController.getByChildId
 );
 
 router.get('/analysis',
   auth,
   validateQuery(childEducationValidation.childIdQuery),
+  ownsChild((req) => req.query.childId),
   childEducationController.getPerformanceAnalysis
 );
 
@@ -28,18 +32,21 @@ router.post('/add-grade',
   auth,
   validateQuery(childEducationValidation.childIdQuery),
   validateRequest(childEducationValidation.addGradeRecord),
+  ownsChild((req) => req.query.childId),
   childEducationController.addGradeRecord
 );
 
 router.post('/regenerate-suggestions',
   auth,
   validateQuery(childEducationValidation.childIdQuery),
+  ownsChild((req) => req.query.childId),
   childEducationController.regenerateSuggestions
 );
 
 router.get('/:id',
   auth,
   validateParams(childEducationValidation.idParam),
+  ownsEducationRecord(),
   childEducationController.getEducationRecord
 );
 
@@ -47,12 +54,14 @@ router.patch('/:id',
   auth,
   validateParams(childEducationValidation.idParam),
   validateRequest(childEducationValidation.update),
+  ownsEducationRecord(),
   childEducationController.updateEducationRecord
 );
 
 router.delete('/:id',
   auth,
   validateParams(childEducationValidation.idParam),
+  ownsEducationRecord(),
   childEducationController.deleteEducationRecord
 );
 
@@ -3,24 +3,28 @@ const { validateRequest, validateParams, validateQuery } = require('../validatio
 const childNutritionValidation = require('../validations/childNutritionValidation');
 const childNutritionController = require('../controllers/childNutritionController');
 const { auth } = require('../middleware/auth');
+const { ownsChild, ownsNutritionRecord } = require('../middleware/ownership');
 
 const router = express.Router();
 
 router.post('/',
   auth,
   validateRequest(childNutritionValidation.create),
+  ownsChild((req) => req.body.childId),
   childNutritionController.createNutritionRecord
 );
 
 router.get('/by-child',
   auth,
   validateQuery(childNutritionValidation.childIdQuery),
+  ownsChild((req) => req.query.childId),
   childNutritionController.getByChildId
 );
 
 router.get('/analysis',
   auth,
   validateQuery(childNutritionValidation.childIdQuery),
+  ownsChild((req) => req.query.childId),
   childNutritionController.getNutritionAnalysis
 );
 
@@ -28,18 +32,21 @@ router.post('/add-entry',
   auth,
   validateQuery(childNutritionValidation.childIdQuery),
   validateRequest(childNutritionValidation.addEntry),
+  ownsChild((req) => req.query.childId),
   childNutritionController.addNutritionEntry
 );
 
 router.post('/regenerate-recommendations',
   auth,
   validateQuery(childNutritionValidation.childIdQuery),
+  ownsChild((req) => req.query.childId),
   childNutritionController.regenerateRecommendations
 );
 
 router.get('/:id',
   auth,
   validateParams(childNutritionValidation.idParam),
+  ownsNutritionRecord(),
   childNutritionController.getNutritionRecord
 );
 
@@ -47,12 +54,14 @@ router.patch('/:id',
   auth,
   validateParams(childNutritionValidation.idParam),
   validateRequest(childNutritionValidation.update),
+  ownsNutritionRecord(),
   childNutritionController.updateNutritionRecord
 );
 
 router.delete('/:id',
   auth,
   validateParams(childNutritionValidation.idParam),
+  ownsNutritionRecord(),
   childNutritionController.deleteNutritionRecord
 );
 
@@ -1,8 +1,10 @@
 const express = require('express');
-const { validateRequest, validateParams, validateQuery } = require('../validations/commonValidation');
+const { validateRequest, validateParams, validateQuery, commonValidation } = require('../validations/commonValidation');
 const childValidation = require('../validations/childValidation');
 const childController = require('../controllers/childController');
-const { auth } = require('../middleware/auth');
+const historyController = require('../controllers/historyController');
+const { auth, authorize } = require('../middleware/auth');
+const { ownsParent, ownsChild } = require('../middleware/ownership');
 
 const router = express.Router();
 
@@ -10,6 +12,7 @@ router.post(
   '/',
   auth,
   validateRequest(childValidation.create),
+  ownsParent((req) => req.body.parentId),
   childController.createChild
 );
 
@@ -17,6 +20,7 @@ router.get(
   '/by-parent',
   auth,
   validateQuery(childValidation.parentIdQuery),
+  ownsParent((req) => req.query.parentId),
   childController.getChildrenByParent
 );
 
@@ -24,6 +28,7 @@ router.get(
   '/count',
   auth,
   validateQuery(childValidation.parentIdQuery),
+  ownsParent((req) => req.query.parentId),
   childController.countChildrenByParent
 );
 
@@ -31,6 +36,7 @@ router.get(
   '/:id',
   auth,
   validateParams(childValidation.idParam),
+  ownsChild(),
   childController.getChild
 );
 
@@ -38,6 +44,7 @@ router.get(
   '/:id/summary',
   auth,
   validateParams(childValidation.idParam),
+  ownsChild(),
   childController.getChildSummary
 );
 
@@ -46,6 +53,7 @@ router.patch(
   auth,
   validateParams(childValidation.idParam),
   validateRequest(childValidation.update),
+  ownsChild(),
   childController.updateChild
 );
 
@@ -53,6 +61,7 @@ router.delete(
   '/:id',
   auth,
   validateParams(childValidation.idParam),
+  ownsChild(),
   childController.deleteChild
 );
 
@@ -61,13 +70,24 @@ router.post(
   auth,
   validateParams(childValidation.idParam),
   validateRequest(childValidation.courseOperation),
+  ownsChild(),
   childController.addCourses
 );
 
 router.get('/:id/latest-assessment',
   auth,
   validateParams(childValidation.idParam),
+  ownsChild(),
   childController.getChildWithLatestAssessment
 );
 
+router.get(
+  '/:id/history',
+  auth,
+  authorize('admin'),
+  validateParams(childValidation.idParam),
+  validateQuery(commonValidation.historyQuery),
+  historyController.getHistory('child')
+);
+
 module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
-const { validateRequest, validateParams, validateQuery } = require('../validations/commonValidation');
+const { validateRequest, validateParams, validateQuery, commonValidation } = require('../validations/commonValidation');
 const courseValidation = require('../validations/courseValidation');
 const courseController = require('../controllers/courseController');
+const historyController = require('../controllers/historyController');
 const { auth, authorize, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -53,6 +54,14 @@ router.delete('/:id',
   courseController.deleteCourse
 );
 
+router.get('/:id/history',
+  auth,
+  authorize('admin'),
+  validateParams(courseValidation.idParam),
+  validateQuery(commonValidation.historyQuery),
+  historyController.getHistory('course')
+);
+
 router.post('/:id/enroll',
   auth,
   validateParams(courseValidation.idParam),
@@ -92,6 +101,68 @@ router.post('/:id/certificate',
   courseController.issueCertificate
 );
 
+router.post('/:courseId/sections',
+  auth,
+  authorize('admin', 'instructor'),
+  validateParams(courseValidation.courseParams),
+  validateRequest(courseValidation.createSection),
+  courseController.createSection
+);
+
+router.put('/:courseId/sections/order',
+  auth,
+  authorize('admin', 'instructor'),
+  validateParams(courseValidation.courseParams),
+  validateRequest(courseValidation.reorderSections),
+  courseController.reorderSections
+);
+
+router.patch('/:courseId/sections/:sectionId',
+  auth,
+  authorize('admin', 'instructor'),
+  validateParams(courseValidation.sectionPdfParams),
+  validateRequest(courseValidation.updateSection),
+  courseController.updateSection
+);
+
+router.delete('/:courseId/sections/:sectionId',
+  auth,
+  authorize('admin', 'instructor'),
+  validateParams(courseValidation.sectionPdfParams),
+  courseController.deleteSection
+);
+
+router.post('/:courseId/sections/:sectionId/videos',
+  auth,
+  authorize('admin', 'instructor'),
+  validateParams(courseValidation.sectionPdfParams),
+  validateRequest(courseValidation.createVideo),
+  courseController.addVideo
+);
+
+router.put('/:courseId/sections/:sectionId/videos/order',
+  auth,
+  authorize('admin', 'instructor'),
+  validateParams(courseValidation.sectionPdfParams),
+  validateRequest(courseValidation.reorderVideos),
+  courseController.reorderVideos
+);
+
+router.patch('/:courseId/sections/:sectionId/videos/:videoId',
+  auth,
+  authorize('admin', 'instructor'),
+  validateParams(courseValidation.videoParams),
+  validateRequest(courseValidation.updateVideo),
+  courseController.updateVideo
+);
+
+router.delete('/:courseId/sections/:sectionId/videos/:videoId',
+  auth,
+  authorize('admin', 'instructor'),
+  validateParams(courseValidation.videoParams),
+  courseController.deleteVideo
+);
+
 router.post('/:courseId/sections/:sectionId/pdfs',
   auth,
   authorize('admin', 'instructor'),
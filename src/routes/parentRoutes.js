@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const parentController = require('../controllers/parentController');
+const historyController = require('../controllers/historyController');
 const { auth, authorize } = require('../middleware/auth');
-const { validateParams, validateQuery, validateRequest } = require('../validations/commonValidation');
+const { ownsParent, ownsChild } = require('../middleware/ownership');
+const { validateParams, validateQuery, validateRequest, commonValidation } = require('../validations/commonValidation');
 const parentValidation = require('../validations/parentValidation');
 
 // Get parent by ID
@@ -10,6 +12,7 @@ router.get(
   '/:id',
   auth,
   validateParams(parentValidation.idParam),
+  ownsParent(),
   parentController.getParent
 );
 
@@ -17,6 +20,7 @@ router.get(
 router.get(
   '/city/:city',
   auth,
+  authorize('admin'),
   validateParams(parentValidation.cityParam),
   validateQuery(parentValidation.paginationQuery),
   parentController.getParentsByCity
@@ -27,6 +31,7 @@ router.get(
   '/:id/children',
   auth,
   validateParams(parentValidation.idParam),
+  ownsParent(),
   parentController.getChildren
 );
 
@@ -35,6 +40,9 @@ router.post(
   '/:id/children',
   auth,
   validateParams(parentValidation.idParam),
+  validateRequest(parentValidation.childBody),
+  ownsParent(),
+  ownsChild((req) => req.body.childId),
   parentController.addChild
 );
 
@@ -43,6 +51,7 @@ router.delete(
   '/:id/children/:childId',
   auth,
   validateParams(parentValidation.removeChildParams),
+  ownsParent(),
   parentController.removeChild
 );
 
@@ -51,6 +60,7 @@ router.get(
   '/:id/wishlist',
   auth,
   validateParams(parentValidation.idParam),
+  ownsParent(),
   parentController.getWishlist
 );
 
@@ -60,6 +70,7 @@ router.post(
   auth,
   validateParams(parentValidation.idParam),
   validateRequest(parentValidation.wishlistBody),
+  ownsParent(),
   parentController.addWishlistCourse
 );
 
@@ -68,6 +79,7 @@ router.delete(
   '/:id/wishlist/:courseId',
   auth,
   validateParams(parentValidation.wishlistParams),
+  ownsParent(),
   parentController.removeWishlistCourse
 );
 
@@ -80,6 +92,16 @@ router.delete(
   parentController.deleteParent
 );
 
+// Get parent change history
+router.get(
+  '/:id/history',
+  auth,
+  authorize('admin'),
+  validateParams(parentValidation.idParam),
+  validateQuery(commonValidation.historyQuery),
+  historyController.getHistory('parent')
+);
+
 // Get parent statistics
 router.get(
   '/stats/summary',
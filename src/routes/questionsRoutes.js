@@ -1,7 +1,8 @@
 const express = require('express');
-const { validateRequest, validateParams, validateQuery } = require('../validations/commonValidation');
+const { validateRequest, validateParams, validateQuery, commonValidation } = require('../validations/commonValidation');
 const questionValidation = require('../validations/questionValidation');
 const questionController = require('../controllers/questionController');
+const historyController = require('../controllers/historyController');
 const { auth, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -63,6 +64,14 @@ router.delete('/:id',
   questionController.deleteQuestion
 );
 
+router.get('/:id/history',
+  auth,
+  authorize('admin'),
+  validateParams(questionValidation.idParam),
+  validateQuery(commonValidation.historyQuery),
+  historyController.getHistory('question')
+);
+
 router.patch('/:id/toggle-active',
   auth,
   authorize('admin', 'moderator'),
@@ -0,0 +1,23 @@
+const express = require('express');
+const { validateParams, validateQuery } = require('../validations/commonValidation');
+const trashValidation = require('../validations/trashValidation');
+const trashController = require('../controllers/trashController');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/',
+  auth,
+  authorize('admin'),
+  validateQuery(trashValidation.listQuery),
+  trashController.listTrash
+);
+
+router.post('/:entityType/:id/restore',
+  auth,
+  authorize('admin'),
+  validateParams(trashValidation.restoreParams),
+  trashController.restoreItem
+);
+
+module.exports = router;
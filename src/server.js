@@ -9,10 +9,16 @@ const cookieParser = require('cookie-parser');
 
 // Import configurations
 const database = require('./config/database');
+const cache = require('./cache');
+const { breakerState } = require('./db/dynamodbClient');
+const commandMetrics = require('./db/commandMetrics');
+const outboxDispatcher = require('./events/outboxDispatcher');
+const { registerDefaultSubscribers } = require('./events/subscribers');
 
 // Import utilities and middleware
 const logger = require('./utils/logger');
-const { handle, notFound } = require('./middleware/errorHandler');
+const { handle, notFound, ForbiddenError, RateLimitError } = require('./middleware/errorHandler');
+const requestContext = require('./middleware/requestContext');
 
 // Import routes
 const routes = require('./routes');
@@ -60,6 +66,9 @@ class Server {
 
     // Connect to MongoDB (required)
     await database.connect();
+
+    // Shared cache (optional): falls back to the in-process cache when unreachable
+    await cache.connect();
   }
 
   setupMiddleware() {
@@ -104,7 +113,7 @@ class Server {
         if (allowedOrigins.includes(origin) || isLocalNetwork) {
           callback(null, true);
         } else {
-          callback(new Error('Not allowed by CORS'));
+          callback(new ForbiddenError('Not allowed by CORS', 'CORS_ORIGIN_NOT_ALLOWED'));
         }
       },
       credentials: true,
@@ -138,19 +147,14 @@ class Server {
       },
       standardHeaders: true,
       legacyHeaders: false,
-      handler: (req, res) => {
+      handler: (req, res, next) => {
         logger.security('Rate limit exceeded', {
           ip: req.ip,
           userAgent: req.get('User-Agent'),
           url: req.originalUrl
         });
 
-        res.status(429).json({
-          success: false,
-          error: 'Too many requests',
-          message: 'Rate limit exceeded. Please try again later.',
-          code: 'RATE_LIMIT_EXCEEDED'
-        });
+        next(new RateLimitError('Rate limit exceeded. Please try again later.'));
       }
     });
     this.app.use(limiter);
@@ -170,12 +174,8 @@ class Server {
     // Cookie parser for session handling
     this.app.use(cookieParser());
 
-    // Request ID middleware for tracing
-    this.app.use((req, res, next) => {
-      req.requestId = require('crypto').randomUUID();
-      res.setHeader('X-Request-ID', req.requestId);
-      next();
-    });
+    // Request ID and audit context for tracing
+    this.app.use(requestContext);
 
     // Request logging middleware
     if (process.env.NODE_ENV === 'development') {
@@ -242,6 +242,12 @@ class Server {
         services: {
           database: await database.healthCheck()
         },
+        cache: cache.stats(),
+        dynamo: {
+          breaker: breakerState(),
+          operations: commandMetrics.snapshot()
+        },
+        outbox: outboxDispatcher.stats(),
         system: {
           memory: process.memoryUsage(),
           cpu: process.cpuUsage(),
@@ -353,6 +359,10 @@ class Server {
   }
 
   start() {
+    // Deliver domain events written to the outbox
+    registerDefaultSubscribers();
+    outboxDispatcher.start();
+
     this.server = this.app.listen(this.PORT, this.HOST, () => {
       logger.info(`🚀 Server started successfully`, {
         host: this.HOST,
@@ -401,8 +411,12 @@ class Server {
         logger.info('HTTP server closed');
       }
 
+      // Let an outbox delivery in progress finish
+      await outboxDispatcher.stop();
+
       // Close database connections
       await database.disconnect();
+      await cache.disconnect();
 
       logger.info('✅ Graceful shutdown completed');
 
@@ -3,6 +3,7 @@ const questionRepository = require('../repositories/questionRepository');
 const ASSESSMENT_CONSTANTS = require('../constants/assessmentConstants');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
 
 /**
  * Process assessment and calculate issue scores
@@ -17,17 +18,11 @@ const processAssessment = async (responses, childId, parentId, method = 'weighte
   try {
     const child = await childRepository.getChild(childId);
     if (!child) {
-      const error = new Error(`Child with ID ${childId} not found`);
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Child with ID ${childId} not found`, 'CHILD_NOT_FOUND');
     }
 
     if ((child.parentId || '').toString() !== parentId) {
-      const error = new Error('Unauthorized: Parent ID does not match child record');
-      error.statusCode = 403;
-      error.code = 'UNAUTHORIZED_ACCESS';
-      throw error;
+      throw new ForbiddenError('Unauthorized: Parent ID does not match child record', 'UNAUTHORIZED_ACCESS');
     }
 
     const questionIds = responses.map(r => r.questionId);
@@ -35,10 +30,7 @@ const processAssessment = async (responses, childId, parentId, method = 'weighte
     const activeQuestions = questions.filter(q => q.isActive !== false);
 
     if (activeQuestions.length === 0) {
-      const error = new Error('No valid questions found');
-      error.statusCode = 400;
-      error.code = 'INVALID_QUESTIONS';
-      throw error;
+      throw new ValidationError('No valid questions found', 'INVALID_QUESTIONS');
     }
 
     const questionMap = new Map(activeQuestions.map(q => [(q._id || q.id).toString(), q]));
@@ -51,10 +43,7 @@ const processAssessment = async (responses, childId, parentId, method = 'weighte
     } else if (method === 't_score_weighted') {
       issueScores = calculateTScoreWeighted(responses, questionMap);
     } else {
-      const error = new Error('Invalid assessment method');
-      error.statusCode = 400;
-      error.code = 'INVALID_METHOD';
-      throw error;
+      throw new ValidationError('Invalid assessment method', 'INVALID_METHOD');
     }
 
     const assessmentResult = buildAssessmentResult(
@@ -64,10 +53,9 @@ const processAssessment = async (responses, childId, parentId, method = 'weighte
       activeQuestions.length
     );
 
+    // Course assignment and referrals follow from the assessment.completed event written with the result
     await attachAssessmentToChild(childId, assessmentResult);
 
-    await processCoursesAndReferrals(childId, assessmentResult);
-
     logger.info('Assessment processed successfully', { 
       childId, 
       assessmentId: assessmentResult.assessmentId,
@@ -372,35 +360,14 @@ const calculateConfidence = (totalQuestions) => {
 };
 
 /**
- * Attach assessment result to child record
+ * Attach assessment result to child record and emit assessment.completed
  * 
  * @params {childId}: string - Child ID
  * @params {assessmentResult}: object - Assessment result
  * @returns Updated child object
  */
-const attachAssessmentToChild = async (childId, assessmentResult) => {
-  try {
-    const child = await childRepository.getChild(childId);
-    if (!child) return null;
-
-    const updated = await childRepository.updateChild(childId, {
-      assessmentResults: [...(child.assessmentResults || []), assessmentResult]
-    });
-
-    logger.info('Assessment attached to child', { 
-      childId, 
-      assessmentId: assessmentResult.assessmentId 
-    });
-
-    return updated;
-  } catch (error) {
-    logger.error('Error attaching assessment to child', { 
-      childId, 
-      error: error.message 
-    });
-    throw error;
-  }
-};
+const attachAssessmentToChild = async (childId, assessmentResult) =>
+  childRepository.addAssessmentResult(childId, assessmentResult);
 
 /**
  * Process courses and professional referrals based on assessment
@@ -459,10 +426,7 @@ const getAssessmentById = async (childId, assessmentId) => {
   try {
     const child = await childRepository.getChild(childId);
     if (!child) {
-      const error = new Error(`Child with ID ${childId} not found`);
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Child with ID ${childId} not found`, 'CHILD_NOT_FOUND');
     }
 
     const assessment = (child.assessmentResults || []).find(
@@ -470,10 +434,7 @@ const getAssessmentById = async (childId, assessmentId) => {
     );
 
     if (!assessment) {
-      const error = new Error(`Assessment with ID ${assessmentId} not found`);
-      error.statusCode = 404;
-      error.code = 'ASSESSMENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Assessment with ID ${assessmentId} not found`, 'ASSESSMENT_NOT_FOUND');
     }
 
     return assessment;
@@ -497,10 +458,7 @@ const getChildAssessments = async (childId) => {
   try {
     const child = await childRepository.getChild(childId);
     if (!child) {
-      const error = new Error(`Child with ID ${childId} not found`);
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Child with ID ${childId} not found`, 'CHILD_NOT_FOUND');
     }
 
     return child.assessmentResults || [];
@@ -517,6 +475,7 @@ module.exports = {
   processAssessment,
   getAssessmentById,
   getChildAssessments,
+  processCoursesAndReferrals,
   determineSeverity,
   calculateConfidence
 };
@@ -1,10 +1,32 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const parentRepository = require('../repositories/parentRepository');
+const refreshTokenService = require('./refreshTokenService');
+const otpService = require('./otpService');
+const loginProtectionService = require('./loginProtectionService');
+const otpRepository = require('../repositories/otpRepository');
 const { JWT_SECRET, JWT_REFRESH_SECRET } = require('../config/jwtConfig');
+const { NotFoundError, UnauthorizedError, ValidationError } = require('../utils/errors');
+
+const PASSWORD_RESET_PURPOSE = 'password_reset';
+
+// A contact taken in the meantime answers like the checks below; a code a concurrent
+// registration used up answers as unverified
+const registrationError = (error, verification) => {
+  if (error.code === 'DUPLICATE_EMAIL' || error.code === 'DUPLICATE_PHONE') {
+    const contact = error.code === 'DUPLICATE_EMAIL' ? 'email address' : 'phone number';
+    return new ValidationError(`Parent already exists with this ${contact}`, 'PARENT_EXISTS');
+  }
+  const codeUsedUp =
+    verification &&
+    error.code === 'TRANSACTION_CANCELLED' &&
+    (error.details || []).some((failure) => failure.pk === verification.delete.pk);
+  return codeUsedUp ? new ValidationError('Verify this phone with a signup code before registering', 'OTP_NOT_VERIFIED') : error;
+};
 
 /*
  * Register a new parent
+ * A phone number needs a verified signup code, used up in the same transaction as the parent.
  * 
  * @params {parentData}: object - Parent registration data
  * @returns Object with parent profile, access token, and refresh token
@@ -15,33 +37,27 @@ const register = async (parentData) => {
   try {
     const existingParent = await parentRepository.getParentByEmail(email);
     if (existingParent) {
-      const error = new Error('Parent already exists with this email address');
-      error.statusCode = 400;
-      error.code = 'PARENT_EXISTS';
-      throw error;
+      throw new ValidationError('Parent already exists with this email address', 'PARENT_EXISTS');
     }
 
-    const parent = await parentRepository.createParent({
-      name,
-      email,
-      password,
-      phoneNumber,
-      city,
-      economicStatus,
-      occupation
-    });
+    if (phoneNumber && await parentRepository.getParentByPhone(phoneNumber)) {
+      throw new ValidationError('Parent already exists with this phone number', 'PARENT_EXISTS');
+    }
 
-    // Generate BOTH tokens
-    const accessToken = parent.getSignedJwtToken();
-    const refreshToken = parent.generateRefreshToken();
+    // A phone number is only claimed with its verified signup code, used up with the new parent
+    const verification = phoneNumber ? await otpService.consumeSignupVerification({ phoneNumber }) : null;
 
-    // Store refresh token in database
-    parent.refreshTokens = parent.refreshTokens || [];
-    parent.refreshTokens.push({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
-    });
-    await parent.save();
+    const parent = await parentRepository
+      .createParent(
+        { name, email, password, phoneNumber, city, economicStatus, occupation },
+        { operations: verification ? [verification] : [] }
+      )
+      .catch((error) => {
+        throw registrationError(error, verification);
+      });
+
+    // Registration signs the parent in with a token family of its own
+    const { parent: savedParent, accessToken, refreshToken } = await refreshTokenService.issueTokens(parent);
 
     logger.info('Parent registered successfully', {
       parentId: parent._id,
@@ -50,7 +66,7 @@ const register = async (parentData) => {
     });
 
     return {
-      parent: parent.getPublicProfile(),
+      parent: savedParent.getPublicProfile(),
       accessToken,      // ✅ MUST return this
       refreshToken      // ✅ MUST return this
     };
@@ -75,44 +91,29 @@ const login = async (credentials) => {
 
   try {
     const parent = await parentRepository.getParentByEmail(email);
+    // Unknown emails are counted too, so lockouts do not reveal which accounts exist
+    const accountKey = parent ? parent.id : email.toLowerCase();
+
+    await loginProtectionService.assertLoginAllowed(accountKey);
 
     if (!parent) {
       logger.warn('Login attempt with non-existent email', { email });
-      const error = new Error('Invalid email or password');
-      error.statusCode = 401;
-      error.code = 'INVALID_CREDENTIALS';
-      throw error;
+      await loginProtectionService.recordLoginFailure(accountKey);
+      throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
     }
 
     const isPasswordMatch = await parent.comparePassword(password);
 
     if (!isPasswordMatch) {
       logger.warn('Login attempt with incorrect password', { email });
-      const error = new Error('Invalid email or password');
-      error.statusCode = 401;
-      error.code = 'INVALID_CREDENTIALS';
-      throw error;
+      await loginProtectionService.recordLoginFailure(accountKey);
+      throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
     }
 
-    // Update last login
-    parent.lastLogin = new Date();
-
-    // Generate BOTH tokens
-    const accessToken = parent.getSignedJwtToken();
-    const refreshToken = parent.generateRefreshToken();
-
-    // Store refresh token in database
-    parent.refreshTokens = parent.refreshTokens || [];
-    parent.refreshTokens.push({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-    });
-
-    if (parent.refreshTokens.length > 5) {
-      parent.refreshTokens = parent.refreshTokens.slice(-5);
-    }
+    await loginProtectionService.unlockAccount(accountKey);
 
-    await parent.save();
+    // New token family for this login; updates last login and prunes expired tokens
+    const { parent: savedParent, accessToken, refreshToken } = await refreshTokenService.issueTokens(parent);
 
     logger.info('Parent logged in successfully', {
       parentId: parent._id,
@@ -121,7 +122,7 @@ const login = async (credentials) => {
     });
 
     return {
-      parent: parent.getPublicProfile(),
+      parent: savedParent.getPublicProfile(),
       accessToken,      // ✅ MUST return this
       refreshToken      // ✅ MUST return this
     };
@@ -145,10 +146,7 @@ const getProfile = async (parentId) => {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent || !parent.isActive) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     const profile = parent.getPublicProfile();
@@ -182,20 +180,14 @@ const updateProfile = async (parentId, updateData) => {
   });
 
   if (Object.keys(updates).length === 0) {
-    const error = new Error('No valid fields to update');
-    error.statusCode = 400;
-    error.code = 'NO_VALID_UPDATES';
-    throw error;
+    throw new ValidationError('No valid fields to update', 'NO_VALID_UPDATES');
   }
 
   try {
     const parent = await parentRepository.updateParent(parentId, updates);
 
     if (!parent) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     logger.info('Parent profile updated successfully', {
@@ -217,21 +209,20 @@ const updateProfile = async (parentId, updateData) => {
 
 /*
  * Change parent password
+ * Signs out every other session; the one making the change stays signed in.
  * 
  * @params {parentId}: string - Parent ID
  * @params {currentPassword}: string - Current password
  * @params {newPassword}: string - New password
+ * @params {sessionId}: string - Session of the caller's access token, if any
  * @returns Success message
  */
-const changePassword = async (parentId, currentPassword, newPassword) => {
+const changePassword = async (parentId, currentPassword, newPassword, sessionId = null) => {
   try {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     const isCurrentPasswordValid = await parent.comparePassword(currentPassword);
@@ -240,15 +231,16 @@ const changePassword = async (parentId, currentPassword, newPassword) => {
       logger.warn('Password change attempt with incorrect current password', {
         parentId
       });
-      const error = new Error('Current password is incorrect');
-      error.statusCode = 400;
-      error.code = 'INVALID_CURRENT_PASSWORD';
-      throw error;
+      throw new ValidationError('Current password is incorrect', 'INVALID_CURRENT_PASSWORD');
     }
 
-    parent.password = newPassword;
-    parent.refreshTokens = []; // Invalidate all refresh tokens
-    await parent.save();
+    await parentRepository.modifyParent(parentId, (current) => {
+      current.password = newPassword;
+      // Invalidate every other session's refresh token
+      current.refreshTokens = refreshTokenService
+        .pruneRefreshTokens(current.refreshTokens)
+        .filter((entry) => sessionId && entry.familyId === sessionId);
+    });
 
     logger.info('Parent password changed successfully', {
       parentId,
@@ -267,67 +259,113 @@ const changePassword = async (parentId, currentPassword, newPassword) => {
 };
 
 /*
- * Refresh JWT token
+ * Start a password reset
+ * Sends a single-use reset code to the email or phone number. Answers the same way whether
+ * or not an account exists, so the endpoint cannot be used to find registered contacts.
  * 
- * @params {refreshToken}: string - Refresh token
- * @returns New access token and refresh token
+ * @params {contact}: object - { email } or { phoneNumber }
+ * @returns Message and code lifetime in seconds
  */
-const refresh = async (refreshToken) => {
+const forgotPassword = async ({ email, phoneNumber }) => {
   try {
-    const decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
-
-    const parent = await parentRepository.getParent(decoded.id);
+    await otpService.sendOtp({ email, phoneNumber, purpose: PASSWORD_RESET_PURPOSE });
 
-    if (!parent || !parent.isActive) {
-      const error = new Error('Parent not found or inactive');
-      error.statusCode = 401;
-      error.code = 'PARENT_NOT_FOUND';
+    logger.info('Password reset requested', {
+      action: 'password_reset_request'
+    });
+  } catch (error) {
+    if (error.code !== 'PARENT_NOT_FOUND') {
+      logger.error('Password reset request failed', {
+        error: error.message
+      });
       throw error;
     }
 
-    const tokenExists = parent.refreshTokens.some(t => t.token === refreshToken);
+    logger.info('Password reset requested for unknown contact', {
+      action: 'password_reset_request'
+    });
+  }
 
-    if (!tokenExists) {
-      logger.warn('Refresh token not found in parent record', {
-        parentId: parent._id
-      });
-      const error = new Error('Invalid refresh token');
-      error.statusCode = 401;
-      error.code = 'INVALID_REFRESH_TOKEN';
-      throw error;
+  return {
+    message: 'If an account exists for this contact, a reset code has been sent',
+    // The configured lifetime either way, so the shape gives nothing away
+    expiresIn: otpService.OTP_EXPIRY_SECONDS
+  };
+};
+
+/*
+ * Complete a password reset
+ * Consumes the reset code, sets the new password and signs out every session.
+ * 
+ * @params {resetData}: object - { email } or { phoneNumber }, with otp and newPassword
+ * @returns Success message
+ */
+const resetPassword = async ({ email, phoneNumber, otp, newPassword }) => {
+  try {
+    // Marks the code as used, so it cannot reset the password twice
+    const { contact, contactType } = await otpService.verifyOtp({
+      email,
+      phoneNumber,
+      otp,
+      purpose: PASSWORD_RESET_PURPOSE
+    });
+
+    const parent = await otpService.findParentByContact(contactType, contact);
+
+    if (!parent || parent.isActive === false) {
+      throw new NotFoundError('Parent account not available', 'PARENT_NOT_FOUND');
     }
 
-    // Remove old refresh token
-    parent.refreshTokens = parent.refreshTokens.filter(t => t.token !== refreshToken);
+    await parentRepository.modifyParent(parent.id, (current) => {
+      current.password = newPassword;
+      current.refreshTokens = []; // Invalidate all refresh tokens
+    });
+    await otpRepository.deleteByContactAndPurpose(contact, PASSWORD_RESET_PURPOSE);
+    // Proving ownership of the contact also lifts a login lockout
+    await loginProtectionService.unlockAccount(parent.id);
 
-    // Generate new tokens
-    const newAccessToken = parent.getSignedJwtToken();
-    const newRefreshToken = parent.generateRefreshToken();
+    logger.info('Password reset successfully', {
+      parentId: parent.id,
+      action: 'password_reset'
+    });
 
-    // Store new refresh token
-    parent.refreshTokens = parent.refreshTokens || [];
-    parent.refreshTokens.push({
-      token: newRefreshToken,
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+    return { message: 'Password reset successfully' };
+  } catch (error) {
+    logger.error('Password reset failed', {
+      error: error.message
     });
+    throw error;
+  }
+};
 
-    await parent.save();
+/*
+ * Refresh JWT token
+ * 
+ * @params {refreshToken}: string - Refresh token
+ * @returns New access token and refresh token
+ */
+const refresh = async (refreshToken) => {
+  try {
+    const decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+
+    const parent = await parentRepository.getParent(decoded.id);
+
+    if (!parent || !parent.isActive) {
+      throw new UnauthorizedError('Parent not found or inactive', 'PARENT_NOT_FOUND');
+    }
+
+    // Rotate within the token's family; a replayed token revokes the family instead
+    const tokens = await refreshTokenService.rotate(parent, refreshToken, decoded);
 
     logger.info('Token refreshed successfully', {
       parentId: parent._id,
       action: 'token_refresh'
     });
 
-    return {
-      accessToken: newAccessToken,      // ✅ Return new access token
-      refreshToken: newRefreshToken     // ✅ Return new refresh token
-    };
+    return tokens;
   } catch (error) {
     if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      const authError = new Error('Invalid or expired refresh token');
-      authError.statusCode = 401;
-      authError.code = 'INVALID_REFRESH_TOKEN';
-      throw authError;
+      throw new UnauthorizedError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
     }
     throw error;
   }
@@ -346,10 +384,7 @@ const verify = async (token) => {
     const parent = await parentRepository.getParent(decoded.id);
 
     if (!parent || !parent.isActive) {
-      const error = new Error('Parent not authorized');
-      error.statusCode = 401;
-      error.code = 'NOT_AUTHORIZED';
-      throw error;
+      throw new UnauthorizedError('Parent not authorized', 'NOT_AUTHORIZED');
     }
 
     return {
@@ -358,17 +393,11 @@ const verify = async (token) => {
     };
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
-      const authError = new Error('Invalid token');
-      authError.statusCode = 401;
-      authError.code = 'INVALID_TOKEN';
-      throw authError;
+      throw new UnauthorizedError('Invalid token', 'INVALID_TOKEN');
     }
 
     if (error.name === 'TokenExpiredError') {
-      const authError = new Error('Token expired');
-      authError.statusCode = 401;
-      authError.code = 'TOKEN_EXPIRED';
-      throw authError;
+      throw new UnauthorizedError('Token expired', 'TOKEN_EXPIRED');
     }
 
     throw error;
@@ -377,25 +406,30 @@ const verify = async (token) => {
 
 /*
  * Logout parent
+ * Ends the caller's session and the session the refresh token belongs to (usually the same one).
  * 
  * @params {parentId}: string - Parent ID
  * @params {refreshToken}: string - Refresh token to invalidate
+ * @params {sessionId}: string - Session of the caller's access token, if any
  * @returns Success message
  */
-const logout = async (parentId, refreshToken) => {
+const logout = async (parentId, refreshToken, sessionId = null) => {
   try {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     if (refreshToken) {
-    parent.refreshTokens = (parent.refreshTokens || []).filter(t => t.token !== refreshToken);
-      await parent.save();
+      await refreshTokenService.revokeFamilyOf(parentId, refreshToken);
+    }
+
+    if (sessionId) {
+      await refreshTokenService.revokeSession(parentId, sessionId).catch((error) => {
+        // Already ended through its refresh token
+        if (error.code !== 'SESSION_NOT_FOUND') throw error;
+      });
     }
 
     logger.info('Parent logged out successfully', {
@@ -413,13 +447,99 @@ const logout = async (parentId, refreshToken) => {
   }
 };
 
+/*
+ * List the parent's active sessions
+ * 
+ * @params {parentId}: string - Parent ID
+ * @params {sessionId}: string - Session of the caller's access token, flagged as current
+ * @returns Array of sessions, most recently used first
+ */
+const getSessions = async (parentId, sessionId = null) => {
+  try {
+    const parent = await parentRepository.getParent(parentId);
+
+    if (!parent) {
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
+    }
+
+    return refreshTokenService.listSessions(parent, sessionId);
+  } catch (error) {
+    logger.error('List sessions failed', {
+      parentId,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+/*
+ * Sign out one session
+ * 
+ * @params {parentId}: string - Parent ID
+ * @params {targetSessionId}: string - Session to end
+ * @returns Success message
+ */
+const revokeSession = async (parentId, targetSessionId) => {
+  try {
+    await refreshTokenService.revokeSession(parentId, targetSessionId);
+
+    logger.info('Session revoked', {
+      parentId,
+      sessionId: targetSessionId,
+      action: 'session_revoke'
+    });
+
+    return { message: 'Session signed out' };
+  } catch (error) {
+    logger.error('Session revoke failed', {
+      parentId,
+      sessionId: targetSessionId,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+/*
+ * Sign out every session except the caller's
+ * 
+ * @params {parentId}: string - Parent ID
+ * @params {sessionId}: string - Session to keep; all sessions end when the token has none
+ * @returns Success message and number of sessions ended
+ */
+const revokeOtherSessions = async (parentId, sessionId = null) => {
+  try {
+    const revoked = await refreshTokenService.revokeOtherSessions(parentId, sessionId);
+
+    logger.info('Other sessions revoked', {
+      parentId,
+      sessionId,
+      revoked,
+      action: 'session_revoke_others'
+    });
+
+    return { message: 'Other sessions signed out', revoked };
+  } catch (error) {
+    logger.error('Revoking other sessions failed', {
+      parentId,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
 module.exports = {
   register,
   login,
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
   refresh,
   verify,
-  logout
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 };
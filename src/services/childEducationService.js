@@ -1,6 +1,7 @@
 const childEducationRepository = require('../repositories/childEducationRepository');
 const childRepository = require('../repositories/childRepository');
 const logger = require('../utils/logger');
+const { ConflictError, InternalError, NotFoundError, ValidationError } = require('../utils/errors');
 
 /**
  * Analyze performance trends across education records
@@ -187,36 +188,24 @@ const generateSuggestions = (records) => {
 const createEducationRecord = async (data) => {
   try {
     if (!data.childId) {
-      const error = new Error('childId is required');
-      error.statusCode = 400;
-      error.code = 'CHILD_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('childId is required', 'CHILD_ID_REQUIRED');
     }
 
     const child = await childRepository.getChild(data.childId);
     if (!child) {
-      const error = new Error(`Child with ID ${data.childId} not found`);
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Child with ID ${data.childId} not found`, 'CHILD_NOT_FOUND');
     }
 
     const existing = await childEducationRepository.getByChildId(data.childId);
     if (existing) {
-      const error = new Error('Education record already exists for this child');
-      error.statusCode = 409;
-      error.code = 'RECORD_EXISTS';
-      throw error;
+      throw new ConflictError('Education record already exists for this child', 'RECORD_EXISTS');
     }
 
     logger.info('Creating education record', { childId: data.childId });
     const created = await childEducationRepository.createEducationRecord(data);
 
     if (!created) {
-      const error = new Error('Failed to create education record');
-      error.statusCode = 500;
-      error.code = 'CREATION_FAILED';
-      throw error;
+      throw new InternalError('Failed to create education record', 'CREATION_FAILED');
     }
 
     return created;
@@ -251,10 +240,7 @@ const getEducationRecord = async (recordId) => {
 const getEducationRecordWithValidation = async (recordId) => {
   const record = await getEducationRecord(recordId);
   if (!record) {
-    const error = new Error(`Education record with ID ${recordId} not found`);
-    error.statusCode = 404;
-    error.code = 'RECORD_NOT_FOUND';
-    throw error;
+    throw new NotFoundError(`Education record with ID ${recordId} not found`, 'RECORD_NOT_FOUND');
   }
   return record;
 };
@@ -271,10 +257,7 @@ const getByChildId = async (childId) => {
 
     const child = await childRepository.getChild(childId);
     if (!child) {
-      const error = new Error(`Child with ID ${childId} not found`);
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Child with ID ${childId} not found`, 'CHILD_NOT_FOUND');
     }
 
     return await childEducationRepository.getByChildId(childId);
@@ -294,10 +277,7 @@ const getByChildId = async (childId) => {
 const updateEducationRecord = async (recordId, data) => {
   try {
     if (!recordId) {
-      const error = new Error('Record ID is required for update');
-      error.statusCode = 400;
-      error.code = 'RECORD_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('Record ID is required for update', 'RECORD_ID_REQUIRED');
     }
 
     await getEducationRecordWithValidation(recordId);
@@ -306,10 +286,7 @@ const updateEducationRecord = async (recordId, data) => {
     const updated = await childEducationRepository.updateEducationRecord(recordId, data);
 
     if (!updated) {
-      const error = new Error('Failed to update education record');
-      error.statusCode = 500;
-      error.code = 'UPDATE_FAILED';
-      throw error;
+      throw new InternalError('Failed to update education record', 'UPDATE_FAILED');
     }
 
     return updated;
@@ -349,6 +326,7 @@ const deleteEducationRecord = async (recordId) => {
 
 /**
  * Add grade record to existing education document
+ * The returned record still carries the previous suggestions until the grade_added event is handled.
  * 
  * @params {childId}: string - Child ID
  * @params {gradeRecord}: object - Grade record to add
@@ -357,18 +335,12 @@ const deleteEducationRecord = async (recordId) => {
 const addGradeRecord = async (childId, gradeRecord) => {
   try {
     if (!childId || !gradeRecord) {
-      const error = new Error('childId and gradeRecord are required');
-      error.statusCode = 400;
-      error.code = 'INVALID_INPUT';
-      throw error;
+      throw new ValidationError('childId and gradeRecord are required', 'INVALID_INPUT');
     }
 
     const child = await childRepository.getChild(childId);
     if (!child) {
-      const error = new Error(`Child with ID ${childId} not found`);
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Child with ID ${childId} not found`, 'CHILD_NOT_FOUND');
     }
 
     let educationRecord = await childEducationRepository.getByChildId(childId);
@@ -384,19 +356,13 @@ const addGradeRecord = async (childId, gradeRecord) => {
     const updated = await childEducationRepository.addGradeRecord(childId, gradeRecord);
 
     if (!updated) {
-      const error = new Error('Failed to add grade record');
-      error.statusCode = 500;
-      error.code = 'ADD_GRADE_FAILED';
-      throw error;
+      throw new InternalError('Failed to add grade record', 'ADD_GRADE_FAILED');
     }
 
-    const suggestions = generateSuggestions(updated.records);
-    await childEducationRepository.updateSuggestions(childId, suggestions);
-
-    const finalRecord = await childEducationRepository.getByChildId(childId);
-    logger.info('Added grade record and updated suggestions', { childId });
+    // Suggestions are regenerated by the education.grade_added subscriber
+    logger.info('Added grade record', { childId });
 
-    return finalRecord;
+    return updated;
   } catch (error) {
     logger.error('Error adding grade record', { childId, error: error.message });
     throw error;
@@ -448,10 +414,7 @@ const regenerateSuggestions = async (childId) => {
     const record = await getByChildId(childId);
 
     if (!record || !record.records || record.records.length === 0) {
-      const error = new Error('No education records found to generate suggestions');
-      error.statusCode = 404;
-      error.code = 'NO_RECORDS';
-      throw error;
+      throw new NotFoundError('No education records found to generate suggestions', 'NO_RECORDS');
     }
 
     const suggestions = generateSuggestions(record.records);
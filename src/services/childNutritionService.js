@@ -3,6 +3,7 @@ const childRepository = require('../repositories/childRepository');
 const logger = require('../utils/logger');
 const { calculateBMI, getBMICategory, isHealthyBMI } = require('../utils/bmiUtils');
 const { EATING_HABITS_KEYS, RECOMMENDATION_CATEGORIES } = require('../constants/childNutritionConstants');
+const { ConflictError, InternalError, NotFoundError, ValidationError } = require('../utils/errors');
 
 /**
  * Calculate healthy habits score from eating habits
@@ -191,36 +192,24 @@ const generateRecommendations = (records) => {
 const createNutritionRecord = async (data) => {
   try {
     if (!data.childId) {
-      const error = new Error('childId is required');
-      error.statusCode = 400;
-      error.code = 'CHILD_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('childId is required', 'CHILD_ID_REQUIRED');
     }
 
     const child = await childRepository.getChild(data.childId);
     if (!child) {
-      const error = new Error(`Child with ID ${data.childId} not found`);
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Child with ID ${data.childId} not found`, 'CHILD_NOT_FOUND');
     }
 
     const existing = await childNutritionRepository.getByChildId(data.childId);
     if (existing) {
-      const error = new Error('Nutrition record already exists for this child');
-      error.statusCode = 409;
-      error.code = 'RECORD_EXISTS';
-      throw error;
+      throw new ConflictError('Nutrition record already exists for this child', 'RECORD_EXISTS');
     }
 
     logger.info('Creating nutrition record', { childId: data.childId });
     const created = await childNutritionRepository.createNutritionRecord(data);
 
     if (!created) {
-      const error = new Error('Failed to create nutrition record');
-      error.statusCode = 500;
-      error.code = 'CREATION_FAILED';
-      throw error;
+      throw new InternalError('Failed to create nutrition record', 'CREATION_FAILED');
     }
 
     return created;
@@ -255,10 +244,7 @@ const getNutritionRecord = async (recordId) => {
 const getNutritionRecordWithValidation = async (recordId) => {
   const record = await getNutritionRecord(recordId);
   if (!record) {
-    const error = new Error(`Nutrition record with ID ${recordId} not found`);
-    error.statusCode = 404;
-    error.code = 'RECORD_NOT_FOUND';
-    throw error;
+    throw new NotFoundError(`Nutrition record with ID ${recordId} not found`, 'RECORD_NOT_FOUND');
   }
   return record;
 };
@@ -275,10 +261,7 @@ const getByChildId = async (childId) => {
 
     const child = await childRepository.getChild(childId);
     if (!child) {
-      const error = new Error(`Child with ID ${childId} not found`);
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Child with ID ${childId} not found`, 'CHILD_NOT_FOUND');
     }
 
     return await childNutritionRepository.getByChildId(childId);
@@ -298,10 +281,7 @@ const getByChildId = async (childId) => {
 const updateNutritionRecord = async (recordId, data) => {
   try {
     if (!recordId) {
-      const error = new Error('Record ID is required for update');
-      error.statusCode = 400;
-      error.code = 'RECORD_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('Record ID is required for update', 'RECORD_ID_REQUIRED');
     }
 
     await getNutritionRecordWithValidation(recordId);
@@ -310,10 +290,7 @@ const updateNutritionRecord = async (recordId, data) => {
     const updated = await childNutritionRepository.updateNutritionRecord(recordId, data);
 
     if (!updated) {
-      const error = new Error('Failed to update nutrition record');
-      error.statusCode = 500;
-      error.code = 'UPDATE_FAILED';
-      throw error;
+      throw new InternalError('Failed to update nutrition record', 'UPDATE_FAILED');
     }
 
     return updated;
@@ -353,6 +330,7 @@ const deleteNutritionRecord = async (recordId) => {
 
 /**
  * Add nutrition entry to existing record
+ * The returned record still carries the previous recommendations until the entry_added event is handled.
  * 
  * @params {childId}: string - Child ID
  * @params {nutritionEntry}: object - Nutrition entry to add
@@ -361,18 +339,12 @@ const deleteNutritionRecord = async (recordId) => {
 const addNutritionEntry = async (childId, nutritionEntry) => {
   try {
     if (!childId || !nutritionEntry) {
-      const error = new Error('childId and nutritionEntry are required');
-      error.statusCode = 400;
-      error.code = 'INVALID_INPUT';
-      throw error;
+      throw new ValidationError('childId and nutritionEntry are required', 'INVALID_INPUT');
     }
 
     const child = await childRepository.getChild(childId);
     if (!child) {
-      const error = new Error(`Child with ID ${childId} not found`);
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Child with ID ${childId} not found`, 'CHILD_NOT_FOUND');
     }
 
     let nutritionRecord = await childNutritionRepository.getByChildId(childId);
@@ -388,19 +360,13 @@ const addNutritionEntry = async (childId, nutritionEntry) => {
     const updated = await childNutritionRepository.addNutritionEntry(childId, nutritionEntry);
 
     if (!updated) {
-      const error = new Error('Failed to add nutrition entry');
-      error.statusCode = 500;
-      error.code = 'ADD_ENTRY_FAILED';
-      throw error;
+      throw new InternalError('Failed to add nutrition entry', 'ADD_ENTRY_FAILED');
     }
 
-    const recommendations = generateRecommendations(updated.records);
-    await childNutritionRepository.updateRecommendations(childId, recommendations);
-
-    const finalRecord = await childNutritionRepository.getByChildId(childId);
-    logger.info('Added nutrition entry and updated recommendations', { childId });
+    // Recommendations are regenerated by the nutrition.entry_added subscriber
+    logger.info('Added nutrition entry', { childId });
 
-    return finalRecord;
+    return updated;
   } catch (error) {
     logger.error('Error adding nutrition entry', { childId, error: error.message });
     throw error;
@@ -468,10 +434,7 @@ const regenerateRecommendations = async (childId) => {
     const record = await getByChildId(childId);
 
     if (!record || !record.records || record.records.length === 0) {
-      const error = new Error('No nutrition records found to generate recommendations');
-      error.statusCode = 404;
-      error.code = 'NO_RECORDS';
-      throw error;
+      throw new NotFoundError('No nutrition records found to generate recommendations', 'NO_RECORDS');
     }
 
     const recommendations = generateRecommendations(record.records);
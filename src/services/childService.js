@@ -4,6 +4,7 @@ const childNutritionRepository = require('../repositories/childNutritionReposito
 const { calculateBMI } = require('../utils/bmiUtils');
 const parentRepository = require('../repositories/parentRepository');
 const logger = require('../utils/logger');
+const { InternalError, NotFoundError, ValidationError } = require('../utils/errors');
 
 /**
  * Create a new child with optional initialization of related data
@@ -17,37 +18,24 @@ const createChild = async (childData, initializeRelated = false) => {
     const { parentId } = childData;
 
     if (!parentId) {
-      const error = new Error('Parent ID is required to create a child');
-      error.statusCode = 400;
-      error.code = 'PARENT_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('Parent ID is required to create a child', 'PARENT_ID_REQUIRED');
     }
 
     const parent = await parentRepository.getParent(parentId);
     if (!parent) {
-      const error = new Error(`Parent with ID ${parentId} not found`);
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Parent with ID ${parentId} not found`, 'PARENT_NOT_FOUND');
     }
 
     logger.info('Creating child for parent', { parentId });
-    const createdChild = await childRepository.createChild(childData);
+    // Child item and parent.childrenIds are written in one transaction
+    const createdChild = await childRepository.createChildForParent(childData);
 
     if (!createdChild) {
-      const error = new Error('Failed to create child record');
-      error.statusCode = 500;
-      error.code = 'CHILD_CREATION_FAILED';
-      throw error;
+      throw new InternalError('Failed to create child record', 'CHILD_CREATION_FAILED');
     }
 
     const childId = createdChild.id || createdChild._id;
-    
-    // Link child to parent
-    if (childId) {
-      await linkChildToParent(parentId, childId);
-      logger.info('Successfully created and linked child to parent', { childId, parentId });
-    }
+    logger.info('Successfully created and linked child to parent', { childId, parentId });
 
     // Initialize related records if requested
     if (initializeRelated && childId) {
@@ -72,7 +60,7 @@ const createChild = async (childData, initializeRelated = false) => {
 
     return createdChild;
   } catch (error) {
-    logger.error('Error creating child', { error: error.message, childData });
+    logger.error('Error creating child', { error: error.message, parentId: childData?.parentId });
     throw error;
   }
 };
@@ -121,10 +109,7 @@ const getChild = async (childId, includeRelated = false) => {
 const getChildWithValidation = async (childId, includeRelated = false) => {
   const child = await getChild(childId, includeRelated);
   if (!child) {
-    const error = new Error(`Child with ID ${childId} not found`);
-    error.statusCode = 404;
-    error.code = 'CHILD_NOT_FOUND';
-    throw error;
+    throw new NotFoundError(`Child with ID ${childId} not found`, 'CHILD_NOT_FOUND');
   }
   return child;
 };
@@ -144,10 +129,7 @@ const getChildrenByParent = async (parentId, limit = 100, skip = 0, includeRelat
 
     const parent = await parentRepository.getParent(parentId);
     if (!parent) {
-      const error = new Error(`Parent with ID ${parentId} not found`);
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Parent with ID ${parentId} not found`, 'PARENT_NOT_FOUND');
     }
 
     const children = await childRepository.getChildrenByParent(parentId, limit, skip);
@@ -178,10 +160,7 @@ const getChildrenByParent = async (parentId, limit = 100, skip = 0, includeRelat
 const updateChild = async (childId, updateData) => {
   try {
     if (!childId) {
-      const error = new Error('Child ID is required for update');
-      error.statusCode = 400;
-      error.code = 'CHILD_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('Child ID is required for update', 'CHILD_ID_REQUIRED');
     }
 
     await getChildWithValidation(childId);
@@ -191,10 +170,7 @@ const updateChild = async (childId, updateData) => {
     const updatedChild = await childRepository.updateChild(childId, updateData);
 
     if (!updatedChild) {
-      const error = new Error('Failed to update child record');
-      error.statusCode = 500;
-      error.code = 'CHILD_UPDATE_FAILED';
-      throw error;
+      throw new InternalError('Failed to update child record', 'CHILD_UPDATE_FAILED');
     }
 
     logger.info('Successfully updated child', { childId });
@@ -206,13 +182,15 @@ const updateChild = async (childId, updateData) => {
 };
 
 /**
- * Delete a child and cascade delete related data
+ * Move a child to the trash and unlink it from its parent
+ * Education and nutrition records are kept until the trash is purged.
  * 
  * @params {childId}: string - Child ID
  * @params {parentId}: string - Optional parent ID
+ * @params {deletedBy}: string - ID of the user deleting the child
  * @returns Boolean indicating success
  */
-const deleteChild = async (childId, parentId = null) => {
+const deleteChild = async (childId, parentId = null, deletedBy = null) => {
   try {
     if (!childId) return false;
 
@@ -222,29 +200,10 @@ const deleteChild = async (childId, parentId = null) => {
       parentId = child.parentId;
     }
 
-    logger.info('Deleting child and related data', { childId });
-
-    // Delete related education and nutrition records
-    try {
-      await Promise.all([
-        childEducationRepository.getByChildId(childId).then(record => {
-          if (record) {
-            return childEducationRepository.deleteEducationRecord(record._id || record.id);
-          }
-        }),
-        childNutritionRepository.getByChildId(childId).then(record => {
-          if (record) {
-            return childNutritionRepository.deleteNutritionRecord(record._id || record.id);
-          }
-        })
-      ]);
-      logger.info('Deleted related education and nutrition records', { childId });
-    } catch (error) {
-      logger.warn('Error deleting related records', { childId, error: error.message });
-    }
+    logger.info('Moving child to trash', { childId, deletedBy });
 
-    // Delete the child
-    const deleted = await childRepository.deleteChild(childId);
+    // Related education and nutrition records stay with the trashed child so a restore is lossless
+    const deleted = await childRepository.deleteChild(childId, { deletedBy });
 
     if (!deleted) {
       logger.warn('Failed to delete child', { childId });
@@ -261,7 +220,7 @@ const deleteChild = async (childId, parentId = null) => {
       }
     }
 
-    logger.info('Successfully deleted child and all related data', { childId });
+    logger.info('Successfully moved child to trash', { childId });
     return true;
   } catch (error) {
     logger.error('Error deleting child', { childId, error: error.message });
@@ -281,10 +240,7 @@ const countChildrenByParent = async (parentId) => {
 
     const parent = await parentRepository.getParent(parentId);
     if (!parent) {
-      const error = new Error(`Parent with ID ${parentId} not found`);
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Parent with ID ${parentId} not found`, 'PARENT_NOT_FOUND');
     }
 
     return await childRepository.countChildrenByParent(parentId);
@@ -304,10 +260,7 @@ const countChildrenByParent = async (parentId) => {
 const addCoursesToChild = async (childId, courseIds) => {
   try {
     if (!childId || !courseIds || !Array.isArray(courseIds) || courseIds.length === 0) {
-      const error = new Error('Child ID and course IDs are required');
-      error.statusCode = 400;
-      error.code = 'INVALID_INPUT';
-      throw error;
+      throw new ValidationError('Child ID and course IDs are required', 'INVALID_INPUT');
     }
 
     await getChildWithValidation(childId);
@@ -382,24 +335,6 @@ const getChildSummary = async (childId) => {
   return summary;
 };
 
-/**
- * Link child to parent (internal helper)
- * 
- * @params {parentId}: string - Parent ID
- * @params {childId}: string - Child ID
- * @returns void
- */
-const linkChildToParent = async (parentId, childId) => {
-  try {
-    const parent = await parentRepository.getParent(parentId);
-    const updated = Array.from(new Set([...(parent?.childrenIds || []), childId]));
-    await parentRepository.updateParent(parentId, { childrenIds: updated });
-  } catch (error) {
-    logger.error('Failed to link child to parent', { parentId, childId, error: error.message });
-    throw error;
-  }
-};
-
 /**
  * Unlink child from parent (internal helper)
  * 
@@ -426,44 +361,29 @@ const unlinkChildFromParent = async (parentId, childId) => {
  */
 const validateUpdateData = (updateData) => {
   if (!updateData || Object.keys(updateData).length === 0) {
-    const error = new Error('Update data cannot be empty');
-    error.statusCode = 400;
-    error.code = 'EMPTY_UPDATE_DATA';
-    throw error;
+    throw new ValidationError('Update data cannot be empty', 'EMPTY_UPDATE_DATA');
   }
   
   if ('age' in updateData) {
     const age = updateData.age;
     if (typeof age !== 'number' || age < 0 || age > 18) {
-      const error = new Error('Age must be between 0 and 18 years');
-      error.statusCode = 400;
-      error.code = 'INVALID_AGE';
-      throw error;
+      throw new ValidationError('Age must be between 0 and 18 years', 'INVALID_AGE');
     }
   }
   
   if ('name' in updateData) {
     const name = updateData.name;
     if (!name || !name.trim()) {
-      const error = new Error('Name cannot be empty');
-      error.statusCode = 400;
-      error.code = 'INVALID_NAME';
-      throw error;
+      throw new ValidationError('Name cannot be empty', 'INVALID_NAME');
     }
     
     if (name.trim().length > 100) {
-      const error = new Error('Name cannot exceed 100 characters');
-      error.statusCode = 400;
-      error.code = 'NAME_TOO_LONG';
-      throw error;
+      throw new ValidationError('Name cannot exceed 100 characters', 'NAME_TOO_LONG');
     }
   }
   
   if ('parentId' in updateData) {
-    const error = new Error('Parent ID cannot be changed after child creation');
-    error.statusCode = 400;
-    error.code = 'PARENT_ID_IMMUTABLE';
-    throw error;
+    throw new ValidationError('Parent ID cannot be changed after child creation', 'PARENT_ID_IMMUTABLE');
   }
 };
 
@@ -1,8 +1,11 @@
+const { v4: uuidv4 } = require('uuid');
 const courseRepository = require('../repositories/courseRepository');
+const courseContentRepository = require('../repositories/courseContentRepository');
 const courseProgressRepository = require('../repositories/courseProgressRepository');
 const parentRepository = require('../repositories/parentRepository');
 const instructorRepository = require('../repositories/instructorRepository');
 const logger = require('../utils/logger');
+const { ConflictError, InternalError, NotFoundError, ValidationError } = require('../utils/errors');
 
 const MAX_PDFS_PER_SECTION = 3;
 
@@ -19,10 +22,7 @@ const createCourse = async (data) => {
     if (data.instructor) {
       const instructor = await instructorRepository.getInstructorById(data.instructor);
       if (!instructor || !instructor.isActive) {
-        const error = new Error(`Instructor with ID ${data.instructor} not found`);
-        error.statusCode = 404;
-        error.code = 'INSTRUCTOR_NOT_FOUND';
-        throw error;
+        throw new NotFoundError(`Instructor with ID ${data.instructor} not found`, 'INSTRUCTOR_NOT_FOUND');
       }
     }
     
@@ -32,10 +32,7 @@ const createCourse = async (data) => {
     const created = await courseRepository.createCourse(data);
 
     if (!created) {
-      const error = new Error('Failed to create course');
-      error.statusCode = 500;
-      error.code = 'COURSE_CREATION_FAILED';
-      throw error;
+      throw new InternalError('Failed to create course', 'COURSE_CREATION_FAILED');
     }
     
     return created;
@@ -72,10 +69,7 @@ const getCourse = async (courseId, populate = true) => {
 const getCourseWithValidation = async (courseId, populate = true) => {
   const course = await getCourse(courseId, populate);
   if (!course) {
-    const error = new Error(`Course with ID ${courseId} not found`);
-    error.statusCode = 404;
-    error.code = 'COURSE_NOT_FOUND';
-    throw error;
+    throw new NotFoundError(`Course with ID ${courseId} not found`, 'COURSE_NOT_FOUND');
   }
 
   return course;
@@ -124,6 +118,27 @@ const getCourses = async (filters = {}, page = 1, limit = 20, sortBy = 'createdA
   }
 };
 
+/**
+ * Get courses with cursor pagination
+ * 
+ * @params {filters}: object - Filter criteria
+ * @params {options}: object - { limit, cursor } where cursor is the nextCursor of the previous page
+ * @returns Courses with { limit, nextCursor, hasNext } pagination
+ */
+const paginateCourses = async (filters = {}, { limit = 20, cursor } = {}) => {
+  try {
+    if (typeof filters.tags === 'string') {
+      filters.tags = filters.tags.split(',').map(tag => tag.trim());
+    }
+
+    logger.info('Fetching courses by cursor', { filters, limit, hasCursor: Boolean(cursor) });
+    return await courseRepository.paginateCourses(filters, { limit, cursor });
+  } catch (error) {
+    logger.error('Error fetching courses', { error: error.message, filters });
+    throw error;
+  }
+};
+
 /**
  * Update course
  * 
@@ -134,10 +149,7 @@ const getCourses = async (filters = {}, page = 1, limit = 20, sortBy = 'createdA
 const updateCourse = async (courseId, data) => {
   try {
     if (!courseId) {
-      const error = new Error('Course ID is required for update');
-      error.statusCode = 400;
-      error.code = 'COURSE_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('Course ID is required for update', 'COURSE_ID_REQUIRED');
     }
     
     await getCourseWithValidation(courseId);
@@ -145,10 +157,7 @@ const updateCourse = async (courseId, data) => {
     if (data.instructor) {
       const instructor = await instructorRepository.getInstructorById(data.instructor);
       if (!instructor || !instructor.isActive) {
-        const error = new Error(`Instructor with ID ${data.instructor} not found`);
-        error.statusCode = 404;
-        error.code = 'INSTRUCTOR_NOT_FOUND';
-        throw error;
+        throw new NotFoundError(`Instructor with ID ${data.instructor} not found`, 'INSTRUCTOR_NOT_FOUND');
       }
     }
     
@@ -160,10 +169,7 @@ const updateCourse = async (courseId, data) => {
     const updated = await courseRepository.updateCourse(courseId, data);
     
     if (!updated) {
-      const error = new Error('Failed to update course');
-      error.statusCode = 500;
-      error.code = 'COURSE_UPDATE_FAILED';
-      throw error;
+      throw new InternalError('Failed to update course', 'COURSE_UPDATE_FAILED');
     }
     
     return updated;
@@ -174,19 +180,20 @@ const updateCourse = async (courseId, data) => {
 };
 
 /**
- * Delete course
+ * Delete course (moves it to the trash)
  * 
  * @params {courseId}: string - Course ID
+ * @params {deletedBy}: string - ID of the user deleting the course
  * @returns Boolean indicating success
  */
-const deleteCourse = async (courseId) => {
+const deleteCourse = async (courseId, deletedBy) => {
   try {
     if (!courseId) return false;
     
     await getCourseWithValidation(courseId);
 
-    logger.info('Deleting course', { courseId });
-    const deleted = await courseRepository.deleteCourse(courseId);
+    logger.info('Deleting course', { courseId, deletedBy });
+    const deleted = await courseRepository.deleteCourse(courseId, { deletedBy });
 
     if (!deleted) {
       logger.warn('Failed to delete course', { courseId });
@@ -214,10 +221,7 @@ const enrollInCourse = async (userId, courseId) => {
     
     const user = await parentRepository.getParent(userId);
     if (!user) {
-      const error = new Error(`User with ID ${userId} not found`);
-      error.statusCode = 404;
-      error.code = 'USER_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`User with ID ${userId} not found`, 'USER_NOT_FOUND');
     }
     
     const existingProgress = await courseProgressRepository.getUserCourseProgress(userId, courseId);
@@ -226,9 +230,7 @@ const enrollInCourse = async (userId, courseId) => {
       return existingProgress;
     }
     
-    await courseRepository.incrementEnrollment(courseId);
-
-    const progress = await courseProgressRepository.getOrCreateProgress(userId, courseId);
+    const progress = await courseProgressRepository.enrollUser(userId, courseId);
     logger.info('User enrolled in course', { userId, courseId });
     return progress;
   } catch (error) {
@@ -311,10 +313,7 @@ const updateVideoProgress = async (userId, courseId, sectionId, videoId, watched
     );
     
     if (!updated) {
-      const error = new Error('Failed to update video progress');
-      error.statusCode = 500;
-      error.code = 'UPDATE_PROGRESS_FAILED';
-      throw error;
+      throw new InternalError('Failed to update video progress', 'UPDATE_PROGRESS_FAILED');
     }
     
     const recalculated = await courseProgressRepository.calculateOverallProgress(
@@ -357,10 +356,7 @@ const updateTestProgress = async (userId, courseId, sectionId, testId, score, pa
     );
     
     if (!updated) {
-      const error = new Error('Failed to update test progress');
-      error.statusCode = 500;
-      error.code = 'UPDATE_PROGRESS_FAILED';
-      throw error;
+      throw new InternalError('Failed to update test progress', 'UPDATE_PROGRESS_FAILED');
     }
     
     const recalculated = await courseProgressRepository.calculateOverallProgress(
@@ -398,10 +394,7 @@ const updateCourseNotes = async (userId, courseId, notes) => {
     const updated = await courseProgressRepository.updateCourseNotes(userId, courseId, notes);
 
     if (!updated) {
-      const error = new Error('Failed to update course notes');
-      error.statusCode = 500;
-      error.code = 'UPDATE_NOTES_FAILED';
-      throw error;
+      throw new InternalError('Failed to update course notes', 'UPDATE_NOTES_FAILED');
     }
 
     logger.info('Updated course notes', { userId, courseId });
@@ -424,17 +417,11 @@ const issueCertificate = async (userId, courseId) => {
     const progress = await courseProgressRepository.getUserCourseProgress(userId, courseId);
     
     if (!progress) {
-      const error = new Error('Progress not found for this user and course');
-      error.statusCode = 404;
-      error.code = 'PROGRESS_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Progress not found for this user and course', 'PROGRESS_NOT_FOUND');
     }
     
     if (!progress.isCompleted) {
-      const error = new Error('Course must be completed before issuing certificate');
-      error.statusCode = 400;
-      error.code = 'COURSE_NOT_COMPLETED';
-      throw error;
+      throw new ValidationError('Course must be completed before issuing certificate', 'COURSE_NOT_COMPLETED');
     }
     
     if (progress.certificateIssued) {
@@ -507,6 +494,202 @@ const hasAccessToCourse = async (userId, courseId) => {
   }
 };
 
+/**
+ * Load a course item for a section or video edit
+ * Courses whose sections are still inline (before migration 0007) can only be edited as a whole.
+ *
+ * @params {courseId}: string - Course ID
+ * @returns Course item without sections
+ */
+const getEditableCourse = async (courseId) => {
+  const course = await courseRepository.getCourseSummary(courseId);
+  if (!course) {
+    throw new NotFoundError(`Course with ID ${courseId} not found`, 'COURSE_NOT_FOUND');
+  }
+  if (Array.isArray(course.sections)) {
+    throw new ConflictError('Course sections are stored inline; update the whole course or run the section migration', 'COURSE_SECTIONS_INLINE');
+  }
+  return course;
+};
+
+/**
+ * Load a section of a course
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @returns Section with its videos
+ */
+const getSectionWithValidation = async (courseId, sectionId) => {
+  await getEditableCourse(courseId);
+  const section = await courseContentRepository.getSection(courseId, sectionId);
+  if (!section) {
+    throw new NotFoundError('Section not found', 'SECTION_NOT_FOUND');
+  }
+  return section;
+};
+
+/**
+ * Append a section to a course
+ *
+ * @params {courseId}: string - Course ID
+ * @params {data}: object - Section fields, optionally with videos
+ * @returns Created section
+ */
+const createSection = async (courseId, data) => {
+  try {
+    await getEditableCourse(courseId);
+    validateCourseStructure([data]);
+
+    const section = await courseContentRepository.createSection(courseId, data);
+    logger.info('Section created', { courseId, sectionId: section.id });
+    return section;
+  } catch (error) {
+    logger.error('Create section failed', { courseId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Update a section's own fields
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {data}: object - Fields to change
+ * @returns Updated section
+ */
+const updateSection = async (courseId, sectionId, data) => {
+  try {
+    await getSectionWithValidation(courseId, sectionId);
+    const section = await courseContentRepository.updateSection(courseId, sectionId, data);
+    logger.info('Section updated', { courseId, sectionId });
+    return section;
+  } catch (error) {
+    logger.error('Update section failed', { courseId, sectionId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Delete a section and its videos
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @returns Boolean indicating success
+ */
+const deleteSection = async (courseId, sectionId) => {
+  try {
+    await getSectionWithValidation(courseId, sectionId);
+    const deleted = await courseContentRepository.deleteSection(courseId, sectionId);
+    logger.info('Section deleted', { courseId, sectionId });
+    return deleted;
+  } catch (error) {
+    logger.error('Delete section failed', { courseId, sectionId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Reorder the sections of a course
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionIds}: Array - Every section ID in the new order
+ * @returns Sections in the new order
+ */
+const reorderSections = async (courseId, sectionIds) => {
+  try {
+    await getEditableCourse(courseId);
+    return await courseContentRepository.reorderSections(courseId, sectionIds);
+  } catch (error) {
+    logger.error('Reorder sections failed', { courseId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Append a video to a section
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {data}: object - Video fields
+ * @returns Created video
+ */
+const addVideo = async (courseId, sectionId, data) => {
+  try {
+    await getSectionWithValidation(courseId, sectionId);
+    const video = await courseContentRepository.addVideo(courseId, sectionId, data);
+    logger.info('Video added to section', { courseId, sectionId, videoId: video.id });
+    return video;
+  } catch (error) {
+    logger.error('Add video failed', { courseId, sectionId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Update a video
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {videoId}: string - Video ID
+ * @params {data}: object - Fields to change
+ * @returns Updated video
+ */
+const updateVideo = async (courseId, sectionId, videoId, data) => {
+  try {
+    await getEditableCourse(courseId);
+    const video = await courseContentRepository.updateVideo(courseId, sectionId, videoId, data);
+    if (!video) {
+      throw new NotFoundError('Video not found', 'VIDEO_NOT_FOUND');
+    }
+    logger.info('Video updated', { courseId, sectionId, videoId });
+    return video;
+  } catch (error) {
+    logger.error('Update video failed', { courseId, sectionId, videoId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Delete a video
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {videoId}: string - Video ID
+ * @returns Boolean indicating success
+ */
+const deleteVideo = async (courseId, sectionId, videoId) => {
+  try {
+    await getEditableCourse(courseId);
+    const deleted = await courseContentRepository.deleteVideo(courseId, sectionId, videoId);
+    if (!deleted) {
+      throw new NotFoundError('Video not found', 'VIDEO_NOT_FOUND');
+    }
+    logger.info('Video deleted', { courseId, sectionId, videoId });
+    return true;
+  } catch (error) {
+    logger.error('Delete video failed', { courseId, sectionId, videoId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Reorder the videos of a section
+ *
+ * @params {courseId}: string - Course ID
+ * @params {sectionId}: string - Section ID
+ * @params {videoIds}: Array - Every video ID of the section in the new order
+ * @returns Section with its videos in the new order
+ */
+const reorderVideos = async (courseId, sectionId, videoIds) => {
+  try {
+    await getSectionWithValidation(courseId, sectionId);
+    return await courseContentRepository.reorderVideos(courseId, sectionId, videoIds);
+  } catch (error) {
+    logger.error('Reorder videos failed', { courseId, sectionId, error: error.message });
+    throw error;
+  }
+};
+
 /**
  * Add Pdfs to Course sections
  * 
@@ -514,32 +697,18 @@ const hasAccessToCourse = async (userId, courseId) => {
  * @param {sectionId}: string - Section ID
  * @param {pdfs}: Array - Array of PDFs
  * @param {uploadedBy}: string - User ID
- * @returns 
+ * @returns Updated section
  */
 const addPdfsToSection = async (courseId, sectionId, pdfs, uploadedBy) => {
   try {
-    const course = await getCourseWithValidation(courseId);
-    const sections = course.sections || [];
-    const sectionIndex = sections.findIndex((s) => (s._id || s.id) === sectionId);
-
-    if (sectionIndex === -1) {
-      const error = new Error('Section not found');
-      error.statusCode = 404;
-      error.code = 'SECTION_NOT_FOUND';
-      throw error;
-    }
-
-    const section = sections[sectionIndex];
+    const section = await getSectionWithValidation(courseId, sectionId);
     const currentPdfCount = (section.pdfs || []).length;
     const newPdfCount = pdfs.length;
 
     if (currentPdfCount + newPdfCount > MAX_PDFS_PER_SECTION) {
-      const error = new Error(
+      throw new ValidationError(
         `Section already has ${currentPdfCount} PDF(s). Cannot add ${newPdfCount} more. Maximum ${MAX_PDFS_PER_SECTION} PDFs per section.`
-      );
-      error.statusCode = 400;
-      error.code = 'PDF_LIMIT_EXCEEDED';
-      throw error;
+      , 'PDF_LIMIT_EXCEEDED');
     }
 
     const pdfMetadata = pdfs.map((pdf) => ({
@@ -548,17 +717,12 @@ const addPdfsToSection = async (courseId, sectionId, pdfs, uploadedBy) => {
       size: pdf.size,
       uploadedBy,
       uploadedAt: new Date().toISOString(),
-      id: pdf.id || pdf._id || undefined
+      id: pdf.id || pdf._id || uuidv4()
     }));
 
-    const updatedSection = {
-      ...section,
+    const updatedSection = await courseContentRepository.updateSection(courseId, sectionId, {
       pdfs: [...(section.pdfs || []), ...pdfMetadata]
-    };
-    const updatedSections = [...sections];
-    updatedSections[sectionIndex] = updatedSection;
-
-    const updatedCourse = await courseRepository.updateCourse(courseId, { sections: updatedSections });
+    });
     logger.info('PDFs added to section', {
       courseId,
       sectionId,
@@ -566,7 +730,7 @@ const addPdfsToSection = async (courseId, sectionId, pdfs, uploadedBy) => {
       uploadedBy
     });
 
-    return updatedCourse.sections.find((s) => (s._id || s.id) === sectionId) || updatedSection;
+    return updatedSection;
   } catch (error) {
     logger.error('Add PDFs to section failed', {
       courseId,
@@ -583,38 +747,20 @@ const addPdfsToSection = async (courseId, sectionId, pdfs, uploadedBy) => {
  * @param {courseId}: string - Course ID
  * @param {sectionId}: string - Section ID
  * @param {pdfId}: string - PDF ID
- * @returns 
+ * @returns Updated section
  */
 const removePdfFromSection = async (courseId, sectionId, pdfId) => {
   try {
-    const course = await getCourseWithValidation(courseId);
-    const sections = course.sections || [];
-    const sectionIndex = sections.findIndex((s) => (s._id || s.id) === sectionId);
-
-    if (sectionIndex === -1) {
-      const error = new Error('Section not found');
-      error.statusCode = 404;
-      error.code = 'SECTION_NOT_FOUND';
-      throw error;
-    }
-
-    const section = sections[sectionIndex];
+    const section = await getSectionWithValidation(courseId, sectionId);
     const filteredPdfs = (section.pdfs || []).filter(
       (pdf) => (pdf._id || pdf.id || '').toString() !== pdfId
     );
 
     if (filteredPdfs.length === (section.pdfs || []).length) {
-      const error = new Error('PDF not found in section');
-      error.statusCode = 404;
-      error.code = 'PDF_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('PDF not found in section', 'PDF_NOT_FOUND');
     }
 
-    const updatedSection = { ...section, pdfs: filteredPdfs };
-    const updatedSections = [...sections];
-    updatedSections[sectionIndex] = updatedSection;
-
-    const updatedCourse = await courseRepository.updateCourse(courseId, { sections: updatedSections });
+    const updatedSection = await courseContentRepository.updateSection(courseId, sectionId, { pdfs: filteredPdfs });
 
     logger.info('PDF removed from section', {
       courseId,
@@ -622,7 +768,7 @@ const removePdfFromSection = async (courseId, sectionId, pdfId) => {
       pdfId
     });
 
-    return updatedCourse.sections.find((s) => (s._id || s.id) === sectionId) || updatedSection;
+    return updatedSection;
   } catch (error) {
     logger.error('Remove PDF from section failed', {
       courseId,
@@ -641,27 +787,18 @@ const removePdfFromSection = async (courseId, sectionId, pdfId) => {
  */
 const validateCourseStructure = (sections) => {
   if (!sections || sections.length === 0) {
-    const error = new Error('Course must have at least one section');
-    error.statusCode = 400;
-    error.code = 'INVALID_COURSE_STRUCTURE';
-    throw error;
+    throw new ValidationError('Course must have at least one section', 'INVALID_COURSE_STRUCTURE');
   }
   
   sections.forEach((section, sIndex) => {
     if (!section.title || section.title.trim().length === 0) {
-      const error = new Error(`Section ${sIndex + 1} must have a title`);
-      error.statusCode = 400;
-      error.code = 'INVALID_SECTION';
-      throw error;
+      throw new ValidationError(`Section ${sIndex + 1} must have a title`, 'INVALID_SECTION');
     }
     
     if (section.videos && section.videos.length > 0) {
       section.videos.forEach((video, vIndex) => {
         if (!video.title || !video.videoUrl) {
-          const error = new Error(`Video ${vIndex + 1} in section ${sIndex + 1} is invalid`);
-          error.statusCode = 400;
-          error.code = 'INVALID_VIDEO';
-          throw error;
+          throw new ValidationError(`Video ${vIndex + 1} in section ${sIndex + 1} is invalid`, 'INVALID_VIDEO');
         }
       });
     }
@@ -674,6 +811,7 @@ module.exports = {
   getCourseWithValidation,
   getCourseBySlug,
   getCourses,
+  paginateCourses,
   updateCourse,
   deleteCourse,
   enrollInCourse,
@@ -684,6 +822,14 @@ module.exports = {
   updateCourseNotes,
   issueCertificate,
   hasAccessToCourse,
+  createSection,
+  updateSection,
+  deleteSection,
+  reorderSections,
+  addVideo,
+  updateVideo,
+  deleteVideo,
+  reorderVideos,
   addPdfsToSection,
   removePdfFromSection,
   attachWishlistStatus
@@ -0,0 +1,30 @@
+const historyRepository = require('../repositories/historyRepository');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * Get the change history of a parent, child, course or question, newest first
+ * 
+ * @params {entityType}: string - parent, child, course or question
+ * @params {id}: string - Entity ID
+ * @params {options}: object - { limit, cursor }
+ * @returns Object with entries and nextCursor
+ */
+const getHistory = async (entityType, id, { limit = 20, cursor } = {}) => {
+  try {
+    const target = await historyRepository.findTarget(entityType, id);
+
+    if (!target) {
+      throw new NotFoundError(`${entityType.charAt(0).toUpperCase()}${entityType.slice(1)} not found`, `${entityType.toUpperCase()}_NOT_FOUND`);
+    }
+
+    return await historyRepository.listHistory(target, { limit, cursor });
+  } catch (error) {
+    logger.error('Error fetching history', { entityType, id, error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  getHistory
+};
@@ -11,11 +11,14 @@ const childService = require('./childService');
 const childEducationService = require('./childEducationService');
 const childNutritionService = require('./childNutritionService');
 const courseService = require('./courseService');
+const historyService = require('./historyService');
 const parentService = require('./parentService');
 const instructorService = require('./instructorService');
+const migrationService = require('./migrationService');
 const questionService = require('./questionService');
 const otpService = require('./otpService');
 const notificationService = require('./notificationService');
+const trashService = require('./trashService');
 
 module.exports = {
   authService,
@@ -24,9 +27,12 @@ module.exports = {
   childEducationService,
   childNutritionService,
   courseService,
+  historyService,
   parentService,
   instructorService,
+  migrationService,
   questionService,
   otpService,
-  notificationService
+  notificationService,
+  trashService
 };
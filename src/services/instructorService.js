@@ -1,15 +1,13 @@
 const instructorRepository = require('../repositories/instructorRepository');
 const logger = require('../utils/logger');
+const { ConflictError, NotFoundError } = require('../utils/errors');
 
 const createInstructor = async (data) => {
   try {
     if (data.email) {
       const existing = await instructorRepository.getInstructorByEmail(data.email);
       if (existing) {
-        const error = new Error('Instructor with this email already exists');
-        error.statusCode = 409;
-        error.code = 'INSTRUCTOR_DUPLICATE_EMAIL';
-        throw error;
+        throw new ConflictError('Instructor with this email already exists', 'INSTRUCTOR_DUPLICATE_EMAIL');
       }
     }
 
@@ -28,10 +26,7 @@ const createInstructor = async (data) => {
 const getInstructor = async (id) => {
   const instructor = await instructorRepository.getInstructorById(id);
   if (!instructor) {
-    const error = new Error(`Instructor with ID ${id} not found`);
-    error.statusCode = 404;
-    error.code = 'INSTRUCTOR_NOT_FOUND';
-    throw error;
+    throw new NotFoundError(`Instructor with ID ${id} not found`, 'INSTRUCTOR_NOT_FOUND');
   }
   return instructor;
 };
@@ -49,14 +44,23 @@ const listInstructors = async (filters, page, limit, sortBy, sortOrder) => {
   }
 };
 
+const paginateInstructors = async (filters, { limit = 20, cursor } = {}) => {
+  try {
+    return await instructorRepository.paginateInstructors(filters, { limit, cursor });
+  } catch (error) {
+    logger.error('Instructor service failed to list instructors', {
+      error: error.message,
+      filters
+    });
+    throw error;
+  }
+};
+
 const updateInstructor = async (id, data) => {
   try {
     const instructor = await instructorRepository.updateInstructor(id, data);
     if (!instructor) {
-      const error = new Error(`Instructor with ID ${id} not found`);
-      error.statusCode = 404;
-      error.code = 'INSTRUCTOR_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Instructor with ID ${id} not found`, 'INSTRUCTOR_NOT_FOUND');
     }
     return instructor;
   } catch (error) {
@@ -73,10 +77,7 @@ const removeInstructor = async (id) => {
   try {
     const deleted = await instructorRepository.deleteInstructor(id);
     if (!deleted) {
-      const error = new Error(`Instructor with ID ${id} not found`);
-      error.statusCode = 404;
-      error.code = 'INSTRUCTOR_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Instructor with ID ${id} not found`, 'INSTRUCTOR_NOT_FOUND');
     }
     return deleted;
   } catch (error) {
@@ -92,6 +93,7 @@ module.exports = {
   createInstructor,
   getInstructor,
   listInstructors,
+  paginateInstructors,
   updateInstructor,
   removeInstructor
 };
@@ -0,0 +1,251 @@
+/**
+ * Brute-force protection for password logins and OTP codes
+ *
+ * Failures are counted in DynamoDB per account (the parent id, or the email when no parent
+ * matches), per OTP contact and per client IP, so every server instance sees the same numbers.
+ * Once an account has used up config.freeAttempts, each further login attempt has to wait,
+ * twice as long after every failure. At a threshold the account, contact or IP is locked for
+ * config.lockoutSeconds and a security event is logged; a failure right after a lockout ends
+ * locks it again until the counter's window lapses. Signing in with an OTP code or resetting
+ * the password unlocks the account.
+ *
+ * Codes sent are counted the same way per contact and per IP, whether or not the contact has an
+ * account, since every send costs an email or SMS and lands in someone's inbox.
+ */
+
+const loginAttemptRepository = require('../repositories/loginAttemptRepository');
+const logger = require('../utils/logger');
+const config = require('../config/loginProtectionConfig');
+const { getClientInfo } = require('../utils/requestContext');
+const { RateLimitError } = require('../utils/errors');
+
+const SCOPES = {
+  ACCOUNT: 'account',
+  OTP: 'otp',
+  IP: 'ip',
+  OTP_SEND: 'otp_send',
+  OTP_SEND_IP: 'otp_send_ip'
+};
+
+const LOCKOUT_MESSAGES = {
+  [SCOPES.ACCOUNT]: 'Account locked after repeated failed logins',
+  [SCOPES.OTP]: 'OTP verification locked after repeated wrong codes',
+  [SCOPES.IP]: 'Client IP locked after repeated failed attempts'
+};
+
+const toIso = (timestamp) => new Date(timestamp).toISOString();
+
+const secondsUntil = (timestamp, now) => Math.max(1, Math.ceil((timestamp - now) / 1000));
+
+// Wait required before the next login attempt of an account with this many failures
+const delaySeconds = (failures) =>
+  failures < config.freeAttempts
+    ? 0
+    : Math.min(config.delayBaseSeconds * 2 ** (failures - config.freeAttempts), config.delayMaxSeconds);
+
+/**
+ * Counter of a scope and subject, ignoring one whose window has lapsed
+ *
+ * @params {scope}: string - account, otp or ip
+ * @params {subject}: string - Parent id, contact or IP address
+ * @params {now}: number - Reference time in milliseconds
+ * @returns Counter item, or null
+ */
+const readCounter = async (scope, subject, now) => {
+  if (!subject) return null;
+  const counter = await loginAttemptRepository.getAttempts(scope, subject);
+  return counter && Date.parse(counter.resetAt) > now ? counter : null;
+};
+
+const assertNotLocked = (counter, now, message, code) => {
+  const lockedUntil = counter?.lockedUntil ? Date.parse(counter.lockedUntil) : 0;
+  if (lockedUntil > now) {
+    throw new RateLimitError(message, code, secondsUntil(lockedUntil, now));
+  }
+};
+
+/**
+ * Count one failure, locking the subject when it reaches the threshold
+ *
+ * @params {scope}: string - account, otp or ip
+ * @params {subject}: string - Parent id, contact or IP address
+ * @params {threshold}: number - Failures that lock the subject
+ * @params {now}: number - Reference time in milliseconds
+ * @returns Saved counter, or null without a subject
+ */
+const recordFailure = async (scope, subject, threshold, now) => {
+  if (!subject) return null;
+  let locked = false;
+
+  const counter = await loginAttemptRepository.modifyAttempts(scope, subject, (current) => {
+    if (!current.resetAt || Date.parse(current.resetAt) <= now) {
+      current.failures = 0;
+      delete current.lockedUntil;
+    }
+
+    current.failures += 1;
+    current.lastFailedAt = toIso(now);
+    current.resetAt = toIso(now + config.failureWindowSeconds * 1000);
+
+    const alreadyLocked = current.lockedUntil && Date.parse(current.lockedUntil) > now;
+    locked = current.failures >= threshold && !alreadyLocked;
+    if (locked) {
+      current.lockedUntil = toIso(now + config.lockoutSeconds * 1000);
+    }
+  });
+
+  if (locked) {
+    logger.security(LOCKOUT_MESSAGES[scope], {
+      scope,
+      subject,
+      failures: counter.failures,
+      lockedUntil: counter.lockedUntil,
+      action: 'lockout'
+    });
+  }
+
+  return counter;
+};
+
+/**
+ * Refuse a password login that is locked out or has to wait
+ *
+ * @params {accountKey}: string - Parent id, or the email when no parent matches
+ * @returns undefined; throws RateLimitError with IP_LOCKED, ACCOUNT_LOCKED or LOGIN_THROTTLED
+ */
+const assertLoginAllowed = async (accountKey) => {
+  const now = Date.now();
+  const { ip } = getClientInfo();
+  const [account, client] = await Promise.all([
+    readCounter(SCOPES.ACCOUNT, accountKey, now),
+    readCounter(SCOPES.IP, ip, now)
+  ]);
+
+  assertNotLocked(client, now, 'Too many failed attempts from this network. Please try again later.', 'IP_LOCKED');
+  assertNotLocked(
+    account,
+    now,
+    'Account temporarily locked after too many failed attempts. Try again later or sign in with a one-time code.',
+    'ACCOUNT_LOCKED'
+  );
+
+  const nextAttemptAt = account ? Date.parse(account.lastFailedAt) + delaySeconds(account.failures) * 1000 : 0;
+  if (nextAttemptAt > now) {
+    throw new RateLimitError(
+      'Too many failed attempts. Please wait before trying again.',
+      'LOGIN_THROTTLED',
+      secondsUntil(nextAttemptAt, now)
+    );
+  }
+};
+
+/**
+ * Count a failed password login against the account and the client IP
+ *
+ * @params {accountKey}: string - Parent id, or the email when no parent matches
+ */
+const recordLoginFailure = async (accountKey) => {
+  const now = Date.now();
+  const { ip } = getClientInfo();
+
+  await recordFailure(SCOPES.ACCOUNT, accountKey, config.accountLockoutThreshold, now);
+  await recordFailure(SCOPES.IP, ip, config.ipLockoutThreshold, now);
+};
+
+/**
+ * Clear an account's failures and lockout, after a successful login or a proof of ownership
+ * such as a verified OTP code
+ *
+ * @params {accountKey}: string - Parent id
+ */
+const unlockAccount = (accountKey) => loginAttemptRepository.clearAttempts(SCOPES.ACCOUNT, accountKey);
+
+/**
+ * Refuse sending or verifying OTP codes for a locked contact or client IP
+ *
+ * @params {contact}: string - Normalised email or phone number
+ * @returns undefined; throws RateLimitError with IP_LOCKED or OTP_LOCKED
+ */
+const assertOtpAllowed = async (contact) => {
+  const now = Date.now();
+  const { ip } = getClientInfo();
+  const [otp, client] = await Promise.all([
+    readCounter(SCOPES.OTP, contact, now),
+    readCounter(SCOPES.IP, ip, now)
+  ]);
+
+  assertNotLocked(client, now, 'Too many failed attempts from this network. Please try again later.', 'IP_LOCKED');
+  assertNotLocked(otp, now, 'Too many wrong codes. Please try again later.', 'OTP_LOCKED');
+};
+
+/**
+ * Count a wrong OTP code against the contact and the client IP
+ * Unlike the attempts stored on each code, this survives requesting a new code.
+ *
+ * @params {contact}: string - Normalised email or phone number
+ */
+const recordOtpFailure = async (contact) => {
+  const now = Date.now();
+  const { ip } = getClientInfo();
+
+  await recordFailure(SCOPES.OTP, contact, config.otpLockoutThreshold, now);
+  await recordFailure(SCOPES.IP, ip, config.ipLockoutThreshold, now);
+};
+
+/**
+ * Count one send against a subject, refusing it once the window's limit is used up
+ * Throwing from the mutator leaves the counter unwritten.
+ *
+ * @params {scope}: string - otp_send or otp_send_ip
+ * @params {subject}: string - Contact or IP address
+ * @params {limit}: number - Sends allowed per window
+ * @params {message}: string - Message of the RateLimitError
+ * @params {now}: number - Reference time in milliseconds
+ */
+const recordSend = async (scope, subject, limit, message, now) => {
+  if (!subject) return;
+
+  await loginAttemptRepository.modifyAttempts(scope, subject, (current) => {
+    if (!current.resetAt || Date.parse(current.resetAt) <= now) {
+      current.sends = 0;
+      current.resetAt = toIso(now + config.otpSendWindowSeconds * 1000);
+    }
+
+    if ((current.sends || 0) >= limit) {
+      throw new RateLimitError(message, 'OTP_SEND_LIMITED', secondsUntil(Date.parse(current.resetAt), now));
+    }
+    current.sends = (current.sends || 0) + 1;
+  });
+};
+
+/**
+ * Count a code about to be sent, per contact and per client IP
+ *
+ * @params {contact}: string - Normalised email or phone number
+ * @returns undefined; throws RateLimitError with OTP_SEND_LIMITED past config.otpSendLimit or config.otpSendIpLimit
+ */
+const recordOtpSend = async (contact) => {
+  const now = Date.now();
+  const { ip } = getClientInfo();
+
+  await recordSend(SCOPES.OTP_SEND_IP, ip, config.otpSendIpLimit, 'Too many codes requested from this network. Please try again later.', now);
+  await recordSend(SCOPES.OTP_SEND, contact, config.otpSendLimit, 'Too many codes requested for this contact. Please try again later.', now);
+};
+
+/**
+ * Clear a contact's wrong-code count after a code was verified
+ *
+ * @params {contact}: string - Normalised email or phone number
+ */
+const clearOtpFailures = (contact) => loginAttemptRepository.clearAttempts(SCOPES.OTP, contact);
+
+module.exports = {
+  SCOPES,
+  assertLoginAllowed,
+  recordLoginFailure,
+  unlockAccount,
+  assertOtpAllowed,
+  recordOtpFailure,
+  recordOtpSend,
+  clearOtpFailures
+};
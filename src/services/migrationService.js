@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const migrationRepository = require('../repositories/migrationRepository');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations/scripts');
+const DEFAULT_BATCH_SIZE = 100;
+
+const migrationError = (message, code) => new ValidationError(message, code);
+
+/**
+ * Load migration definitions in file-name order
+ * Each file exports { description, entityType, up(item, tally), down(item, tally) }; `up`/`down`
+ * return a change ({ set, remove, rekey, create }) or null, and `down` is omitted when a migration is irreversible.
+ *
+ * @params {directory}: string - Folder holding the migration files
+ * @returns Array of definitions with id set to the file name
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) =>
+  fs
+    .readdirSync(directory)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => ({ id: path.basename(file, '.js'), ...require(path.join(directory, file)) }));
+
+const assertValid = (migrations) => {
+  migrations.forEach((migration) => {
+    if (!migration.id || !migration.entityType || typeof migration.up !== 'function') {
+      throw migrationError(`Migration ${migration.id || '(unnamed)'} needs an entityType and an up function`, 'INVALID_MIGRATION');
+    }
+  });
+};
+
+/**
+ * Run one migration in one direction over every item of its entity type
+ * Progress is saved after each batch, so a run that fails or is interrupted resumes from the last
+ * completed batch; transforms must therefore return null for items they already changed.
+ * Stats of a resumed run add up across attempts, so items of the interrupted batch count twice.
+ *
+ * @params {migration}: object - Migration definition
+ * @params {direction}: string - 'up' or 'down'
+ * @params {options}: object - { dryRun, batchSize }
+ * @returns Object { id, direction, dryRun, resumed, stats, executionTime }
+ */
+const runMigration = async (migration, direction, { dryRun = false, batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  const transform = migration[direction];
+  const record = await migrationRepository.getMigration(migration.id);
+  const resumed = Boolean(
+    !dryRun &&
+      record?.resumeKey &&
+      record.direction === direction &&
+      ['pending', 'failed'].includes(record.status)
+  );
+
+  const stats = resumed ? { ...record.stats } : { examined: 0, changed: 0 };
+  const tally = (label, by = 1) => {
+    stats[label] = (stats[label] || 0) + by;
+  };
+  const recompute = (item) => transform(item, () => {});
+  let resumeKey = resumed ? record.resumeKey : undefined;
+  const startedAt = Date.now();
+
+  const save = (state) =>
+    dryRun
+      ? null
+      : migrationRepository.saveMigration(migration.id, {
+        description: migration.description,
+        targetEntityType: migration.entityType,
+        direction,
+        stats,
+        ...state
+      });
+
+  logger.info('Running migration', { id: migration.id, direction, dryRun, resumed });
+  await save({ status: 'pending', resumeKey, error: undefined });
+
+  try {
+    do {
+      const { items, lastKey } = await migrationRepository.readBatch(migration.entityType, {
+        limit: batchSize,
+        lastKey: resumeKey
+      });
+
+      for (const item of items) {
+        stats.examined += 1;
+        const change = transform(item, tally);
+        if (!change) continue;
+
+        if (dryRun || (await migrationRepository.applyChange(item, change, recompute))) {
+          stats.changed += 1;
+        }
+      }
+
+      resumeKey = lastKey;
+      if (resumeKey) {
+        await save({ status: 'pending', resumeKey });
+      }
+    } while (resumeKey);
+  } catch (error) {
+    logger.error('Migration failed', { id: migration.id, direction, error: error.message });
+    await save({ status: 'failed', resumeKey, error: error.message });
+    throw error;
+  }
+
+  const executionTime = Date.now() - startedAt;
+  await save({
+    status: direction === 'up' ? 'applied' : 'rolled_back',
+    resumeKey: undefined,
+    error: undefined,
+    appliedAt: direction === 'up' ? new Date().toISOString() : undefined,
+    executionTime
+  });
+
+  logger.info('Migration finished', { id: migration.id, direction, dryRun, stats, executionTime });
+  return { id: migration.id, direction, dryRun, resumed, stats, executionTime };
+};
+
+/**
+ * Apply every migration that is not applied yet, in order
+ *
+ * @params {options}: object - { migrations, dryRun, batchSize, to } where `to` stops after that migration ID
+ * @returns Array of run results
+ */
+const migrate = async ({ migrations = loadMigrations(), dryRun = false, batchSize, to } = {}) => {
+  assertValid(migrations);
+
+  let targets = migrations;
+  if (to) {
+    const index = migrations.findIndex((migration) => migration.id === to);
+    if (index === -1) {
+      throw migrationError(`Unknown migration ${to}`, 'MIGRATION_NOT_FOUND');
+    }
+    targets = migrations.slice(0, index + 1);
+  }
+
+  const records = await migrationRepository.listMigrations();
+  const pending = targets.filter((migration) => records[migration.id]?.status !== 'applied');
+
+  const results = [];
+  for (const migration of pending) {
+    results.push(await runMigration(migration, 'up', { dryRun, batchSize }));
+  }
+  return results;
+};
+
+/**
+ * Undo the most recently applied migrations, newest first
+ *
+ * @params {options}: object - { migrations, dryRun, batchSize, steps }
+ * @returns Array of run results
+ */
+const rollback = async ({ migrations = loadMigrations(), dryRun = false, batchSize, steps = 1 } = {}) => {
+  assertValid(migrations);
+
+  const records = await migrationRepository.listMigrations();
+  const targets = migrations
+    .filter((migration) => records[migration.id]?.status === 'applied')
+    .reverse()
+    .slice(0, steps);
+
+  const irreversible = targets.find((migration) => typeof migration.down !== 'function');
+  if (irreversible) {
+    throw migrationError(`Migration ${irreversible.id} cannot be rolled back`, 'MIGRATION_IRREVERSIBLE');
+  }
+
+  const results = [];
+  for (const migration of targets) {
+    results.push(await runMigration(migration, 'down', { dryRun, batchSize }));
+  }
+  return results;
+};
+
+/**
+ * State of every known migration
+ *
+ * @params {options}: object - { migrations }
+ * @returns Array of { id, description, entityType, status, appliedAt, stats, resumable, error }
+ */
+const status = async ({ migrations = loadMigrations() } = {}) => {
+  const records = await migrationRepository.listMigrations();
+  return migrations.map((migration) => {
+    const record = records[migration.id];
+    return {
+      id: migration.id,
+      description: migration.description,
+      entityType: migration.entityType,
+      status: record?.status || 'not_applied',
+      appliedAt: record?.appliedAt || null,
+      stats: record?.stats || null,
+      resumable: Boolean(record?.resumeKey),
+      error: record?.error || null
+    };
+  });
+};
+
+module.exports = {
+  loadMigrations,
+  runMigration,
+  migrate,
+  rollback,
+  status
+};
@@ -1,16 +1,12 @@
 const logger = require('../utils/logger');
+const { AppError, InternalError, UpstreamError } = require('../utils/errors');
 
 let nodemailerModule;
 let mailTransporter;
 let twilioModule;
 let twilioClient;
 
-const buildConfigurationError = (message, code) => {
-  const error = new Error(message);
-  error.code = code;
-  error.statusCode = 500;
-  return error;
-};
+const buildConfigurationError = (message, code) => new InternalError(message, code);
 
 const getMailTransporter = () => {
   if (mailTransporter !== undefined) {
@@ -142,9 +138,8 @@ const sendEmail = async ({ to, subject, text, html }) => {
       channel: 'email',
       error: error.message
     });
-    error.code = error.code || 'EMAIL_DELIVERY_FAILED';
-    error.statusCode = error.statusCode || 502;
-    throw error;
+    if (error instanceof AppError) throw error;
+    throw new UpstreamError(error.message, 'EMAIL_DELIVERY_FAILED');
   }
 };
 
@@ -192,9 +187,8 @@ const sendSms = async ({ to, body }) => {
       channel: 'sms',
       error: error.message
     });
-    error.code = error.code || 'SMS_DELIVERY_FAILED';
-    error.statusCode = error.statusCode || 502;
-    throw error;
+    if (error instanceof AppError) throw error;
+    throw new UpstreamError(error.message, 'SMS_DELIVERY_FAILED');
   }
 };
 
@@ -3,9 +3,14 @@ const parentRepository = require('../repositories/parentRepository');
 const otpRepository = require('../repositories/otpRepository');
 const logger = require('../utils/logger');
 const notificationService = require('./notificationService');
+const refreshTokenService = require('./refreshTokenService');
+const loginProtectionService = require('./loginProtectionService');
+const { NotFoundError, RateLimitError, ValidationError } = require('../utils/errors');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
 
 const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES || '5', 10);
 const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_EXPIRY_SECONDS = OTP_EXPIRY_MINUTES * 60;
 
 const normalizeContact = (email, phoneNumber) => {
   if (email) {
@@ -13,13 +18,31 @@ const normalizeContact = (email, phoneNumber) => {
   }
 
   if (phoneNumber) {
-    return { contactType: 'phone', contactValue: phoneNumber.trim() };
+    const contactValue = normalizePhoneNumber(phoneNumber);
+    if (!contactValue) {
+      throw new ValidationError('Please provide a valid phone number', 'INVALID_PHONE_NUMBER');
+    }
+    return { contactType: 'phone', contactValue };
   }
 
-  const error = new Error('Either email or phone number is required');
-  error.statusCode = 400;
-  error.code = 'MISSING_CONTACT';
-  throw error;
+  throw new ValidationError('Either email or phone number is required', 'MISSING_CONTACT');
+};
+
+/*
+ * Parent registered with a normalised contact
+ *
+ * @params {contactType}: string - email or phone
+ * @params {contactValue}: string - Lower-cased email or E.164 phone number
+ * @returns Parent with helpers, or null
+ */
+const findParentByContact = (contactType, contactValue) =>
+  contactType === 'email'
+    ? parentRepository.getParentByEmail(contactValue)
+    : parentRepository.getParentByPhone(contactValue);
+
+// How each purpose names its code in emails and texts
+const CODE_LABELS = {
+  password_reset: 'password reset code'
 };
 
 const generateOtp = () => {
@@ -33,7 +56,7 @@ const buildOtpResponse = (otpDoc, includeCode = false, delivery = undefined) =>
     contactType: otpDoc.contactType,
     purpose: otpDoc.purpose,
     expiresAt: otpDoc.expiresAt,
-    expiresIn: OTP_EXPIRY_MINUTES * 60
+    expiresIn: OTP_EXPIRY_SECONDS
   };
 
   if (includeCode) {
@@ -55,32 +78,27 @@ const buildOtpResponse = (otpDoc, includeCode = false, delivery = undefined) =>
 
 const sendOtp = async ({ email, phoneNumber, purpose }) => {
   const { contactType, contactValue } = normalizeContact(email, phoneNumber);
-  const queryField = contactType === 'email' ? 'email' : 'phoneNumber';
+
+  await loginProtectionService.assertOtpAllowed(contactValue);
+  // Before the account lookup, so unknown contacts use up their sends like real ones
+  await loginProtectionService.recordOtpSend(contactValue);
 
   if (purpose === 'signup') {
-    const existingParent = await parentRepository.getParentByEmail(queryField === 'email' ? contactValue : null);
+    const existingParent = await findParentByContact(contactType, contactValue);
     if (existingParent) {
-      const error = new Error(`Parent already exists with this ${contactType}`);
-      error.statusCode = 400;
-      error.code = 'PARENT_EXISTS';
-      throw error;
+      throw new ValidationError(`Parent already exists with this ${contactType}`, 'PARENT_EXISTS');
     }
   } else {
-    const parent = queryField === 'email'
-      ? await parentRepository.getParentByEmail(contactValue)
-      : null; // TODO: add phone lookup via secondary index if available
+    const parent = await findParentByContact(contactType, contactValue);
     if (!parent) {
-      const error = new Error(`Parent not found with this ${contactType}`);
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError(`Parent not found with this ${contactType}`, 'PARENT_NOT_FOUND');
     }
   }
 
   await otpRepository.deleteByContactAndPurpose(contactValue, purpose);
 
   const otpCode = generateOtp();
-  const expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
+  const expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000).toISOString();
 
   const otpDoc = await otpRepository.createOtp({
     contact: contactValue,
@@ -92,17 +110,18 @@ const sendOtp = async ({ email, phoneNumber, purpose }) => {
 
   logger.info('OTP generated', {
     contactType,
-    contactValue,
     purpose
   });
 
   let deliveryResult;
 
+  const codeLabel = CODE_LABELS[purpose] || 'verification code';
+
   try {
     if (contactType === 'email') {
-      const subject = 'Your Ashravi verification code';
-      const text = `Your Ashravi verification code is ${otpCode}. This code expires in ${OTP_EXPIRY_MINUTES} minutes.`;
-      const html = `<p>Your Ashravi verification code is <strong>${otpCode}</strong>.</p><p>This code expires in ${OTP_EXPIRY_MINUTES} minutes.</p>`;
+      const subject = `Your Ashravi ${codeLabel}`;
+      const text = `Your Ashravi ${codeLabel} is ${otpCode}. This code expires in ${OTP_EXPIRY_MINUTES} minutes.`;
+      const html = `<p>Your Ashravi ${codeLabel} is <strong>${otpCode}</strong>.</p><p>This code expires in ${OTP_EXPIRY_MINUTES} minutes.</p>`;
 
       deliveryResult = await notificationService.sendEmail({
         to: contactValue,
@@ -111,7 +130,7 @@ const sendOtp = async ({ email, phoneNumber, purpose }) => {
         html
       });
     } else {
-      const body = `Your Ashravi verification code is ${otpCode}. It expires in ${OTP_EXPIRY_MINUTES} minutes.`;
+      const body = `Your Ashravi ${codeLabel} is ${otpCode}. It expires in ${OTP_EXPIRY_MINUTES} minutes.`;
       deliveryResult = await notificationService.sendSms({
         to: contactValue,
         body
@@ -120,7 +139,6 @@ const sendOtp = async ({ email, phoneNumber, purpose }) => {
   } catch (error) {
     logger.error('OTP delivery failed', {
       contactType,
-      contactValue,
       purpose,
       error: error.message
     });
@@ -137,24 +155,10 @@ const sendOtp = async ({ email, phoneNumber, purpose }) => {
 };
 
 const issueTokensForParent = async (parent) => {
-  parent.lastLogin = new Date();
-
-  const accessToken = parent.getSignedJwtToken();
-  const refreshToken = parent.generateRefreshToken();
-
-  parent.refreshTokens.push({
-    token: refreshToken,
-    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-  });
-
-  if (parent.refreshTokens.length > 5) {
-    parent.refreshTokens = parent.refreshTokens.slice(-5);
-  }
-
-  await parent.save();
+  const { parent: saved, accessToken, refreshToken } = await refreshTokenService.issueTokens(parent);
 
   return {
-    parent: parent.getPublicProfile(),
+    parent: saved.getPublicProfile(),
     accessToken,
     refreshToken
   };
@@ -163,73 +167,63 @@ const issueTokensForParent = async (parent) => {
 const verifyOtp = async ({ email, phoneNumber, purpose, otp }) => {
   const { contactType, contactValue } = normalizeContact(email, phoneNumber);
 
+  await loginProtectionService.assertOtpAllowed(contactValue);
+
   const otpDoc = await otpRepository.getLatestByContactAndPurpose(contactValue, purpose);
 
   if (!otpDoc) {
-    const error = new Error('OTP not found or expired');
-    error.statusCode = 400;
-    error.code = 'OTP_NOT_FOUND';
-    throw error;
+    throw new ValidationError('OTP not found or expired', 'OTP_NOT_FOUND');
   }
 
   if (otpDoc.verified) {
-    const error = new Error('OTP already used');
-    error.statusCode = 400;
-    error.code = 'OTP_ALREADY_VERIFIED';
-    throw error;
+    throw new ValidationError('OTP already used', 'OTP_ALREADY_VERIFIED');
   }
 
-  if (otpDoc.expiresAt < new Date()) {
+  if (new Date(otpDoc.expiresAt) < new Date()) {
     await otpRepository.deleteById(otpDoc.id);
-    const error = new Error('OTP has expired');
-    error.statusCode = 400;
-    error.code = 'OTP_EXPIRED';
-    throw error;
+    throw new ValidationError('OTP has expired', 'OTP_EXPIRED');
   }
 
   if (otpDoc.attempts >= OTP_MAX_ATTEMPTS) {
     await otpRepository.deleteById(otpDoc.id);
-    const error = new Error('Maximum OTP attempts exceeded');
-    error.statusCode = 429;
-    error.code = 'OTP_ATTEMPTS_EXCEEDED';
-    throw error;
+    throw new RateLimitError('Maximum OTP attempts exceeded', 'OTP_ATTEMPTS_EXCEEDED');
   }
 
   if (otpDoc.otp !== otp) {
-    otpDoc.attempts = (otpDoc.attempts || 0) + 1;
-    await otpRepository.createOtp({ ...otpDoc, updatedAt: new Date().toISOString() });
+    const counted = await otpRepository.recordFailedAttempt(otpDoc, OTP_MAX_ATTEMPTS);
+    await loginProtectionService.recordOtpFailure(contactValue);
+
+    if (!counted) {
+      // Concurrent guesses used up the remaining attempts first
+      throw new RateLimitError('Maximum OTP attempts exceeded', 'OTP_ATTEMPTS_EXCEEDED');
+    }
 
-    const attemptsLeft = Math.max(OTP_MAX_ATTEMPTS - otpDoc.attempts, 0);
-    const error = new Error(`Invalid OTP. ${attemptsLeft} attempts remaining`);
-    error.statusCode = 400;
-    error.code = 'OTP_INVALID';
+    const attemptsLeft = Math.max(OTP_MAX_ATTEMPTS - counted.attempts, 0);
+    const error = new ValidationError(`Invalid OTP. ${attemptsLeft} attempts remaining`, 'OTP_INVALID');
     error.attemptsLeft = attemptsLeft;
     throw error;
   }
 
-  otpDoc.verified = true;
-  otpDoc.verifiedAt = new Date();
-  await otpRepository.createOtp({ ...otpDoc, updatedAt: new Date().toISOString() });
+  // Conditional on the code being unused, so a code cannot be redeemed twice
+  if (!(await otpRepository.markVerified(otpDoc))) {
+    throw new ValidationError('Invalid OTP', 'OTP_INVALID');
+  }
+  await loginProtectionService.clearOtpFailures(contactValue);
 
   logger.info('OTP verified successfully', {
     contactType,
-    contactValue,
     purpose
   });
 
   if (purpose === 'login') {
-    const queryField = contactType === 'email' ? 'email' : 'phoneNumber';
-    const parent = queryField === 'email'
-      ? await parentRepository.getParentByEmail(contactValue)
-      : null; // TODO: add phone lookup via secondary index if available
+    const parent = await findParentByContact(contactType, contactValue);
 
     if (!parent || parent.isActive === false) {
-      const error = new Error('Parent account not available');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent account not available', 'PARENT_NOT_FOUND');
     }
 
+    // Signing in with a code unlocks an account locked by failed password logins
+    await loginProtectionService.unlockAccount(parent.id);
     const tokens = await issueTokensForParent(parent);
 
     return {
@@ -250,7 +244,28 @@ const verifyOtp = async ({ email, phoneNumber, purpose, otp }) => {
   };
 };
 
+/*
+ * Transaction operation using up the verified signup code of a contact
+ * Registration stores it with the parent, so only someone who received the code can claim
+ * the contact, and one verification registers one account.
+ *
+ * @params {contact}: object - { email } or { phoneNumber }
+ * @returns transactWrite operation; throws ValidationError OTP_NOT_VERIFIED without a verified, unexpired code
+ */
+const consumeSignupVerification = async ({ email, phoneNumber }) => {
+  const { contactType, contactValue } = normalizeContact(email, phoneNumber);
+  const otpDoc = await otpRepository.getLatestByContactAndPurpose(contactValue, 'signup');
+
+  if (!otpDoc || !otpDoc.verifiedAt || new Date(otpDoc.expiresAt) < new Date()) {
+    throw new ValidationError(`Verify this ${contactType} with a signup code before registering`, 'OTP_NOT_VERIFIED');
+  }
+  return otpRepository.buildConsumeOperation(otpDoc);
+};
+
 module.exports = {
+  OTP_EXPIRY_SECONDS,
   sendOtp,
-  verifyOtp
+  verifyOtp,
+  consumeSignupVerification,
+  findParentByContact
 };
@@ -0,0 +1,62 @@
+/**
+ * Which parent owns a child or one of its records, for the checks in middleware/ownership.js
+ *
+ * A child's parent and a record's child are part of their keys and never change, so answers
+ * are cached under the 'ownership' namespace without invalidation. Missing items are not
+ * cached, so an id looked up before it exists does not stay unknown.
+ */
+
+const cache = require('../cache');
+const childRepository = require('../repositories/childRepository');
+const childEducationRepository = require('../repositories/childEducationRepository');
+const childNutritionRepository = require('../repositories/childNutritionRepository');
+
+const NAMESPACE = 'ownership';
+
+// readThrough skips caching undefined; callers get null for "not found"
+const cachedOwner = async (key, loader) => {
+  const parentId = await cache.readThrough(NAMESPACE, key, async () => (await loader()) || undefined);
+  return parentId || null;
+};
+
+/**
+ * Parent of a child
+ *
+ * @params {childId}: string - Child ID
+ * @returns Parent ID, or null when the child does not exist
+ */
+const getChildParentId = (childId) =>
+  cachedOwner(cache.keyOf('child', childId), async () => {
+    const child = await childRepository.getChild(childId);
+    return child?.parentId;
+  });
+
+/**
+ * Parent of the child an education record belongs to
+ *
+ * @params {recordId}: string - Education record ID
+ * @returns Parent ID, or null when the record or its child does not exist
+ */
+const getEducationRecordParentId = (recordId) =>
+  cachedOwner(cache.keyOf('education', recordId), async () => {
+    const record = await childEducationRepository.getEducationRecord(recordId);
+    return record ? getChildParentId(record.childId) : undefined;
+  });
+
+/**
+ * Parent of the child a nutrition record belongs to
+ *
+ * @params {recordId}: string - Nutrition record ID
+ * @returns Parent ID, or null when the record or its child does not exist
+ */
+const getNutritionRecordParentId = (recordId) =>
+  cachedOwner(cache.keyOf('nutrition', recordId), async () => {
+    const record = await childNutritionRepository.getNutritionRecord(recordId);
+    return record ? getChildParentId(record.childId) : undefined;
+  });
+
+module.exports = {
+  getChildParentId,
+  getEducationRecordParentId,
+  getNutritionRecordParentId
+};
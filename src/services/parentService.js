@@ -2,6 +2,7 @@ const parentRepository = require('../repositories/parentRepository');
 const childRepository = require('../repositories/childRepository');
 const courseRepository = require('../repositories/courseRepository');
 const logger = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../utils/errors');
 
 const loadWishlistCourses = async (wishlistCourseIds = []) => {
   if (!Array.isArray(wishlistCourseIds) || wishlistCourseIds.length === 0) {
@@ -40,10 +41,7 @@ const getParentById = async (parentId) => {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent || parent.isActive === false) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     const children = await Promise.all(
@@ -96,15 +94,28 @@ const getParentsByCity = async (city, limit = 100, skip = 0) => {
   }
 };
 
+const paginateParentsByCity = async (city, { limit = 20, cursor } = {}) => {
+  try {
+    const { parents, nextCursor } = await parentRepository.paginateParentsByCity(city, { limit, cursor });
+    return {
+      parents: parents.map((parent) => parent.getPublicProfile()),
+      nextCursor
+    };
+  } catch (error) {
+    logger.error('Get parents by city failed', {
+      city,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
 const getChildrenForParent = async (parentId) => {
   try {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     const children = await Promise.all(
@@ -126,10 +137,7 @@ const getWishlistForParent = async (parentId) => {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent || !parent.isActive) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     const wishlist = await loadWishlistCourses(parent.wishlistCourseIds);
@@ -154,10 +162,7 @@ const addCourseToWishlist = async (parentId, courseId) => {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent || !parent.isActive) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     parent.wishlistCourseIds = parent.wishlistCourseIds || [];
@@ -169,14 +174,14 @@ const addCourseToWishlist = async (parentId, courseId) => {
     const course = await courseRepository.getCourse(courseId);
 
     if (!course || !course.isPublished) {
-      const error = new Error('Course not found or not available');
-      error.statusCode = 404;
-      error.code = 'COURSE_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Course not found or not available', 'COURSE_NOT_FOUND');
     }
 
-    parent.wishlistCourseIds.push(course.id);
-    await parentRepository.updateParent(parent.id, { wishlistCourseIds: parent.wishlistCourseIds });
+    // The wishlist and the course's wishlistCount change in one transaction
+    const updated = await parentRepository.setWishlisted(parent.id, course.id, true);
+    if (!updated) {
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
+    }
 
     logger.info('Course added to parent wishlist', {
       parentId,
@@ -184,7 +189,7 @@ const addCourseToWishlist = async (parentId, courseId) => {
       action: 'add_wishlist_course'
     });
 
-    return await loadWishlistCourses(parent.wishlistCourseIds);
+    return await loadWishlistCourses(updated.wishlistCourseIds);
   } catch (error) {
     logger.error('Add course to wishlist failed', {
       parentId,
@@ -200,23 +205,21 @@ const removeCourseFromWishlist = async (parentId, courseId) => {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent || !parent.isActive) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     if (!Array.isArray(parent.wishlistCourseIds) || parent.wishlistCourseIds.length === 0) {
       return [];
     }
 
-    const updatedWishlist = parent.wishlistCourseIds.filter((id) => id !== courseId);
-
-    if (updatedWishlist.length === parent.wishlistCourseIds.length) {
+    if (!parent.wishlistCourseIds.includes(courseId)) {
       return await loadWishlistCourses(parent.wishlistCourseIds);
     }
 
-    await parentRepository.updateParent(parent.id, { wishlistCourseIds: updatedWishlist });
+    const updated = await parentRepository.setWishlisted(parent.id, courseId, false);
+    if (!updated) {
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
+    }
 
     logger.info('Course removed from parent wishlist', {
       parentId,
@@ -224,7 +227,7 @@ const removeCourseFromWishlist = async (parentId, courseId) => {
       action: 'remove_wishlist_course'
     });
 
-    return await loadWishlistCourses(updatedWishlist);
+    return await loadWishlistCourses(updated.wishlistCourseIds);
   } catch (error) {
     logger.error('Remove course from wishlist failed', {
       parentId,
@@ -240,19 +243,13 @@ const addChildToParent = async (parentId, childId) => {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     const child = await childRepository.getChild(childId);
 
     if (!child) {
-      const error = new Error('Child not found');
-      error.statusCode = 404;
-      error.code = 'CHILD_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Child not found', 'CHILD_NOT_FOUND');
     }
 
     parent.childrenIds = parent.childrenIds || [];
@@ -283,10 +280,7 @@ const removeChildFromParent = async (parentId, childId) => {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     const updated = (parent.childrenIds || []).filter((id) => id !== childId);
@@ -309,49 +303,42 @@ const removeChildFromParent = async (parentId, childId) => {
   }
 };
 
-const deleteParent = async (parentId, cascadeDelete = false) => {
+/**
+ * Move a parent (and, with cascadeDelete, its children) to the trash
+ *
+ * @params {parentId}: string - Parent ID
+ * @params {cascadeDelete}: boolean - Also trash the parent's children
+ * @params {deletedBy}: string - ID of the user deleting the parent
+ * @returns true
+ */
+const deleteParent = async (parentId, cascadeDelete = false, deletedBy = null) => {
   try {
     const parent = await parentRepository.getParent(parentId);
 
     if (!parent) {
-      const error = new Error('Parent not found');
-      error.statusCode = 404;
-      error.code = 'PARENT_NOT_FOUND';
-      throw error;
+      throw new NotFoundError('Parent not found', 'PARENT_NOT_FOUND');
     }
 
     if ((parent.childrenIds || []).length > 0 && !cascadeDelete) {
-      const error = new Error(
+      throw new ValidationError(
         `Parent has ${parent.childrenIds.length} children. Enable cascade delete to remove all.`
-      );
-      error.statusCode = 400;
-      error.code = 'PARENT_HAS_CHILDREN';
-      throw error;
+      , 'PARENT_HAS_CHILDREN');
     }
 
-    if (cascadeDelete && (parent.childrenIds || []).length > 0) {
-      logger.info('Cascade deleting children', {
+    if (cascadeDelete) {
+      const { deletedChildren } = (await parentRepository.deleteParentCascade(parentId, { deletedBy })) || {};
+      logger.info('Cascade trashed children', {
         parentId,
-        childCount: parent.childrenIds.length
+        childCount: deletedChildren || 0
       });
-
-      for (const childId of parent.childrenIds) {
-        try {
-          await childRepository.deleteChild(childId);
-        } catch (err) {
-          logger.warn('Failed to delete child', {
-            childId,
-            error: err.message
-          });
-        }
-      }
+    } else {
+      await parentRepository.deleteParent(parentId, { deletedBy });
     }
 
-    await parentRepository.deleteParent(parentId);
-
-    logger.info('Parent deleted', {
+    logger.info('Parent moved to trash', {
       parentId,
       cascadeDelete,
+      deletedBy,
       action: 'delete_parent'
     });
 
@@ -380,6 +367,7 @@ module.exports = {
   getParentById,
   getParentByEmail,
   getParentsByCity,
+  paginateParentsByCity,
   getChildrenForParent,
   getWishlistForParent,
   addChildToParent,
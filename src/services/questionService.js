@@ -1,5 +1,6 @@
 const questionRepository = require('../repositories/questionRepository');
 const logger = require('../utils/logger');
+const { InternalError, NotFoundError, ValidationError } = require('../utils/errors');
 
 /**
  * Create a new question
@@ -15,10 +16,7 @@ const createQuestion = async (data) => {
     const created = await questionRepository.createQuestion(data);
 
     if (!created) {
-      const error = new Error('Failed to create question');
-      error.statusCode = 500;
-      error.code = 'QUESTION_CREATION_FAILED';
-      throw error;
+      throw new InternalError('Failed to create question', 'QUESTION_CREATION_FAILED');
     }
 
     return created;
@@ -53,10 +51,7 @@ const getQuestion = async (questionId) => {
 const getQuestionWithValidation = async (questionId) => {
   const question = await getQuestion(questionId);
   if (!question) {
-    const error = new Error(`Question with ID ${questionId} not found`);
-    error.statusCode = 404;
-    error.code = 'QUESTION_NOT_FOUND';
-    throw error;
+    throw new NotFoundError(`Question with ID ${questionId} not found`, 'QUESTION_NOT_FOUND');
   }
   return question;
 };
@@ -87,6 +82,28 @@ const getQuestions = async (filters = {}, page = 1, limit = 20, sortBy = 'create
   }
 };
 
+
+/**
+ * Get questions with cursor pagination
+ * 
+ * @params {filters}: object - Filter criteria
+ * @params {options}: object - { limit, cursor } where cursor is the nextCursor of the previous page
+ * @returns Questions with { limit, nextCursor, hasNext } pagination
+ */
+const paginateQuestions = async (filters = {}, { limit = 20, cursor } = {}) => {
+  try {
+    if (typeof filters.tags === 'string') {
+      filters.tags = filters.tags.split(',').map(tag => tag.trim());
+    }
+
+    logger.info('Fetching questions by cursor', { filters, limit, hasCursor: Boolean(cursor) });
+    return await questionRepository.paginateQuestions(filters, { limit, cursor });
+  } catch (error) {
+    logger.error('Error fetching questions', { error: error.message, filters });
+    throw error;
+  }
+};
+
 /**
  * Update question
  * 
@@ -97,10 +114,7 @@ const getQuestions = async (filters = {}, page = 1, limit = 20, sortBy = 'create
 const updateQuestion = async (questionId, data) => {
   try {
     if (!questionId) {
-      const error = new Error('Question ID is required for update');
-      error.statusCode = 400;
-      error.code = 'QUESTION_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('Question ID is required for update', 'QUESTION_ID_REQUIRED');
     }
 
     await getQuestionWithValidation(questionId);
@@ -113,10 +127,7 @@ const updateQuestion = async (questionId, data) => {
     const updated = await questionRepository.updateQuestion(questionId, data);
 
     if (!updated) {
-      const error = new Error('Failed to update question');
-      error.statusCode = 500;
-      error.code = 'QUESTION_UPDATE_FAILED';
-      throw error;
+      throw new InternalError('Failed to update question', 'QUESTION_UPDATE_FAILED');
     }
 
     return updated;
@@ -127,19 +138,20 @@ const updateQuestion = async (questionId, data) => {
 };
 
 /**
- * Delete question
+ * Delete question (moves it to the trash)
  * 
  * @params {questionId}: string - Question ID
+ * @params {deletedBy}: string - ID of the user deleting the question
  * @returns Boolean indicating success
  */
-const deleteQuestion = async (questionId) => {
+const deleteQuestion = async (questionId, deletedBy) => {
   try {
     if (!questionId) return false;
 
     await getQuestionWithValidation(questionId);
 
-    logger.info('Deleting question', { questionId });
-    const deleted = await questionRepository.deleteQuestion(questionId);
+    logger.info('Deleting question', { questionId, deletedBy });
+    const deleted = await questionRepository.deleteQuestion(questionId, { deletedBy });
 
     if (!deleted) {
       logger.warn('Failed to delete question', { questionId });
@@ -165,10 +177,7 @@ const deleteQuestion = async (questionId) => {
 const getQuestionsByCategory = async (category, limit = 100, activeOnly = true) => {
   try {
     if (!category) {
-      const error = new Error('Category is required');
-      error.statusCode = 400;
-      error.code = 'CATEGORY_REQUIRED';
-      throw error;
+      throw new ValidationError('Category is required', 'CATEGORY_REQUIRED');
     }
 
     return await questionRepository.getQuestionsByCategory(category, limit, activeOnly);
@@ -188,10 +197,7 @@ const getQuestionsByCategory = async (category, limit = 100, activeOnly = true)
 const getQuestionsByIssue = async (issueId, limit = 100) => {
   try {
     if (!issueId) {
-      const error = new Error('Issue ID is required');
-      error.statusCode = 400;
-      error.code = 'ISSUE_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('Issue ID is required', 'ISSUE_ID_REQUIRED');
     }
 
     return await questionRepository.getQuestionsByIssue(issueId, limit);
@@ -205,14 +211,15 @@ const getQuestionsByIssue = async (issueId, limit = 100) => {
  * Increment question usage count
  * 
  * @params {questionId}: string - Question ID
+ * @params {by}: number - Amount to add (defaults to 1)
  * @returns Updated question object
  */
-const incrementUsageCount = async (questionId) => {
+const incrementUsageCount = async (questionId, by = 1) => {
   try {
     if (!questionId) return null;
 
-    logger.info('Incrementing usage count', { questionId });
-    return await questionRepository.incrementUsageCount(questionId);
+    logger.info('Incrementing usage count', { questionId, by });
+    return await questionRepository.incrementUsageCount(questionId, by);
   } catch (error) {
     logger.error('Error incrementing usage count', { questionId, error: error.message });
     throw error;
@@ -229,10 +236,7 @@ const incrementUsageCount = async (questionId) => {
 const toggleActiveStatus = async (questionId, isActive) => {
   try {
     if (!questionId) {
-      const error = new Error('Question ID is required');
-      error.statusCode = 400;
-      error.code = 'QUESTION_ID_REQUIRED';
-      throw error;
+      throw new ValidationError('Question ID is required', 'QUESTION_ID_REQUIRED');
     }
 
     await getQuestionWithValidation(questionId);
@@ -241,10 +245,7 @@ const toggleActiveStatus = async (questionId, isActive) => {
     const updated = await questionRepository.toggleActiveStatus(questionId, isActive);
 
     if (!updated) {
-      const error = new Error('Failed to toggle active status');
-      error.statusCode = 500;
-      error.code = 'TOGGLE_STATUS_FAILED';
-      throw error;
+      throw new InternalError('Failed to toggle active status', 'TOGGLE_STATUS_FAILED');
     }
 
     return updated;
@@ -279,10 +280,15 @@ const bulkIncrementUsage = async (questionIds) => {
   try {
     if (!questionIds || questionIds.length === 0) return 0;
 
-    const updates = questionIds.map(id => incrementUsageCount(id));
-    const results = await Promise.allSettled(updates);
-    
-    const successful = results.filter(r => r.status === 'fulfilled').length;
+    // Repeated IDs become a single ADD of their count
+    const counts = questionIds.reduce((acc, id) => acc.set(id, (acc.get(id) || 0) + 1), new Map());
+    const entries = Array.from(counts.entries());
+    const results = await Promise.allSettled(entries.map(([id, by]) => incrementUsageCount(id, by)));
+
+    const successful = results.reduce(
+      (total, result, index) => (result.status === 'fulfilled' ? total + entries[index][1] : total),
+      0
+    );
     logger.info('Bulk incremented usage counts', { total: questionIds.length, successful });
     
     return successful;
@@ -330,26 +336,17 @@ const getRandomQuestions = async (category = null, count = 10, difficultyLevel =
  */
 const validateQuestionData = (data, isUpdate = false) => {
   if (!isUpdate && (!data.questionText || data.questionText.trim().length < 10)) {
-    const error = new Error('Question text must be at least 10 characters');
-    error.statusCode = 400;
-    error.code = 'INVALID_QUESTION_TEXT';
-    throw error;
+    throw new ValidationError('Question text must be at least 10 characters', 'INVALID_QUESTION_TEXT');
   }
 
   if (data.questionType && ['mcq', 'multiselect'].includes(data.questionType)) {
     if (!data.options || data.options.length < 2) {
-      const error = new Error('MCQ and multiselect questions must have at least 2 options');
-      error.statusCode = 400;
-      error.code = 'INSUFFICIENT_OPTIONS';
-      throw error;
+      throw new ValidationError('MCQ and multiselect questions must have at least 2 options', 'INSUFFICIENT_OPTIONS');
     }
   }
 
   if (!isUpdate && (!data.issueWeightages || data.issueWeightages.length === 0)) {
-    const error = new Error('At least one issue weightage is required');
-    error.statusCode = 400;
-    error.code = 'MISSING_ISSUE_WEIGHTAGES';
-    throw error;
+    throw new ValidationError('At least one issue weightage is required', 'MISSING_ISSUE_WEIGHTAGES');
   }
 
   if (data.issueWeightages) {
@@ -361,10 +358,7 @@ const validateQuestionData = (data, isUpdate = false) => {
     const issueIds = data.issueWeightages.map(iw => iw.issueId);
     const uniqueIssueIds = new Set(issueIds);
     if (issueIds.length !== uniqueIssueIds.size) {
-      const error = new Error('Duplicate issue IDs found in weightages');
-      error.statusCode = 400;
-      error.code = 'DUPLICATE_ISSUE_IDS';
-      throw error;
+      throw new ValidationError('Duplicate issue IDs found in weightages', 'DUPLICATE_ISSUE_IDS');
     }
   }
 };
@@ -374,6 +368,7 @@ module.exports = {
   getQuestion,
   getQuestionWithValidation,
   getQuestions,
+  paginateQuestions,
   updateQuestion,
   deleteQuestion,
   getQuestionsByCategory,
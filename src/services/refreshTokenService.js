@@ -0,0 +1,262 @@
+/**
+ * Refresh token families
+ *
+ * Every login starts a family (a session) holding one live refresh token. Refreshing swaps
+ * the family's token for a new one, so an older token of the same family showing up again
+ * means it was copied: the whole family is revoked and a refresh_token_reused event is
+ * stored with the revocation. Only SHA-256 hashes of tokens are stored, in
+ * parent.refreshTokens as { familyId, tokenHash, createdAt, lastUsedAt, expiresAt, userAgent, ip }.
+ * Access tokens carry the family id as `sid`, so ending a session locks them out as well.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const parentRepository = require('../repositories/parentRepository');
+const logger = require('../utils/logger');
+const { DOMAIN_EVENTS } = require('../constants/eventConstants');
+const { REFRESH_TOKEN_TTL_SECONDS, MAX_REFRESH_TOKEN_FAMILIES } = require('../config/jwtConfig');
+const { getClientInfo } = require('../utils/requestContext');
+const { NotFoundError, UnauthorizedError } = require('../utils/errors');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const expiresAtFromNow = () => new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString();
+
+/**
+ * Drop expired entries, and raw tokens stored before hashing, from a parent's refresh tokens
+ *
+ * @params {entries}: Array - parent.refreshTokens
+ * @params {now}: Date - Reference time
+ * @returns Array of live entries
+ */
+const pruneRefreshTokens = (entries = [], now = new Date()) =>
+  entries.filter((entry) => entry.tokenHash && entry.familyId && new Date(entry.expiresAt) > now);
+
+/**
+ * Whether an access token's session is still live on the parent
+ *
+ * @params {parent}: object - Parent as loaded
+ * @params {sessionId}: string - sid claim of the access token
+ * @returns boolean
+ */
+const isSessionActive = (parent, sessionId) =>
+  pruneRefreshTokens(parent.refreshTokens).some((entry) => entry.familyId === sessionId);
+
+/**
+ * Public view of a session
+ *
+ * @params {entry}: object - parent.refreshTokens entry
+ * @params {currentSessionId}: string - sid of the caller's access token
+ * @returns Object { id, userAgent, ip, createdAt, lastUsedAt, expiresAt, current }
+ */
+const toSession = (entry, currentSessionId) => ({
+  id: entry.familyId,
+  userAgent: entry.userAgent || null,
+  ip: entry.ip || null,
+  createdAt: entry.createdAt || null,
+  lastUsedAt: entry.lastUsedAt || entry.createdAt || null,
+  expiresAt: entry.expiresAt,
+  current: entry.familyId === currentSessionId
+});
+
+/**
+ * Start a token family for a login and issue its tokens
+ * Also records the login time and prunes expired entries.
+ *
+ * @params {parent}: object - Parent with helpers, as loaded by parentRepository
+ * @returns Object with saved parent, accessToken and refreshToken
+ */
+const issueTokens = async (parent) => {
+  const familyId = uuidv4();
+  const accessToken = parent.getSignedJwtToken(familyId);
+  const refreshToken = parent.generateRefreshToken(familyId);
+  const { userAgent, ip } = getClientInfo();
+  const now = new Date();
+
+  // Re-applied to the latest copy if a concurrent refresh/logout wins
+  const saved = await parentRepository.modifyParent(parent.id, (current) => {
+    current.lastLogin = now;
+    current.refreshTokens = [
+      ...pruneRefreshTokens(current.refreshTokens, now),
+      {
+        familyId,
+        tokenHash: hashToken(refreshToken),
+        createdAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: expiresAtFromNow(),
+        ...(userAgent && { userAgent }),
+        ...(ip && { ip })
+      }
+    ].slice(-MAX_REFRESH_TOKEN_FAMILIES);
+  });
+
+  return {
+    parent: saved || parent,
+    accessToken,
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for new tokens of the same family
+ * A token replaced earlier revokes its family (REFRESH_TOKEN_REUSED); unknown tokens fail
+ * with INVALID_REFRESH_TOKEN.
+ *
+ * @params {parent}: object - Parent the token was issued to
+ * @params {refreshToken}: string - Presented refresh token, already verified as a JWT
+ * @params {decoded}: object - Its verified claims
+ * @returns Object with accessToken and refreshToken
+ */
+const rotate = async (parent, refreshToken, decoded) => {
+  const presentedHash = hashToken(refreshToken);
+  const { userAgent, ip } = getClientInfo();
+  const now = new Date();
+  let outcome;
+  let newRefreshToken;
+  let sessionId;
+
+  await parentRepository.modifyParent(parent.id, (current) => {
+    const entries = pruneRefreshTokens(current.refreshTokens, now);
+    const entry = entries.find((candidate) => candidate.tokenHash === presentedHash);
+
+    if (entry) {
+      outcome = 'rotated';
+      // Tokens hashed by migration 0008 carry no fid; the stored entry knows their family
+      sessionId = entry.familyId;
+      newRefreshToken = parent.generateRefreshToken(sessionId);
+      // The session moves with the device: keep where it was last used from
+      current.refreshTokens = entries.map((candidate) =>
+        candidate === entry
+          ? {
+            ...candidate,
+            tokenHash: hashToken(newRefreshToken),
+            lastUsedAt: now.toISOString(),
+            expiresAt: expiresAtFromNow(),
+            ...(userAgent && { userAgent }),
+            ...(ip && { ip })
+          }
+          : candidate
+      );
+      return undefined;
+    }
+
+    const familyAlive = Boolean(decoded.fid) && entries.some((candidate) => candidate.familyId === decoded.fid);
+    current.refreshTokens = familyAlive ? entries.filter((candidate) => candidate.familyId !== decoded.fid) : entries;
+
+    if (!familyAlive) {
+      outcome = 'unknown';
+      return undefined;
+    }
+
+    outcome = 'reused';
+    return {
+      events: [{
+        type: DOMAIN_EVENTS.REFRESH_TOKEN_REUSED,
+        aggregateType: 'parent',
+        aggregateId: current.id,
+        payload: { parentId: current.id, familyId: decoded.fid }
+      }]
+    };
+  });
+
+  if (outcome === 'reused') {
+    logger.warn('Refresh token reuse detected, token family revoked', {
+      parentId: parent.id,
+      familyId: decoded.fid,
+      action: 'refresh_token_reuse'
+    });
+    throw new UnauthorizedError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (outcome === 'unknown') {
+    logger.warn('Refresh token not found in parent record', { parentId: parent.id });
+    throw new UnauthorizedError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  return {
+    accessToken: parent.getSignedJwtToken(sessionId),
+    refreshToken: newRefreshToken
+  };
+};
+
+/**
+ * End the family a refresh token belongs to, e.g. on logout
+ *
+ * @params {parentId}: string - Parent ID
+ * @params {refreshToken}: string - Refresh token of the family
+ * @returns Saved parent, or null when the parent does not exist
+ */
+const revokeFamilyOf = (parentId, refreshToken) => {
+  const presentedHash = hashToken(refreshToken);
+
+  return parentRepository.modifyParent(parentId, (current) => {
+    const entries = pruneRefreshTokens(current.refreshTokens);
+    const entry = entries.find((candidate) => candidate.tokenHash === presentedHash);
+    current.refreshTokens = entry ? entries.filter((candidate) => candidate.familyId !== entry.familyId) : entries;
+  });
+};
+
+/**
+ * Live sessions of a parent, most recently used first
+ *
+ * @params {parent}: object - Parent as loaded
+ * @params {currentSessionId}: string - sid of the caller's access token, flagged as current
+ * @returns Array of sessions
+ */
+const listSessions = (parent, currentSessionId) =>
+  pruneRefreshTokens(parent.refreshTokens)
+    .map((entry) => toSession(entry, currentSessionId))
+    .sort((a, b) => new Date(b.lastUsedAt || 0) - new Date(a.lastUsedAt || 0));
+
+/**
+ * End one session
+ *
+ * @params {parentId}: string - Parent ID
+ * @params {sessionId}: string - Session (token family) ID
+ * @returns true
+ */
+const revokeSession = async (parentId, sessionId) => {
+  let found = false;
+
+  await parentRepository.modifyParent(parentId, (current) => {
+    const entries = pruneRefreshTokens(current.refreshTokens);
+    found = entries.some((entry) => entry.familyId === sessionId);
+    current.refreshTokens = entries.filter((entry) => entry.familyId !== sessionId);
+  });
+
+  if (!found) {
+    throw new NotFoundError('Session not found', 'SESSION_NOT_FOUND');
+  }
+  return true;
+};
+
+/**
+ * End every session but one
+ *
+ * @params {parentId}: string - Parent ID
+ * @params {keepSessionId}: string - Session to keep; every session ends when absent
+ * @returns Number of sessions ended
+ */
+const revokeOtherSessions = async (parentId, keepSessionId) => {
+  let revoked = 0;
+
+  await parentRepository.modifyParent(parentId, (current) => {
+    const entries = pruneRefreshTokens(current.refreshTokens);
+    current.refreshTokens = entries.filter((entry) => keepSessionId && entry.familyId === keepSessionId);
+    revoked = entries.length - current.refreshTokens.length;
+  });
+
+  return revoked;
+};
+
+module.exports = {
+  hashToken,
+  pruneRefreshTokens,
+  isSessionActive,
+  issueTokens,
+  rotate,
+  revokeFamilyOf,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+};
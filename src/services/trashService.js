@@ -0,0 +1,110 @@
+const trashRepository = require('../repositories/trashRepository');
+const { retentionDays: DEFAULT_RETENTION_DAYS } = require('../config/trashConfig');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTrashEntry = (item, retentionDays) => ({
+  entityType: item.entityType,
+  id: item.id,
+  label: item.name || item.title || item.questionText || item.email || item.id,
+  deletedAt: item.deletedAt,
+  deletedBy: item.deletedBy || null,
+  purgeAfter: new Date(new Date(item.deletedAt).getTime() + retentionDays * DAY_MS).toISOString()
+});
+
+/**
+ * List trashed items, most recently deleted first
+ * 
+ * @params {options}: object - { entityType, limit } where entityType narrows the listing to one type
+ * @returns Array of trash entries
+ */
+const listTrash = async ({ entityType, limit = 50 } = {}) => {
+  try {
+    const types = entityType ? [entityType] : trashRepository.TRASH_ENTITY_TYPES;
+    const groups = await Promise.all(types.map((type) => trashRepository.listTrashed(type)));
+
+    const entries = groups
+      .flat()
+      .sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''))
+      .slice(0, limit)
+      .map((item) => toTrashEntry(item, DEFAULT_RETENTION_DAYS));
+
+    logger.info('Listed trash', { entityType: entityType || 'all', count: entries.length });
+    return entries;
+  } catch (error) {
+    logger.error('Error listing trash', { entityType, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Restore a trashed item
+ * 
+ * @params {entityType}: string - parent, child, course or question
+ * @params {id}: string - Item ID
+ * @params {restoredBy}: string - ID of the admin restoring the item
+ * @returns Restored item
+ */
+const restoreItem = async (entityType, id, restoredBy) => {
+  try {
+    const restored = await trashRepository.restore(entityType, id);
+
+    if (!restored) {
+      throw new NotFoundError(`No trashed ${entityType} with ID ${id}`, 'NOT_IN_TRASH');
+    }
+
+    logger.info('Restored item from trash', { entityType, id, restoredBy, action: 'restore_from_trash' });
+
+    if (typeof restored.getPublicProfile === 'function') {
+      return restored.getPublicProfile();
+    }
+    const { password: _password, ...safe } = restored;
+    return safe;
+  } catch (error) {
+    logger.error('Error restoring item from trash', { entityType, id, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete items that have been in the trash longer than the retention window
+ * 
+ * @params {options}: object - { retentionDays, now, dryRun } where dryRun only reports what would go
+ * @returns Summary { cutoff, purged: { [entityType]: count }, failed }
+ */
+const purgeExpired = async ({ retentionDays = DEFAULT_RETENTION_DAYS, now = new Date(), dryRun = false } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+  const purged = {};
+  let failed = 0;
+
+  // Sequential on purpose: a parent purge removes its children before the child listing runs
+  for (const entityType of trashRepository.TRASH_ENTITY_TYPES) {
+    const expired = await trashRepository.listTrashed(entityType, { deletedBefore: cutoff });
+    purged[entityType] = 0;
+
+    for (const item of expired) {
+      if (dryRun) {
+        purged[entityType] += 1;
+        continue;
+      }
+      try {
+        await trashRepository.purge(entityType, item.id);
+        purged[entityType] += 1;
+      } catch (error) {
+        failed += 1;
+        logger.error('Failed to purge trashed item', { entityType, id: item.id, error: error.message });
+      }
+    }
+  }
+
+  logger.info('Purged expired trash', { cutoff, purged, failed, dryRun });
+  return { cutoff, purged, failed, dryRun };
+};
+
+module.exports = {
+  listTrash,
+  restoreItem,
+  purgeExpired
+};
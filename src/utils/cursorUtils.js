@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { JWT_SECRET } = require('../config/jwtConfig');
+const { ValidationError } = require('./errors');
+
+const CURSOR_SECRET = process.env.CURSOR_SECRET || JWT_SECRET;
+const CURSOR_VERSION = 1;
+
+const sign = (payload) => crypto.createHmac('sha256', CURSOR_SECRET).update(payload).digest('base64url');
+
+const invalidCursorError = () => new ValidationError('Invalid or expired pagination cursor', 'INVALID_CURSOR');
+
+/**
+ * Encode a DynamoDB LastEvaluatedKey as an opaque, signed cursor
+ *
+ * @params {scope}: string - List the cursor belongs to (e.g. 'courses'); a cursor only decodes for the same scope
+ * @params {lastKey}: object - LastEvaluatedKey / ExclusiveStartKey
+ * @returns Cursor string, or null when there is no next page
+ */
+const encodeCursor = (scope, lastKey) => {
+  if (!lastKey) return null;
+  const payload = Buffer.from(JSON.stringify({ v: CURSOR_VERSION, s: scope, k: lastKey })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Decode and verify a cursor produced by encodeCursor
+ *
+ * @params {scope}: string - Expected list scope
+ * @params {cursor}: string - Cursor from the client
+ * @returns ExclusiveStartKey object, or undefined when no cursor was given
+ */
+const decodeCursor = (scope, cursor) => {
+  if (!cursor) return undefined;
+
+  const [payload, signature, ...rest] = String(cursor).split('.');
+  if (!payload || !signature || rest.length > 0) {
+    throw invalidCursorError();
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw invalidCursorError();
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursorError();
+  }
+
+  if (decoded?.v !== CURSOR_VERSION || decoded.s !== scope || !decoded.k || typeof decoded.k !== 'object') {
+    throw invalidCursorError();
+  }
+
+  return decoded.k;
+};
+
+/**
+ * Whether a list request asks for the older page/limit mode
+ * Cursor pages come in storage order, so asking for a sort order without a cursor keeps the
+ * offset mode that honours it, as it did before cursors existed.
+ *
+ * @params {query}: object - Validated query string
+ * @returns boolean
+ */
+const isOffsetPageRequest = (query) =>
+  query.page !== undefined ||
+  (query.cursor === undefined && (query.sortBy !== undefined || query.sortOrder !== undefined));
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  isOffsetPageRequest
+};
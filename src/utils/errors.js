@@ -0,0 +1,113 @@
+/**
+ * Error classes for everything a request can fail with
+ *
+ * errorHandler.js answers with an error's statusCode and code, so services throw one of these
+ * instead of building an Error and setting its fields. `code` is the stable identifier clients
+ * branch on: each class has a generic default, and callers pass a specific one where the
+ * client can act on it (CHILD_NOT_FOUND rather than NOT_FOUND).
+ */
+
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = 'APP_ERROR', isOperational = true) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    // False for programming errors, whose message must not reach the client
+    this.isOperational = isOperational;
+    this.timestamp = new Date().toISOString();
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+// 400 - the request itself is wrong; details lists the offending fields when known
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', code = 'VALIDATION_ERROR', details) {
+    super(message, 400, code);
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+// 401 - no credentials, or credentials that could not be verified
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, 401, code);
+  }
+}
+
+// 403 - authenticated, but not allowed to do this
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', code = 'FORBIDDEN') {
+    super(message, 403, code);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', code = 'NOT_FOUND') {
+    super(message, 404, code);
+  }
+}
+
+// 409 - clashes with the stored state: a duplicate, or a write based on a stale read
+class ConflictError extends AppError {
+  constructor(message = 'Request conflicts with the current state', code = 'CONFLICT', details) {
+    super(message, 409, code);
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = 'Request payload too large', code = 'PAYLOAD_TOO_LARGE') {
+    super(message, 413, code);
+  }
+}
+
+// 429 - retryAfterSeconds, when known, becomes the Retry-After header
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests, please try again later', code = 'RATE_LIMIT_EXCEEDED', retryAfterSeconds) {
+    super(message, 429, code);
+    if (retryAfterSeconds !== undefined) {
+      this.retryAfterSeconds = retryAfterSeconds;
+    }
+  }
+}
+
+// 500 - a failure on our side the client cannot fix
+class InternalError extends AppError {
+  constructor(message = 'Internal server error', code = 'INTERNAL_ERROR', isOperational = true) {
+    super(message, 500, code, isOperational);
+  }
+}
+
+// 502 - a provider we depend on (mail, SMS) failed
+class UpstreamError extends AppError {
+  constructor(message = 'An upstream service failed', code = 'UPSTREAM_ERROR') {
+    super(message, 502, code);
+  }
+}
+
+// 503 - temporarily unable to serve; retryAfterSeconds becomes the Retry-After header
+class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable', code = 'SERVICE_UNAVAILABLE', retryAfterSeconds = 1) {
+    super(message, 503, code);
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  RateLimitError,
+  InternalError,
+  UpstreamError,
+  ServiceUnavailableError
+};
@@ -7,11 +7,18 @@
 
 const logger = require('./logger');
 const { calculateBMI, getBMICategory, validateBMI } = require('./bmiUtils');
+const { encodeCursor, decodeCursor } = require('./cursorUtils');
+const { normalizePhoneNumber } = require('./phoneNumber');
 
 module.exports = {
   logger,
   
   calculateBMI,
   getBMICategory,
-  validateBMI
+  validateBMI,
+
+  encodeCursor,
+  decodeCursor,
+
+  normalizePhoneNumber
 };
@@ -0,0 +1,78 @@
+/**
+ * Redaction of personal data and secrets from log entries
+ *
+ * Works on a copy: log calls pass live objects such as req.body, which must keep their values.
+ */
+
+const MAX_DEPTH = 10;
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isPlainObject = (value) => {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Build a redactor from field names, paths and value patterns
+ *
+ * @params {rules}: object - { fields, paths, patterns, replacement } as in config/logRedactionConfig.js
+ * @returns Function (value) => redacted copy of value
+ */
+const createRedactor = ({ fields = [], paths = [], patterns = [], replacement = '[REDACTED]' } = {}) => {
+  const fieldSet = new Set(fields.map(normalizeKey));
+  const pathSegments = paths.map((path) => path.split('.').map((segment) => (segment === '*' ? '*' : normalizeKey(segment))));
+
+  const matchesPath = (trail) =>
+    pathSegments.some(
+      (segments) => segments.length === trail.length && segments.every((segment, index) => segment === '*' || segment === trail[index])
+    );
+
+  const redactString = (text) =>
+    patterns.reduce((result, pattern) => {
+      pattern.lastIndex = 0;
+      return result.replace(pattern, replacement);
+    }, text);
+
+  const redactValue = (value, trail, seen) => {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    if (trail.length >= MAX_DEPTH) return '[Truncated]';
+
+    let copy;
+    seen.add(value);
+    if (Array.isArray(value)) {
+      copy = value.map((item, index) => redactEntry(index, item, trail, seen));
+    } else if (value instanceof Error) {
+      copy = redactObject({ ...value, name: value.name, message: value.message, stack: value.stack }, trail, seen);
+    } else if (isPlainObject(value)) {
+      copy = redactObject(value, trail, seen);
+    } else {
+      // Dates, buffers and other class instances are logged as they are
+      copy = value;
+    }
+    seen.delete(value);
+    return copy;
+  };
+
+  const redactObject = (object, trail, seen) =>
+    Object.keys(object).reduce((copy, key) => {
+      copy[key] = redactEntry(key, object[key], trail, seen);
+      return copy;
+    }, {});
+
+  const redactEntry = (key, value, trail, seen) => {
+    const path = [...trail, normalizeKey(key)];
+    if (value !== undefined && value !== null && (fieldSet.has(path[path.length - 1]) || matchesPath(path))) {
+      return replacement;
+    }
+    return redactValue(value, path, seen);
+  };
+
+  return (value) => redactValue(value, [], new WeakSet());
+};
+
+module.exports = {
+  createRedactor
+};
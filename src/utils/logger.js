@@ -1,10 +1,24 @@
 const winston = require('winston');
+const redactionConfig = require('../config/logRedactionConfig');
+const { createRedactor } = require('./logRedaction');
+
+const redact = createRedactor({ ...redactionConfig, replacement: redactionConfig.REDACTED });
+
+// Runs before any transport sees the entry, so no transport can log what it removes
+const redaction = winston.format((info) => {
+  const redacted = redact({ ...info });
+  Object.keys(redacted).forEach((key) => {
+    info[key] = redacted[key];
+  });
+  return info;
+});
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redaction(),
     winston.format.json()
   ),
   transports: [
@@ -17,4 +31,7 @@ const logger = winston.createLogger({
   ]
 });
 
+// Lockouts, rate limits and other events worth alerting on; warn level, tagged for filtering
+logger.security = (message, meta = {}) => logger.warn(message, { ...meta, category: 'security' });
+
 module.exports = logger;
@@ -0,0 +1,31 @@
+// Country code assumed for numbers given without one (national format, e.g. 098765 43210)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '91').replace(/\D/g, '');
+
+// '+', then a country code and subscriber number of 8 to 15 digits in all
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Normalise a phone number to E.164, the form parents are stored and looked up by
+ * Spaces, dashes, dots and brackets are dropped, a leading 00 becomes +, and numbers
+ * without a country code get DEFAULT_PHONE_COUNTRY_CODE after their trunk 0 is removed.
+ *
+ * @params {value}: string - Phone number as entered
+ * @params {defaultCountryCode}: string - Country code for national numbers
+ * @returns E.164 string, e.g. +919876543210, or null when it cannot be one
+ */
+const normalizePhoneNumber = (value, defaultCountryCode = DEFAULT_COUNTRY_CODE) => {
+  if (typeof value !== 'string') return null;
+
+  let number = value.trim().replace(/[\s().-]/g, '');
+  if (number.startsWith('00')) {
+    number = `+${number.slice(2)}`;
+  } else if (!number.startsWith('+')) {
+    number = `+${defaultCountryCode}${number.replace(/^0+/, '')}`;
+  }
+
+  return E164_PATTERN.test(number) ? number : null;
+};
+
+module.exports = {
+  normalizePhoneNumber
+};
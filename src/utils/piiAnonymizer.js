@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Personal fields replaced per entity type; history entries of those types get the same treatment
+const PII_FIELDS = {
+  parent: ['name', 'email', 'phoneNumber'],
+  child: ['name']
+};
+
+// Emptied: secrets rather than personal data, and useless outside the source environment
+const SECRET_FIELDS = {
+  parent: ['refreshTokens']
+};
+
+// Keyed on the contact itself, so they are left out of anonymized exports
+const SKIPPED_ENTITY_TYPES = new Set(['otp', 'phone_number']);
+
+/**
+ * Create an anonymizer for one export
+ * Pseudonyms come from a salted hash, so the same email maps to the same fake address across
+ * items of one export (keeping email uniqueness and history consistent) but cannot be looked up
+ * from another export or a guessed address.
+ *
+ * @params {options}: object - { salt } defaults to a random value per anonymizer
+ * @returns Function (item) => anonymized copy, or null when the item should be left out
+ */
+const createAnonymizer = ({ salt = crypto.randomBytes(16).toString('hex') } = {}) => {
+  const tagOf = (value) => crypto.createHash('sha256').update(`${salt}:${value}`).digest('hex');
+
+  const fakers = {
+    name: (value, entityType) => `${entityType === 'child' ? 'Child' : 'Parent'} ${tagOf(value).slice(0, 8)}`,
+    email: (value) => `user-${tagOf(value.toLowerCase()).slice(0, 12)}@example.com`,
+    phoneNumber: (value) => `+91${(BigInt(`0x${tagOf(value).slice(0, 15)}`) % 10000000000n).toString().padStart(10, '0')}`
+  };
+
+  const fake = (field, value, entityType) =>
+    typeof value === 'string' && value.length > 0 ? fakers[field](value, entityType) : value;
+
+  const anonymizeHistory = (item) => {
+    const fields = PII_FIELDS[item.targetType];
+    if (!fields || !item.changes) return item;
+
+    const changes = { ...item.changes };
+    fields
+      .filter((field) => changes[field])
+      .forEach((field) => {
+        changes[field] = {
+          from: fake(field, changes[field].from, item.targetType),
+          to: fake(field, changes[field].to, item.targetType)
+        };
+      });
+    return { ...item, changes };
+  };
+
+  return (item) => {
+    if (SKIPPED_ENTITY_TYPES.has(item.entityType)) return null;
+    if (item.entityType === 'history') return anonymizeHistory(item);
+
+    const fields = PII_FIELDS[item.entityType];
+    if (!fields) return item;
+
+    const copy = { ...item };
+    fields.forEach((field) => {
+      if (copy[field] !== undefined) copy[field] = fake(field, copy[field], item.entityType);
+    });
+    (SECRET_FIELDS[item.entityType] || []).forEach((field) => {
+      if (copy[field] !== undefined) copy[field] = [];
+    });
+    return copy;
+  };
+};
+
+module.exports = {
+  createAnonymizer,
+  PII_FIELDS
+};
@@ -0,0 +1,45 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run the rest of a request's middleware chain with the request available to deeper layers
+ *
+ * @params {req}: Request - Express request object
+ * @params {callback}: Function - Continuation (usually Express's next)
+ * @returns Whatever callback returns
+ */
+const runWithRequest = (req, callback) => storage.run({ req }, callback);
+
+/**
+ * Who is acting and on behalf of which request, for audit records
+ * Read lazily so a user attached by auth after the context was opened is still seen.
+ *
+ * @returns Object { actorId, requestId }; both null outside a request (scripts, jobs)
+ */
+const getRequestContext = () => {
+  const req = storage.getStore()?.req;
+  return {
+    actorId: req?.user?.id || null,
+    requestId: req?.requestId || null
+  };
+};
+
+/**
+ * Where the current request comes from, recorded on login sessions
+ *
+ * @returns Object { ip, userAgent }; both null outside a request
+ */
+const getClientInfo = () => {
+  const req = storage.getStore()?.req;
+  return {
+    ip: req?.ip || null,
+    userAgent: req?.get?.('User-Agent') || null
+  };
+};
+
+module.exports = {
+  runWithRequest,
+  getRequestContext,
+  getClientInfo
+};
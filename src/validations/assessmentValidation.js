@@ -1,28 +1,29 @@
 const Joi = require('joi');
+const { commonValidation } = require('./commonValidation');
 
 const assessmentValidation = {
   processAssessment: Joi.object({
     responses: Joi.array().items(
       Joi.object({
-        questionId: Joi.string().length(24).required(),
+        questionId: commonValidation.id,
         answer: Joi.number().required()
       })
     ).min(1).required(),
-    childId: Joi.string().length(24).required(),
+    childId: commonValidation.id,
     method: Joi.string().valid('weighted_average', 't_score_non_weighted', 't_score_weighted').default('weighted_average')
   }),
 
   getAssessment: Joi.object({
-    childId: Joi.string().length(24).required(),
-    assessmentId: Joi.string().uuid().required()
+    childId: commonValidation.id,
+    assessmentId: commonValidation.id
   }),
 
   childIdParam: Joi.object({
-    childId: Joi.string().length(24).required()
+    childId: commonValidation.id
   }),
 
   assessmentIdParam: Joi.object({
-    assessmentId: Joi.string().uuid().required()
+    assessmentId: commonValidation.id
   })
 };
 
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { commonValidation } = require('./commonValidation');
 
 const authValidation = {
   register: Joi.object({
@@ -15,9 +16,7 @@ const authValidation = {
       'string.min': 'Password must be at least 8 characters',
       'any.required': 'Password is required'
     }),
-    phoneNumber: Joi.string().trim().messages({
-      'string.empty': 'Phone number cannot be empty'
-    }),
+    phoneNumber: commonValidation.phoneNumber,
     city: Joi.string().trim(),
     economicStatus: Joi.string()
       .valid('Lower Income', 'Middle Income', 'Upper Income')
@@ -44,9 +43,7 @@ const authValidation = {
     email: Joi.string().email().messages({
       'string.email': 'Please provide a valid email'
     }),
-    phoneNumber: Joi.string().trim().messages({
-      'string.empty': 'Phone number cannot be empty'
-    }),
+    phoneNumber: commonValidation.phoneNumber,
     purpose: Joi.string()
       .valid('signup', 'login')
       .required()
@@ -64,9 +61,7 @@ const authValidation = {
     email: Joi.string().email().messages({
       'string.email': 'Please provide a valid email'
     }),
-    phoneNumber: Joi.string().trim().messages({
-      'string.empty': 'Phone number cannot be empty'
-    }),
+    phoneNumber: commonValidation.phoneNumber,
     purpose: Joi.string()
       .valid('signup', 'login')
       .required()
@@ -88,11 +83,46 @@ const authValidation = {
       'object.missing': 'Either email or phone number is required',
       'object.xor': 'Provide either email or phone number, not both'
     }),
+  passwordForgot: Joi.object({
+    email: Joi.string().email().messages({
+      'string.email': 'Please provide a valid email'
+    }),
+    phoneNumber: commonValidation.phoneNumber
+  })
+    .xor('email', 'phoneNumber')
+    .messages({
+      'object.missing': 'Either email or phone number is required',
+      'object.xor': 'Provide either email or phone number, not both'
+    }),
+  passwordReset: Joi.object({
+    email: Joi.string().email().messages({
+      'string.email': 'Please provide a valid email'
+    }),
+    phoneNumber: commonValidation.phoneNumber,
+    otp: Joi.string()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        'string.empty': 'Reset code is required',
+        'any.required': 'Reset code is required',
+        'string.pattern.base': 'Reset code must be a 6 digit code'
+      }),
+    newPassword: Joi.string().min(8).required().messages({
+      'string.empty': 'New password is required',
+      'string.min': 'New password must be at least 8 characters',
+      'any.required': 'New password is required'
+    })
+  })
+    .xor('email', 'phoneNumber')
+    .messages({
+      'object.missing': 'Either email or phone number is required',
+      'object.xor': 'Provide either email or phone number, not both'
+    }),
   updateProfile: Joi.object({
     name: Joi.string().trim().max(100).messages({
       'string.max': 'Name cannot exceed 100 characters'
     }),
-    phoneNumber: Joi.string().trim(),
+    phoneNumber: commonValidation.phoneNumber,
     city: Joi.string().trim(),
     economicStatus: Joi.string()
       .valid('Lower Income', 'Middle Income', 'Upper Income')
@@ -126,6 +156,9 @@ const authValidation = {
       'string.empty': 'Token is required',
       'any.required': 'Token is required'
     })
+  }),
+  sessionIdParam: Joi.object({
+    id: commonValidation.id
   })
 };
 
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { commonValidation } = require('./commonValidation');
 
 const subjectGradeSchema = Joi.object({
   subject: Joi.string().min(1).trim().required(),
@@ -21,7 +22,7 @@ const suggestionSchema = Joi.object({
 
 const childEducationValidation = {
   create: Joi.object({
-    childId: Joi.string().length(24).required(),
+    childId: commonValidation.id,
     records: Joi.array().items(educationRecordSchema).default([]),
     suggestions: Joi.array().items(suggestionSchema).default([])
   }),
@@ -37,11 +38,11 @@ const childEducationValidation = {
   }),
 
   childIdQuery: Joi.object({
-    childId: Joi.string().length(24).required()
+    childId: commonValidation.id
   }),
 
   idParam: Joi.object({
-    id: Joi.string().length(24).required()
+    id: commonValidation.id
   })
 };
 
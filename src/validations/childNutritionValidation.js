@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { commonValidation } = require('./commonValidation');
 
 const eatingHabitsSchema = Joi.object({
   eatsBreakfastRegularly: Joi.boolean().required(),
@@ -34,7 +35,7 @@ const recommendationSchema = Joi.object({
 
 const childNutritionValidation = {
   create: Joi.object({
-    childId: Joi.string().length(24).required(),
+    childId: commonValidation.id,
     records: Joi.array().items(nutritionRecordSchema).default([]),
     recommendations: Joi.array().items(recommendationSchema).default([])
   }),
@@ -47,11 +48,11 @@ const childNutritionValidation = {
   addEntry: nutritionRecordSchema,
 
   childIdQuery: Joi.object({
-    childId: Joi.string().length(24).required()
+    childId: commonValidation.id
   }),
 
   idParam: Joi.object({
-    id: Joi.string().length(24).required()
+    id: commonValidation.id
   })
 };
 
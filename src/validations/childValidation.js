@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { commonValidation } = require('./commonValidation');
 
 const childValidation = {
   create: Joi.object({
@@ -6,27 +7,27 @@ const childValidation = {
     age: Joi.number().integer().min(0).max(18).required(),
     gender: Joi.string().lowercase().trim(),
     grade: Joi.string().uppercase().trim(),
-    parentId: Joi.string().length(24).required(),
-    courseIds: Joi.array().items(Joi.string().length(24)).default([])
+    parentId: commonValidation.id,
+    courseIds: Joi.array().items(commonValidation.id).default([])
   }),
   update: Joi.object({
     name: Joi.string().min(2).max(100).trim(),
     age: Joi.number().integer().min(0).max(18),
     gender: Joi.string().lowercase().trim(),
     grade: Joi.string().uppercase().trim(),
-    courseIds: Joi.array().items(Joi.string().length(24))
+    courseIds: Joi.array().items(commonValidation.id)
   }),
   courseOperation: Joi.object({
-    courseIds: Joi.array().items(Joi.string().length(24)).min(1).required()
+    courseIds: Joi.array().items(commonValidation.id).min(1).required()
   }),
   parentIdQuery: Joi.object({
-    parentId: Joi.string().length(24).required(),
+    parentId: commonValidation.id,
     limit: Joi.number().min(1).max(1000).default(100),
     skip: Joi.number().min(0).default(0),
     includeRelated: Joi.boolean().default(false)
   }),
   idParam: Joi.object({
-    id: Joi.string().length(24).required()
+    id: commonValidation.id
   }),
   listQuery: Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(20),
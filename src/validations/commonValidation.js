@@ -1,16 +1,34 @@
 const Joi = require('joi');
 const validator = require('validator');
+const { ValidationError } = require('../utils/errors');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+
+// Items migrated from MongoDB keep their 24-hex ObjectIds; everything created since has a UUID
+// (v4 from the repositories, v5 for ids derived by migrations)
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const uuidSchema = Joi.string().guid({ version: ['uuidv1', 'uuidv3', 'uuidv4', 'uuidv5'], separator: '-' });
+
+const isEntityId = (value) => OBJECT_ID_PATTERN.test(value) || uuidSchema.validate(value).error === undefined;
+
+/**
+ * Schema for an entity id in params, queries and bodies: a legacy ObjectId or a UUID
+ *
+ * @params {label}: string - Name used in error messages, e.g. 'parent ID'
+ * @returns Required Joi schema; chain .optional() for optional references
+ */
+const idSchema = (label = 'ID') =>
+  Joi.string()
+    .custom((value, helpers) => (isEntityId(value) ? value : helpers.error('any.invalid')))
+    .messages({
+      'any.invalid': `Invalid ${label} format`,
+      'any.required': `${label.charAt(0).toUpperCase()}${label.slice(1)} is required`
+    })
+    .required();
 
 // Common validation schemas that can be reused
 const commonValidation = {
-  // MongoDB ObjectId validation
-  objectId: Joi.string()
-    .pattern(/^[0-9a-fA-F]{24}$/)
-    .required()
-    .messages({
-      'string.pattern.base': 'Invalid ID format',
-      'any.required': 'ID is required'
-    }),
+  // Any entity id (ObjectId or UUID)
+  id: idSchema(),
 
   // Email validation
   email: Joi.string()
@@ -21,6 +39,15 @@ const commonValidation = {
       'any.required': 'Email is required'
     }),
 
+  // Phone number, converted to E.164
+  phoneNumber: Joi.string()
+    .trim()
+    .custom((value, helpers) => normalizePhoneNumber(value) || helpers.error('string.phoneNumber'))
+    .messages({
+      'string.empty': 'Phone number cannot be empty',
+      'string.phoneNumber': 'Please provide a valid phone number'
+    }),
+
   // Password validation with complexity requirements
   password: Joi.string()
     .min(8)
@@ -52,6 +79,15 @@ const commonValidation = {
         'number.integer': 'Limit must be an integer',
         'number.min': 'Limit must be at least 1',
         'number.max': 'Limit cannot exceed 100'
+      }),
+
+    // Opaque nextCursor returned by the previous page
+    cursor: Joi.string()
+      .max(2048)
+      .pattern(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+      .messages({
+        'string.pattern.base': 'Invalid pagination cursor',
+        'string.max': 'Invalid pagination cursor'
       })
   },
 
@@ -63,6 +99,12 @@ const commonValidation = {
     })
 };
 
+// Query for the admin GET /:entity/:id/history endpoints
+commonValidation.historyQuery = Joi.object({
+  limit: commonValidation.pagination.limit,
+  cursor: commonValidation.pagination.cursor
+});
+
 // Validation middleware factory
 const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -78,11 +120,7 @@ const validateRequest = (schema) => {
         value: detail.context?.value
       }));
 
-      return res.status(400).json({
-        error: 'Validation error',
-        message: 'Request body validation failed',
-        details: errorDetails
-      });
+      return next(new ValidationError('Request body validation failed', 'VALIDATION_ERROR', errorDetails));
     }
 
     req.body = value; // Use validated and sanitized values
@@ -105,11 +143,7 @@ const validateQuery = (schema) => {
         value: detail.context?.value
       }));
 
-      return res.status(400).json({
-        error: 'Query validation error',
-        message: 'Query parameters validation failed',
-        details: errorDetails
-      });
+      return next(new ValidationError('Query parameters validation failed', 'VALIDATION_ERROR', errorDetails));
     }
 
     req.query = value; // Use validated/transformed values
@@ -131,11 +165,7 @@ const validateParams = (schema) => {
         value: detail.context?.value
       }));
 
-      return res.status(400).json({
-        error: 'Parameters validation error',
-        message: 'URL parameters validation failed',
-        details: errorDetails
-      });
+      return next(new ValidationError('URL parameters validation failed', 'VALIDATION_ERROR', errorDetails));
     }
 
     req.params = value;
@@ -172,6 +202,8 @@ const sanitizeInput = (obj, parentKey = '') => {
 
 module.exports = {
   commonValidation,
+  idSchema,
+  isEntityId,
   validateRequest,
   validateQuery,
   validateParams,
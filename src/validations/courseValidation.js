@@ -1,10 +1,11 @@
 const Joi = require('joi');
+const { commonValidation } = require('./commonValidation');
 
 const pdfSchema = Joi.object({
   filename: Joi.string().required(),
   url: Joi.string().uri().required(),
   size: Joi.number().min(0).required(),
-  uploadedBy: Joi.string().length(24)
+  uploadedBy: commonValidation.id.optional()
 });
 
 const videoSchema = Joi.object({
@@ -20,7 +21,7 @@ const videoSchema = Joi.object({
 const testSchema = Joi.object({
   title: Joi.string().required(),
   description: Joi.string().allow(''),
-  questions: Joi.array().items(Joi.string().length(24)),
+  questions: Joi.array().items(commonValidation.id),
   passingScore: Joi.number().min(0).max(100).default(70),
   duration: Joi.number().min(0).default(30),
   order: Joi.number().min(0).required()
@@ -38,20 +39,6 @@ const sectionSchema = Joi.object({
   isLocked: Joi.boolean().default(false)
 });
 
-const idOrUuid = Joi.string()
-  .custom((value, helpers) => {
-    const isObjectId = /^[a-fA-F0-9]{24}$/.test(value);
-    const isUuid =
-      Joi.string().guid({ version: ['uuidv4', 'uuidv5', 'uuidv1', 'uuidv3'] }).validate(value).error === undefined;
-    if (isObjectId || isUuid) return value;
-    return helpers.error('any.invalid');
-  })
-  .messages({
-    'any.invalid': 'Invalid ID format',
-    'any.required': 'ID is required'
-  })
-  .required();
-
 const courseValidation = {
   create: Joi.object({
     title: Joi.string().min(5).max(200).required(),
@@ -70,7 +57,7 @@ const courseValidation = {
       discountedPrice: Joi.number().min(0)
     }).required(),
     sections: Joi.array().items(sectionSchema).min(1).required(),
-    instructor: Joi.string().length(24),
+    instructor: commonValidation.id.optional(),
     tags: Joi.array().items(Joi.string()),
     prerequisites: Joi.array().items(Joi.string()),
     learningOutcomes: Joi.array().items(Joi.string()).min(1).required(),
@@ -101,12 +88,13 @@ const courseValidation = {
     isPublished: Joi.boolean()
   }),
   query: Joi.object({
-    page: Joi.number().min(1).default(1),
+    page: Joi.number().min(1),
+    cursor: commonValidation.pagination.cursor,
     limit: Joi.number().min(1).max(100).default(20),
     category: Joi.string(),
     level: Joi.string().valid('beginner', 'intermediate', 'advanced'),
     isPublished: Joi.boolean(),
-    instructor: Joi.string().length(24),
+    instructor: commonValidation.id.optional(),
     tags: Joi.alternatives().try(
       Joi.string(),
       Joi.array().items(Joi.string())
@@ -114,19 +102,19 @@ const courseValidation = {
     minPrice: Joi.number().min(0),
     maxPrice: Joi.number().min(0),
     search: Joi.string(),
-    sortBy: Joi.string().valid('createdAt', 'updatedAt', 'enrollmentCount', 'title').default('createdAt'),
-    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
-    parentId: idOrUuid.optional()
-  }),
+    sortBy: Joi.string().valid('createdAt', 'updatedAt', 'enrollmentCount', 'title'),
+    sortOrder: Joi.string().valid('asc', 'desc'),
+    parentId: commonValidation.id.optional()
+  }).oxor('page', 'cursor').without('cursor', ['sortBy', 'sortOrder']),
   updateVideoProgress: Joi.object({
-    sectionId: idOrUuid,
-    videoId: idOrUuid,
+    sectionId: commonValidation.id,
+    videoId: commonValidation.id,
     watchedDuration: Joi.number().min(0).required(),
     totalDuration: Joi.number().min(0).required()
   }),
   updateTestProgress: Joi.object({
-    sectionId: idOrUuid,
-    testId: idOrUuid,
+    sectionId: commonValidation.id,
+    testId: commonValidation.id,
     score: Joi.number().min(0).max(100).required(),
     passingScore: Joi.number().min(0).max(100).default(70)
   }),
@@ -146,23 +134,53 @@ const courseValidation = {
       'any.required': 'PDFs array is required'
     })
   }),
+  createSection: sectionSchema.fork(['order'], (schema) => schema.optional()),
+  updateSection: Joi.object({
+    title: Joi.string(),
+    description: Joi.string().allow(''),
+    test: testSchema,
+    isLocked: Joi.boolean()
+  }).min(1),
+  reorderSections: Joi.object({
+    sectionIds: Joi.array().items(commonValidation.id).min(1).unique().required()
+  }),
+  createVideo: videoSchema.fork(['order'], (schema) => schema.optional()),
+  updateVideo: Joi.object({
+    title: Joi.string(),
+    description: Joi.string().allow(''),
+    videoUrl: Joi.string().uri(),
+    duration: Joi.number().min(0),
+    isFree: Joi.boolean(),
+    thumbnail: Joi.string().uri().allow('')
+  }).min(1),
+  reorderVideos: Joi.object({
+    videoIds: Joi.array().items(commonValidation.id).min(1).unique().required()
+  }),
+  courseParams: Joi.object({
+    courseId: commonValidation.id
+  }),
+  videoParams: Joi.object({
+    courseId: commonValidation.id,
+    sectionId: commonValidation.id,
+    videoId: commonValidation.id
+  }),
   sectionPdfParams: Joi.object({
-    courseId: idOrUuid,
-    sectionId: idOrUuid
+    courseId: commonValidation.id,
+    sectionId: commonValidation.id
   }),
   removePdfParams: Joi.object({
-    courseId: idOrUuid,
-    sectionId: idOrUuid,
-    pdfId: idOrUuid
+    courseId: commonValidation.id,
+    sectionId: commonValidation.id,
+    pdfId: commonValidation.id
   }),
   idParam: Joi.object({
-    id: idOrUuid
+    id: commonValidation.id
   }),
   slugParam: Joi.object({
     slug: Joi.string().required()
   }),
   parentQuery: Joi.object({
-    parentId: Joi.string().length(24)
+    parentId: commonValidation.id.optional()
   })
 };
 
@@ -15,6 +15,7 @@ const courseValidation = require('./courseValidation');
 const parentValidation = require('./parentValidation');
 const questionValidation = require('./questionValidation');
 const instructorValidation = require('./instructorValidation');
+const trashValidation = require('./trashValidation');
 
 module.exports = {
   assessmentValidation,
@@ -31,5 +32,6 @@ module.exports = {
   courseValidation,
   parentValidation,
   questionValidation,
-  instructorValidation
+  instructorValidation,
+  trashValidation
 };
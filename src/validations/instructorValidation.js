@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { commonValidation } = require('./commonValidation');
 
 const socialLinksSchema = Joi.object({
   website: Joi.string().uri(),
@@ -32,7 +33,8 @@ const instructorValidation = {
     isActive: Joi.boolean()
   }),
   query: Joi.object({
-    page: Joi.number().min(1).default(1),
+    page: Joi.number().min(1),
+    cursor: commonValidation.pagination.cursor,
     limit: Joi.number().min(1).max(100).default(20),
     search: Joi.string(),
     expertise: Joi.alternatives().try(
@@ -40,11 +42,11 @@ const instructorValidation = {
       Joi.array().items(Joi.string())
     ),
     isActive: Joi.boolean(),
-    sortBy: Joi.string().valid('createdAt', 'updatedAt', 'firstName', 'lastName').default('createdAt'),
-    sortOrder: Joi.string().valid('asc', 'desc').default('desc')
-  }),
+    sortBy: Joi.string().valid('createdAt', 'updatedAt', 'firstName', 'lastName'),
+    sortOrder: Joi.string().valid('asc', 'desc')
+  }).oxor('page', 'cursor').without('cursor', ['sortBy', 'sortOrder']),
   idParam: Joi.object({
-    id: Joi.string().length(24).required()
+    id: commonValidation.id
   })
 };
 
@@ -1,30 +1,9 @@
 const Joi = require('joi');
+const { commonValidation, idSchema } = require('./commonValidation');
 
-const parentIdSchema = Joi.string()
-  .custom((value, helpers) => {
-    const isObjectId = /^[a-fA-F0-9]{24}$/.test(value);
-    const isUuid = Joi.string().guid({ version: ['uuidv4', 'uuidv5', 'uuidv1', 'uuidv3'] }).validate(value).error === undefined;
-    if (isObjectId || isUuid) return value;
-    return helpers.error('any.invalid');
-  })
-  .messages({
-    'any.invalid': 'Invalid parent ID format',
-    'any.required': 'Parent ID is required'
-  })
-  .required();
-
-const courseIdSchema = Joi.string()
-  .custom((value, helpers) => {
-    const isObjectId = /^[a-fA-F0-9]{24}$/.test(value);
-    const isUuid = Joi.string().guid({ version: ['uuidv4', 'uuidv5', 'uuidv1', 'uuidv3'] }).validate(value).error === undefined;
-    if (isObjectId || isUuid) return value;
-    return helpers.error('any.invalid');
-  })
-  .messages({
-    'any.invalid': 'Invalid course ID format',
-    'any.required': 'Course ID is required'
-  })
-  .required();
+const parentIdSchema = idSchema('parent ID');
+const courseIdSchema = idSchema('course ID');
+const childIdSchema = idSchema('child ID');
 
 const parentValidation = {
   idParam: Joi.object({
@@ -40,12 +19,17 @@ const parentValidation = {
 
   paginationQuery: Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(100),
-    skip: Joi.number().integer().min(0).default(0)
+    skip: Joi.number().integer().min(0),
+    cursor: commonValidation.pagination.cursor
+  }).oxor('skip', 'cursor'),
+
+  childBody: Joi.object({
+    childId: childIdSchema
   }),
 
   removeChildParams: Joi.object({
     id: parentIdSchema,
-    childId: Joi.string().length(24).required()
+    childId: commonValidation.id
   }),
 
   wishlistBody: Joi.object({
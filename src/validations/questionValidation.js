@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { commonValidation } = require('./commonValidation');
 
 const issueWeightageSchema = Joi.object({
   issueId: Joi.string().required(),
@@ -23,8 +24,8 @@ const ageGroupSchema = Joi.object({
 });
 
 const metadataSchema = Joi.object({
-  createdBy: Joi.string().length(24),
-  lastModifiedBy: Joi.string().length(24),
+  createdBy: commonValidation.id.optional(),
+  lastModifiedBy: commonValidation.id.optional(),
   notes: Joi.string().max(500)
 });
 
@@ -64,7 +65,8 @@ const questionValidation = {
   }),
 
   query: Joi.object({
-    page: Joi.number().min(1).default(1),
+    page: Joi.number().min(1),
+    cursor: commonValidation.pagination.cursor,
     limit: Joi.number().min(1).max(100).default(20),
     category: Joi.string(),
     questionType: Joi.string().valid('mcq', 'rating', 'boolean', 'text', 'multiselect'),
@@ -78,9 +80,9 @@ const questionValidation = {
     ageMin: Joi.number().min(0).max(18),
     ageMax: Joi.number().min(0).max(18),
     search: Joi.string(),
-    sortBy: Joi.string().valid('createdAt', 'updatedAt', 'usageCount', 'category').default('createdAt'),
-    sortOrder: Joi.string().valid('asc', 'desc').default('desc')
-  }),
+    sortBy: Joi.string().valid('createdAt', 'updatedAt', 'usageCount', 'category'),
+    sortOrder: Joi.string().valid('asc', 'desc')
+  }).oxor('page', 'cursor').without('cursor', ['sortBy', 'sortOrder']),
 
   categoryQuery: Joi.object({
     category: Joi.string().required(),
@@ -98,7 +100,7 @@ const questionValidation = {
   }),
 
   idParam: Joi.object({
-    id: Joi.string().length(24).required()
+    id: commonValidation.id
   })
 };
 
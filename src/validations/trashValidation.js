@@ -0,0 +1,17 @@
+const Joi = require('joi');
+const { commonValidation } = require('./commonValidation');
+
+const entityType = Joi.string().valid('parent', 'child', 'course', 'question');
+
+const trashValidation = {
+  listQuery: Joi.object({
+    entityType,
+    limit: Joi.number().integer().min(1).max(200).default(50)
+  }),
+  restoreParams: Joi.object({
+    entityType: entityType.required(),
+    id: commonValidation.id
+  })
+};
+
+module.exports = trashValidation;
@@ -0,0 +1,27 @@
+const express = require('express');
+
+const routes = require('../../src/routes');
+const { handle, notFound } = require('../../src/middleware/errorHandler');
+const requestContext = require('../../src/middleware/requestContext');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+
+/**
+ * Build the API router on a bare express app for supertest.
+ * Skips server.js so no port is bound and no AWS connection is attempted.
+ */
+const buildTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(requestContext);
+  app.use('/api/v1', routes);
+  app.use(notFound);
+  app.use(handle);
+  return app;
+};
+
+const resetDatabase = () => inMemoryDynamo.reset();
+
+module.exports = {
+  buildTestApp,
+  resetDatabase
+};
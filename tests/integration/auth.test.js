@@ -1,3 +1,50 @@
-describe.skip('Auth integration (pending DynamoDB test harness)', () => {
-  it('skipped', () => {});
+const request = require('supertest');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+
+describe('Auth integration (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+  const credentials = { email: 'integration.parent@example.com', password: 'Password123!' };
+
+  beforeAll(() => {
+    resetDatabase();
+  });
+
+  test('registers a parent', async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'Integration Parent', city: 'Pune', ...credentials });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.parent.email).toBe(credentials.email);
+    expect(res.body.data.accessToken).toBeDefined();
+  });
+
+  test('rejects a duplicate registration', async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'Integration Parent', ...credentials });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('logs in and reads the profile', async () => {
+    const login = await request(app).post('/api/v1/auth/login').send(credentials);
+    expect(login.status).toBe(200);
+
+    const profile = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${login.body.data.accessToken}`);
+
+    expect(profile.status).toBe(200);
+    expect(profile.body.data.email).toBe(credentials.email);
+  });
+
+  test('rejects a wrong password', async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ ...credentials, password: 'WrongPassword1!' });
+
+    expect(res.status).toBe(401);
+  });
 });
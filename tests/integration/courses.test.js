@@ -1,3 +1,119 @@
-describe.skip('Courses integration (pending DynamoDB test harness)', () => {
-  it('skipped', () => {});
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { tableName } = require('../../src/config/dynamoConfig');
+const { JWT_SECRET } = require('../../src/config/jwtConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const { buildCourseKeys, buildParentKeys } = require('../../src/repositories/keyFactory');
+
+describe('Courses integration (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  beforeAll(() => {
+    resetDatabase();
+    inMemoryDynamo.seed(
+      tableName,
+      ['a', 'b', 'c'].map((id, index) => ({
+        ...buildCourseKeys(id),
+        id,
+        title: `Course ${id}`,
+        isPublished: true,
+        createdAt: `2026-0${index + 1}-01T00:00:00.000Z`
+      }))
+    );
+  });
+
+  test('lists courses with a cursor and follows it to the next page', async () => {
+    const first = await request(app).get('/api/v1/courses').query({ limit: 2 });
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toHaveLength(2);
+    expect(first.body.pagination.hasNext).toBe(true);
+
+    const second = await request(app)
+      .get('/api/v1/courses')
+      .query({ limit: 2, cursor: first.body.pagination.nextCursor });
+
+    expect(second.status).toBe(200);
+    expect(second.body.data.map((course) => course.id)).toEqual(['c']);
+    expect(second.body.pagination.hasNext).toBe(false);
+  });
+
+  test('rejects a forged cursor', async () => {
+    const res = await request(app).get('/api/v1/courses').query({ cursor: 'eyJ2IjoxfQ.bm90LWEtc2lnbmF0dXJl' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects page and cursor together', async () => {
+    const res = await request(app).get('/api/v1/courses').query({ page: 1, cursor: 'abc.def' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('honours a sort order sent without page, as before cursors', async () => {
+    const res = await request(app).get('/api/v1/courses').query({ sortBy: 'createdAt', sortOrder: 'desc', limit: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((course) => course.id)).toEqual(['c', 'b']);
+    expect(res.body.pagination.page).toBe(1);
+  });
+
+  test('rejects a sort order with a cursor, since cursor pages come in storage order', async () => {
+    const first = await request(app).get('/api/v1/courses').query({ limit: 2 });
+
+    const res = await request(app)
+      .get('/api/v1/courses')
+      .query({ limit: 2, cursor: first.body.pagination.nextCursor, sortBy: 'title' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Course sections integration (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+  const ADMIN_ID = '0b6f3a52-6d0e-4c1f-9d5b-2f4e8a7c1d90';
+  const COURSE_ID = '7d2c9e14-3b8a-4f6d-a1e5-9c0b4d2f6a83';
+  const LEGACY_ID = '5a1e8c3d-2f7b-4d9a-b6c0-8e4f1a3d7b25';
+  const admin = `Bearer ${jwt.sign({ id: ADMIN_ID, role: 'admin' }, JWT_SECRET)}`;
+
+  const section = (title) => ({
+    title,
+    videos: [{ title: `${title} intro`, videoUrl: 'https://videos.example.com/intro.mp4', duration: 90, order: 0 }]
+  });
+
+  beforeEach(() => {
+    resetDatabase();
+    inMemoryDynamo.seed(tableName, [
+      { ...buildParentKeys(ADMIN_ID), id: ADMIN_ID, name: 'Admin', email: 'admin@example.com', isActive: true },
+      { ...buildCourseKeys(COURSE_ID), id: COURSE_ID, title: 'Positive Parenting', version: 1 },
+      { ...buildCourseKeys(LEGACY_ID), id: LEGACY_ID, title: 'Legacy course', sections: [{ title: 'Inline' }], version: 1 }
+    ]);
+  });
+
+  test('appends, reorders and lists sections through the course', async () => {
+    const first = await request(app).post(`/api/v1/courses/${COURSE_ID}/sections`).set('Authorization', admin).send(section('Basics'));
+    const second = await request(app).post(`/api/v1/courses/${COURSE_ID}/sections`).set('Authorization', admin).send(section('Routines'));
+
+    expect(first.status).toBe(201);
+    expect(second.body.data).toMatchObject({ title: 'Routines', order: 1, videos: [expect.objectContaining({ order: 0 })] });
+
+    const reordered = await request(app)
+      .put(`/api/v1/courses/${COURSE_ID}/sections/order`)
+      .set('Authorization', admin)
+      .send({ sectionIds: [second.body.data.id, first.body.data.id] });
+
+    expect(reordered.status).toBe(200);
+
+    const course = await request(app).get(`/api/v1/courses/${COURSE_ID}`);
+    expect(course.body.data.sections.map((entry) => entry.title)).toEqual(['Routines', 'Basics']);
+  });
+
+  test('refuses granular edits on courses that still hold inline sections', async () => {
+    const res = await request(app).post(`/api/v1/courses/${LEGACY_ID}/sections`).set('Authorization', admin).send(section('New'));
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('COURSE_SECTIONS_INLINE');
+  });
 });
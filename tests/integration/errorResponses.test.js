@@ -0,0 +1,137 @@
+const express = require('express');
+const request = require('supertest');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { handle, notFound } = require('../../src/middleware/errorHandler');
+const requestContext = require('../../src/middleware/requestContext');
+const { SchemaValidationError } = require('../../src/db/schemaRegistry');
+const { CircuitOpenError } = require('../../src/db/resilientCommands');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ServiceUnavailableError
+} = require('../../src/utils/errors');
+
+const PROBLEM = 'application/problem+json';
+const MISSING_COURSE = '5b0f7e2d-9c4a-4d61-8f3b-2a7e1c9d0b46';
+
+const awsError = (name) => Object.assign(new Error(`${name} from DynamoDB`), { name, $metadata: { httpStatusCode: 400 } });
+
+// An app whose only route fails with the given error
+const failingApp = (error) => {
+  const app = express();
+  app.use(requestContext);
+  app.get('/fail', (req, res, next) => next(error));
+  app.use(notFound);
+  app.use(handle);
+  return app;
+};
+
+describe('Error classes', () => {
+  test('carry their status and a stable default code', () => {
+    const error = new NotFoundError();
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({ name: 'NotFoundError', statusCode: 404, code: 'NOT_FOUND', isOperational: true });
+    expect(new NotFoundError('Child not found', 'CHILD_NOT_FOUND').code).toBe('CHILD_NOT_FOUND');
+  });
+
+  test('database errors fold into the hierarchy', () => {
+    expect(new SchemaValidationError('child', [{ field: 'name', message: 'is required' }])).toBeInstanceOf(ValidationError);
+    expect(new CircuitOpenError(4200)).toBeInstanceOf(ServiceUnavailableError);
+    expect(new CircuitOpenError(4200).retryAfterSeconds).toBe(5);
+  });
+});
+
+describe('Error responses (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  beforeEach(() => {
+    resetDatabase();
+  });
+
+  test('answers with the JSON envelope by default', async () => {
+    const res = await request(app).get(`/api/v1/courses/${MISSING_COURSE}`);
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.body).toEqual({
+      success: false,
+      error: expect.any(String),
+      code: 'COURSE_NOT_FOUND',
+      requestId: res.headers['x-request-id']
+    });
+  });
+
+  test('answers with problem details when the client asks for them', async () => {
+    const res = await request(app).get(`/api/v1/courses/${MISSING_COURSE}`).set('Accept', PROBLEM);
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toEqual({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: expect.any(String),
+      instance: `/api/v1/courses/${MISSING_COURSE}`,
+      code: 'COURSE_NOT_FOUND',
+      requestId: res.headers['x-request-id']
+    });
+  });
+
+  test('includes validation details in problem responses', async () => {
+    const res = await request(app).get('/api/v1/courses/not-an-id').set('Accept', PROBLEM);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({
+      title: 'Bad Request',
+      code: 'VALIDATION_ERROR',
+      details: [expect.objectContaining({ field: 'id', message: 'Invalid ID format' })]
+    });
+  });
+
+  test('reports a missing token through the error handler', async () => {
+    const res = await request(app).get('/api/v1/trash').set('Accept', PROBLEM);
+
+    expect(res.status).toBe(401);
+    expect(res.body).toMatchObject({ status: 401, code: 'NO_TOKEN' });
+  });
+});
+
+describe('Error handler mapping', () => {
+  test.each([
+    ['ConditionalCheckFailedException', 409, 'CONDITION_FAILED'],
+    ['ValidationException', 400, 'DATABASE_VALIDATION_FAILED'],
+    ['ResourceNotFoundException', 500, 'DATABASE_RESOURCE_NOT_FOUND']
+  ])('maps DynamoDB %s to %i', async (name, status, code) => {
+    const res = await request(failingApp(awsError(name))).get('/fail');
+
+    expect(res.status).toBe(status);
+    expect(res.body.code).toBe(code);
+    expect(res.body.error).not.toContain('from DynamoDB');
+  });
+
+  test('sets Retry-After for unavailable services', async () => {
+    const res = await request(failingApp(new CircuitOpenError(3000))).get('/fail');
+
+    expect(res.status).toBe(503);
+    expect(res.headers['retry-after']).toBe('3');
+    expect(res.body.code).toBe('DATABASE_UNAVAILABLE');
+  });
+
+  test('hides the message of unexpected errors', async () => {
+    const res = await request(failingApp(new TypeError("Cannot read properties of undefined (reading 'pk')"))).get('/fail');
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({ error: 'Internal Server Error', code: 'INTERNAL_ERROR' });
+  });
+
+  test('keeps conflict details out of the response', async () => {
+    const res = await request(failingApp(new ConflictError('Stale', 'CONCURRENT_MODIFICATION', { pk: 'CHILD#1' }))).get('/fail');
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toBeUndefined();
+  });
+});
@@ -0,0 +1,56 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { tableName } = require('../../src/config/dynamoConfig');
+const { JWT_SECRET } = require('../../src/config/jwtConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const { buildParentKeys, buildCourseKeys } = require('../../src/repositories/keyFactory');
+
+const ADMIN_ID = '0b6f3a52-6d0e-4c1f-9d5b-2f4e8a7c1d90';
+const COURSE_ID = '7d2c9e14-3b8a-4f6d-a1e5-9c0b4d2f6a83';
+
+const tokenFor = (role) => `Bearer ${jwt.sign({ id: ADMIN_ID, role }, JWT_SECRET)}`;
+
+describe('History integration (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  beforeEach(() => {
+    resetDatabase();
+    inMemoryDynamo.seed(tableName, [
+      { ...buildParentKeys(ADMIN_ID), id: ADMIN_ID, name: 'Admin', email: 'admin@example.com', isActive: true },
+      { ...buildCourseKeys(COURSE_ID), id: COURSE_ID, title: 'Positive Parenting', version: 1 }
+    ]);
+  });
+
+  test('a course edit shows up in its history with the actor and request id', async () => {
+    const patch = await request(app)
+      .patch(`/api/v1/courses/${COURSE_ID}`)
+      .set('Authorization', tokenFor('admin'))
+      .send({ title: 'Positive Parenting 101' });
+
+    expect(patch.status).toBe(200);
+
+    const history = await request(app)
+      .get(`/api/v1/courses/${COURSE_ID}/history`)
+      .set('Authorization', tokenFor('admin'));
+
+    expect(history.status).toBe(200);
+    expect(history.body.data).toEqual([
+      expect.objectContaining({
+        actorId: ADMIN_ID,
+        requestId: patch.headers['x-request-id'],
+        changes: { title: { from: 'Positive Parenting', to: 'Positive Parenting 101' } }
+      })
+    ]);
+    expect(history.body.pagination.hasNext).toBe(false);
+  });
+
+  test('is closed to non-admins', async () => {
+    const res = await request(app)
+      .get(`/api/v1/courses/${COURSE_ID}/history`)
+      .set('Authorization', tokenFor('parent'));
+
+    expect(res.status).toBe(403);
+  });
+});
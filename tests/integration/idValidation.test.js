@@ -0,0 +1,152 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { tableName } = require('../../src/config/dynamoConfig');
+const { JWT_SECRET } = require('../../src/config/jwtConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const { buildParentKeys } = require('../../src/repositories/keyFactory');
+const { isEntityId } = require('../../src/validations/commonValidation');
+
+const ADMIN_ID = '3c1d8f27-5a4e-4b9c-8d2f-6e0a1b7c9d43';
+const OBJECT_ID = '64b7f0c2a1d3e4f5a6b7c8d9';
+const UUID = '9f4e2a1c-7b3d-4c8e-a5f6-0d1b2c3e4f5a';
+const MALFORMED = 'not-an-id';
+
+const token = `Bearer ${jwt.sign({ id: ADMIN_ID, role: 'admin' }, JWT_SECRET)}`;
+
+// Every route that takes an entity id; ":id" in the path is replaced by the id under test
+const ROUTES = [
+  { method: 'post', path: '/assessments/process', body: (id) => ({ childId: id, responses: [{ questionId: id, answer: 1 }] }), fields: { body: ['childId', 'responses.0.questionId'] } },
+  { method: 'get', path: '/assessments/child/:id', fields: { params: ['childId'] } },
+  { method: 'get', path: '/assessments/child/:id/latest', fields: { params: ['childId'] } },
+  { method: 'get', path: '/assessments/child/:id/assessment/:id', fields: { params: ['childId', 'assessmentId'] } },
+
+  { method: 'post', path: '/children', body: (id) => ({ name: 'Asha', parentId: id, courseIds: [id] }), fields: { body: ['parentId', 'courseIds.0'] } },
+  { method: 'get', path: '/children/by-parent', query: (id) => ({ parentId: id }), fields: { query: ['parentId'] } },
+  { method: 'get', path: '/children/count', query: (id) => ({ parentId: id }), fields: { query: ['parentId'] } },
+  { method: 'get', path: '/children/:id', fields: { params: ['id'] } },
+  { method: 'get', path: '/children/:id/summary', fields: { params: ['id'] } },
+  { method: 'patch', path: '/children/:id', body: () => ({ name: 'Asha' }), fields: { params: ['id'] } },
+  { method: 'delete', path: '/children/:id', fields: { params: ['id'] } },
+  { method: 'post', path: '/children/:id/courses', body: (id) => ({ courseIds: [id] }), fields: { params: ['id'], body: ['courseIds.0'] } },
+  { method: 'get', path: '/children/:id/latest-assessment', fields: { params: ['id'] } },
+  { method: 'get', path: '/children/:id/history', fields: { params: ['id'] } },
+
+  { method: 'post', path: '/child-education', body: (id) => ({ childId: id }), fields: { body: ['childId'] } },
+  { method: 'get', path: '/child-education/by-child', query: (id) => ({ childId: id }), fields: { query: ['childId'] } },
+  { method: 'get', path: '/child-education/analysis', query: (id) => ({ childId: id }), fields: { query: ['childId'] } },
+  { method: 'post', path: '/child-education/add-grade', query: (id) => ({ childId: id }), fields: { query: ['childId'] } },
+  { method: 'post', path: '/child-education/regenerate-suggestions', query: (id) => ({ childId: id }), fields: { query: ['childId'] } },
+  { method: 'get', path: '/child-education/:id', fields: { params: ['id'] } },
+  { method: 'patch', path: '/child-education/:id', body: () => ({ records: [] }), fields: { params: ['id'] } },
+  { method: 'delete', path: '/child-education/:id', fields: { params: ['id'] } },
+
+  { method: 'post', path: '/child-nutrition', body: (id) => ({ childId: id }), fields: { body: ['childId'] } },
+  { method: 'get', path: '/child-nutrition/by-child', query: (id) => ({ childId: id }), fields: { query: ['childId'] } },
+  { method: 'get', path: '/child-nutrition/analysis', query: (id) => ({ childId: id }), fields: { query: ['childId'] } },
+  { method: 'post', path: '/child-nutrition/add-entry', query: (id) => ({ childId: id }), fields: { query: ['childId'] } },
+  { method: 'post', path: '/child-nutrition/regenerate-recommendations', query: (id) => ({ childId: id }), fields: { query: ['childId'] } },
+  { method: 'get', path: '/child-nutrition/:id', fields: { params: ['id'] } },
+  { method: 'patch', path: '/child-nutrition/:id', body: () => ({ records: [] }), fields: { params: ['id'] } },
+  { method: 'delete', path: '/child-nutrition/:id', fields: { params: ['id'] } },
+
+  { method: 'get', path: '/courses', query: (id) => ({ instructor: id, parentId: id }), fields: { query: ['instructor', 'parentId'] } },
+  { method: 'get', path: '/courses/slug/positive-parenting', query: (id) => ({ parentId: id }), fields: { query: ['parentId'] } },
+  { method: 'get', path: '/courses/:id', query: (id) => ({ parentId: id }), fields: { params: ['id'], query: ['parentId'] } },
+  { method: 'patch', path: '/courses/:id', body: () => ({ title: 'Renamed' }), fields: { params: ['id'] } },
+  { method: 'delete', path: '/courses/:id', fields: { params: ['id'] } },
+  { method: 'get', path: '/courses/:id/history', fields: { params: ['id'] } },
+  { method: 'post', path: '/courses/:id/enroll', fields: { params: ['id'] } },
+  { method: 'get', path: '/courses/:id/progress', fields: { params: ['id'] } },
+  { method: 'post', path: '/courses/:id/progress/video', body: (id) => ({ sectionId: id, videoId: id, watchedDuration: 1, totalDuration: 2 }), fields: { params: ['id'], body: ['sectionId', 'videoId'] } },
+  { method: 'post', path: '/courses/:id/progress/test', body: (id) => ({ sectionId: id, testId: id, score: 80 }), fields: { params: ['id'], body: ['sectionId', 'testId'] } },
+  { method: 'patch', path: '/courses/:id/progress/notes', body: () => ({ notes: '' }), fields: { params: ['id'] } },
+  { method: 'post', path: '/courses/:id/certificate', fields: { params: ['id'] } },
+  { method: 'post', path: '/courses/:id/sections', body: () => ({ title: 'Basics' }), fields: { params: ['courseId'] } },
+  { method: 'put', path: '/courses/:id/sections/order', body: (id) => ({ sectionIds: [id] }), fields: { params: ['courseId'], body: ['sectionIds.0'] } },
+  { method: 'patch', path: '/courses/:id/sections/:id', body: () => ({ title: 'Basics' }), fields: { params: ['courseId', 'sectionId'] } },
+  { method: 'delete', path: '/courses/:id/sections/:id', fields: { params: ['courseId', 'sectionId'] } },
+  { method: 'post', path: '/courses/:id/sections/:id/videos', body: () => ({ title: 'Intro' }), fields: { params: ['courseId', 'sectionId'] } },
+  { method: 'put', path: '/courses/:id/sections/:id/videos/order', body: (id) => ({ videoIds: [id] }), fields: { params: ['courseId', 'sectionId'], body: ['videoIds.0'] } },
+  { method: 'patch', path: '/courses/:id/sections/:id/videos/:id', body: () => ({ title: 'Intro' }), fields: { params: ['courseId', 'sectionId', 'videoId'] } },
+  { method: 'delete', path: '/courses/:id/sections/:id/videos/:id', fields: { params: ['courseId', 'sectionId', 'videoId'] } },
+  { method: 'post', path: '/courses/:id/sections/:id/pdfs', body: () => ({ pdfs: [{ filename: 'a.pdf', url: 'https://example.com/a.pdf', size: 1 }] }), fields: { params: ['courseId', 'sectionId'] } },
+  { method: 'delete', path: '/courses/:id/sections/:id/pdfs/:id', fields: { params: ['courseId', 'sectionId', 'pdfId'] } },
+
+  { method: 'get', path: '/instructors/:id', fields: { params: ['id'] } },
+  { method: 'patch', path: '/instructors/:id', body: () => ({ name: 'Dr. Rao' }), fields: { params: ['id'] } },
+  { method: 'delete', path: '/instructors/:id', fields: { params: ['id'] } },
+
+  { method: 'get', path: '/parents/:id', fields: { params: ['id'] } },
+  { method: 'get', path: '/parents/:id/children', fields: { params: ['id'] } },
+  { method: 'post', path: '/parents/:id/children', body: (id) => ({ childId: id }), fields: { params: ['id'], body: ['childId'] } },
+  { method: 'delete', path: '/parents/:id/children/:id', fields: { params: ['id', 'childId'] } },
+  { method: 'get', path: '/parents/:id/wishlist', fields: { params: ['id'] } },
+  { method: 'post', path: '/parents/:id/wishlist', body: (id) => ({ courseId: id }), fields: { params: ['id'], body: ['courseId'] } },
+  { method: 'delete', path: '/parents/:id/wishlist/:id', fields: { params: ['id', 'courseId'] } },
+  { method: 'delete', path: '/parents/:id', fields: { params: ['id'] } },
+  { method: 'get', path: '/parents/:id/history', fields: { params: ['id'] } },
+
+  { method: 'get', path: '/questions/:id', fields: { params: ['id'] } },
+  { method: 'patch', path: '/questions/:id', body: () => ({ question: 'Updated?' }), fields: { params: ['id'] } },
+  { method: 'delete', path: '/questions/:id', fields: { params: ['id'] } },
+  { method: 'get', path: '/questions/:id/history', fields: { params: ['id'] } },
+  { method: 'patch', path: '/questions/:id/toggle-active', body: () => ({ isActive: false }), fields: { params: ['id'] } },
+
+  { method: 'post', path: '/trash/course/:id/restore', fields: { params: ['id'] } },
+];
+
+// Ids per location, so one location can carry a malformed id while the others pass validation
+const callWith = (app, route, { params, query = params, body = params }) => {
+  let req = request(app)[route.method](`/api/v1${route.path.replace(/:id/g, params)}`).set('Authorization', token);
+  if (route.query) req = req.query(route.query(query));
+  if (route.body) req = req.send(route.body(body));
+  return req;
+};
+
+const allFields = (route) => Object.values(route.fields).flat();
+
+// Validation failures on the route's id fields; failures on other fields are not this suite's concern
+const idFailures = (res, fields) => (res.body.details || []).filter((detail) => fields.includes(detail.field));
+
+describe('Entity id validation across routes (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  beforeEach(() => {
+    resetDatabase();
+    inMemoryDynamo.seed(tableName, [
+      { ...buildParentKeys(ADMIN_ID), id: ADMIN_ID, name: 'Admin', email: 'admin@example.com', isActive: true }
+    ]);
+  });
+
+  test('accepts both id formats and nothing else', () => {
+    expect(isEntityId(OBJECT_ID)).toBe(true);
+    expect(isEntityId(UUID)).toBe(true);
+    expect(isEntityId(UUID.toUpperCase())).toBe(true);
+    expect(isEntityId(OBJECT_ID.slice(1))).toBe(false);
+    expect(isEntityId(`${OBJECT_ID}0`)).toBe(false);
+    expect(isEntityId(UUID.replace(/-/g, ''))).toBe(false);
+    expect(isEntityId(MALFORMED)).toBe(false);
+  });
+
+  describe.each(ROUTES.map((route) => [`${route.method.toUpperCase()} ${route.path}`, route]))('%s', (_name, route) => {
+    test.each([
+      ['a legacy ObjectId', OBJECT_ID],
+      ['a UUID', UUID]
+    ])('accepts %s', async (_format, id) => {
+      const res = await callWith(app, route, { params: id });
+
+      expect(idFailures(res, allFields(route))).toEqual([]);
+    });
+
+    test.each(Object.entries(route.fields))('rejects a malformed id in %s', async (location, fields) => {
+      const res = await callWith(app, route, { params: UUID, [location]: MALFORMED });
+
+      expect(res.status).toBe(400);
+      const failures = idFailures(res, fields);
+      expect(failures.map((detail) => detail.field).sort()).toEqual([...fields].sort());
+      failures.forEach((detail) => expect(detail.message).toMatch(/^Invalid (\w+ )?ID format$/));
+    });
+  });
+});
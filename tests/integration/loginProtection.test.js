@@ -0,0 +1,218 @@
+const express = require('express');
+const request = require('supertest');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const config = require('../../src/config/loginProtectionConfig');
+const logger = require('../../src/utils/logger');
+const notificationService = require('../../src/services/notificationService');
+const { sensitiveOperationLimiter } = require('../../src/middleware/auth');
+const { handle } = require('../../src/middleware/errorHandler');
+const { UnauthorizedError } = require('../../src/utils/errors');
+
+const credentials = { email: 'guarded.parent@example.com', password: 'Password123!' };
+const WRONG = { ...credentials, password: 'WrongPassword1!' };
+
+const otpCode = (purpose) =>
+  inMemoryDynamo.dump(tableName).find((item) => item.entityType === 'otp' && item.purpose === purpose && !item.verified).otp;
+
+describe('Login protection (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+  let clock;
+
+  const login = (body) => request(app).post('/api/v1/auth/login').send(body);
+  const sendOtp = (body) => request(app).post('/api/v1/auth/otp/send').send({ purpose: 'login', ...body });
+  const verifyOtp = (body) => request(app).post('/api/v1/auth/otp/verify').send({ purpose: 'login', ...body });
+  const later = (seconds) => {
+    clock += seconds * 1000;
+  };
+  // Fails without being throttled by waiting out each delay
+  const failLogins = async (times) => {
+    for (let i = 0; i < times; i += 1) {
+      later(config.delayMaxSeconds);
+      expect((await login(WRONG)).status).toBe(401);
+    }
+  };
+
+  beforeEach(async () => {
+    resetDatabase();
+    clock = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    await request(app).post('/api/v1/auth/register').send({ name: 'Guarded Parent', ...credentials });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('makes each attempt past the free ones wait longer', async () => {
+    for (let i = 0; i < config.freeAttempts; i += 1) {
+      expect((await login(WRONG)).status).toBe(401);
+    }
+
+    const throttled = await login(credentials);
+    expect(throttled.status).toBe(429);
+    expect(throttled.body.code).toBe('LOGIN_THROTTLED');
+    expect(throttled.headers['retry-after']).toBe(String(config.delayBaseSeconds));
+
+    later(config.delayBaseSeconds);
+    expect((await login(WRONG)).status).toBe(401);
+    expect((await login(credentials)).headers['retry-after']).toBe(String(config.delayBaseSeconds * 2));
+
+    later(config.delayBaseSeconds * 2);
+    expect((await login(credentials)).status).toBe(200);
+  });
+
+  test('a successful login starts the count over', async () => {
+    await failLogins(config.freeAttempts);
+    later(config.delayMaxSeconds);
+    expect((await login(credentials)).status).toBe(200);
+
+    expect((await login(WRONG)).status).toBe(401);
+    expect((await login(credentials)).status).toBe(200);
+  });
+
+  test('locks the account at the threshold and logs a security event', async () => {
+    const security = jest.spyOn(logger, 'security');
+
+    await failLogins(config.accountLockoutThreshold);
+    later(config.delayMaxSeconds);
+    const locked = await login(credentials);
+
+    expect(locked.status).toBe(429);
+    expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(security).toHaveBeenCalledWith(
+      'Account locked after repeated failed logins',
+      expect.objectContaining({ scope: 'account', failures: config.accountLockoutThreshold, action: 'lockout' })
+    );
+
+    later(config.lockoutSeconds);
+    expect((await login(credentials)).status).toBe(200);
+  });
+
+  test('signing in with an OTP code unlocks the account', async () => {
+    await failLogins(config.accountLockoutThreshold);
+    later(config.delayMaxSeconds);
+    expect((await login(credentials)).body.code).toBe('ACCOUNT_LOCKED');
+
+    await sendOtp({ email: credentials.email });
+    const verified = await verifyOtp({ email: credentials.email, otp: otpCode('login') });
+
+    expect(verified.status).toBe(200);
+    expect((await login(credentials)).status).toBe(200);
+  });
+
+  test('counts unknown emails like real accounts', async () => {
+    const stranger = { email: 'nobody@example.com', password: 'Whatever123!' };
+
+    for (let i = 0; i < config.freeAttempts; i += 1) {
+      expect((await login(stranger)).status).toBe(401);
+    }
+
+    expect((await login(stranger)).body.code).toBe('LOGIN_THROTTLED');
+  });
+
+  test('gives failure counters a ttl past their window and lockout', async () => {
+    await failLogins(config.accountLockoutThreshold);
+
+    const counters = inMemoryDynamo.dump(tableName).filter((item) => item.entityType === 'login_attempt');
+    expect(counters.length).toBeGreaterThan(0);
+    counters.forEach((counter) => {
+      expect(counter.ttl * 1000).toBeGreaterThan(Date.parse(counter.resetAt));
+      expect(counter.ttl * 1000).toBeGreaterThan(Date.parse(counter.lockedUntil || counter.resetAt));
+    });
+  });
+
+  test('counts wrong OTP codes across re-sent codes', async () => {
+    let wrongCodes = 0;
+    while (wrongCodes < config.otpLockoutThreshold) {
+      await sendOtp({ email: credentials.email });
+      const wrong = otpCode('login') === '000000' ? '111111' : '000000';
+      for (let i = 0; i < 4 && wrongCodes < config.otpLockoutThreshold; i += 1, wrongCodes += 1) {
+        expect((await verifyOtp({ email: credentials.email, otp: wrong })).body.code).toBe('OTP_INVALID');
+      }
+    }
+
+    const res = await verifyOtp({ email: credentials.email, otp: otpCode('login') });
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('OTP_LOCKED');
+    expect((await sendOtp({ email: credentials.email })).body.code).toBe('OTP_LOCKED');
+  });
+
+  test('counts every code sent to a contact and refuses more past the limit', async () => {
+    const sendEmail = jest.spyOn(notificationService, 'sendEmail');
+
+    for (let i = 0; i < config.otpSendLimit; i += 1) {
+      expect((await sendOtp({ email: credentials.email })).status).toBe(200);
+    }
+    const refused = await sendOtp({ email: credentials.email });
+
+    expect(refused.status).toBe(429);
+    expect(refused.body.code).toBe('OTP_SEND_LIMITED');
+    expect(sendEmail).toHaveBeenCalledTimes(config.otpSendLimit);
+
+    later(config.otpSendWindowSeconds);
+    expect((await sendOtp({ email: credentials.email })).status).toBe(200);
+  });
+
+  test('limits the codes one client IP can have sent across contacts', async () => {
+    for (let i = 0; i < config.otpSendIpLimit; i += 1) {
+      await sendOtp({ email: `someone${i}@example.com`, purpose: 'signup' });
+    }
+
+    const refused = await sendOtp({ email: credentials.email });
+    expect(refused.status).toBe(429);
+    expect(refused.body.code).toBe('OTP_SEND_LIMITED');
+  });
+
+  test('a code signs in only once when submitted twice at the same time', async () => {
+    await sendOtp({ email: credentials.email });
+    const otp = otpCode('login');
+
+    const responses = await Promise.all([
+      verifyOtp({ email: credentials.email, otp }),
+      verifyOtp({ email: credentials.email, otp })
+    ]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 400]);
+    // OTP_INVALID when both passed the read, OTP_ALREADY_VERIFIED when the loser read after the winner
+    expect(['OTP_INVALID', 'OTP_ALREADY_VERIFIED']).toContain(responses.find((res) => res.status === 400).body.code);
+  });
+
+  test('locks out an IP failing across many accounts', async () => {
+    const security = jest.spyOn(logger, 'security');
+
+    for (let i = 0; i < config.ipLockoutThreshold; i += 1) {
+      await login({ email: `guess${i}@example.com`, password: 'Whatever123!' });
+    }
+
+    const res = await login(credentials);
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('IP_LOCKED');
+    expect(security).toHaveBeenCalledWith('Client IP locked after repeated failed attempts', expect.objectContaining({ scope: 'ip' }));
+  });
+});
+
+describe('sensitiveOperationLimiter', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses failed requests past the limit and logs a security event', async () => {
+    const security = jest.spyOn(logger, 'security');
+    const app = express();
+    app.post('/attempt', sensitiveOperationLimiter({ max: 2 }), (req, res, next) =>
+      next(new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS'))
+    );
+    app.use(handle);
+
+    expect((await request(app).post('/attempt')).status).toBe(401);
+    expect((await request(app).post('/attempt')).status).toBe(401);
+    const res = await request(app).post('/attempt');
+
+    expect(res.status).toBe(429);
+    expect(security).toHaveBeenCalledWith('Sensitive operation rate limit exceeded', expect.any(Object));
+  });
+});
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { tableName } = require('../../src/config/dynamoConfig');
+const { JWT_SECRET } = require('../../src/config/jwtConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const cache = require('../../src/cache');
+const { createMemoryCache } = require('../../src/cache/memoryCache');
+const childRepository = require('../../src/repositories/childRepository');
+const ownershipService = require('../../src/services/ownershipService');
+const {
+  buildParentKeys,
+  buildChildKeys,
+  buildChildEducationKeys,
+  buildChildNutritionKeys
+} = require('../../src/repositories/keyFactory');
+
+const OWNER_ID = '2a7c4e91-0b3d-4f58-9c6e-1d8f0a2b4c63';
+const INTRUDER_ID = '8e1b5d30-7c2a-4e9f-b4d6-3a0c9e7f1b25';
+const ADMIN_ID = '5d9f0c27-4e6b-4a13-8f2d-7b1e3c5a9d04';
+const CHILD_ID = '6f3a8b12-9d4c-4e07-a1b5-2c8d0e6f4a79';
+const EDUCATION_ID = '0c7e2f94-1a5b-4d38-9e6c-4b2a8d0f3e51';
+const NUTRITION_ID = '3b9d1e65-8f2a-4c70-b3e9-5a1c7d4f0b86';
+const COURSE_ID = '9a4c6e08-2d7f-4b51-8c3e-0f6b1d9a2e47';
+const MISSING_ID = '7e0a3c59-6b1d-4f82-9a4e-8d2c5f1b0a36';
+
+const tokenFor = (id, role = 'parent') => `Bearer ${jwt.sign({ id, role }, JWT_SECRET)}`;
+
+const parent = (id, name) => ({
+  ...buildParentKeys(id),
+  id,
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  city: 'Pune',
+  isActive: true,
+  childrenIds: id === OWNER_ID ? [CHILD_ID] : []
+});
+
+const gradeRecord = { gradeYear: '2026', subjects: [{ subject: 'Maths', marks: 82 }] };
+const nutritionRecord = {
+  physicalMeasurement: { heightCm: 121, weightKg: 23 },
+  eatingHabits: {
+    eatsBreakfastRegularly: true,
+    drinksEnoughWater: true,
+    eatsFruitsDaily: true,
+    eatsVegetablesDaily: false,
+    limitsJunkFood: true,
+    hasRegularMealTimes: true,
+    enjoysVarietyOfFoods: true,
+    eatsAppropriatePortions: true
+  }
+};
+
+// Every child- and parent-scoped route, called with a body that passes validation
+const PROTECTED = [
+  { method: 'post', path: '/children', body: { name: 'Ravi', age: 6, parentId: OWNER_ID } },
+  { method: 'get', path: '/children/by-parent', query: { parentId: OWNER_ID } },
+  { method: 'get', path: '/children/count', query: { parentId: OWNER_ID } },
+  { method: 'get', path: `/children/${CHILD_ID}` },
+  { method: 'get', path: `/children/${CHILD_ID}/summary` },
+  { method: 'patch', path: `/children/${CHILD_ID}`, body: { name: 'Asha K' } },
+  { method: 'delete', path: `/children/${CHILD_ID}` },
+  { method: 'post', path: `/children/${CHILD_ID}/courses`, body: { courseIds: [COURSE_ID] } },
+  { method: 'get', path: `/children/${CHILD_ID}/latest-assessment` },
+
+  { method: 'post', path: '/child-education', body: { childId: CHILD_ID } },
+  { method: 'get', path: '/child-education/by-child', query: { childId: CHILD_ID } },
+  { method: 'get', path: '/child-education/analysis', query: { childId: CHILD_ID } },
+  { method: 'post', path: '/child-education/add-grade', query: { childId: CHILD_ID }, body: gradeRecord },
+  { method: 'post', path: '/child-education/regenerate-suggestions', query: { childId: CHILD_ID } },
+  { method: 'get', path: `/child-education/${EDUCATION_ID}` },
+  { method: 'patch', path: `/child-education/${EDUCATION_ID}`, body: { records: [] } },
+  { method: 'delete', path: `/child-education/${EDUCATION_ID}` },
+
+  { method: 'post', path: '/child-nutrition', body: { childId: CHILD_ID } },
+  { method: 'get', path: '/child-nutrition/by-child', query: { childId: CHILD_ID } },
+  { method: 'get', path: '/child-nutrition/analysis', query: { childId: CHILD_ID } },
+  { method: 'post', path: '/child-nutrition/add-entry', query: { childId: CHILD_ID }, body: nutritionRecord },
+  { method: 'post', path: '/child-nutrition/regenerate-recommendations', query: { childId: CHILD_ID } },
+  { method: 'get', path: `/child-nutrition/${NUTRITION_ID}` },
+  { method: 'patch', path: `/child-nutrition/${NUTRITION_ID}`, body: { records: [] } },
+  { method: 'delete', path: `/child-nutrition/${NUTRITION_ID}` },
+
+  { method: 'post', path: '/assessments/process', body: { childId: CHILD_ID, responses: [{ questionId: COURSE_ID, answer: 2 }] } },
+  { method: 'get', path: `/assessments/child/${CHILD_ID}` },
+  { method: 'get', path: `/assessments/child/${CHILD_ID}/latest` },
+  { method: 'get', path: `/assessments/child/${CHILD_ID}/assessment/${MISSING_ID}` },
+
+  { method: 'get', path: `/parents/${OWNER_ID}` },
+  { method: 'get', path: `/parents/${OWNER_ID}/children` },
+  { method: 'post', path: `/parents/${OWNER_ID}/children`, body: { childId: CHILD_ID } },
+  { method: 'post', path: `/parents/${INTRUDER_ID}/children`, body: { childId: CHILD_ID } },
+  { method: 'delete', path: `/parents/${OWNER_ID}/children/${CHILD_ID}` },
+  { method: 'get', path: `/parents/${OWNER_ID}/wishlist` },
+  { method: 'post', path: `/parents/${OWNER_ID}/wishlist`, body: { courseId: COURSE_ID } },
+  { method: 'delete', path: `/parents/${OWNER_ID}/wishlist/${COURSE_ID}` }
+];
+
+const call = (app, { method, path, query = {}, body }, token) => {
+  const req = request(app)[method](`/api/v1${path}`).query(query).set('Authorization', token);
+  return body ? req.send(body) : req;
+};
+
+describe('Ownership policies (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  beforeEach(() => {
+    resetDatabase();
+    inMemoryDynamo.seed(tableName, [
+      parent(OWNER_ID, 'Owner'),
+      parent(INTRUDER_ID, 'Intruder'),
+      parent(ADMIN_ID, 'Admin'),
+      { ...buildChildKeys(OWNER_ID, CHILD_ID), id: CHILD_ID, parentId: OWNER_ID, name: 'Asha', age: 7, courseIds: [] },
+      { ...buildChildEducationKeys(CHILD_ID, EDUCATION_ID), id: EDUCATION_ID, childId: CHILD_ID, records: [gradeRecord] },
+      { ...buildChildNutritionKeys(CHILD_ID, NUTRITION_ID), id: NUTRITION_ID, childId: CHILD_ID, records: [], recommendations: [] }
+    ]);
+  });
+
+  describe.each(PROTECTED.map((route) => [`${route.method.toUpperCase()} ${route.path}`, route]))('%s', (_name, route) => {
+    test('is refused to another parent', async () => {
+      const res = await call(app, route, tokenFor(INTRUDER_ID));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('RESOURCE_ACCESS_DENIED');
+    });
+  });
+
+  test('listing parents by city is limited to admins', async () => {
+    const res = await request(app).get('/api/v1/parents/city/Pune').set('Authorization', tokenFor(INTRUDER_ID));
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+
+  test('lets the owning parent and admins through', async () => {
+    const own = await request(app).get(`/api/v1/children/${CHILD_ID}`).set('Authorization', tokenFor(OWNER_ID));
+    const record = await request(app).get(`/api/v1/child-education/${EDUCATION_ID}`).set('Authorization', tokenFor(OWNER_ID));
+    const admin = await request(app).get(`/api/v1/children/${CHILD_ID}`).set('Authorization', tokenFor(ADMIN_ID, 'admin'));
+
+    expect(own.status).toBe(200);
+    expect(own.body.data.id).toBe(CHILD_ID);
+    expect(record.status).toBe(200);
+    expect(record.body.data.childId).toBe(CHILD_ID);
+    expect(admin.status).toBe(200);
+  });
+
+  test('answers 404 for children and records that do not exist', async () => {
+    const child = await request(app).get(`/api/v1/children/${MISSING_ID}`).set('Authorization', tokenFor(OWNER_ID));
+    const record = await request(app).get(`/api/v1/child-nutrition/${MISSING_ID}`).set('Authorization', tokenFor(OWNER_ID));
+
+    expect(child.status).toBe(404);
+    expect(child.body.code).toBe('CHILD_NOT_FOUND');
+    expect(record.status).toBe(404);
+    expect(record.body.code).toBe('RECORD_NOT_FOUND');
+  });
+});
+
+describe('ownershipService', () => {
+  beforeEach(async () => {
+    resetDatabase();
+    cache.useAdapter(createMemoryCache({ maxEntries: 50 }));
+    await cache.reset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    cache.useAdapter(null);
+  });
+
+  test('caches who owns a child but not that a child is missing', async () => {
+    const getChild = jest.spyOn(childRepository, 'getChild');
+
+    expect(await ownershipService.getChildParentId(CHILD_ID)).toBeNull();
+    inMemoryDynamo.seed(tableName, [{ ...buildChildKeys(OWNER_ID, CHILD_ID), id: CHILD_ID, parentId: OWNER_ID, name: 'Asha' }]);
+
+    expect(await ownershipService.getChildParentId(CHILD_ID)).toBe(OWNER_ID);
+    expect(await ownershipService.getChildParentId(CHILD_ID)).toBe(OWNER_ID);
+    expect(getChild).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const notificationService = require('../../src/services/notificationService');
+const config = require('../../src/config/loginProtectionConfig');
+
+const credentials = { email: 'forgetful.parent@example.com', password: 'Password123!' };
+const NEW_PASSWORD = 'Remembered456!';
+
+const resetCodes = () =>
+  inMemoryDynamo.dump(tableName).filter((item) => item.entityType === 'otp' && item.purpose === 'password_reset');
+
+describe('Password reset (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  const forgot = (body) => request(app).post('/api/v1/auth/password/forgot').send(body);
+  const reset = (body) => request(app).post('/api/v1/auth/password/reset').send(body);
+  const login = (password) => request(app).post('/api/v1/auth/login').send({ email: credentials.email, password });
+
+  beforeEach(async () => {
+    resetDatabase();
+    await request(app).post('/api/v1/auth/register').send({ name: 'Forgetful Parent', ...credentials });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('emails a reset code without returning it', async () => {
+    const sendEmail = jest.spyOn(notificationService, 'sendEmail');
+
+    const res = await forgot({ email: credentials.email });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.expiresIn).toBeGreaterThan(0);
+    const [code] = resetCodes();
+    expect(JSON.stringify(res.body)).not.toContain(code.otp);
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: credentials.email,
+      subject: 'Your Ashravi password reset code',
+      text: expect.stringContaining(code.otp)
+    }));
+  });
+
+  test('answers an unknown email the same way without sending anything', async () => {
+    const sendEmail = jest.spyOn(notificationService, 'sendEmail');
+
+    const res = await forgot({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('If an account exists for this contact, a reset code has been sent');
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(resetCodes()).toHaveLength(0);
+  });
+
+  test('answers known and unknown contacts with the same body', async () => {
+    const known = await forgot({ email: credentials.email });
+    const unknown = await forgot({ email: 'nobody@example.com' });
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(known.body.data.expiresIn).toBeGreaterThan(0);
+  });
+
+  test('refuses requests past the send limit for known and unknown contacts alike', async () => {
+    const sendEmail = jest.spyOn(notificationService, 'sendEmail');
+
+    for (const email of [credentials.email, 'nobody@example.com']) {
+      for (let i = 0; i < config.otpSendLimit; i += 1) {
+        expect((await forgot({ email })).status).toBe(200);
+      }
+      const refused = await forgot({ email });
+      expect(refused.status).toBe(429);
+      expect(refused.body.code).toBe('OTP_SEND_LIMITED');
+      expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+    }
+
+    expect(sendEmail).toHaveBeenCalledTimes(config.otpSendLimit);
+  });
+
+  test('resets the password once and signs out every session', async () => {
+    const { refreshToken, accessToken } = (await login(credentials.password)).body.data;
+    await forgot({ email: credentials.email });
+    const [{ otp }] = resetCodes();
+
+    const res = await reset({ email: credentials.email, otp, newPassword: NEW_PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect((await login(credentials.password)).status).toBe(401);
+    expect((await login(NEW_PASSWORD)).status).toBe(200);
+    expect((await request(app).post('/api/v1/auth/refresh').send({ refreshToken })).status).toBe(401);
+    const profile = await request(app).get('/api/v1/auth/profile').set('Authorization', `Bearer ${accessToken}`);
+    expect(profile.body.code).toBe('SESSION_REVOKED');
+
+    const replay = await reset({ email: credentials.email, otp, newPassword: 'Another789!' });
+    expect(replay.status).toBe(400);
+    expect(replay.body.code).toBe('OTP_NOT_FOUND');
+  });
+
+  test('rejects a wrong code and leaves the password unchanged', async () => {
+    await forgot({ email: credentials.email });
+    const [{ otp }] = resetCodes();
+    const wrong = otp === '123456' ? '654321' : '123456';
+
+    const res = await reset({ email: credentials.email, otp: wrong, newPassword: NEW_PASSWORD });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('OTP_INVALID');
+    expect((await login(credentials.password)).status).toBe(200);
+  });
+
+  test('does not accept login codes as reset codes', async () => {
+    await request(app).post('/api/v1/auth/otp/send').send({ email: credentials.email, purpose: 'login' });
+    const loginCode = inMemoryDynamo.dump(tableName).find((item) => item.entityType === 'otp').otp;
+
+    const res = await reset({ email: credentials.email, otp: loginCode, newPassword: NEW_PASSWORD });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('OTP_NOT_FOUND');
+  });
+});
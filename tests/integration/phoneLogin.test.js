@@ -0,0 +1,150 @@
+const request = require('supertest');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const parentRepository = require('../../src/repositories/parentRepository');
+const notificationService = require('../../src/services/notificationService');
+
+const PHONE = '+919876543210';
+const password = 'Password123!';
+
+const otpCode = (purpose) =>
+  inMemoryDynamo.dump(tableName).find((item) => item.entityType === 'otp' && item.purpose === purpose && !item.verified).otp;
+
+describe('Phone-number accounts (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  const sendOtp = (body) => request(app).post('/api/v1/auth/otp/send').send(body);
+  const verifyOtp = (body) => request(app).post('/api/v1/auth/otp/verify').send(body);
+  const register = (body) => request(app).post('/api/v1/auth/register').send({ name: 'Phone Parent', password, ...body });
+  const verifySignup = async (phoneNumber) => {
+    await sendOtp({ phoneNumber, purpose: 'signup' });
+    await verifyOtp({ phoneNumber, purpose: 'signup', otp: otpCode('signup') });
+  };
+  const registerVerified = async (body) => {
+    await verifySignup(body.phoneNumber);
+    return register(body);
+  };
+
+  beforeEach(() => {
+    resetDatabase();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('signs up and signs in with a phone number alone', async () => {
+    const sendSms = jest.spyOn(notificationService, 'sendSms');
+
+    expect((await sendOtp({ phoneNumber: '098765 43210', purpose: 'signup' })).status).toBe(200);
+    expect(sendSms).toHaveBeenCalledWith(expect.objectContaining({ to: PHONE }));
+    const signup = await verifyOtp({ phoneNumber: PHONE, purpose: 'signup', otp: otpCode('signup') });
+    expect(signup.body.data).toMatchObject({ verified: true, contact: PHONE });
+
+    const registered = await register({ phoneNumber: '098765 43210' });
+    expect(registered.status).toBe(201);
+    expect(registered.body.data.parent).toMatchObject({ phoneNumber: PHONE });
+    expect(registered.body.data.parent.email).toBeUndefined();
+
+    expect((await sendOtp({ phoneNumber: '+91 98765-43210', purpose: 'login' })).status).toBe(200);
+    const login = await verifyOtp({ phoneNumber: '0091 98765 43210', purpose: 'login', otp: otpCode('login') });
+
+    expect(login.status).toBe(200);
+    expect(login.body.data).toMatchObject({ login: true, parent: { phoneNumber: PHONE } });
+    const profile = await request(app).get('/api/v1/auth/profile').set('Authorization', `Bearer ${login.body.data.accessToken}`);
+    expect(profile.body.data.phoneNumber).toBe(PHONE);
+  });
+
+  test('keeps phone numbers unique however they are written', async () => {
+    await registerVerified({ phoneNumber: PHONE });
+
+    const duplicate = await register({ email: 'other@example.com', phoneNumber: '(0)98765 43210' });
+    const signup = await sendOtp({ phoneNumber: '9876543210', purpose: 'signup' });
+
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.code).toBe('PARENT_EXISTS');
+    expect(signup.status).toBe(400);
+    expect(signup.body.code).toBe('PARENT_EXISTS');
+  });
+
+  test('registers a number only with its verified signup code, and uses the code up', async () => {
+    const unsent = await register({ phoneNumber: PHONE });
+    await sendOtp({ phoneNumber: PHONE, purpose: 'signup' });
+    const unverified = await register({ phoneNumber: PHONE });
+
+    expect([unsent.body.code, unverified.body.code]).toEqual(['OTP_NOT_VERIFIED', 'OTP_NOT_VERIFIED']);
+    expect(await parentRepository.getParentByPhone(PHONE)).toBeNull();
+
+    await verifyOtp({ phoneNumber: PHONE, purpose: 'signup', otp: otpCode('signup') });
+    expect((await register({ phoneNumber: PHONE })).status).toBe(201);
+    expect(inMemoryDynamo.dump(tableName).filter((item) => item.entityType === 'otp')).toHaveLength(0);
+  });
+
+  test('lets only one of two concurrent signups claim a number', async () => {
+    await verifySignup(PHONE);
+
+    const results = await Promise.all([
+      register({ email: 'first@example.com', phoneNumber: PHONE }),
+      register({ email: 'second@example.com', phoneNumber: '098765 43210' })
+    ]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([201, 400]);
+    // PARENT_EXISTS when the phone guard stopped it, OTP_NOT_VERIFIED when the winner had used the code up
+    expect(['PARENT_EXISTS', 'OTP_NOT_VERIFIED']).toContain(results.find((res) => res.status === 400).body.code);
+    const items = inMemoryDynamo.dump(tableName);
+    expect(items.filter((item) => item.entityType === 'parent')).toHaveLength(1);
+    expect(items.filter((item) => item.entityType === 'phone_number')).toHaveLength(1);
+  });
+
+  test('frees the old number when a parent changes theirs', async () => {
+    const first = await registerVerified({ email: 'first@example.com', phoneNumber: PHONE });
+
+    const moved = await request(app)
+      .put('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${first.body.data.accessToken}`)
+      .send({ phoneNumber: '+14155550123' });
+    const reused = await registerVerified({ email: 'second@example.com', phoneNumber: PHONE });
+
+    expect(moved.status).toBe(200);
+    expect(reused.status).toBe(201);
+    const guards = inMemoryDynamo.dump(tableName).filter((item) => item.entityType === 'phone_number');
+    expect(guards.map((guard) => guard.pk).sort()).toEqual(['PHONE#+14155550123', `PHONE#${PHONE}`]);
+  });
+
+  test('refuses a profile update to a number another parent uses', async () => {
+    await registerVerified({ phoneNumber: PHONE });
+    const other = await registerVerified({ email: 'other@example.com', phoneNumber: '+14155550123' });
+
+    const res = await request(app)
+      .put('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${other.body.data.accessToken}`)
+      .send({ phoneNumber: '98765 43210' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DUPLICATE_PHONE');
+  });
+
+  test('rejects numbers that cannot be E.164', async () => {
+    const res = await register({ phoneNumber: '12-34' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.details[0].message).toBe('Please provide a valid phone number');
+  });
+
+  test('resets a phone-only password with a texted code', async () => {
+    const sendSms = jest.spyOn(notificationService, 'sendSms');
+    await registerVerified({ phoneNumber: PHONE });
+
+    await request(app).post('/api/v1/auth/password/forgot').send({ phoneNumber: PHONE });
+    const reset = await request(app)
+      .post('/api/v1/auth/password/reset')
+      .send({ phoneNumber: PHONE, otp: otpCode('password_reset'), newPassword: 'Remembered456!' });
+
+    expect(sendSms).toHaveBeenCalledWith(expect.objectContaining({ body: expect.stringContaining('password reset code') }));
+    expect(reset.status).toBe(200);
+    expect(await (await parentRepository.getParentByPhone(PHONE)).comparePassword('Remembered456!')).toBe(true);
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const { DOMAIN_EVENTS } = require('../../src/constants/eventConstants');
+const outboxRepository = require('../../src/repositories/outboxRepository');
+const parentRepository = require('../../src/repositories/parentRepository');
+const { hashToken } = require('../../src/services/refreshTokenService');
+
+const credentials = { email: 'token.family@example.com', password: 'Password123!' };
+
+const storedTokens = async () => (await parentRepository.getParentByEmail(credentials.email)).refreshTokens;
+
+const outboxEvents = () =>
+  inMemoryDynamo.dump(tableName).filter((item) => item.entityType === outboxRepository.OUTBOX_ENTITY_TYPE);
+
+describe('Refresh token families (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  const login = async () => (await request(app).post('/api/v1/auth/login').send(credentials)).body.data;
+  const refresh = (refreshToken) => request(app).post('/api/v1/auth/refresh').send({ refreshToken });
+
+  beforeEach(async () => {
+    resetDatabase();
+    await request(app).post('/api/v1/auth/register').send({ name: 'Token Family', ...credentials });
+  });
+
+  test('stores refresh tokens only as hashes, one family per login', async () => {
+    const { refreshToken } = await login();
+
+    const tokens = await storedTokens();
+    expect(tokens).toHaveLength(2);
+    expect(tokens[1]).toEqual({
+      familyId: expect.any(String),
+      tokenHash: hashToken(refreshToken),
+      createdAt: expect.any(String),
+      lastUsedAt: expect.any(String),
+      expiresAt: expect.any(String),
+      ip: expect.any(String)
+    });
+    expect(tokens[0].familyId).not.toBe(tokens[1].familyId);
+    expect(JSON.stringify(inMemoryDynamo.dump(tableName))).not.toContain(refreshToken);
+  });
+
+  test('rotates a token within its family', async () => {
+    const { refreshToken } = await login();
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(refreshToken);
+    const tokens = await storedTokens();
+    expect(tokens).toHaveLength(2);
+    expect(tokens[1].tokenHash).toBe(hashToken(res.body.data.refreshToken));
+  });
+
+  test('replaying a rotated token revokes its family and records a security event', async () => {
+    const other = await login();
+    const { refreshToken } = await login();
+    const rotated = (await refresh(refreshToken)).body.data.refreshToken;
+
+    const replay = await refresh(refreshToken);
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect((await refresh(rotated)).body.code).toBe('INVALID_REFRESH_TOKEN');
+    expect((await refresh(other.refreshToken)).status).toBe(200);
+    expect(outboxEvents()).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ type: DOMAIN_EVENTS.REFRESH_TOKEN_REUSED, payload: expect.objectContaining({ familyId: expect.any(String) }) })
+      ])
+    );
+  });
+
+  test('logout ends only the family of the token passed in', async () => {
+    const first = await login();
+    const second = await login();
+
+    const res = await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', `Bearer ${first.accessToken}`)
+      .send({ refreshToken: first.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect((await refresh(first.refreshToken)).status).toBe(401);
+    expect((await refresh(second.refreshToken)).status).toBe(200);
+  });
+
+  test('prunes expired and unhashed entries on login', async () => {
+    const stored = inMemoryDynamo.dump(tableName).find((item) => item.entityType === 'parent');
+    inMemoryDynamo.seed(tableName, [{
+      ...stored,
+      refreshTokens: [
+        ...stored.refreshTokens,
+        { familyId: 'expired-family', tokenHash: 'stale', expiresAt: '2020-01-01T00:00:00.000Z' },
+        { token: 'raw.refresh.jwt', expiresAt: '2999-01-01T00:00:00.000Z' }
+      ]
+    }]);
+
+    await login();
+
+    const tokens = await storedTokens();
+    expect(tokens).toHaveLength(2);
+    expect(tokens.every((entry) => entry.tokenHash && entry.familyId !== 'expired-family')).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const parentRepository = require('../../src/repositories/parentRepository');
+
+const credentials = { email: 'many.devices@example.com', password: 'Password123!' };
+const MISSING_ID = '7e0a3c59-6b1d-4f82-9a4e-8d2c5f1b0a36';
+
+describe('Sessions (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  const login = async (userAgent) =>
+    (await request(app).post('/api/v1/auth/login').set('User-Agent', userAgent).send(credentials)).body.data;
+  const listSessions = (accessToken) =>
+    request(app).get('/api/v1/auth/sessions').set('Authorization', `Bearer ${accessToken}`);
+  const refresh = (refreshToken) => request(app).post('/api/v1/auth/refresh').send({ refreshToken });
+
+  beforeEach(async () => {
+    resetDatabase();
+    await request(app).post('/api/v1/auth/register').send({ name: 'Many Devices', ...credentials });
+  });
+
+  test('lists sessions with their device and flags the current one', async () => {
+    await login('Phone/1.0');
+    const laptop = await login('Laptop/2.0');
+
+    const res = await listSessions(laptop.accessToken);
+
+    expect(res.status).toBe(200);
+    const byAgent = Object.fromEntries(res.body.data.map((session) => [session.userAgent, session]));
+    expect(byAgent['Phone/1.0']).toMatchObject({ current: false, ip: expect.any(String), lastUsedAt: expect.any(String) });
+    expect(byAgent['Laptop/2.0'].current).toBe(true);
+    expect(JSON.stringify(res.body)).not.toContain('tokenHash');
+  });
+
+  test('signing out a session locks out its access and refresh tokens', async () => {
+    const phone = await login('Phone/1.0');
+    const laptop = await login('Laptop/2.0');
+    const phoneSession = (await listSessions(laptop.accessToken)).body.data.find((session) => !session.current);
+
+    const res = await request(app)
+      .delete(`/api/v1/auth/sessions/${phoneSession.id}`)
+      .set('Authorization', `Bearer ${laptop.accessToken}`);
+
+    expect(res.status).toBe(200);
+    const locked = await request(app).get('/api/v1/auth/profile').set('Authorization', `Bearer ${phone.accessToken}`);
+    expect(locked.status).toBe(401);
+    expect(locked.body.code).toBe('SESSION_REVOKED');
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await listSessions(laptop.accessToken)).status).toBe(200);
+  });
+
+  test('revoke-others keeps only the calling session', async () => {
+    const phone = await login('Phone/1.0');
+    const tablet = await login('Tablet/3.0');
+    const laptop = await login('Laptop/2.0');
+
+    const res = await request(app)
+      .post('/api/v1/auth/sessions/revoke-others')
+      .set('Authorization', `Bearer ${laptop.accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revoked).toBe(3);
+    const sessions = (await listSessions(laptop.accessToken)).body.data;
+    expect(sessions).toEqual([expect.objectContaining({ userAgent: 'Laptop/2.0', current: true })]);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await refresh(tablet.refreshToken)).status).toBe(401);
+  });
+
+  test('refreshing keeps the session and records where it was used', async () => {
+    const phone = await login('Phone/1.0');
+
+    const res = await request(app)
+      .post('/api/v1/auth/refresh')
+      .set('User-Agent', 'Phone/1.1')
+      .send({ refreshToken: phone.refreshToken });
+
+    const [session] = (await listSessions(res.body.data.accessToken)).body.data
+      .filter((candidate) => candidate.current);
+    expect(session.userAgent).toBe('Phone/1.1');
+    const stored = await parentRepository.getParentByEmail(credentials.email);
+    expect(stored.refreshTokens.find((entry) => entry.familyId === session.id).lastUsedAt).toBe(session.lastUsedAt);
+  });
+
+  test('answers 404 for a session that does not exist', async () => {
+    const { accessToken } = await login('Phone/1.0');
+
+    const res = await request(app)
+      .delete(`/api/v1/auth/sessions/${MISSING_ID}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('SESSION_NOT_FOUND');
+  });
+});
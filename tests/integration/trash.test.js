@@ -0,0 +1,65 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const { buildTestApp, resetDatabase } = require('../helpers/testApp');
+const { tableName } = require('../../src/config/dynamoConfig');
+const { JWT_SECRET } = require('../../src/config/jwtConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const { buildParentKeys, buildCourseKeys } = require('../../src/repositories/keyFactory');
+
+const ADMIN_ID = '0b6f3a52-6d0e-4c1f-9d5b-2f4e8a7c1d90';
+const COURSE_ID = '7d2c9e14-3b8a-4f6d-a1e5-9c0b4d2f6a83';
+
+const tokenFor = (role) => `Bearer ${jwt.sign({ id: ADMIN_ID, role }, JWT_SECRET)}`;
+
+describe('Trash integration (in-memory DynamoDB)', () => {
+  const app = buildTestApp();
+
+  beforeEach(() => {
+    resetDatabase();
+    inMemoryDynamo.seed(tableName, [
+      { ...buildParentKeys(ADMIN_ID), id: ADMIN_ID, name: 'Admin', email: 'admin@example.com', isActive: true },
+      {
+        ...buildCourseKeys(COURSE_ID),
+        id: COURSE_ID,
+        slug: 'positive-parenting',
+        title: 'Positive Parenting',
+        deletedAt: '2026-01-01T00:00:00.000Z',
+        deletedBy: ADMIN_ID
+      }
+    ]);
+  });
+
+  test('lists and restores a trashed course', async () => {
+    const list = await request(app).get('/api/v1/trash').set('Authorization', tokenFor('admin'));
+
+    expect(list.status).toBe(200);
+    expect(list.body.data).toEqual([
+      expect.objectContaining({ entityType: 'course', id: COURSE_ID, label: 'Positive Parenting', deletedBy: ADMIN_ID })
+    ]);
+
+    const restore = await request(app)
+      .post(`/api/v1/trash/course/${COURSE_ID}/restore`)
+      .set('Authorization', tokenFor('admin'));
+
+    expect(restore.status).toBe(200);
+    expect(restore.body.data.deletedAt).toBeUndefined();
+
+    const again = await request(app).get('/api/v1/trash').set('Authorization', tokenFor('admin'));
+    expect(again.body.data).toEqual([]);
+  });
+
+  test('is closed to non-admins', async () => {
+    const res = await request(app).get('/api/v1/trash').set('Authorization', tokenFor('parent'));
+
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects unknown entity types', async () => {
+    const res = await request(app)
+      .post(`/api/v1/trash/instructor/${COURSE_ID}/restore`)
+      .set('Authorization', tokenFor('admin'));
+
+    expect(res.status).toBe(400);
+  });
+});
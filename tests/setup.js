@@ -1,4 +1,10 @@
-// Dynamo-backed tests pending; placeholder setup
+// Route every repository through the in-process DynamoDB adapter so tests never reach AWS
+process.env.DYNAMO_ADAPTER = process.env.DYNAMO_ADAPTER || 'memory';
+// Tests seed and reset the table directly, which a cache would not notice
+process.env.CACHE_DRIVER = process.env.CACHE_DRIVER || 'none';
+// Suites fail logins and OTP codes on purpose, all from the same IP
+process.env.SENSITIVE_RATE_LIMIT_MAX = process.env.SENSITIVE_RATE_LIMIT_MAX || '1000';
+
 global.testUtils = {
   wait: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
   randomString: (length = 10) => {
@@ -0,0 +1,11 @@
+const swaggerJSDoc = require('swagger-jsdoc');
+const swaggerOptions = require('../../swagger.json');
+
+describe('API documentation', () => {
+  test('generates a spec with every documented path', () => {
+    const spec = swaggerJSDoc(swaggerOptions);
+
+    expect(Object.keys(spec.paths).length).toBeGreaterThan(60);
+    expect(spec.paths['/api/v1/auth/password/reset'].post.responses).toHaveProperty('429');
+  });
+});
@@ -0,0 +1,110 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const dynamoRepository = require('../../src/repositories/dynamoRepository');
+const courseRepository = require('../../src/repositories/courseRepository');
+const otpRepository = require('../../src/repositories/otpRepository');
+const questionService = require('../../src/services/questionService');
+const loginProtectionService = require('../../src/services/loginProtectionService');
+const loginAttemptRepository = require('../../src/repositories/loginAttemptRepository');
+const { buildCourseKeys, buildQuestionKeys } = require('../../src/repositories/keyFactory');
+
+describe('atomic counters', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('concurrent increments are never lost', async () => {
+    inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys('c1'), id: 'c1', enrollmentCount: 0, version: 1 }]);
+
+    await Promise.all(Array.from({ length: 25 }, () => courseRepository.incrementEnrollment('c1')));
+
+    const course = await courseRepository.getCourse('c1');
+    expect(course.enrollmentCount).toBe(25);
+    expect(course.version).toBe(26);
+  });
+
+  test('returns null and creates nothing when the item is missing', async () => {
+    expect(await courseRepository.incrementEnrollment('missing')).toBeNull();
+    expect(inMemoryDynamo.dump(tableName)).toHaveLength(0);
+  });
+
+  test('decrements stop at the floor', async () => {
+    inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys('c1'), id: 'c1', enrollmentCount: 1 }]);
+
+    expect((await courseRepository.adjustCounters('c1', { enrollmentCount: -1 })).enrollmentCount).toBe(0);
+    expect((await courseRepository.adjustCounters('c1', { enrollmentCount: -1 })).enrollmentCount).toBe(0);
+    expect((await courseRepository.adjustCounters('c1', { wishlistCount: -1 })).wishlistCount).toBeUndefined();
+  });
+
+  test('rejects counters the course does not track', async () => {
+    await expect(courseRepository.adjustCounters('c1', { price: 1 })).rejects.toMatchObject({ code: 'INVALID_COUNTER' });
+  });
+
+  test('incrementAttributes without a floor can go negative', async () => {
+    inMemoryDynamo.seed(tableName, [{ pk: 'X#1', sk: 'X#1', balance: 1 }]);
+
+    const updated = await dynamoRepository.incrementAttributes(tableName, 'X#1', 'X#1', { balance: -3 });
+    expect(updated.balance).toBe(-2);
+  });
+
+  test('bulkIncrementUsage adds repeated ids in one update', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildQuestionKeys('q1'), id: 'q1', usageCount: 2 },
+      { ...buildQuestionKeys('q2'), id: 'q2' }
+    ]);
+
+    const updated = await questionService.bulkIncrementUsage(['q1', 'q2', 'q1']);
+
+    expect(updated).toBe(3);
+    const q1 = await dynamoRepository.getItem(tableName, 'QUESTION#q1', 'QUESTION#q1');
+    const q2 = await dynamoRepository.getItem(tableName, 'QUESTION#q2', 'QUESTION#q2');
+    expect(q1.usageCount).toBe(4);
+    expect(q2.usageCount).toBe(1);
+  });
+});
+
+describe('OTP attempt counters', () => {
+  const createCode = () =>
+    otpRepository.createOtp({
+      contact: 'racer@example.com',
+      contactType: 'email',
+      purpose: 'login',
+      otp: '482913',
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('concurrent wrong guesses never go past the limit', async () => {
+    const code = await createCode();
+
+    const results = await Promise.all(Array.from({ length: 8 }, () => otpRepository.recordFailedAttempt(code, 5)));
+
+    expect(results.filter(Boolean)).toHaveLength(5);
+    expect((await otpRepository.getLatestByContactAndPurpose('racer@example.com', 'login')).attempts).toBe(5);
+  });
+
+  test('only one of two concurrent submissions marks a code used', async () => {
+    const code = await createCode();
+
+    const results = await Promise.all([otpRepository.markVerified(code), otpRepository.markVerified(code)]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await otpRepository.recordFailedAttempt(code, 5)).toBeNull();
+  });
+});
+
+describe('login attempt counters', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('concurrent first failures all count', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => loginProtectionService.recordOtpFailure('racer@example.com')));
+
+    const counter = await loginAttemptRepository.getAttempts(loginProtectionService.SCOPES.OTP, 'racer@example.com');
+    expect(counter.failures).toBe(5);
+  });
+});
@@ -0,0 +1,98 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { commands, inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const dynamoRepository = require('../../src/repositories/dynamoRepository');
+const courseRepository = require('../../src/repositories/courseRepository');
+const questionRepository = require('../../src/repositories/questionRepository');
+const { buildCourseKeys, buildQuestionKeys } = require('../../src/repositories/keyFactory');
+
+const seedCourses = (count) =>
+  inMemoryDynamo.seed(
+    tableName,
+    Array.from({ length: count }, (_, i) => ({ ...buildCourseKeys(`c${i}`), id: `c${i}`, isPublished: i % 2 === 0 }))
+  );
+
+describe('dynamoRepository.batchGetItems', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+    jest.restoreAllMocks();
+  });
+
+  test('chunks requests to 100 keys and keeps the caller order', async () => {
+    seedCourses(250);
+    const spy = jest.spyOn(commands, 'batchGet');
+    const keys = Array.from({ length: 250 }, (_, i) => buildCourseKeys(`c${249 - i}`));
+
+    const items = await dynamoRepository.batchGetItems(tableName, keys);
+
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(items).toHaveLength(250);
+    expect(items[0].id).toBe('c249');
+    expect(items[249].id).toBe('c0');
+  });
+
+  test('de-duplicates keys and skips missing items', async () => {
+    seedCourses(2);
+
+    const items = await dynamoRepository.batchGetItems(tableName, [
+      buildCourseKeys('c1'),
+      buildCourseKeys('missing'),
+      buildCourseKeys('c1'),
+      buildCourseKeys('c0')
+    ]);
+
+    expect(items.map((item) => item.id)).toEqual(['c1', 'c0']);
+  });
+
+  test('retries UnprocessedKeys until every key is served', async () => {
+    seedCourses(3);
+    const original = commands.batchGet;
+    const spy = jest.spyOn(commands, 'batchGet').mockImplementation(async (params) => {
+      // Serve one key per call, like a throttled table
+      const [first, ...rest] = params.RequestItems[tableName].Keys;
+      const result = await original({ RequestItems: { [tableName]: { Keys: [first] } } });
+      return rest.length > 0 ? { ...result, UnprocessedKeys: { [tableName]: { Keys: rest } } } : result;
+    });
+
+    const items = await dynamoRepository.batchGetItems(tableName, [0, 1, 2].map((i) => buildCourseKeys(`c${i}`)));
+
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(items.map((item) => item.id)).toEqual(['c0', 'c1', 'c2']);
+  });
+
+  test('gives up once retries are exhausted', async () => {
+    seedCourses(2);
+    jest.spyOn(commands, 'batchGet').mockImplementation(async (params) => ({
+      Responses: { [tableName]: [] },
+      UnprocessedKeys: { [tableName]: { Keys: params.RequestItems[tableName].Keys } }
+    }));
+
+    await expect(
+      dynamoRepository.batchGetItems(tableName, [buildCourseKeys('c0')], { retries: 1 })
+    ).rejects.toMatchObject({ code: 'BATCH_GET_INCOMPLETE', statusCode: 503 });
+  });
+});
+
+describe('id lookups built on batchGetItems', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+    jest.restoreAllMocks();
+  });
+
+  test('getCoursesByIds reads only the requested courses', async () => {
+    seedCourses(6);
+    const query = jest.spyOn(commands, 'query');
+
+    const courses = await courseRepository.getCoursesByIds(['c4', 'c1', 'c2'], true);
+
+    expect(courses.map((course) => course.id)).toEqual(['c4', 'c2']);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('getQuestionsByIds returns formatted questions', async () => {
+    inMemoryDynamo.seed(tableName, [{ ...buildQuestionKeys('q1'), id: 'q1' }]);
+
+    const questions = await questionRepository.getQuestionsByIds(['q1', 'q2']);
+
+    expect(questions).toEqual([expect.objectContaining({ id: 'q1', _id: 'q1' })]);
+  });
+});
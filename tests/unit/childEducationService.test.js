@@ -332,7 +332,7 @@ describe('Child Education Service - Unit Tests', () => {
     /**
      * Test adding grade record successfully
      */
-    it('should add grade record and generate suggestions', async () => {
+    it('should add grade record and leave suggestions to the grade_added subscriber', async () => {
       const gradeRecord = {
         gradeYear: 'Grade 6',
         subjects: [
@@ -357,7 +357,7 @@ describe('Child Education Service - Unit Tests', () => {
 
       expect(result).toBeDefined();
       expect(childEducationRepository.addGradeRecord).toHaveBeenCalledWith('507f1f77bcf86cd799439011', gradeRecord);
-      expect(childEducationRepository.updateSuggestions).toHaveBeenCalled();
+      expect(childEducationRepository.updateSuggestions).not.toHaveBeenCalled();
     });
 
     /**
@@ -326,7 +326,7 @@ describe('Child Nutrition Service - Unit Tests', () => {
     /**
      * Test adding nutrition entry successfully
      */
-    it('should add nutrition entry and generate recommendations', async () => {
+    it('should add nutrition entry and leave recommendations to the entry_added subscriber', async () => {
       const nutritionEntry = {
         physicalMeasurement: {
           heightCm: 145,
@@ -360,7 +360,7 @@ describe('Child Nutrition Service - Unit Tests', () => {
 
       expect(result).toBeDefined();
       expect(childNutritionRepository.addNutritionEntry).toHaveBeenCalledWith('507f1f77bcf86cd799439011', nutritionEntry);
-      expect(childNutritionRepository.updateRecommendations).toHaveBeenCalled();
+      expect(childNutritionRepository.updateRecommendations).not.toHaveBeenCalled();
     });
 
     /**
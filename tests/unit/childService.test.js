@@ -123,7 +123,7 @@ describe('Child Service - Linked Data Unit Tests', () => {
     /**
      * Test cascade deletion
      */
-    it('should delete child and related records', async () => {
+    it('should trash the child and keep related records for a restore', async () => {
       childRepository.getChild = jest.fn().mockResolvedValue(mockChild);
       childEducationRepository.getByChildId = jest.fn().mockResolvedValue(mockEducationRecord);
       childNutritionRepository.getByChildId = jest.fn().mockResolvedValue(mockNutritionRecord);
@@ -135,8 +135,8 @@ describe('Child Service - Linked Data Unit Tests', () => {
       const result = await childService.deleteChild('507f1f77bcf86cd799439011', '507f1f77bcf86cd799439010');
 
       expect(result).toBe(true);
-      expect(childEducationRepository.deleteEducationRecord).toHaveBeenCalled();
-      expect(childNutritionRepository.deleteNutritionRecord).toHaveBeenCalled();
+      expect(childEducationRepository.deleteEducationRecord).not.toHaveBeenCalled();
+      expect(childNutritionRepository.deleteNutritionRecord).not.toHaveBeenCalled();
       expect(childRepository.deleteChild).toHaveBeenCalled();
     });
   });
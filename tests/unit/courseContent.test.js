@@ -0,0 +1,137 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const courseRepository = require('../../src/repositories/courseRepository');
+const courseContentRepository = require('../../src/repositories/courseContentRepository');
+const migrationService = require('../../src/services/migrationService');
+const { buildCourseKeys } = require('../../src/repositories/keyFactory');
+
+const partition = (courseId) => inMemoryDynamo.dump(tableName).filter((item) => item.pk === `COURSE#${courseId}`);
+
+const video = (id, order, overrides = {}) => ({
+  id,
+  title: `Video ${id}`,
+  videoUrl: `https://videos.example.com/${id}.mp4`,
+  duration: 60,
+  order,
+  ...overrides
+});
+
+const courseData = (overrides = {}) => ({
+  id: 'c1',
+  title: 'Positive parenting',
+  description: 'A practical course on everyday parenting, from routines to difficult talks.',
+  shortDescription: 'Everyday parenting',
+  thumbnail: 'https://images.example.com/c1.png',
+  category: 'parenting',
+  price: { amount: 0, currency: 'INR' },
+  sections: [
+    { id: 's2', title: 'Second', order: 2, videos: [video('v3', 1)] },
+    { id: 's1', title: 'First', order: 1, videos: [video('v2', 2), video('v1', 1)] }
+  ],
+  ...overrides
+});
+
+describe('course sections and videos', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('stores sections and videos as separate items and assembles them on read', async () => {
+    const created = await courseRepository.createCourse(courseData());
+
+    const course = partition('c1').find((item) => item.sk === 'COURSE#c1');
+    expect(course).not.toHaveProperty('sections');
+    expect(partition('c1').map((item) => item.sk).sort()).toEqual(
+      ['COURSE#c1', 'SECTION#s1', 'SECTION#s2', 'VIDEO#s1#v1', 'VIDEO#s1#v2', 'VIDEO#s2#v3'].sort()
+    );
+
+    const fetched = await courseRepository.getCourse('c1');
+    expect(created.sections).toEqual(fetched.sections);
+    expect(fetched.sections.map((section) => section.id)).toEqual(['s1', 's2']);
+    expect(fetched.sections[0].videos.map((entry) => [entry.id, entry.order])).toEqual([['v1', 0], ['v2', 1]]);
+  });
+
+  test('reorders sections and rejects a list that is not a permutation', async () => {
+    await courseRepository.createCourse(courseData());
+
+    const sections = await courseContentRepository.reorderSections('c1', ['s2', 's1']);
+    expect(sections.map((section) => section.id)).toEqual(['s2', 's1']);
+
+    await expect(courseContentRepository.reorderSections('c1', ['s2'])).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INVALID_SECTION_ORDER'
+    });
+    await expect(courseContentRepository.reorderVideos('c1', 's1', ['v1', 'v1'])).rejects.toMatchObject({
+      code: 'INVALID_VIDEO_ORDER'
+    });
+  });
+
+  test('reorders more videos than one transaction can hold', async () => {
+    const videos = Array.from({ length: 150 }, (_, i) => video(`v${i}`, i));
+    await courseRepository.createCourse(courseData({ sections: [{ id: 's1', title: 'Long', order: 1, videos }] }));
+    const reversed = videos.map(({ id }) => id).reverse();
+
+    const section = await courseContentRepository.reorderVideos('c1', 's1', reversed);
+
+    expect(section.videos.map(({ id }) => id)).toEqual(reversed);
+  });
+
+  test('granular edits touch one item and record history in the course partition', async () => {
+    await courseRepository.createCourse(courseData());
+
+    const updated = await courseContentRepository.updateVideo('c1', 's1', 'v2', { title: 'Renamed', order: 9 });
+    expect(updated).toMatchObject({ title: 'Renamed', order: 1 });
+
+    const added = await courseContentRepository.addVideo('c1', 's2', video('v4'));
+    expect(added).toMatchObject({ id: 'v4', sectionId: 's2', order: 1 });
+    await expect(courseContentRepository.addVideo('c1', 'missing', video('v5'))).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'SECTION_NOT_FOUND'
+    });
+
+    const history = partition('c1').filter((item) => item.sk.startsWith('HISTORY#'));
+    expect(history).toHaveLength(1);
+
+    expect(await courseContentRepository.deleteSection('c1', 's1')).toBe(true);
+    expect(partition('c1').some((item) => item.sk.startsWith('VIDEO#s1#'))).toBe(false);
+  });
+
+  test('purging a course removes its sections and videos', async () => {
+    await courseRepository.createCourse(courseData());
+
+    await courseRepository.purgeCourse('c1');
+
+    expect(partition('c1').filter((item) => !item.sk.startsWith('HISTORY#'))).toEqual([]);
+  });
+
+  test('serves courses that still hold inline sections as stored', async () => {
+    const { sections } = courseData();
+    inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys('legacy'), id: 'legacy', title: 'Legacy course', sections }]);
+
+    const course = await courseRepository.getCourse('legacy');
+
+    expect(course.sections).toEqual(sections);
+  });
+
+  test('migration 0007 moves inline sections into their own items', async () => {
+    const { sections } = courseData();
+    inMemoryDynamo.seed(tableName, [
+      {
+        ...courseData({ id: 'legacy' }),
+        ...buildCourseKeys('legacy'),
+        sections: [...sections, { title: 'No id yet', order: 3, videos: [video(undefined, 0)] }],
+        version: 1
+      }
+    ]);
+    const migrations = migrationService.loadMigrations().filter((migration) => migration.id === '0007_courses_split_sections');
+
+    const [result] = await migrationService.migrate({ migrations });
+
+    expect(result.stats).toMatchObject({ examined: 1, changed: 1, itemsCreated: 7 });
+    const course = await courseRepository.getCourse('legacy');
+    expect(partition('legacy').find((item) => item.sk === 'COURSE#legacy')).not.toHaveProperty('sections');
+    expect(course.sections.map((section) => section.title)).toEqual(['First', 'Second', 'No id yet']);
+    expect(course.sections[2].videos).toHaveLength(1);
+    expect(await migrationService.rollback({ migrations }).catch((error) => error.code)).toBe('MIGRATION_IRREVERSIBLE');
+  });
+});
@@ -326,7 +326,7 @@ describe('Course Service - Unit Tests', () => {
       const result = await courseService.deleteCourse('507f1f77bcf86cd799439020');
 
       expect(result).toBe(true);
-      expect(courseRepository.deleteCourse).toHaveBeenCalledWith('507f1f77bcf86cd799439020');
+      expect(courseRepository.deleteCourse).toHaveBeenCalledWith('507f1f77bcf86cd799439020', { deletedBy: undefined });
     });
 
     /**
@@ -0,0 +1,77 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const courseRepository = require('../../src/repositories/courseRepository');
+const { buildCourseKeys } = require('../../src/repositories/keyFactory');
+const { encodeCursor, decodeCursor } = require('../../src/utils/cursorUtils');
+
+const seedCourses = (count, extra = () => ({})) =>
+  inMemoryDynamo.seed(
+    tableName,
+    Array.from({ length: count }, (_, i) => {
+      const id = `c${String(i).padStart(2, '0')}`;
+      return { ...buildCourseKeys(id), id, title: `Course ${i}`, ...extra(i) };
+    })
+  );
+
+describe('cursorUtils', () => {
+  const lastKey = { pk: 'COURSE#c1', sk: 'COURSE#c1', entityType: 'course' };
+
+  test('round-trips a key for the same scope', () => {
+    const cursor = encodeCursor('courses', lastKey);
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(decodeCursor('courses', cursor)).toEqual(lastKey);
+  });
+
+  test('returns null / undefined when there is nothing to encode or decode', () => {
+    expect(encodeCursor('courses', undefined)).toBeNull();
+    expect(decodeCursor('courses', undefined)).toBeUndefined();
+  });
+
+  test('rejects a tampered payload', () => {
+    const [, signature] = encodeCursor('courses', lastKey).split('.');
+    const forged = Buffer.from(JSON.stringify({ v: 1, s: 'courses', k: { pk: 'PARENT#x', sk: 'PARENT#x' } }))
+      .toString('base64url');
+
+    expect(() => decodeCursor('courses', `${forged}.${signature}`)).toThrow(
+      expect.objectContaining({ statusCode: 400, code: 'INVALID_CURSOR' })
+    );
+  });
+
+  test('rejects a cursor issued for another list', () => {
+    const cursor = encodeCursor('questions', lastKey);
+    expect(() => decodeCursor('courses', cursor)).toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+  });
+});
+
+describe('courseRepository.paginateCourses', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('walks every matching course exactly once', async () => {
+    seedCourses(7, (i) => ({ category: i % 2 === 0 ? 'parenting' : 'nutrition' }));
+
+    const seen = [];
+    let cursor;
+    let pages = 0;
+    do {
+      const { data, pagination } = await courseRepository.paginateCourses({ category: 'parenting' }, { limit: 2, cursor });
+      seen.push(...data.map((course) => course.id));
+      cursor = pagination.nextCursor;
+      expect(pagination.hasNext).toBe(Boolean(cursor));
+      pages += 1;
+    } while (cursor && pages < 10);
+
+    expect(seen).toEqual(['c00', 'c02', 'c04', 'c06']);
+    expect(pages).toBe(2);
+  });
+
+  test('reports no next page when the limit is reached on the last course', async () => {
+    seedCourses(3);
+
+    const { data, pagination } = await courseRepository.paginateCourses({}, { limit: 3 });
+
+    expect(data).toHaveLength(3);
+    expect(pagination).toEqual({ limit: 3, nextCursor: null, hasNext: false });
+  });
+});
@@ -0,0 +1,134 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const outboxConfig = require('../../src/config/outboxConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const courseProgressRepository = require('../../src/repositories/courseProgressRepository');
+const outboxRepository = require('../../src/repositories/outboxRepository');
+const childEducationService = require('../../src/services/childEducationService');
+const eventBus = require('../../src/events/eventBus');
+const outboxDispatcher = require('../../src/events/outboxDispatcher');
+const { registerDefaultSubscribers } = require('../../src/events/subscribers');
+const { DOMAIN_EVENTS, ALL_EVENTS } = require('../../src/constants/eventConstants');
+const { buildCourseKeys, buildChildKeys, buildChildEducationKeys } = require('../../src/repositories/keyFactory');
+
+const outboxItems = () =>
+  inMemoryDynamo.dump(tableName).filter((item) => item.entityType === outboxRepository.OUTBOX_ENTITY_TYPE);
+
+const enroll = async () => {
+  inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys('c1'), id: 'c1', title: 'Course', enrollmentCount: 0 }]);
+  await courseProgressRepository.enrollUser('u1', 'c1');
+};
+
+describe('domain events', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+    eventBus.reset();
+  });
+
+  test('writes the event in the transaction of the change', async () => {
+    await enroll();
+    await expect(courseProgressRepository.enrollUser('u1', 'missing')).rejects.toMatchObject({
+      code: 'TRANSACTION_CANCELLED'
+    });
+
+    const events = outboxItems();
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: DOMAIN_EVENTS.COURSE_ENROLLED,
+      aggregateType: 'course',
+      aggregateId: 'c1',
+      payload: { userId: 'u1', courseId: 'c1' },
+      status: 'pending',
+      attempts: 0
+    });
+  });
+
+  test('delivers to matching and catch-all subscribers, then removes the event', async () => {
+    const enrolled = jest.fn();
+    const everything = jest.fn();
+    const unrelated = jest.fn();
+    eventBus.subscribe(DOMAIN_EVENTS.COURSE_ENROLLED, 'test.enrolled', enrolled);
+    eventBus.subscribe(ALL_EVENTS, 'test.everything', everything);
+    eventBus.subscribe(DOMAIN_EVENTS.PARENT_REGISTERED, 'test.unrelated', unrelated);
+    await enroll();
+
+    const result = await outboxDispatcher.dispatchPending();
+
+    expect(result).toMatchObject({ delivered: 1, retried: 0, dead: 0 });
+    expect(enrolled).toHaveBeenCalledWith(
+      expect.objectContaining({ type: DOMAIN_EVENTS.COURSE_ENROLLED, payload: expect.objectContaining({ userId: 'u1' }), attempt: 1 })
+    );
+    expect(everything).toHaveBeenCalledTimes(1);
+    expect(unrelated).not.toHaveBeenCalled();
+    expect(outboxItems()).toEqual([]);
+  });
+
+  test('retries only the failed subscriber after its backoff', async () => {
+    const healthy = jest.fn();
+    const flaky = jest.fn().mockRejectedValueOnce(new Error('mail server down'));
+    eventBus.subscribe(DOMAIN_EVENTS.COURSE_ENROLLED, 'test.healthy', healthy);
+    eventBus.subscribe(DOMAIN_EVENTS.COURSE_ENROLLED, 'test.flaky', flaky);
+    await enroll();
+    const now = Date.now();
+
+    const first = await outboxDispatcher.dispatchPending({ now });
+    const early = await outboxDispatcher.dispatchPending({ now: now + 1000 });
+    const [pending] = outboxItems();
+    const second = await outboxDispatcher.dispatchPending({ now: now + outboxConfig.retryBaseDelayMs });
+
+    expect(first.retried).toBe(1);
+    expect(pending).toMatchObject({ attempts: 1, deliveredTo: ['test.healthy'], lastError: 'test.flaky: mail server down' });
+    expect(early).toMatchObject({ delivered: 0, retried: 0 });
+    expect(second.delivered).toBe(1);
+    expect(healthy).toHaveBeenCalledTimes(1);
+    expect(flaky).toHaveBeenCalledTimes(2);
+    expect(flaky.mock.calls[1][0].attempt).toBe(2);
+  });
+
+  test('marks an event dead after its last attempt', async () => {
+    eventBus.subscribe(DOMAIN_EVENTS.COURSE_ENROLLED, 'test.broken', jest.fn().mockRejectedValue(new Error('boom')));
+    await enroll();
+
+    let now = Date.now();
+    for (let attempt = 0; attempt < outboxConfig.maxAttempts; attempt += 1) {
+      await outboxDispatcher.dispatchPending({ now });
+      now += outboxConfig.retryMaxDelayMs;
+    }
+    const afterwards = await outboxDispatcher.dispatchPending({ now });
+
+    expect(outboxItems()[0]).toMatchObject({ status: 'dead', attempts: outboxConfig.maxAttempts });
+    expect(afterwards).toMatchObject({ delivered: 0, retried: 0, dead: 0 });
+  });
+
+  test('hands an event to one of two concurrent dispatchers', async () => {
+    const handler = jest.fn();
+    eventBus.subscribe(DOMAIN_EVENTS.COURSE_ENROLLED, 'test.once', handler);
+    await enroll();
+
+    const results = await Promise.all([outboxDispatcher.dispatchPending(), outboxDispatcher.dispatchPending()]);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(results.map((result) => result.delivered).sort()).toEqual([0, 1]);
+  });
+
+  test('refreshes education suggestions from the grade_added event', async () => {
+    registerDefaultSubscribers();
+    inMemoryDynamo.seed(tableName, [
+      { ...buildChildKeys('p1', 'k1'), id: 'k1', parentId: 'p1', name: 'Meera' },
+      { ...buildChildEducationKeys('k1', 'e1'), id: 'e1', childId: 'k1', records: [], suggestions: [], version: 1 }
+    ]);
+
+    const added = await childEducationService.addGradeRecord('k1', {
+      gradeYear: 'Grade 5',
+      subjects: [{ subject: 'Math', marks: 40 }, { subject: 'Science', marks: 95 }]
+    });
+    expect(added.records).toHaveLength(1);
+    expect(added.suggestions).toEqual([]);
+    expect(outboxItems()[0]).toMatchObject({ type: DOMAIN_EVENTS.EDUCATION_GRADE_ADDED, payload: { childId: 'k1' } });
+
+    await outboxDispatcher.dispatchPending();
+
+    const refreshed = await childEducationService.getByChildId('k1');
+    expect(refreshed.suggestions.length).toBeGreaterThan(0);
+    expect(outboxItems()).toEqual([]);
+  });
+});
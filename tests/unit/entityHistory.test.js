@@ -0,0 +1,112 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const courseRepository = require('../../src/repositories/courseRepository');
+const childRepository = require('../../src/repositories/childRepository');
+const parentRepository = require('../../src/repositories/parentRepository');
+const historyRepository = require('../../src/repositories/historyRepository');
+const { buildCourseKeys, buildChildKeys, buildParentKeys } = require('../../src/repositories/keyFactory');
+const { runWithRequest } = require('../../src/utils/requestContext');
+
+const historyOf = (pk) =>
+  inMemoryDynamo.dump(tableName).filter((item) => item.pk === pk && item.sk.startsWith('HISTORY#'));
+
+describe('entity history', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('records a field diff with the acting user and request id', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildCourseKeys('c1'), id: 'c1', title: 'Old title', level: 'beginner', version: 3 }
+    ]);
+    const req = { requestId: 'req-1', user: { id: 'admin-1' } };
+
+    const updated = await runWithRequest(req, () =>
+      courseRepository.updateCourse('c1', { title: 'New title', level: 'beginner', enrollmentCount: 99 })
+    );
+
+    expect(updated).toMatchObject({ title: 'New title', version: 4 });
+    const [entry] = historyOf('COURSE#c1');
+    expect(entry).toMatchObject({
+      sk: expect.stringMatching(/^HISTORY#\d{4}-\d{2}-\d{2}T.*#4$/),
+      targetType: 'course',
+      targetId: 'c1',
+      version: 4,
+      actorId: 'admin-1',
+      requestId: 'req-1',
+      changes: { title: { from: 'Old title', to: 'New title' } }
+    });
+    expect(entry.id).toBeUndefined();
+  });
+
+  test('writes no history entry when nothing tracked changed', async () => {
+    inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys('c1'), id: 'c1', title: 'Same title', version: 1 }]);
+
+    await courseRepository.updateCourse('c1', { title: 'Same title' });
+
+    expect(historyOf('COURSE#c1')).toHaveLength(0);
+  });
+
+  test('keeps child history in the child partition, out of the parent listing', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildParentKeys('p1'), id: 'p1', name: 'Asha', email: 'asha@example.com', version: 1 },
+      { ...buildChildKeys('p1', 'k1'), id: 'k1', parentId: 'p1', name: 'Kid', grade: '2', version: 1 }
+    ]);
+
+    await childRepository.updateChild('k1', { grade: '3' });
+
+    expect(historyOf('CHILD#k1')).toHaveLength(1);
+    expect(historyOf('PARENT#p1')).toHaveLength(0);
+    expect(await childRepository.getChildrenByParent('p1')).toHaveLength(1);
+
+    const child = await historyRepository.findTarget('child', 'k1');
+    const { entries, nextCursor } = await historyRepository.listHistory(child);
+    expect(entries).toEqual([
+      expect.objectContaining({ actorId: null, requestId: null, changes: { grade: { from: '2', to: '3' } } })
+    ]);
+    expect(nextCursor).toBeNull();
+  });
+
+  test('redacts credentials and records parent saves newest first', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildParentKeys('p1'), id: 'p1', name: 'Asha', email: 'asha@example.com', password: 'hash', version: 1 }
+    ]);
+
+    await parentRepository.modifyParent('p1', (parent) => {
+      parent.password = 'new-secret';
+    });
+    await parentRepository.updateParent('p1', { city: 'Pune' });
+
+    const parent = await historyRepository.findTarget('parent', 'p1');
+    const { entries } = await historyRepository.listHistory(parent);
+
+    expect(entries.map((entry) => entry.version)).toEqual([3, 2]);
+    expect(entries[0].changes).toEqual({ city: { from: null, to: 'Pune' } });
+    expect(entries[1].changes).toEqual({ password: { from: '[REDACTED]', to: '[REDACTED]' } });
+    expect(JSON.stringify(entries)).not.toContain('new-secret');
+  });
+
+  test('session bookkeeping writes no history', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildParentKeys('p1'), id: 'p1', name: 'Asha', email: 'asha@example.com', password: 'stored-hash', refreshTokens: [], version: 1 }
+    ]);
+
+    await parentRepository.modifyParent('p1', (parent) => {
+      parent.lastLogin = new Date();
+      parent.refreshTokens = [{ familyId: 'f1', tokenHash: 'hash', expiresAt: '2999-01-01T00:00:00.000Z' }];
+    });
+
+    const parent = await historyRepository.findTarget('parent', 'p1');
+    expect(parent.refreshTokens).toHaveLength(1);
+    expect((await historyRepository.listHistory(parent)).entries).toEqual([]);
+  });
+
+  test('purging an entity removes its history', async () => {
+    inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys('c1'), id: 'c1', title: 'Old title', version: 1 }]);
+    await courseRepository.updateCourse('c1', { title: 'New title' });
+
+    await courseRepository.purgeCourse('c1');
+
+    expect(inMemoryDynamo.dump(tableName)).toEqual([]);
+  });
+});
@@ -0,0 +1,107 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { commands, inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const { buildAddIndexParams } = require('../../src/db/tableDefinition');
+const dynamoRepository = require('../../src/repositories/dynamoRepository');
+const childRepository = require('../../src/repositories/childRepository');
+const childNutritionRepository = require('../../src/repositories/childNutritionRepository');
+const otpRepository = require('../../src/repositories/otpRepository');
+const { buildChildKeys, buildChildNutritionKeys, buildOtpKeys } = require('../../src/repositories/keyFactory');
+
+const seedChildren = (count) =>
+  inMemoryDynamo.seed(
+    tableName,
+    Array.from({ length: count }, (_, i) => ({
+      ...buildChildKeys(`p${i % 3}`, `child-${i}`),
+      id: `child-${i}`,
+      parentId: `p${i % 3}`,
+      name: `Child ${i}`
+    }))
+  );
+
+describe('id-index lookups', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+    jest.restoreAllMocks();
+  });
+
+  test('getChild resolves any child with a single id-index query', async () => {
+    seedChildren(30);
+    const query = jest.spyOn(commands, 'query');
+    const scan = jest.spyOn(commands, 'scan');
+
+    const child = await childRepository.getChild('child-29');
+
+    expect(child).toMatchObject({ id: 'child-29', parentId: 'p2' });
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(query.mock.calls[0][0].IndexName).toBe('id-index');
+    expect(scan).not.toHaveBeenCalled();
+  });
+
+  test('skPrefix keeps lookups to the requested entity', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildChildKeys('p1', 'shared'), id: 'shared' },
+      { ...buildChildNutritionKeys('c1', 'shared'), id: 'shared', childId: 'c1' }
+    ]);
+
+    const record = await childNutritionRepository.getNutritionRecord('shared');
+
+    expect(record.sk).toBe('NUT#shared');
+  });
+
+  test('deletes an OTP found through the id-index', async () => {
+    inMemoryDynamo.seed(
+      tableName,
+      ['a@example.com', 'b@example.com', 'c@example.com'].map((contact, i) => ({
+        ...buildOtpKeys(contact, `otp-${i}`),
+        id: `otp-${i}`,
+        contact
+      }))
+    );
+    const query = jest.spyOn(commands, 'query');
+
+    await otpRepository.deleteById('otp-2');
+
+    expect(query.mock.calls[0][0].IndexName).toBe('id-index');
+    expect(inMemoryDynamo.dump(tableName).map((item) => item.id).sort()).toEqual(['otp-0', 'otp-1']);
+  });
+
+  test('falls back to a scan when the table has no id-index yet', async () => {
+    seedChildren(5);
+    const original = commands.query;
+    jest.spyOn(commands, 'query').mockImplementation((params) => {
+      if (params.IndexName === 'id-index') {
+        const error = new Error('The table does not have the specified index: id-index');
+        error.name = 'ValidationException';
+        return Promise.reject(error);
+      }
+      return original(params);
+    });
+    const scan = jest.spyOn(commands, 'scan');
+
+    const child = await childRepository.getChild('child-3');
+
+    expect(child).toMatchObject({ id: 'child-3' });
+    expect(scan).toHaveBeenCalled();
+  });
+
+  test('consistentRead re-reads the base item', async () => {
+    seedChildren(1);
+    const get = jest.spyOn(commands, 'get');
+
+    await dynamoRepository.findItemById(tableName, 'child-0', { skPrefix: 'CHILD#', consistentRead: true });
+
+    expect(get).toHaveBeenCalledWith(
+      expect.objectContaining({ ConsistentRead: true, Key: { pk: 'PARENT#p0', sk: 'CHILD#child-0' } })
+    );
+  });
+
+  test('buildAddIndexParams describes a single GSI creation', () => {
+    const params = buildAddIndexParams('table', 'id-index');
+
+    expect(params.GlobalSecondaryIndexUpdates).toHaveLength(1);
+    expect(params.GlobalSecondaryIndexUpdates[0].Create.KeySchema).toEqual([
+      { AttributeName: 'id', KeyType: 'HASH' },
+      { AttributeName: 'sk', KeyType: 'RANGE' }
+    ]);
+  });
+});
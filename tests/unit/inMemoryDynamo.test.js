@@ -0,0 +1,225 @@
+const { createInMemoryDynamo } = require('../../src/db/inMemoryDynamo');
+
+const TABLE = 'test-table';
+
+describe('In-memory DynamoDB adapter', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createInMemoryDynamo();
+  });
+
+  const putAll = (items) => Promise.all(items.map((Item) => db.commands.put({ TableName: TABLE, Item })));
+
+  test('put/get/delete round-trip returns copies', async () => {
+    const item = { pk: 'PARENT#1', sk: 'PARENT#1', entityType: 'parent', tags: ['a'] };
+    await db.commands.put({ TableName: TABLE, Item: item });
+    item.tags.push('mutated');
+
+    const { Item } = await db.commands.get({ TableName: TABLE, Key: { pk: 'PARENT#1', sk: 'PARENT#1' } });
+    expect(Item.tags).toEqual(['a']);
+
+    await db.commands.delete({ TableName: TABLE, Key: { pk: 'PARENT#1', sk: 'PARENT#1' } });
+    const after = await db.commands.get({ TableName: TABLE, Key: { pk: 'PARENT#1', sk: 'PARENT#1' } });
+    expect(after.Item).toBeUndefined();
+  });
+
+  test('query supports begins_with and ScanIndexForward', async () => {
+    await putAll([
+      { pk: 'PARENT#1', sk: 'CHILD#b', entityType: 'child' },
+      { pk: 'PARENT#1', sk: 'CHILD#a', entityType: 'child' },
+      { pk: 'PARENT#1', sk: 'PARENT#1', entityType: 'parent' },
+      { pk: 'PARENT#2', sk: 'CHILD#c', entityType: 'child' }
+    ]);
+
+    const { Items } = await db.commands.query({
+      TableName: TABLE,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :skPrefix)',
+      ExpressionAttributeValues: { ':pk': 'PARENT#1', ':skPrefix': 'CHILD#' },
+      ScanIndexForward: false
+    });
+
+    expect(Items.map((i) => i.sk)).toEqual(['CHILD#b', 'CHILD#a']);
+  });
+
+  test('query on a GSI applies FilterExpression after Limit and pages with LastEvaluatedKey', async () => {
+    await putAll([
+      { pk: 'COURSE#1', sk: 'COURSE#1', entityType: 'course', isPublished: true },
+      { pk: 'COURSE#2', sk: 'COURSE#2', entityType: 'course', isPublished: false },
+      { pk: 'COURSE#3', sk: 'COURSE#3', entityType: 'course', isPublished: true },
+      { pk: 'PARENT#1', sk: 'PARENT#1', entityType: 'parent' }
+    ]);
+
+    const params = {
+      TableName: TABLE,
+      IndexName: 'entityType-index',
+      KeyConditionExpression: '#pk = :pk',
+      FilterExpression: '#published = :published',
+      ExpressionAttributeNames: { '#pk': 'entityType', '#published': 'isPublished' },
+      ExpressionAttributeValues: { ':pk': 'course', ':published': true },
+      Limit: 2
+    };
+
+    const first = await db.commands.query(params);
+    expect(first.ScannedCount).toBe(2);
+    expect(first.Items.map((i) => i.pk)).toEqual(['COURSE#1']);
+    expect(first.LastEvaluatedKey).toEqual({ pk: 'COURSE#2', sk: 'COURSE#2', entityType: 'course' });
+
+    const second = await db.commands.query({ ...params, ExclusiveStartKey: first.LastEvaluatedKey });
+    expect(second.Items.map((i) => i.pk)).toEqual(['COURSE#3']);
+    expect(second.LastEvaluatedKey).toBeUndefined();
+  });
+
+  test('pages resume after the start key even when that item was deleted in between', async () => {
+    await putAll([
+      { pk: 'PARENT#1', sk: 'CHILD#a', entityType: 'child' },
+      { pk: 'PARENT#1', sk: 'CHILD#b', entityType: 'child' },
+      { pk: 'PARENT#1', sk: 'CHILD#c', entityType: 'child' },
+      { pk: 'PARENT#1', sk: 'CHILD#d', entityType: 'child' }
+    ]);
+    const params = {
+      TableName: TABLE,
+      KeyConditionExpression: 'pk = :pk',
+      ExpressionAttributeValues: { ':pk': 'PARENT#1' },
+      Limit: 2
+    };
+
+    const first = await db.commands.query(params);
+    await db.commands.delete({ TableName: TABLE, Key: first.LastEvaluatedKey });
+    const second = await db.commands.query({ ...params, ExclusiveStartKey: first.LastEvaluatedKey });
+    const backwards = await db.commands.query({ ...params, ScanIndexForward: false, ExclusiveStartKey: first.LastEvaluatedKey });
+    const scanned = await db.commands.scan({ TableName: TABLE, ExclusiveStartKey: first.LastEvaluatedKey });
+
+    expect(second.Items.map((i) => i.sk)).toEqual(['CHILD#c', 'CHILD#d']);
+    expect(backwards.Items.map((i) => i.sk)).toEqual(['CHILD#a']);
+    expect(scanned.Items.map((i) => i.sk)).toEqual(['CHILD#c', 'CHILD#d']);
+  });
+
+  test('sparse GSIs only contain items that carry the index attribute', async () => {
+    await putAll([
+      { pk: 'PARENT#1', sk: 'PARENT#1', entityType: 'parent', email: 'a@example.com' },
+      { pk: 'PARENT#2', sk: 'PARENT#2', entityType: 'parent' }
+    ]);
+
+    const { Items } = await db.commands.scan({ TableName: TABLE, IndexName: 'email-index' });
+    expect(Items).toHaveLength(1);
+  });
+
+  test('update applies SET expressions and returns ALL_NEW', async () => {
+    await db.commands.put({ TableName: TABLE, Item: { pk: 'Q#1', sk: 'Q#1', usageCount: 1, tags: ['x'] } });
+
+    const { Attributes } = await db.commands.update({
+      TableName: TABLE,
+      Key: { pk: 'Q#1', sk: 'Q#1' },
+      UpdateExpression: 'SET #count = #count + :one, #tags = list_append(#tags, :tags), #seen = if_not_exists(#seen, :now)',
+      ExpressionAttributeNames: { '#count': 'usageCount', '#tags': 'tags', '#seen': 'firstSeenAt' },
+      ExpressionAttributeValues: { ':one': 1, ':tags': ['y'], ':now': '2024-01-01' },
+      ReturnValues: 'ALL_NEW'
+    });
+
+    expect(Attributes).toMatchObject({ usageCount: 2, tags: ['x', 'y'], firstSeenAt: '2024-01-01' });
+  });
+
+  test('update applies numeric ADD, starting missing attributes from zero', async () => {
+    await putAll([{ pk: 'C#1', sk: 'C#1', enrollmentCount: 4 }]);
+
+    const { Attributes } = await db.commands.update({
+      TableName: TABLE,
+      Key: { pk: 'C#1', sk: 'C#1' },
+      UpdateExpression: 'SET #at = :at ADD #enrolled :minusOne, #wishlist :one',
+      ExpressionAttributeNames: { '#at': 'updatedAt', '#enrolled': 'enrollmentCount', '#wishlist': 'wishlistCount' },
+      ExpressionAttributeValues: { ':at': '2024-01-01', ':minusOne': -1, ':one': 1 },
+      ReturnValues: 'ALL_NEW'
+    });
+
+    expect(Attributes).toMatchObject({ enrollmentCount: 3, wishlistCount: 1, updatedAt: '2024-01-01' });
+  });
+
+  test('ConditionExpression failures raise ConditionalCheckFailedException', async () => {
+    const put = { TableName: TABLE, Item: { pk: 'P#1', sk: 'P#1' }, ConditionExpression: 'attribute_not_exists(pk)' };
+    await db.commands.put(put);
+
+    await expect(db.commands.put(put)).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+  });
+
+  test('unused or undefined placeholders are rejected like DynamoDB', async () => {
+    await expect(
+      db.commands.scan({
+        TableName: TABLE,
+        FilterExpression: '#a = :a',
+        ExpressionAttributeNames: { '#a': 'a' },
+        ExpressionAttributeValues: { ':a': 1, ':unused': 2 }
+      })
+    ).rejects.toMatchObject({ name: 'ValidationException' });
+
+    await expect(
+      db.commands.scan({ TableName: TABLE, FilterExpression: '#missing = :a', ExpressionAttributeValues: { ':a': 1 } })
+    ).rejects.toMatchObject({ name: 'ValidationException' });
+  });
+
+  test('transactWrite is all-or-nothing and reports CancellationReasons', async () => {
+    await db.commands.put({ TableName: TABLE, Item: { pk: 'A#1', sk: 'A#1', count: 1 } });
+
+    const error = await db.commands
+      .transactWrite({
+        TransactItems: [
+          {
+            Update: {
+              TableName: TABLE,
+              Key: { pk: 'A#1', sk: 'A#1' },
+              UpdateExpression: 'SET #count = #count + :one',
+              ExpressionAttributeNames: { '#count': 'count' },
+              ExpressionAttributeValues: { ':one': 1 }
+            }
+          },
+          { Put: { TableName: TABLE, Item: { pk: 'A#1', sk: 'A#2' } } },
+          {
+            ConditionCheck: {
+              TableName: TABLE,
+              Key: { pk: 'B#1', sk: 'B#1' },
+              ConditionExpression: 'attribute_exists(pk)'
+            }
+          }
+        ]
+      })
+      .catch((err) => err);
+
+    expect(error.name).toBe('TransactionCanceledException');
+    expect(error.CancellationReasons.map((r) => r.Code)).toEqual(['None', 'None', 'ConditionalCheckFailed']);
+    expect(db.dump(TABLE)).toEqual([{ pk: 'A#1', sk: 'A#1', count: 1 }]);
+
+    await expect(
+      db.commands.transactWrite({
+        TransactItems: [
+          { Delete: { TableName: TABLE, Key: { pk: 'A#1', sk: 'A#1' } } },
+          { Delete: { TableName: TABLE, Key: { pk: 'A#1', sk: 'A#1' } } }
+        ]
+      })
+    ).rejects.toMatchObject({ name: 'ValidationException' });
+  });
+
+  test('batchGet returns found items and honours batchGetLimit', async () => {
+    const limited = createInMemoryDynamo({ batchGetLimit: 2 });
+    const keys = ['1', '2', '3'].map((id) => ({ pk: `C#${id}`, sk: `C#${id}` }));
+    await Promise.all(keys.slice(0, 2).map((Item) => limited.commands.put({ TableName: TABLE, Item })));
+
+    const result = await limited.commands.batchGet({ RequestItems: { [TABLE]: { Keys: keys } } });
+
+    expect(result.Responses[TABLE]).toHaveLength(2);
+    expect(result.UnprocessedKeys[TABLE].Keys).toEqual([keys[2]]);
+    await expect(
+      db.commands.batchGet({ RequestItems: { [TABLE]: { Keys: [keys[0], keys[0]] } } })
+    ).rejects.toMatchObject({ name: 'ValidationException' });
+  });
+
+  test('pageSize option caps unbounded pages to mimic the 1 MB limit', async () => {
+    const paged = createInMemoryDynamo({ pageSize: 2 });
+    await Promise.all(
+      [1, 2, 3].map((n) => paged.commands.put({ TableName: TABLE, Item: { pk: `I#${n}`, sk: `I#${n}` } }))
+    );
+
+    const first = await paged.commands.scan({ TableName: TABLE });
+    expect(first.Items).toHaveLength(2);
+    expect(first.LastEvaluatedKey).toBeDefined();
+  });
+});
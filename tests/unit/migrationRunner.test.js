@@ -0,0 +1,158 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const migrationService = require('../../src/services/migrationService');
+const { buildParentKeys, buildOtpKeys } = require('../../src/repositories/keyFactory');
+const { hashToken } = require('../../src/services/refreshTokenService');
+
+const item = (id) => inMemoryDynamo.dump(tableName).find((entry) => entry.id === id);
+const ported = (id) => migrationService.loadMigrations().find((migration) => migration.id === id);
+
+const seedParents = (count) =>
+  inMemoryDynamo.seed(
+    tableName,
+    Array.from({ length: count }, (_, i) => ({ ...buildParentKeys(`p${i}`), id: `p${i}`, name: `Parent ${i}`, version: 1 }))
+  );
+
+describe('migrationService', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('applies pending migrations once and records them as MIGRATION# items', async () => {
+    seedParents(3);
+    const migrations = [ported('0001_parents_v2')];
+
+    const [result] = await migrationService.migrate({ migrations, batchSize: 2 });
+
+    expect(result.stats).toEqual({ examined: 3, changed: 3 });
+    expect(item('p2')).toMatchObject({ economicStatus: null, version: 2 });
+    expect(item('0001_parents_v2')).toMatchObject({
+      pk: 'MIGRATION#0001_parents_v2',
+      entityType: 'migration',
+      status: 'applied'
+    });
+    expect(item('0001_parents_v2').resumeKey).toBeUndefined();
+
+    expect(await migrationService.migrate({ migrations })).toEqual([]);
+  });
+
+  test('a dry run reports changes without writing anything', async () => {
+    seedParents(2);
+    const before = inMemoryDynamo.dump(tableName);
+
+    const [result] = await migrationService.migrate({ migrations: [ported('0001_parents_v2')], dryRun: true });
+
+    expect(result).toMatchObject({ dryRun: true, stats: { examined: 2, changed: 2 } });
+    expect(inMemoryDynamo.dump(tableName)).toEqual(before);
+  });
+
+  test('resumes a failed run from the last completed batch', async () => {
+    seedParents(5);
+    let failOnce = true;
+    const migration = {
+      id: '0100_default_city',
+      entityType: 'parent',
+      up: (parent) => {
+        if (parent.id === 'p3' && failOnce) {
+          failOnce = false;
+          throw new Error('boom');
+        }
+        return parent.city ? null : { set: { city: 'Pune' } };
+      }
+    };
+
+    await expect(migrationService.migrate({ migrations: [migration], batchSize: 2 })).rejects.toThrow('boom');
+    expect(item('0100_default_city')).toMatchObject({ status: 'failed', error: 'boom' });
+    expect(item('0100_default_city').resumeKey).toBeDefined();
+    expect(item('p4').city).toBeUndefined();
+
+    const [result] = await migrationService.migrate({ migrations: [migration], batchSize: 2 });
+
+    expect(result.resumed).toBe(true);
+    // Stats add up across attempts: 4 reads before the failure, then p2-p4 again; p0 and p1 are not re-read
+    expect(result.stats.examined).toBe(7);
+    expect(inMemoryDynamo.dump(tableName).filter((entry) => entry.city)).toHaveLength(5);
+    expect(item('0100_default_city').status).toBe('applied');
+  });
+
+  test('moves OTPs keyed on a legacy contact to their consolidated partition', async () => {
+    inMemoryDynamo.seed(tableName, [
+      {
+        ...buildOtpKeys('Legacy@Example.com', 'o1'),
+        id: 'o1',
+        email: 'Legacy@Example.com',
+        type: 'email',
+        purpose: 'registration',
+        otp: '123456',
+        expiresAt: '2030-01-01T00:00:00.000Z'
+      }
+    ]);
+
+    await migrationService.migrate({ migrations: [ported('0004_otps_v2')] });
+
+    expect(item('o1')).toMatchObject({
+      pk: 'OTP#legacy@example.com',
+      contact: 'legacy@example.com',
+      contactType: 'email',
+      purpose: 'signup',
+      attempts: 0,
+      verified: false,
+      otp: '123456'
+    });
+    expect(item('o1').email).toBeUndefined();
+    expect(item('o1').type).toBeUndefined();
+  });
+
+  test('hashes stored refresh tokens into families and drops expired ones', async () => {
+    inMemoryDynamo.seed(tableName, [{
+      ...buildParentKeys('p0'),
+      id: 'p0',
+      name: 'Parent 0',
+      version: 1,
+      refreshTokens: [
+        { token: 'live.refresh.jwt', expiresAt: '2999-01-01T00:00:00.000Z' },
+        { token: 'old.refresh.jwt', expiresAt: '2020-01-01T00:00:00.000Z' }
+      ]
+    }]);
+
+    const [result] = await migrationService.migrate({ migrations: [ported('0008_parents_hashed_refresh_tokens')] });
+
+    expect(result.stats).toEqual({ examined: 1, changed: 1, tokensHashed: 1, tokensExpired: 1 });
+    expect(item('p0').refreshTokens).toEqual([{
+      familyId: expect.any(String),
+      tokenHash: hashToken('live.refresh.jwt'),
+      expiresAt: '2999-01-01T00:00:00.000Z'
+    }]);
+    expect(JSON.stringify(item('p0'))).not.toContain('live.refresh.jwt');
+  });
+
+  test('normalises parent phone numbers to E.164 and counts the ones it cannot', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildParentKeys('p0'), id: 'p0', name: 'Parent 0', version: 1, phoneNumber: '098765 43210' },
+      { ...buildParentKeys('p1'), id: 'p1', name: 'Parent 1', version: 1, phoneNumber: '+14155550123' },
+      { ...buildParentKeys('p2'), id: 'p2', name: 'Parent 2', version: 1, phoneNumber: 'call me' },
+      { ...buildParentKeys('p3'), id: 'p3', name: 'Parent 3', version: 1 }
+    ]);
+
+    const [result] = await migrationService.migrate({ migrations: [ported('0009_parents_e164_phone_numbers')] });
+
+    expect(result.stats).toEqual({ examined: 4, changed: 1, phonesNormalized: 1, phonesInvalid: 1 });
+    expect(item('p0').phoneNumber).toBe('+919876543210');
+    expect(item('p1').phoneNumber).toBe('+14155550123');
+    expect(item('p2').phoneNumber).toBe('call me');
+  });
+
+  test('rolls back the latest migration and refuses irreversible ones', async () => {
+    seedParents(1);
+    const migrations = [ported('0001_parents_v2'), ported('0004_otps_v2')];
+    await migrationService.migrate({ migrations });
+
+    await expect(migrationService.rollback({ migrations })).rejects.toMatchObject({ code: 'MIGRATION_IRREVERSIBLE' });
+
+    const [result] = await migrationService.rollback({ migrations: [migrations[0]] });
+
+    expect(result).toMatchObject({ id: '0001_parents_v2', direction: 'down', stats: { changed: 1 } });
+    expect(item('p0')).not.toHaveProperty('economicStatus');
+    expect((await migrationService.status({ migrations }))[0].status).toBe('rolled_back');
+  });
+});
@@ -0,0 +1,127 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const dynamoRepository = require('../../src/repositories/dynamoRepository');
+const courseProgressRepository = require('../../src/repositories/courseProgressRepository');
+const parentRepository = require('../../src/repositories/parentRepository');
+
+describe('Optimistic concurrency', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('createItem starts at version 1 and updateItem bumps it', async () => {
+    await dynamoRepository.createItem(tableName, { pk: 'ITEM#1', sk: 'ITEM#1', name: 'a' });
+
+    const updated = await dynamoRepository.updateItem(tableName, 'ITEM#1', 'ITEM#1', { name: 'b' }, {
+      expectedVersion: 1
+    });
+
+    expect(updated.version).toBe(2);
+    expect(updated.name).toBe('b');
+  });
+
+  test('stale writes fail with CONCURRENT_MODIFICATION', async () => {
+    await dynamoRepository.createItem(tableName, { pk: 'ITEM#1', sk: 'ITEM#1', name: 'a' });
+    await dynamoRepository.updateItem(tableName, 'ITEM#1', 'ITEM#1', { name: 'b' });
+
+    await expect(
+      dynamoRepository.updateItem(tableName, 'ITEM#1', 'ITEM#1', { name: 'c' }, { expectedVersion: 1 })
+    ).rejects.toMatchObject({ code: 'CONCURRENT_MODIFICATION', statusCode: 409 });
+
+    await expect(
+      dynamoRepository.putItem(tableName, { pk: 'ITEM#1', sk: 'ITEM#1', name: 'c' }, { expectedVersion: 1 })
+    ).rejects.toMatchObject({ code: 'CONCURRENT_MODIFICATION' });
+  });
+
+  test('a stale version fails with CONCURRENT_MODIFICATION even next to a condition', async () => {
+    await dynamoRepository.createItem(tableName, { pk: 'ITEM#1', sk: 'ITEM#1', name: 'a', open: true });
+    await dynamoRepository.updateItem(tableName, 'ITEM#1', 'ITEM#1', { name: 'b' });
+    const isOpen = { expression: '#open = :open', names: { '#open': 'open' }, values: { ':open': true } };
+
+    await expect(
+      dynamoRepository.updateItem(tableName, 'ITEM#1', 'ITEM#1', { name: 'c' }, { expectedVersion: 1, condition: isOpen })
+    ).rejects.toMatchObject({ code: 'CONCURRENT_MODIFICATION' });
+
+    await dynamoRepository.updateItem(tableName, 'ITEM#1', 'ITEM#1', { open: false });
+    expect(
+      await dynamoRepository.updateItem(tableName, 'ITEM#1', 'ITEM#1', { name: 'c' }, { expectedVersion: 3, condition: isOpen })
+    ).toBeNull();
+  });
+
+  test('items written before versioning are treated as version 0', async () => {
+    inMemoryDynamo.seed(tableName, [{ pk: 'ITEM#1', sk: 'ITEM#1', name: 'legacy' }]);
+
+    const legacy = await dynamoRepository.getItem(tableName, 'ITEM#1', 'ITEM#1');
+    const saved = await dynamoRepository.putItem(tableName, { ...legacy, name: 'new' }, {
+      expectedVersion: dynamoRepository.versionOf(legacy)
+    });
+
+    expect(saved.version).toBe(1);
+  });
+
+  test('withOptimisticRetry re-runs conflicting operations and gives up after the retry budget', async () => {
+    const conflict = Object.assign(new Error('conflict'), { code: 'CONCURRENT_MODIFICATION' });
+    const flaky = jest.fn().mockRejectedValueOnce(conflict).mockResolvedValueOnce('done');
+
+    await expect(dynamoRepository.withOptimisticRetry(flaky)).resolves.toBe('done');
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    const alwaysConflicting = jest.fn().mockRejectedValue(conflict);
+    await expect(dynamoRepository.withOptimisticRetry(alwaysConflicting, { retries: 2 })).rejects.toBe(conflict);
+    expect(alwaysConflicting).toHaveBeenCalledTimes(3);
+  });
+
+  test('concurrent video progress updates do not drop each other', async () => {
+    const progress = await courseProgressRepository.getOrCreateProgress('user-1', 'course-1');
+    await courseProgressRepository.updateCourseProgress('user-1', 'course-1', {
+      sections: [
+        {
+          sectionId: 's1',
+          videos: [{ videoId: 'v1' }, { videoId: 'v2' }]
+        }
+      ]
+    });
+
+    await Promise.all([
+      courseProgressRepository.updateVideoProgress('user-1', 'course-1', 's1', 'v1', 30, 60),
+      courseProgressRepository.updateVideoProgress('user-1', 'course-1', 's1', 'v2', 45, 90)
+    ]);
+
+    const stored = await courseProgressRepository.getUserCourseProgress('user-1', 'course-1');
+    expect(stored.id).toBe(progress.id);
+    expect(stored.sections[0].videos).toEqual([
+      { videoId: 'v1', watchedDuration: 30, totalDuration: 60 },
+      { videoId: 'v2', watchedDuration: 45, totalDuration: 90 }
+    ]);
+  });
+
+  test('concurrent parent modifications keep every refresh token', async () => {
+    const parent = await parentRepository.createParent({ name: 'Race', email: 'race@example.com', password: 'password123' });
+
+    await Promise.all(
+      ['t1', 't2', 't3'].map((tokenHash) =>
+        parentRepository.modifyParent(parent.id, (current) => {
+          current.refreshTokens = [
+            ...(current.refreshTokens || []),
+            { familyId: `family-${tokenHash}`, tokenHash, expiresAt: '2030-01-01T00:00:00.000Z' }
+          ];
+        })
+      )
+    );
+
+    const stored = await parentRepository.getParent(parent.id);
+    expect(stored.refreshTokens.map((t) => t.tokenHash).sort()).toEqual(['t1', 't2', 't3']);
+  });
+
+  test('save() hashes a changed password and persists reassigned fields', async () => {
+    const parent = await parentRepository.createParent({ name: 'Save', email: 'save@example.com', password: 'password123' });
+
+    parent.password = 'new-password-456';
+    parent.lastLogin = '2024-01-01T00:00:00.000Z';
+    const saved = await parent.save();
+
+    expect(saved.lastLogin).toBe('2024-01-01T00:00:00.000Z');
+    expect(saved.password).not.toBe('new-password-456');
+    await expect(saved.comparePassword('new-password-456')).resolves.toBe(true);
+  });
+});
@@ -1,7 +1,15 @@
-jest.mock('../../src/repositories/dynamoRepository', () => ({
-  createItem: jest.fn(async (table, item) => item),
-  queryByEmail: jest.fn(async () => ({ items: [] }))
-}));
+jest.mock('../../src/repositories/dynamoRepository', () => {
+  const written = new Map();
+  return {
+    ITEM_NOT_EXISTS: { expression: 'attribute_not_exists(pk)' },
+    transactWrite: jest.fn(async (table, operations) => {
+      operations.forEach(({ put }) => written.set(`${put.item.pk}|${put.item.sk}`, put.item));
+      return true;
+    }),
+    getItem: jest.fn(async (table, pk, sk) => written.get(`${pk}|${sk}`) || null),
+    queryByEmail: jest.fn(async () => ({ items: [] }))
+  };
+});
 
 jest.mock('bcryptjs', () => ({
   hash: jest.fn(async () => 'hashed-password'),
@@ -22,7 +30,11 @@ describe('parentRepository single-table keys', () => {
       password: 'password123'
     });
 
-    expect(dynamoRepository.createItem).toHaveBeenCalledTimes(1);
+    expect(dynamoRepository.transactWrite).toHaveBeenCalledTimes(1);
+    expect(dynamoRepository.transactWrite.mock.calls[0][1][1].put.item).toMatchObject({
+      type: 'parent.registered',
+      aggregateId: parent.id
+    });
     expect(parent.pk).toBe(`PARENT#${parent.id}`);
     expect(parent.sk).toBe(`PARENT#${parent.id}`);
     expect(parent.entityType).toBe('parent');
@@ -271,7 +271,7 @@ describe('Parent Service - Unit Tests', () => {
       const result = await parentService.deleteParent('507f1f77bcf86cd799439011');
 
       expect(result).toBe(true);
-      expect(parentRepository.deleteParent).toHaveBeenCalledWith('507f1f77bcf86cd799439011');
+      expect(parentRepository.deleteParent).toHaveBeenCalledWith('507f1f77bcf86cd799439011', { deletedBy: null });
     });
 
     /**
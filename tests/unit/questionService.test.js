@@ -294,7 +294,7 @@ describe('Question Service - Unit Tests', () => {
       const result = await questionService.deleteQuestion('507f1f77bcf86cd799439011');
 
       expect(result).toBe(true);
-      expect(questionRepository.deleteQuestion).toHaveBeenCalledWith('507f1f77bcf86cd799439011');
+      expect(questionRepository.deleteQuestion).toHaveBeenCalledWith('507f1f77bcf86cd799439011', { deletedBy: undefined });
     });
 
     /**
@@ -0,0 +1,138 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const cache = require('../../src/cache');
+const { createMemoryCache } = require('../../src/cache/memoryCache');
+const { createRedisCache } = require('../../src/cache/redisCache');
+const courseRepository = require('../../src/repositories/courseRepository');
+const courseProgressRepository = require('../../src/repositories/courseProgressRepository');
+const questionRepository = require('../../src/repositories/questionRepository');
+const dynamoRepository = require('../../src/repositories/dynamoRepository');
+const { buildCourseKeys, buildQuestionKeys } = require('../../src/repositories/keyFactory');
+
+// Minimal node-redis v4 style client over a Map
+const fakeRedisClient = () => {
+  const store = new Map();
+  return {
+    store,
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    set: async (key, value) => {
+      store.set(key, value);
+    },
+    del: async (keys) => keys.filter((key) => store.delete(key)).length,
+    scanIterator: async function* scanIterator({ MATCH }) {
+      const prefix = MATCH.replace(/\*$/, '');
+      yield* [...store.keys()].filter((key) => key.startsWith(prefix));
+    }
+  };
+};
+
+describe('read-through cache', () => {
+  beforeEach(async () => {
+    inMemoryDynamo.reset();
+    cache.useAdapter(createMemoryCache({ maxEntries: 50 }));
+    await cache.reset();
+  });
+
+  afterAll(() => {
+    cache.useAdapter(null);
+  });
+
+  test('the LRU evicts the least recently used entry and expires entries after their TTL', async () => {
+    let clock = 0;
+    const lru = createMemoryCache({ maxEntries: 2, now: () => clock });
+
+    await lru.set('a', '1', 10);
+    await lru.set('b', '2', 10);
+    await lru.get('a');
+    await lru.set('c', '3', 10);
+
+    expect(await lru.get('b')).toBeNull();
+    expect(await lru.get('a')).toBe('1');
+
+    clock = 10000;
+    expect(await lru.get('a')).toBeNull();
+    expect(lru.describe()).toMatchObject({ driver: 'memory', entries: 1 });
+  });
+
+  test('serves repeated catalog reads from the cache and counts hits and misses', async () => {
+    inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys('c1'), id: 'c1', title: 'Course one', isPublished: true }]);
+    const query = jest.spyOn(dynamoRepository, 'queryAllByEntityType');
+
+    const first = await courseRepository.getCourses();
+    first.data[0].title = 'Mutated by a caller';
+    const second = await courseRepository.getCourses();
+
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(second.data[0].title).toBe('Course one');
+    expect(cache.stats().namespaces.courses).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+    query.mockRestore();
+  });
+
+  test('a miss returns a copy too, never the loader\'s own object', async () => {
+    const loaded = { id: 'c1', createdAt: new Date('2026-01-01T00:00:00.000Z') };
+
+    const first = await cache.readThrough('courses', 'copy', async () => loaded);
+    const second = await cache.readThrough('courses', 'copy', async () => loaded);
+
+    expect(first).not.toBe(loaded);
+    expect(first).toEqual(second);
+    expect(first.createdAt).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  test('counter updates drop cached course reads', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildCourseKeys('c1'), id: 'c1', title: 'Course one', enrollmentCount: 0, reviewCount: 0, version: 1 }
+    ]);
+    await courseRepository.getCourses();
+
+    await courseRepository.adjustCounters('c1', { reviewCount: 1 });
+    await courseProgressRepository.enrollUser('u1', 'c1');
+
+    const { data } = await courseRepository.getCourses();
+    expect(data[0]).toMatchObject({ enrollmentCount: 1, reviewCount: 1 });
+  });
+
+  test('writes through the repository invalidate their namespace only', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildCourseKeys('c1'), id: 'c1', title: 'Course one', version: 1 },
+      { ...buildQuestionKeys('q1'), id: 'q1', category: 'sleep', version: 1 }
+    ]);
+    await courseRepository.getCourses();
+    await questionRepository.getQuestionsByCategory('sleep');
+
+    await courseRepository.updateCourse('c1', { title: 'Course renamed' });
+
+    const { data } = await courseRepository.getCourses();
+    expect(data[0].title).toBe('Course renamed');
+    await questionRepository.getQuestionsByCategory('sleep');
+    expect(cache.stats().namespaces).toMatchObject({
+      courses: { misses: 2, invalidations: 1 },
+      questions: { hits: 1, misses: 1, invalidations: 0 }
+    });
+  });
+
+  test('falls back to the loader when the backend fails', async () => {
+    cache.useAdapter({
+      get: async () => {
+        throw new Error('connection lost');
+      },
+      describe: () => ({ driver: 'broken' })
+    });
+
+    await expect(cache.readThrough('courses', 'k', async () => 'fresh')).resolves.toBe('fresh');
+    expect(cache.stats()).toMatchObject({ driver: 'broken', namespaces: { courses: { errors: 1 } } });
+  });
+
+  test('the Redis adapter prefixes keys, sets a TTL and invalidates by scanning', async () => {
+    const client = fakeRedisClient();
+    const set = jest.spyOn(client, 'set');
+    cache.useAdapter(createRedisCache(client, { keyPrefix: 'test:' }));
+
+    await cache.readThrough('questions', 'all', async () => [{ id: 'q1' }], { ttlSeconds: 30 });
+    await cache.readThrough('courses', 'all', async () => []);
+
+    expect(set).toHaveBeenCalledWith('test:questions:all', '[{"id":"q1"}]', { EX: 30 });
+    expect(await cache.invalidate('questions')).toBe(1);
+    expect([...client.store.keys()]).toEqual(['test:courses:all']);
+  });
+});
@@ -0,0 +1,139 @@
+const { createResilientCommands } = require('../../src/db/resilientCommands');
+const commandMetrics = require('../../src/db/commandMetrics');
+const { handle } = require('../../src/middleware/errorHandler');
+
+const awsError = (name, extra = {}) => Object.assign(new Error(name), { name, ...extra });
+
+// Fails with the given errors in turn, then succeeds
+const failingThen = (errors, result = { Item: { id: 'x' } }) => {
+  const queue = [...errors];
+  return jest.fn(async () => {
+    if (queue.length) throw queue.shift();
+    return result;
+  });
+};
+
+const build = (commands, options = {}) => {
+  let clock = 0;
+  const sleep = jest.fn(async (ms) => {
+    clock += ms;
+  });
+  const resilient = createResilientCommands(commands, {
+    sleep,
+    random: () => 1,
+    now: () => clock,
+    ...options
+  });
+  return { ...resilient, sleep, advance: (ms) => (clock += ms) };
+};
+
+describe('resilient DynamoDB commands', () => {
+  beforeEach(() => {
+    commandMetrics.reset();
+  });
+
+  test('retries throttled reads with capped exponential backoff', async () => {
+    const get = failingThen([awsError('ProvisionedThroughputExceededException'), awsError('ThrottlingException')]);
+    const { commands, sleep } = build({ get }, { baseDelayMs: 100, maxDelayMs: 300 });
+
+    const result = await commands.get({ Key: { pk: 'A', sk: 'B' } });
+
+    expect(result.Item.id).toBe('x');
+    expect(get).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([200, 300]);
+    expect(get.mock.calls[0][0]).toMatchObject({ ReturnConsumedCapacity: 'TOTAL' });
+    expect(commandMetrics.snapshot()[0]).toMatchObject({ command: 'get', calls: 1, retries: 2, throttles: 2, errors: 0 });
+  });
+
+  test('does not resend updates and conditional puts after a network error', async () => {
+    const update = failingThen([awsError('TimeoutError')]);
+    const put = failingThen([awsError('TimeoutError'), awsError('TimeoutError')]);
+    const { commands } = build({ update, put });
+
+    await expect(commands.update({ UpdateExpression: 'ADD #n :one' })).rejects.toMatchObject({ name: 'TimeoutError' });
+    await expect(commands.put({ ConditionExpression: 'attribute_not_exists(pk)' })).rejects.toMatchObject({
+      name: 'TimeoutError'
+    });
+    await commands.put({ Item: { pk: 'A', sk: 'B' } });
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(put).toHaveBeenCalledTimes(3);
+  });
+
+  test('sends one ClientRequestToken for every attempt of a transaction', async () => {
+    const transactWrite = failingThen([awsError('InternalServerError')], {});
+    const { commands } = build({ transactWrite });
+
+    await commands.transactWrite({ TransactItems: [] });
+
+    const [first, second] = transactWrite.mock.calls.map(([params]) => params.ClientRequestToken);
+    expect(first).toEqual(expect.any(String));
+    expect(second).toBe(first);
+  });
+
+  test('opens the breaker after repeated failures and closes it after a healthy trial', async () => {
+    const get = jest.fn(async () => {
+      throw awsError('ServiceUnavailableException');
+    });
+    const { commands, breakerState, advance } = build({ get }, { maxAttempts: 1, failureThreshold: 2, cooldownMs: 5000 });
+
+    await expect(commands.get({})).rejects.toMatchObject({ name: 'ServiceUnavailableException' });
+    await expect(commands.get({})).rejects.toMatchObject({ name: 'ServiceUnavailableException' });
+    await expect(commands.get({})).rejects.toMatchObject({
+      statusCode: 503,
+      code: 'DATABASE_UNAVAILABLE',
+      retryAfterSeconds: 5
+    });
+    expect(get).toHaveBeenCalledTimes(2);
+    expect(breakerState().state).toBe('open');
+
+    get.mockResolvedValueOnce({ Item: null });
+    advance(5000);
+    await commands.get({});
+
+    expect(breakerState()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+
+  test('does not count conditional check failures against the breaker', async () => {
+    const put = jest.fn(async () => {
+      throw awsError('ConditionalCheckFailedException');
+    });
+    const { commands, breakerState } = build({ put }, { failureThreshold: 1 });
+
+    await expect(commands.put({ ConditionExpression: 'version = :v' })).rejects.toMatchObject({
+      name: 'ConditionalCheckFailedException'
+    });
+
+    expect(put).toHaveBeenCalledTimes(1);
+    expect(breakerState().state).toBe('closed');
+  });
+
+  test('attributes latency and consumed capacity to the instrumented repository method', async () => {
+    const query = jest.fn(async () => ({ Items: [], ConsumedCapacity: [{ CapacityUnits: 1.5 }, { CapacityUnits: 1 }] }));
+    const { commands } = build({ query });
+    const repository = commandMetrics.instrumentRepository('sampleRepository', {
+      listAll: async () => {
+        await commands.query({});
+        await commands.query({});
+      }
+    });
+
+    await repository.listAll();
+    await commands.query({});
+
+    const operations = commandMetrics.snapshot({ sortBy: 'capacityUnits' });
+    expect(operations[0]).toMatchObject({ operation: 'sampleRepository.listAll', command: 'query', calls: 2, capacityUnits: 5 });
+    expect(operations[1]).toMatchObject({ operation: commandMetrics.UNATTRIBUTED, calls: 1 });
+  });
+
+  test('error handler answers throttling with 503 and Retry-After', () => {
+    const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const req = { originalUrl: '/api/v1/courses', method: 'GET', ip: '127.0.0.1', get: () => 'jest' };
+
+    handle(awsError('ProvisionedThroughputExceededException'), req, res, () => {});
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '1');
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: false, code: 'DATABASE_THROTTLED' });
+  });
+});
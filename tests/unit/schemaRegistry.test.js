@@ -0,0 +1,97 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const dynamoRepository = require('../../src/repositories/dynamoRepository');
+const schemaRegistry = require('../../src/db/schemaRegistry');
+const { buildParentKeys, buildChildKeys, buildQuestionKeys } = require('../../src/repositories/keyFactory');
+
+const parentItem = (overrides = {}) => ({
+  ...buildParentKeys('p1'),
+  id: 'p1',
+  name: 'Asha',
+  email: 'asha@example.com',
+  password: 'hashed-password',
+  ...overrides
+});
+
+describe('schema registry', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('rejects items that break their entity schema and writes nothing', async () => {
+    const write = dynamoRepository.createItem(
+      tableName,
+      parentItem({ name: undefined, email: undefined, economicStatus: 'Rich' })
+    );
+
+    await expect(write).rejects.toBeInstanceOf(schemaRegistry.SchemaValidationError);
+    await expect(write).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'SCHEMA_VALIDATION_FAILED',
+      entityType: 'parent',
+      details: [
+        { field: 'name', message: 'is required' },
+        { field: '(item)', message: 'needs one of email, phoneNumber' },
+        { field: 'economicStatus', message: 'must be one of Lower Income, Middle Income, Upper Income' }
+      ]
+    });
+    expect(inMemoryDynamo.dump(tableName)).toEqual([]);
+  });
+
+  test('strips unknown attributes by default and rejects them when configured to', async () => {
+    const created = await dynamoRepository.createItem(tableName, parentItem({ _id: 'p1', nickname: 'A' }));
+
+    expect(created).not.toHaveProperty('nickname');
+    expect(created).not.toHaveProperty('_id');
+    expect(created).toMatchObject({ id: 'p1', version: 1 });
+
+    expect(() => schemaRegistry.prepareItem(parentItem({ nickname: 'A' }), { unknownAttributes: 'reject' })).toThrow(
+      expect.objectContaining({ details: [{ field: 'nickname', message: 'is not allowed' }] })
+    );
+  });
+
+  test('checks only the attributes an update touches', async () => {
+    inMemoryDynamo.seed(tableName, [
+      { ...buildChildKeys('p1', 'k1'), id: 'k1', parentId: 'p1', name: 'Kid', age: 6, version: 1 }
+    ]);
+
+    const updated = await dynamoRepository.updateItem(tableName, 'PARENT#p1', 'CHILD#k1', { grade: '2' });
+    expect(updated).toMatchObject({ grade: '2', version: 2 });
+
+    await expect(
+      dynamoRepository.updateItem(tableName, 'PARENT#p1', 'CHILD#k1', { age: 30 })
+    ).rejects.toMatchObject({ details: [{ field: 'age', message: 'must be at most 18' }] });
+    await expect(
+      dynamoRepository.updateItem(tableName, 'PARENT#p1', 'CHILD#k1', {}, { remove: ['name'] })
+    ).rejects.toMatchObject({ details: [{ field: 'name', message: 'is required' }] });
+  });
+
+  test('validates transaction puts and leaves unregistered entity types alone', async () => {
+    await expect(
+      dynamoRepository.transactWrite(tableName, [
+        { put: { item: { ...buildChildKeys('p1', 'k1'), id: 'k1', parentId: 'p1', name: 'Kid', age: 'six' } } }
+      ])
+    ).rejects.toMatchObject({ details: [{ field: 'age', message: 'must be of type int' }] });
+
+    await dynamoRepository.transactWrite(tableName, [
+      { put: { item: { ...buildQuestionKeys('q1'), id: 'q1', anything: { goes: true } } } }
+    ]);
+    expect(inMemoryDynamo.dump(tableName)).toEqual([expect.objectContaining({ id: 'q1', anything: { goes: true } })]);
+  });
+
+  test('nested rules apply to array items', () => {
+    const { violations } = schemaRegistry.checkItem(
+      parentItem({
+        refreshTokens: [
+          { familyId: 'f1', tokenHash: 'h1', expiresAt: 'not a date' },
+          { familyId: 'f2', expiresAt: '2030-01-01' }
+        ]
+      })
+    );
+
+    expect(violations).toEqual([
+      { field: 'refreshTokens.0.expiresAt', message: 'must be of type date' },
+      { field: 'refreshTokens.1.tokenHash', message: 'is required' }
+    ]);
+  });
+});
@@ -0,0 +1,129 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const parentRepository = require('../../src/repositories/parentRepository');
+const childRepository = require('../../src/repositories/childRepository');
+const courseRepository = require('../../src/repositories/courseRepository');
+const trashService = require('../../src/services/trashService');
+const {
+  buildParentKeys,
+  buildChildKeys,
+  buildChildEducationKeys,
+  buildCourseKeys
+} = require('../../src/repositories/keyFactory');
+
+const seedFamily = () =>
+  inMemoryDynamo.seed(tableName, [
+    {
+      ...buildParentKeys('p1'),
+      id: 'p1',
+      name: 'Asha',
+      email: 'asha@example.com',
+      childrenIds: ['k1', 'k2'],
+      version: 1
+    },
+    { ...buildChildKeys('p1', 'k1'), id: 'k1', parentId: 'p1', name: 'Kid 1', version: 1 },
+    { ...buildChildKeys('p1', 'k2'), id: 'k2', parentId: 'p1', name: 'Kid 2', version: 1 },
+    { ...buildChildEducationKeys('k1', 'e1'), id: 'e1', childId: 'k1', version: 1 }
+  ]);
+
+const seedCourse = (id, slug) =>
+  inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys(id), id, slug, title: `Course ${id}`, version: 1 }]);
+
+describe('soft delete', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('trashed items disappear from reads but stay in the table', async () => {
+    seedCourse('c1', 'intro');
+
+    await courseRepository.deleteCourse('c1', { deletedBy: 'admin-1' });
+
+    expect(await courseRepository.getCourse('c1')).toBeNull();
+    expect(await courseRepository.getCourseBySlug('intro')).toBeNull();
+    expect(await courseRepository.getCoursesByIds(['c1'])).toEqual([]);
+
+    const stored = inMemoryDynamo.dump(tableName).find((item) => item.id === 'c1');
+    expect(stored).toMatchObject({ deletedBy: 'admin-1' });
+    expect(stored.deletedAt).toEqual(expect.any(String));
+  });
+
+  test('parent cascade trashes the children and restore brings the same batch back', async () => {
+    seedFamily();
+    await childRepository.deleteChild('k2', { deletedBy: 'p1' });
+
+    const result = await parentRepository.deleteParentCascade('p1', { deletedBy: 'admin-1' });
+    expect(result).toEqual({ deletedChildren: 1 });
+    expect(await parentRepository.getParent('p1')).toBeNull();
+    expect(await childRepository.getChild('k1')).toBeNull();
+
+    const restored = await parentRepository.restoreParent('p1');
+
+    expect(restored.id).toBe('p1');
+    expect(await childRepository.getChild('k1')).toMatchObject({ id: 'k1' });
+    // k2 was trashed separately before the cascade and stays in the trash
+    expect(await childRepository.getChild('k2')).toBeNull();
+    expect(inMemoryDynamo.dump(tableName).find((item) => item.id === 'e1')).toBeDefined();
+  });
+
+  test('a child cannot be restored while its parent is in the trash', async () => {
+    seedFamily();
+    await parentRepository.deleteParentCascade('p1');
+
+    await expect(childRepository.restoreChild('k1')).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'PARENT_IN_TRASH'
+    });
+  });
+
+  test('restore is refused when a live item took the slug or email', async () => {
+    seedCourse('c1', 'intro');
+    await courseRepository.deleteCourse('c1');
+    seedCourse('c2', 'intro');
+
+    await expect(courseRepository.restoreCourse('c1')).rejects.toMatchObject({ code: 'SLUG_IN_USE' });
+
+    seedFamily();
+    await parentRepository.deleteParentCascade('p1');
+    inMemoryDynamo.seed(tableName, [
+      { ...buildParentKeys('p2'), id: 'p2', name: 'Other', email: 'asha@example.com', version: 1 }
+    ]);
+
+    await expect(parentRepository.restoreParent('p1')).rejects.toMatchObject({ code: 'EMAIL_IN_USE' });
+  });
+
+  test('trashService.restoreItem reports items that are not in the trash', async () => {
+    seedCourse('c1', 'intro');
+
+    await expect(trashService.restoreItem('course', 'c1')).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'NOT_IN_TRASH'
+    });
+  });
+
+  test('purgeExpired only removes items past the retention window', async () => {
+    seedFamily();
+    seedCourse('c1', 'old');
+    seedCourse('c2', 'recent');
+    await parentRepository.deleteParentCascade('p1');
+    await courseRepository.deleteCourse('c1');
+
+    const backdate = (id) => {
+      const item = inMemoryDynamo.dump(tableName).find((entry) => entry.id === id);
+      inMemoryDynamo.seed(tableName, [{ ...item, deletedAt: '2020-01-01T00:00:00.000Z' }]);
+    };
+    ['p1', 'k1', 'k2', 'c1'].forEach(backdate);
+    await courseRepository.deleteCourse('c2');
+
+    const dryRun = await trashService.purgeExpired({ retentionDays: 30, dryRun: true });
+    expect(dryRun.purged).toEqual({ parent: 1, child: 2, course: 1, question: 0 });
+    expect(inMemoryDynamo.dump(tableName)).toHaveLength(6);
+
+    const summary = await trashService.purgeExpired({ retentionDays: 30 });
+
+    // The cascade purge removes the children before the child pass runs
+    expect(summary.purged).toEqual({ parent: 1, child: 0, course: 1, question: 0 });
+    expect(summary.failed).toBe(0);
+    expect(inMemoryDynamo.dump(tableName).map((item) => item.id)).toEqual(['c2']);
+  });
+});
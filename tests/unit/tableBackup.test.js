@@ -0,0 +1,116 @@
+const { PassThrough, Readable } = require('stream');
+
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const backupService = require('../../src/services/backupService');
+const {
+  buildParentKeys,
+  buildChildKeys,
+  buildCourseKeys,
+  buildOtpKeys,
+  buildHistoryKeys
+} = require('../../src/repositories/keyFactory');
+
+const seedTable = () =>
+  inMemoryDynamo.seed(tableName, [
+    {
+      ...buildParentKeys('p1'),
+      id: 'p1',
+      name: 'Asha Rao',
+      email: 'asha@example.org',
+      phoneNumber: '+919812345678',
+      refreshTokens: [{ token: 'secret', expiresAt: '2030-01-01' }],
+      version: 3
+    },
+    { ...buildChildKeys('p1', 'k1'), id: 'k1', parentId: 'p1', name: 'Meera', age: 6, version: 1 },
+    { ...buildCourseKeys('c1'), id: 'c1', title: 'Course one', deletedAt: '2026-01-01T00:00:00.000Z' },
+    { ...buildOtpKeys('asha@example.org', 'o1'), id: 'o1', otp: '123456' },
+    {
+      ...buildHistoryKeys('PARENT#p1', '2026-01-01T00:00:00.000Z', 2),
+      targetType: 'parent',
+      targetId: 'p1',
+      changes: { email: { from: 'old@example.org', to: 'asha@example.org' } }
+    }
+  ]);
+
+const exportLines = async (options) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  const stats = await backupService.exportTable(output, options);
+  output.end();
+  const lines = Buffer.concat(chunks).toString().split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  return { stats, lines };
+};
+
+describe('table backup', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('exports every item, trashed ones included, across pages', async () => {
+    seedTable();
+
+    const { stats, lines } = await exportLines({ pageSize: 2 });
+
+    expect(stats).toMatchObject({ exported: 5, skipped: 0 });
+    expect(lines).toEqual(expect.arrayContaining(inMemoryDynamo.dump(tableName)));
+  });
+
+  test('narrows the export by entity type and partition prefix', async () => {
+    seedTable();
+
+    const byType = await exportLines({ entityTypes: ['child', 'course'] });
+    const byPrefix = await exportLines({ pkPrefix: 'PARENT#' });
+
+    expect(byType.lines.map((item) => item.id).sort()).toEqual(['c1', 'k1']);
+    expect(byPrefix.stats.byEntityType).toEqual({ parent: 1, child: 1, history: 1 });
+  });
+
+  test('anonymizes parent contacts, child names and history consistently', async () => {
+    seedTable();
+
+    const { stats, lines } = await exportLines({ anonymize: true });
+    const parent = lines.find((item) => item.id === 'p1');
+    const child = lines.find((item) => item.id === 'k1');
+    const history = lines.find((item) => item.entityType === 'history');
+
+    expect(stats.skipped).toBe(1);
+    expect(lines.some((item) => item.entityType === 'otp')).toBe(false);
+    expect(parent).toMatchObject({ id: 'p1', version: 3, refreshTokens: [] });
+    expect(parent.email).toMatch(/^user-[0-9a-f]{12}@example\.com$/);
+    expect(parent.phoneNumber).toMatch(/^\+91\d{10}$/);
+    expect(parent.name).not.toContain('Asha');
+    expect(child.name).not.toBe('Meera');
+    expect(history.changes.email.to).toBe(parent.email);
+    expect(JSON.stringify(lines)).not.toMatch(/asha@example\.org|old@example\.org|Meera/);
+  });
+
+  test('restores an export idempotently and overwrites items with the same keys', async () => {
+    seedTable();
+    const { lines } = await exportLines();
+    const ndjson = lines.map((item) => JSON.stringify(item)).join('\n');
+    inMemoryDynamo.reset();
+    inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys('c1'), id: 'c1', title: 'Edited locally' }]);
+
+    const first = await backupService.restoreTable(Readable.from([ndjson]), { batchSize: 2 });
+    const afterFirst = inMemoryDynamo.dump(tableName);
+    await backupService.restoreTable(Readable.from([ndjson]));
+
+    expect(first).toMatchObject({ restored: 5, byEntityType: { parent: 1, child: 1, course: 1, otp: 1, history: 1 } });
+    expect(inMemoryDynamo.dump(tableName)).toEqual(afterFirst);
+    expect(afterFirst).toEqual(expect.arrayContaining(lines));
+    expect(afterFirst.find((item) => item.id === 'c1').title).toBe('Course one');
+  });
+
+  test('rejects a line without keys and writes nothing on a dry run', async () => {
+    await expect(
+      backupService.restoreTable(Readable.from(['{"pk":"A","sk":"B"}\n{"id":"x"}\n']))
+    ).rejects.toMatchObject({ code: 'INVALID_BACKUP_LINE', message: 'Line 2 has no pk/sk' });
+
+    inMemoryDynamo.reset();
+    const stats = await backupService.restoreTable(Readable.from(['{"pk":"A","sk":"B"}\n']), { dryRun: true });
+    expect(stats.restored).toBe(1);
+    expect(inMemoryDynamo.dump(tableName)).toEqual([]);
+  });
+});
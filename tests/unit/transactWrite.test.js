@@ -0,0 +1,189 @@
+const { tableName } = require('../../src/config/dynamoConfig');
+const { inMemoryDynamo } = require('../../src/db/dynamodbClient');
+const dynamoRepository = require('../../src/repositories/dynamoRepository');
+const courseProgressRepository = require('../../src/repositories/courseProgressRepository');
+const childRepository = require('../../src/repositories/childRepository');
+const parentRepository = require('../../src/repositories/parentRepository');
+const { buildCourseKeys, buildParentKeys } = require('../../src/repositories/keyFactory');
+
+const seedCourse = (id, extra = {}) =>
+  inMemoryDynamo.seed(tableName, [{ ...buildCourseKeys(id), id, title: 'Course', ...extra }]);
+
+const seedParent = (id, extra = {}) =>
+  inMemoryDynamo.seed(tableName, [{ ...buildParentKeys(id), id, email: `${id}@example.com`, ...extra }]);
+
+describe('dynamoRepository.transactWrite', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('applies every operation when all conditions pass', async () => {
+    seedCourse('c1', { enrollmentCount: 2 });
+
+    await dynamoRepository.transactWrite(tableName, [
+      { update: { pk: 'COURSE#c1', sk: 'COURSE#c1', increments: { enrollmentCount: 1 }, condition: dynamoRepository.ITEM_EXISTS } },
+      { put: { item: { pk: 'X#1', sk: 'X#1' }, condition: dynamoRepository.ITEM_NOT_EXISTS } }
+    ]);
+
+    const course = await dynamoRepository.getItem(tableName, 'COURSE#c1', 'COURSE#c1');
+    expect(course.enrollmentCount).toBe(3);
+    expect(await dynamoRepository.getItem(tableName, 'X#1', 'X#1')).toMatchObject({ version: 1 });
+  });
+
+  test('applies nothing when one condition fails', async () => {
+    seedCourse('c1', { enrollmentCount: 2 });
+
+    await expect(
+      dynamoRepository.transactWrite(tableName, [
+        { update: { pk: 'COURSE#c1', sk: 'COURSE#c1', increments: { enrollmentCount: 1 } } },
+        { delete: { pk: 'MISSING#1', sk: 'MISSING#1', condition: dynamoRepository.ITEM_EXISTS } }
+      ])
+    ).rejects.toMatchObject({
+      code: 'TRANSACTION_CANCELLED',
+      statusCode: 409,
+      details: [{ pk: 'MISSING#1', sk: 'MISSING#1', reason: 'ConditionalCheckFailed' }]
+    });
+
+    const course = await dynamoRepository.getItem(tableName, 'COURSE#c1', 'COURSE#c1');
+    expect(course.enrollmentCount).toBe(2);
+  });
+
+  test('maps a failed version guard to CONCURRENT_MODIFICATION', async () => {
+    seedParent('p1', { version: 3 });
+
+    await expect(
+      dynamoRepository.transactWrite(tableName, [
+        { update: { pk: 'PARENT#p1', sk: 'PARENT#p1', data: { name: 'x' }, expectedVersion: 2 } }
+      ])
+    ).rejects.toMatchObject({ code: 'CONCURRENT_MODIFICATION' });
+  });
+
+  test('rejects transactions over 100 items', async () => {
+    const operations = Array.from({ length: 101 }, (_, i) => ({ delete: { pk: `I#${i}`, sk: `I#${i}` } }));
+
+    await expect(dynamoRepository.transactWrite(tableName, operations)).rejects.toMatchObject({
+      code: 'TRANSACTION_TOO_LARGE'
+    });
+  });
+});
+
+describe('Transactional flows', () => {
+  beforeEach(() => {
+    inMemoryDynamo.reset();
+  });
+
+  test('enrollUser creates progress and increments enrollmentCount together', async () => {
+    seedCourse('c1');
+
+    const progress = await courseProgressRepository.enrollUser('u1', 'c1');
+
+    const course = await dynamoRepository.getItem(tableName, 'COURSE#c1', 'COURSE#c1');
+    expect(course.enrollmentCount).toBe(1);
+    expect(await courseProgressRepository.getUserCourseProgress('u1', 'c1')).toMatchObject({ id: progress.id });
+  });
+
+  test('concurrent enrollments of the same user create one progress item and count once', async () => {
+    seedCourse('c1');
+
+    const [first, second] = await Promise.all([
+      courseProgressRepository.enrollUser('u1', 'c1'),
+      courseProgressRepository.enrollUser('u1', 'c1')
+    ]);
+
+    const course = await dynamoRepository.getItem(tableName, 'COURSE#c1', 'COURSE#c1');
+    const progressItems = inMemoryDynamo.dump(tableName).filter((item) => item.entityType === 'course_progress');
+    expect(course.enrollmentCount).toBe(1);
+    expect(progressItems).toHaveLength(1);
+    expect(first.id).toBe(progressItems[0].id);
+    expect(second.id).toBe(progressItems[0].id);
+  });
+
+  test('deleting progress lets the user enroll again', async () => {
+    seedCourse('c1');
+    const progress = await courseProgressRepository.enrollUser('u1', 'c1');
+
+    await courseProgressRepository.deleteProgress(progress.id);
+    const again = await courseProgressRepository.enrollUser('u1', 'c1');
+
+    expect(again.id).not.toBe(progress.id);
+    expect((await dynamoRepository.getItem(tableName, 'COURSE#c1', 'COURSE#c1')).enrollmentCount).toBe(2);
+  });
+
+  test('enrollUser writes no progress when the course is missing', async () => {
+    await expect(courseProgressRepository.enrollUser('u1', 'missing')).rejects.toMatchObject({
+      code: 'TRANSACTION_CANCELLED'
+    });
+
+    expect(await courseProgressRepository.getUserCourseProgress('u1', 'missing')).toBeNull();
+  });
+
+  test('concurrent wishlist additions keep every course and count each once', async () => {
+    seedParent('p1', { wishlistCourseIds: [], version: 1 });
+    seedCourse('c1');
+    seedCourse('c2');
+
+    await Promise.all([
+      parentRepository.setWishlisted('p1', 'c1', true),
+      parentRepository.setWishlisted('p1', 'c2', true),
+      parentRepository.setWishlisted('p1', 'c1', true)
+    ]);
+
+    const parent = await dynamoRepository.getItem(tableName, 'PARENT#p1', 'PARENT#p1');
+    expect(parent.wishlistCourseIds.sort()).toEqual(['c1', 'c2']);
+    expect((await dynamoRepository.getItem(tableName, 'COURSE#c1', 'COURSE#c1')).wishlistCount).toBe(1);
+    expect((await dynamoRepository.getItem(tableName, 'COURSE#c2', 'COURSE#c2')).wishlistCount).toBe(1);
+  });
+
+  test('removing a wishlisted course decrements its count, and a missing course does not block removal', async () => {
+    seedParent('p1', { wishlistCourseIds: ['c1', 'gone'], version: 1 });
+    seedCourse('c1', { wishlistCount: 1 });
+
+    await parentRepository.setWishlisted('p1', 'c1', false);
+    const parent = await parentRepository.setWishlisted('p1', 'gone', false);
+
+    expect(parent.wishlistCourseIds).toEqual([]);
+    expect((await dynamoRepository.getItem(tableName, 'COURSE#c1', 'COURSE#c1')).wishlistCount).toBe(0);
+  });
+
+  test('adding a missing course to a wishlist changes nothing', async () => {
+    seedParent('p1', { wishlistCourseIds: [], version: 1 });
+
+    await expect(parentRepository.setWishlisted('p1', 'missing', true)).rejects.toMatchObject({
+      code: 'TRANSACTION_CANCELLED'
+    });
+
+    expect((await dynamoRepository.getItem(tableName, 'PARENT#p1', 'PARENT#p1')).wishlistCourseIds).toEqual([]);
+  });
+
+  test('createChildForParent links the child to the parent atomically', async () => {
+    seedParent('p1', { childrenIds: ['existing'] });
+
+    const child = await childRepository.createChildForParent({ parentId: 'p1', name: 'Kid', age: 6 });
+
+    const parent = await dynamoRepository.getItem(tableName, 'PARENT#p1', 'PARENT#p1');
+    expect(parent.childrenIds).toEqual(['existing', child.id]);
+    expect(await dynamoRepository.getItem(tableName, 'PARENT#p1', `CHILD#${child.id}`)).not.toBeNull();
+  });
+
+  test('createChildForParent returns null without writing when the parent is missing', async () => {
+    const child = await childRepository.createChildForParent({ parentId: 'nobody', name: 'Kid' });
+
+    expect(child).toBeNull();
+    expect(inMemoryDynamo.dump(tableName)).toHaveLength(0);
+  });
+
+  test('purgeParent removes the parent, children and their records', async () => {
+    seedParent('p1');
+    const child = await childRepository.createChildForParent({ parentId: 'p1', name: 'Kid', age: 6 });
+    inMemoryDynamo.seed(tableName, [
+      { pk: `CHILD#${child.id}`, sk: 'EDU#e1', entityType: 'child_education', id: 'e1' },
+      { pk: `CHILD#${child.id}`, sk: 'NUT#n1', entityType: 'child_nutrition', id: 'n1' }
+    ]);
+    seedParent('p2');
+
+    const result = await parentRepository.purgeParent('p1');
+
+    expect(result).toEqual({ deletedChildren: 1 });
+    expect(inMemoryDynamo.dump(tableName).map((item) => item.pk)).toEqual(['PARENT#p2']);
+  });
+});